@@ -10,47 +10,49 @@ const path = require('path');
 const express = require('express');
 const compression = require('compression');
 const winston = require('winston');
-const consts = require('./app/constants.js');
-const endpoints = require('./app/endpoints.js');
+
+// La configuración se valida al cargarla; con errores no se arranca
+let consts;
+let endpoints;
+try {
+    consts = require('./app/constants.js');
+    endpoints = require('./app/endpoints.js');
+} catch (error) {
+    winston.error(JSON.stringify({
+        type: 'invalid_configuration',
+        errors: error.errors || [error.message]
+    }));
+    process.exit(1);
+}
 const services = require('./app/services');
 
+// Configurar logging (nivel en LOG_LEVEL)
+services.LogService.configure();
+
 // Inicializar Express
 const app = express();
 app.use(compression());
 
-// Configurar CORS para permitir solicitudes desde orígenes específicos
-app.use(function(req, res, next) {
-    // Lista de orígenes permitidos
-    const allowedOrigins = [
-        'https://talent-flow.technexus.com.mx',
-        'http://localhost:8080',
-        'http://localhost:3000',
-        'https://localhost:8080',  // Añadir HTTPS para localhost
-        'https://127.0.0.1:8080',  // Añadir dirección IP con HTTPS
-        'http://127.0.0.1:8080'    // Añadir dirección IP con HTTP
-    ];
-    
-    const origin = req.headers.origin;
-    if (allowedOrigins.includes(origin)) {
-        res.header('Access-Control-Allow-Origin', origin);
-    }
-    
-    // Permitir métodos y cabeceras específicos
-    res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-    res.header('Access-Control-Allow-Credentials', 'true');
-    
-    // Manejar solicitudes OPTIONS (preflight)
-    if (req.method === 'OPTIONS') {
-        return res.status(200).end();
-    }
-    
-    next();
-});
+// Identificador de cada petición (X-Request-Id), incluido en la respuesta,
+// en las respuestas de error y en todas las líneas de log que genera
+app.use(services.LogService.middleware());
+
+// Contar las peticiones por ruta y estado para /metrics
+app.use(services.MetricsService.middleware());
+
+// Configurar CORS con los orígenes permitidos en la configuración (cors.origins)
+app.use(services.CorsService.middleware());
 
-// Configurar logging
-winston.remove(winston.transports.Console);
-winston.add(winston.transports.Console, {'timestamp': true});
+// Cargar las API keys (sin claves configuradas la API queda abierta)
+try {
+    services.AuthService.loadKeys();
+} catch (error) {
+    services.LogService.error({
+        type: 'invalid_configuration',
+        errors: [error.message]
+    });
+    process.exit(1);
+}
 
 // Asegurar que el directorio de uploads existe
 const uploadsDir = path.join(__dirname, 'uploads');
@@ -58,11 +60,66 @@ if (!fs.existsSync(uploadsDir)) {
     fs.mkdirSync(uploadsDir, { recursive: true });
 }
 
-// Inicializar endpoints al arrancar la aplicación
-const availableEndpoints = services.FFmpegService.getEndpointsList(endpoints);
+// Borrar periódicamente los archivos huérfanos de uploads
+services.JanitorService.start(uploadsDir);
+
+// Cargar los formatos de conversión (endpoints.js y PRESETS_FILE)
+try {
+    services.PresetService.load();
+} catch (error) {
+    services.LogService.error({
+        type: 'invalid_presets',
+        errors: error.errors || [error.message]
+    });
+    process.exit(1);
+}
+
+// Los endpoints de conversión se registran en un router propio que se
+// sustituye entero al recargar los presets
+let conversionRouter;
+setupEndpoints();
+app.use((req, res, next) => conversionRouter(req, res, next));
+
+// Detectar los codificadores y filtros de FFmpeg y avisar de los presets
+// que no se pueden usar (sus rutas responden 501)
+checkPresetCapabilities();
+
+// Recargar el archivo de presets con SIGHUP (kill -HUP <pid>)
+if (consts.presets.file && consts.presets.reload) {
+    process.on('SIGHUP', () => {
+        if (services.PresetService.reload()) {
+            setupEndpoints();
+            checkPresetCapabilities();
+        }
+    });
+}
+
+// Liveness: sólo comprueba que el proceso responde
+app.get('/healthz', (req, res) => {
+    res.json(services.HealthService.getLiveness());
+});
+
+// Readiness: FFmpeg, codificadores, directorio de uploads y cola
+app.get('/readyz', (req, res) => {
+    services.HealthService.getReadiness(uploadsDir)
+        .then(({ ready, checks }) => {
+            res.status(ready ? 200 : 503).json({
+                status: ready ? 'ready' : 'not_ready',
+                checks
+            });
+        })
+        .catch(error => services.ErrorService.send(req, res, error, 'INTERNAL_ERROR'));
+});
 
-// Configurar los endpoints de conversión inmediatamente
-setupEndpoints(availableEndpoints);
+// Métricas en formato Prometheus
+app.get('/metrics', (req, res) => {
+    services.MetricsService.render()
+        .then(({ contentType, body }) => {
+            res.set('Content-Type', contentType);
+            res.send(body);
+        })
+        .catch(error => services.ErrorService.send(req, res, error, 'INTERNAL_ERROR'));
+});
 
 // Endpoint de prueba CORS
 app.get('/test-cors', (req, res) => {
@@ -73,54 +130,60 @@ app.get('/test-cors', (req, res) => {
     });
 });
 
-// Endpoint de diagnóstico FFmpeg
-app.get('/diagnose', (req, res) => {
-    // Verificar el directorio de uploads
+// Endpoint de diagnóstico FFmpeg: expone rutas y archivos internos, así que
+// exige una clave y, sin API keys configuradas, sólo existe con diagnoseEnabled
+const diagnoseAvailable = (req, res, next) => {
+    if (services.AuthService.isEnabled() || consts.diagnoseEnabled) return next();
+
+    services.ErrorService.send(req, res, `No route for ${req.method} ${req.path}`, 'ROUTE_NOT_FOUND', {
+        path: req.path,
+        method: req.method
+    });
+};
+
+/**
+ * Estado del directorio de uploads para /diagnose
+ *
+ * El tamaño y el listado (máximo 10 entradas) salen de la medida asíncrona
+ * de JanitorService, la misma que usan las métricas.
+ *
+ * @returns {Promise<Object>} - Promesa con la ruta, los permisos y el contenido
+ */
+const describeUploads = () => {
     const uploadsInfo = {
         path: uploadsDir,
-        exists: fs.existsSync(uploadsDir),
+        exists: false,
         writable: false,
+        count: 0,
+        totalSize: 0,
         files: []
     };
-    
-    try {
-        if (uploadsInfo.exists) {
-            fs.accessSync(uploadsDir, fs.constants.W_OK);
-            uploadsInfo.writable = true;
-            
-            // Listar archivos en el directorio (máximo 10)
-            const files = fs.readdirSync(uploadsDir).slice(0, 10);
-            for (const file of files) {
-                const filePath = path.join(uploadsDir, file);
-                const stats = fs.statSync(filePath);
-                uploadsInfo.files.push({
-                    name: file,
-                    size: stats.size,
-                    isDirectory: stats.isDirectory(),
-                    created: stats.birthtime
+
+    return fs.promises.access(uploadsDir)
+        .then(() => {
+            uploadsInfo.exists = true;
+
+            return fs.promises.access(uploadsDir, fs.constants.W_OK)
+                .then(() => {
+                    uploadsInfo.writable = true;
+                    return services.JanitorService.getUploadsUsage();
+                })
+                .then(usage => {
+                    uploadsInfo.count = usage.count;
+                    uploadsInfo.totalSize = usage.size;
+                    uploadsInfo.files = usage.entries.slice();
+
+                    if (usage.count > usage.entries.length) {
+                        uploadsInfo.files.push({ note: `...y ${usage.count - usage.entries.length} archivos más` });
+                    }
+                }, error => {
+                    uploadsInfo.error = error.toString();
                 });
-            }
-            
-            if (files.length > 10) {
-                uploadsInfo.files.push({ note: `...y ${files.length - 10} archivos más` });
-            }
-        }
-    } catch (error) {
-        uploadsInfo.error = error.toString();
-    }
-    
-    // Verificar FFmpeg
-    let ffmpegInfo = { installed: false };
-    try {
-        const ffmpegVersion = require('child_process').execSync('ffmpeg -version').toString().split('\n')[0];
-        ffmpegInfo = {
-            installed: true,
-            version: ffmpegVersion
-        };
-    } catch (error) {
-        ffmpegInfo.error = error.toString();
-    }
-    
+        }, () => {})
+        .then(() => uploadsInfo);
+};
+
+app.get('/diagnose', diagnoseAvailable, services.AuthService.authenticate(), (req, res) => {
     // Verificar fluent-ffmpeg
     let fluentFFmpegInfo = { installed: false };
     try {
@@ -136,108 +199,225 @@ app.get('/diagnose', (req, res) => {
     const busboy = require('busboy/package.json').version;
     const winston = require('winston/package.json').version;
     
-    res.json({
-        environment: {
-            node: process.version,
-            platform: process.platform,
-            arch: process.arch,
-            pid: process.pid,
-            uptime: process.uptime()
-        },
-        uploads: uploadsInfo,
-        ffmpeg: ffmpegInfo,
-        fluentFFmpeg: fluentFFmpegInfo,
-        packages: {
-            busboy,
-            winston
-        },
-        endpoints: {
-            count: Object.keys(endpoints.types).length,
-            list: Object.keys(endpoints.types)
-        },
-        constants: {
-            port: consts.port,
-            fileSizeLimit: consts.fileSizeLimit,
-            timeout: consts.timeout,
-            ffmpegTimeout: consts.ffmpegTimeout
-        }
-    });
+    // Verificar el directorio de uploads, FFmpeg y el espacio del disco de uploads
+    Promise.all([
+        describeUploads(),
+        services.HealthService.getVersion(consts.ffmpegPath || 'ffmpeg')
+            .then(version => version.ok ? { installed: true, version: version.version } : { installed: false, error: version.error }),
+        services.DiskService.getUsage(uploadsDir)
+            .then(usage => Object.assign({ minFree: consts.minFreeDiskSpace }, usage || { error: 'fs.statfs is not available' }),
+                error => ({ error: error.toString() }))
+    ])
+        .then(([uploadsInfo, ffmpegInfo, disk]) => res.json({
+            environment: {
+                node: process.version,
+                platform: process.platform,
+                arch: process.arch,
+                pid: process.pid,
+                uptime: process.uptime()
+            },
+            uploads: uploadsInfo,
+            disk,
+            janitor: services.JanitorService.getStats(),
+            queue: services.QueueService.getStats(),
+            ffmpeg: ffmpegInfo,
+            fluentFFmpeg: fluentFFmpegInfo,
+            packages: {
+                busboy,
+                winston
+            },
+            endpoints: {
+                count: Object.keys(services.PresetService.getPresets()).length,
+                list: Object.keys(services.PresetService.getPresets())
+            },
+            constants: {
+                port: consts.port,
+                fileSizeLimit: consts.fileSizeLimit,
+                timeout: consts.timeout,
+                ffmpegTimeout: consts.ffmpegTimeout,
+                maxConcurrentConversions: consts.maxConcurrentConversions,
+                maxQueueLength: consts.maxQueueLength,
+                orphanFileTtl: consts.orphanFileTtl,
+                janitorInterval: consts.janitorInterval,
+                minFreeDiskSpace: consts.minFreeDiskSpace,
+                configFile: consts.configFile,
+                disabledPresets: consts.presets.disabled
+            }
+        }))
+        .catch(error => services.ErrorService.send(req, res, error, 'INTERNAL_ERROR'));
 });
 
 // Endpoint para listar endpoints disponibles
 app.get('/endpoints', function(req, res) {
-    res.json(availableEndpoints);
+    res.json(services.RouteService.describe());
+});
+
+// Especificación OpenAPI generada a partir del registro de rutas
+app.get('/openapi.json', function(req, res) {
+    res.json(services.OpenApiService.build(endpoints.tools));
+});
+
+// Explorador de la especificación (Swagger UI)
+app.use('/docs/assets', express.static(require('swagger-ui-dist').getAbsoluteFSPath(), { index: false }));
+app.get('/docs', function(req, res) {
+    res.type('html').send(services.OpenApiService.renderUi('/docs/assets'));
+});
+
+// Responde 501 si FFmpeg no incluye lo que necesita la herramienta. La ruta se
+// busca en cada petición porque el registro se reconstruye al recargar los presets
+function requireToolAvailable(name) {
+    return (req, res, next) => {
+        services.CapabilityService.requireAvailable(services.RouteService.getToolRoute(name))(req, res, next);
+    };
+}
+
+// Endpoint de extracción de miniaturas de vídeo
+app.post(endpoints.tools.thumbnail.path, requireToolAvailable('thumbnail'), services.AuthService.authorize(endpoints.tools.thumbnail.group), function(req, res) {
+    services.FFmpegService.processThumbnailRequest(
+        req,
+        res,
+        endpoints.tools.thumbnail,
+        uploadsDir,
+        services.AuthService.getFileSizeLimit(req)
+    ).catch(error => {
+        services.LogService.error({
+            type: 'thumbnail_error',
+            path: req.path,
+            message: error.toString()
+        });
+    });
+});
+
+// Endpoint de extracción de la pista de audio de un vídeo
+app.post(endpoints.tools.audio.path, requireToolAvailable('audio'), services.AuthService.authorize(endpoints.tools.audio.group), function(req, res) {
+    services.FFmpegService.processAudioExtractionRequest(
+        req,
+        res,
+        endpoints.tools.audio,
+        services.PresetService.getPresets(),
+        uploadsDir,
+        services.AuthService.getFileSizeLimit(req)
+    ).catch(error => {
+        services.LogService.error({
+            type: 'audio_extraction_error',
+            path: req.path,
+            message: error.toString()
+        });
+    });
+});
+
+// Endpoints de empaquetado para streaming adaptativo (HLS y DASH)
+['hls', 'dash'].forEach(name => {
+    const toolConfig = endpoints.tools[name];
+
+    app.post(toolConfig.path, requireToolAvailable(name), services.AuthService.authorize(toolConfig.group), function(req, res) {
+        services.FFmpegService.processPackageRequest(
+            req,
+            res,
+            toolConfig,
+            uploadsDir,
+            services.AuthService.getFileSizeLimit(req)
+        ).catch(error => {
+            services.LogService.error({
+                type: 'package_error',
+                path: req.path,
+                message: error.toString()
+            });
+        });
+    });
+});
+
+// Endpoint de inspección de archivos con ffprobe (cualquier clave puede usarlo)
+app.post('/probe', services.AuthService.authorize(null), function(req, res) {
+    services.FFmpegService.processProbeRequest(req, res, uploadsDir, services.AuthService.getFileSizeLimit(req))
+        .catch(error => {
+            services.LogService.error({
+                type: 'probe_error',
+                path: req.path,
+                message: error.toString()
+            });
+        });
+});
+
+// Endpoints de consulta de trabajos asíncronos (?async=true). No cuentan
+// para el límite de peticiones para que se pueda consultar el estado
+app.use('/jobs', services.AuthService.authenticate());
+
+app.get('/jobs/:id', function(req, res) {
+    services.FFmpegService.sendJobStatus(req, res);
+});
+
+app.delete('/jobs/:id', function(req, res) {
+    services.FFmpegService.cancelJob(req, res);
+});
+
+app.get('/jobs/:id/progress', function(req, res) {
+    services.FFmpegService.streamJobProgress(req, res);
+});
+
+app.get('/jobs/:id/result', function(req, res) {
+    services.FFmpegService.sendJobResult(req, res);
+});
+
+app.get('/jobs/:id/files/*', function(req, res) {
+    services.FFmpegService.sendJobFile(req, res);
 });
 
 // Función para configurar un endpoint de conversión
-function setupConversionEndpoint(path, ffmpegParams) {
-    winston.info(JSON.stringify({
+function setupConversionEndpoint(router, route) {
+    services.LogService.info({
         action: 'setup_endpoint',
-        path: path,
-        extension: ffmpegParams.extension
-    }));
+        path: route.path,
+        preset: route.preset,
+        deprecated: Boolean(route.deprecated)
+    });
+
+    const middlewares = [
+        services.CapabilityService.requireAvailable(route),
+        services.AuthService.authorize(route.group)
+    ];
+    if (route.deprecated) {
+        middlewares.unshift(services.RouteService.deprecation(route));
+    }
     
-    app.post(path, function(req, res) {
+    router.post(route.path, middlewares, function(req, res) {
         services.FFmpegService.processConversionRequest(
             req, 
             res, 
-            ffmpegParams, 
+            route.params, 
             uploadsDir, 
-            consts.fileSizeLimit
+            services.AuthService.getFileSizeLimit(req)
         ).catch(error => {
-            winston.error(JSON.stringify({
+            services.LogService.error({
                 type: 'unhandled_error',
-                path: path,
+                path: route.path,
                 message: error.toString()
-            }));
+            });
             
             // Asegurar que enviamos una respuesta si no se ha enviado ya
             if (!res.headersSent) {
-                res.status(500).json({
-                    error: 'Internal server error',
-                    message: 'An unexpected error occurred'
-                });
+                services.ErrorService.send(req, res, 'An unexpected error occurred', 'INTERNAL_ERROR');
             }
         });
     });
 }
 
-// Configurar endpoints
-function setupEndpoints(availableEndpoints) {
-    // Configurar los endpoints de conversión basados en la lista
-    availableEndpoints.forEach(endpoint => {
-        if (endpoint.methods.includes('POST')) {
-            const path = endpoint.path;
-            let propName;
-            
-            // Determinar el nombre de la propiedad en el objeto endpoints.types
-            if (path.startsWith('/video/compress/to/')) {
-                const format = path.split('/').pop();
-                if (format === 'mp4' || format === 'webm') {
-                    propName = `compress-${format}`;
-                } else {
-                    propName = format; // Para hevc y av1
-                }
-            } else if (path.startsWith('/convert/')) {
-                const format = path.split('/').pop();
-                propName = format;
-            } else if (path.startsWith('/')) {
-                propName = path.substring(1); // Quitar el slash inicial
-            }
-            
-            // Si encontramos la propiedad, configurar el endpoint
-            if (propName && endpoints.types[propName]) {
-                setupConversionEndpoint(path, endpoints.types[propName]);
-            }
-        }
-    });
-    
-    // Configurar endpoints cortos (retrocompatibilidad)
-    for (let prop in endpoints.types) {
-        if (endpoints.types.hasOwnProperty(prop)) {
-            setupConversionEndpoint('/' + prop, endpoints.types[prop]);
-        }
-    }
+// Configurar los endpoints de conversión del registro de rutas
+function setupEndpoints() {
+    const router = express.Router();
+
+    services.RouteService.build(services.PresetService.getPresets(), endpoints.tools);
+    services.RouteService.getConversionRoutes().forEach(route => setupConversionEndpoint(router, route));
+
+    conversionRouter = router;
+}
+
+// Comprobar que FFmpeg tiene lo que necesitan los presets publicados
+function checkPresetCapabilities() {
+    services.CapabilityService.checkPresets(services.PresetService.getPresets())
+        .catch(() => {
+            // Sin la lista de capacidades no se desactiva ningún preset; /readyz informa del fallo
+        });
 }
 
 // Configurar endpoints para la documentación
@@ -250,18 +430,18 @@ require('express-readme')(app, {
 const server = app.listen(consts.port, function() {
     const host = server.address().address;
     const port = server.address().port;
-    winston.info(JSON.stringify({
+    services.LogService.info({
         action: 'listening',
         url: 'http://'+host+':'+port,
-    }));
+    });
 });
 
 // Configurar timeouts para conexiones
 server.on('connection', function(socket) {
-    winston.info(JSON.stringify({
+    services.LogService.info({
         action: 'new connection',
         timeout: consts.timeout,
-    }));
+    });
     socket.setTimeout(consts.timeout);
     socket.server.timeout = consts.timeout;
     server.keepAliveTimeout = consts.timeout;
@@ -269,8 +449,7 @@ server.on('connection', function(socket) {
 
 // Middleware para rutas no encontradas
 app.use(function(req, res, next) {
-    res.status(404).json({
-        error: 'Route not available',
+    services.ErrorService.send(req, res, `No route for ${req.method} ${req.path}`, 'ROUTE_NOT_FOUND', {
         path: req.path,
         method: req.method
     });
@@ -278,15 +457,15 @@ app.use(function(req, res, next) {
 
 // Manejador global de errores
 app.use(function(err, req, res, next) {
-    winston.error(JSON.stringify({
+    services.LogService.error({
         type: 'express_error',
         path: req.path,
         method: req.method,
         message: err.toString()
-    }));
-    
-    res.status(500).json({
-        error: 'Internal server error',
-        message: err.message || 'An unexpected error occurred'
     });
+    
+    // Los errores de los middlewares de Express (JSON mal formado...) traen su estado en status
+    services.ErrorService.send(req, res, Object.assign(err, {
+        statusCode: err.statusCode || err.status
+    }), 'INTERNAL_ERROR');
 });
@@ -0,0 +1,275 @@
+/**
+ * Carga de la configuración del servicio
+ *
+ * La configuración se construye en tres capas, de menor a mayor prioridad:
+ * los valores por defecto de este archivo, un archivo JSON o YAML opcional
+ * (CONFIG_FILE) y las variables de entorno. Así la misma imagen se puede
+ * desplegar en varios entornos cambiando sólo el entorno o montando un archivo.
+ * Todos los valores se validan al arrancar y cualquier error impide el inicio.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Orígenes permitidos por defecto para CORS
+const defaultOrigins = [
+    'https://talent-flow.technexus.com.mx',
+    'http://localhost:8080',
+    'http://localhost:3000',
+    'https://localhost:8080',
+    'https://127.0.0.1:8080',
+    'http://127.0.0.1:8080'
+];
+
+// Esquema de la configuración. Cada hoja declara su tipo, su valor por defecto
+// y la variable de entorno que la sobrescribe; los nodos sin type agrupan
+// otras entradas y en el archivo se escriben como objetos anidados.
+const schema = {
+    port: { type: 'integer', env: 'PORT', default: 3000, min: 1, max: 65535 },
+    fileSizeLimit: { type: 'integer', env: 'FILE_SIZE_LIMIT', default: 524288000, min: 1 }, // Bytes
+    timeout: { type: 'integer', env: 'REQUEST_TIMEOUT', default: 3600000, min: 1000 }, // Milisegundos de inactividad de una conexión
+    ffmpegTimeout: { type: 'integer', env: 'FFMPEG_TIMEOUT', default: 600000, min: 1000 }, // 10 minutos para la conversión de FFmpeg
+    ffmpegPath: { type: 'string', env: 'FFMPEG_PATH' }, // Binario de FFmpeg (por defecto el del PATH)
+    ffprobePath: { type: 'string', env: 'FFPROBE_PATH' }, // Binario de ffprobe (por defecto el del PATH)
+    requiredEncoders: { type: 'list', env: 'REQUIRED_ENCODERS', default: ['libx264', 'libx265', 'libaom-av1', 'libvpx', 'libmp3lame'] }, // Codificadores sin los que /readyz falla
+    jobTtl: { type: 'integer', env: 'JOB_TTL', default: 3600000, min: 1000 }, // 1 hora de retención de los trabajos asíncronos finalizados
+    orphanFileTtl: { type: 'integer', env: 'ORPHAN_FILE_TTL', default: 21600000, min: 60000 }, // 6 horas: edad a partir de la cual se borra un archivo de uploads sin trabajo
+    janitorInterval: { type: 'integer', env: 'JANITOR_INTERVAL', default: 600000, min: 10000 }, // Cada cuánto se revisa el directorio de uploads
+    minFreeDiskSpace: { type: 'integer', env: 'MIN_FREE_DISK_SPACE', default: 1073741824, min: 0 }, // Bytes libres necesarios para aceptar un archivo (0 para no comprobarlo)
+    maxConcurrentConversions: { type: 'integer', env: 'MAX_CONCURRENT_CONVERSIONS', default: 2, min: 1 }, // Procesos de FFmpeg simultáneos
+    maxQueueLength: { type: 'integer', env: 'MAX_QUEUE_LENGTH', default: 20, min: 0 }, // Conversiones en espera antes de responder 503
+    queueRetryAfter: { type: 'integer', env: 'QUEUE_RETRY_AFTER', default: 30, min: 1 }, // Segundos sugeridos en Retry-After cuando la cola está llena
+    remoteUrlTimeout: { type: 'integer', env: 'REMOTE_URL_TIMEOUT', default: 60000, min: 1000 }, // Tiempo máximo sin recibir datos al descargar una URL remota
+    remoteUrlMaxRedirects: { type: 'integer', env: 'REMOTE_URL_MAX_REDIRECTS', default: 5, min: 0 }, // Redirecciones que se siguen al descargar una URL remota
+    remoteUrlMaxBodySize: { type: 'integer', env: 'REMOTE_URL_MAX_BODY_SIZE', default: 16384, min: 1024 }, // Tamaño máximo del cuerpo JSON con la URL
+    remoteUrlAllowedHosts: { type: 'list', env: 'REMOTE_URL_ALLOWED_HOSTS', default: [], lowercase: true }, // Hosts internos que se pueden descargar aunque resuelvan a direcciones privadas
+    apiKeys: { type: 'list', env: 'API_KEYS', default: [] }, // Claves con acceso completo
+    apiKeysFile: { type: 'string', env: 'API_KEYS_FILE' }, // Archivo JSON con claves y sus límites
+    apiKeyRateLimit: { // Límite por defecto de cada clave
+        requests: { type: 'integer', env: 'API_KEY_RATE_LIMIT', default: 60, min: 1 }, // Peticiones por ventana
+        window: { type: 'integer', env: 'API_KEY_RATE_WINDOW', default: 60, min: 1 } // Duración de la ventana en segundos
+    },
+    diagnoseEnabled: { type: 'boolean', env: 'DIAGNOSE_ENABLED', default: false }, // Publicar /diagnose sin API keys configuradas
+    logLevel: { type: 'string', env: 'LOG_LEVEL', default: 'info', allowed: ['error', 'warn', 'info', 'debug'], lowercase: true }, // Nivel mínimo de las líneas de log
+    ffmpegStderrSampleRate: { type: 'integer', env: 'FFMPEG_STDERR_SAMPLE_RATE', default: 10, min: 0 }, // Con LOG_LEVEL=debug, se registra una de cada N líneas de stderr de FFmpeg (0 ninguna)
+    errorStderrLines: { type: 'integer', env: 'ERROR_STDERR_LINES', default: 10, min: 0 }, // Líneas finales de stderr de FFmpeg en las respuestas de error (0 para no enviarlas)
+    webhookSecret: { type: 'string', env: 'WEBHOOK_SECRET' }, // Secreto compartido para firmar los avisos de callback_url
+    webhookMaxAttempts: { type: 'integer', env: 'WEBHOOK_MAX_ATTEMPTS', default: 5, min: 1 }, // Intentos de entrega de cada aviso
+    webhookRetryDelay: { type: 'integer', env: 'WEBHOOK_RETRY_DELAY', default: 2000, min: 0 }, // Espera antes del primer reintento; se duplica en cada intento
+    webhookTimeout: { type: 'integer', env: 'WEBHOOK_TIMEOUT', default: 10000, min: 1000 }, // Tiempo máximo de espera de la respuesta del receptor
+    cors: {
+        origins: { type: 'list', env: 'CORS_ORIGINS', default: defaultOrigins }, // Orígenes permitidos ('*' para cualquiera)
+        methods: { type: 'list', env: 'CORS_METHODS', default: ['GET', 'POST', 'DELETE', 'OPTIONS'] },
+        headers: { type: 'list', env: 'CORS_HEADERS', default: ['Content-Type', 'Authorization', 'X-Request-Id'] },
+        credentials: { type: 'boolean', env: 'CORS_CREDENTIALS', default: true }
+    },
+    presets: {
+        file: { type: 'string', env: 'PRESETS_FILE' }, // Archivo JSON o YAML con formatos adicionales
+        reload: { type: 'boolean', env: 'PRESETS_RELOAD', default: false }, // Recargar el archivo al recibir SIGHUP
+        disabled: { type: 'list', env: 'DISABLED_PRESETS', default: [], lowercase: true } // Formatos que no se publican
+    },
+    // Destinos opcionales para guardar los resultados (parámetro output)
+    storage: {
+        local: {
+            directory: { type: 'string', env: 'OUTPUT_LOCAL_DIR' }
+        },
+        s3: {
+            bucket: { type: 'string', env: 'S3_BUCKET' },
+            region: { type: 'string', env: 'S3_REGION', default: 'us-east-1' },
+            endpoint: { type: 'string', env: 'S3_ENDPOINT' }, // Para servicios compatibles como MinIO
+            forcePathStyle: { type: 'boolean', env: 'S3_FORCE_PATH_STYLE', default: false },
+            accessKeyId: { type: 'string', env: 'S3_ACCESS_KEY_ID' },
+            secretAccessKey: { type: 'string', env: 'S3_SECRET_ACCESS_KEY' },
+            prefix: { type: 'string', env: 'S3_PREFIX', default: '' },
+            presignExpires: { type: 'integer', env: 'S3_PRESIGN_EXPIRES', default: 3600, min: 1 } // Validez en segundos de la URL prefirmada
+        }
+    }
+};
+
+/**
+ * Carga y valida la configuración
+ *
+ * @param {Object} env - Variables de entorno (process.env)
+ * @returns {Object} - Configuración validada
+ * @throws {Error} - Error con errors (lista de problemas) si algún valor no es válido
+ */
+function load(env) {
+    const errors = [];
+    const configFile = env.CONFIG_FILE || null;
+    let fileValues = {};
+
+    if (configFile) {
+        try {
+            fileValues = readFile(configFile);
+        } catch (err) {
+            errors.push(`CONFIG_FILE ${configFile}: ${err.message}`);
+        }
+    }
+
+    const config = resolve(schema, fileValues, env, '', errors);
+
+    // Un archivo en conversión no debe parecer huérfano
+    if (config.orphanFileTtl <= config.ffmpegTimeout) {
+        errors.push(`ORPHAN_FILE_TTL (${config.orphanFileTtl}) must be greater than FFMPEG_TIMEOUT (${config.ffmpegTimeout})`);
+    }
+
+    if (errors.length > 0) {
+        const error = new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+        error.errors = errors;
+        throw error;
+    }
+
+    config.configFile = configFile;
+
+    // Los destinos de almacenamiento se activan al configurar su ubicación
+    config.storage.local.enabled = Boolean(config.storage.local.directory);
+    config.storage.s3.enabled = Boolean(config.storage.s3.bucket);
+
+    return config;
+}
+
+/**
+ * Lee un archivo JSON o YAML según su extensión
+ *
+ * También se usa para el archivo de presets (PRESETS_FILE).
+ *
+ * @param {string} filePath - Ruta al archivo .json, .yaml o .yml
+ * @returns {Object} - Valores del archivo
+ */
+function readFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+    let values;
+
+    if (extension === '.json') {
+        values = JSON.parse(content);
+    } else if (extension === '.yaml' || extension === '.yml') {
+        values = require('js-yaml').safeLoad(content);
+    } else {
+        throw new Error('must be a .json, .yaml or .yml file');
+    }
+
+    if (values === null || values === undefined) return {};
+    if (typeof values !== 'object' || Array.isArray(values)) {
+        throw new Error('must contain an object');
+    }
+
+    return values;
+}
+
+/**
+ * Resuelve un nivel del esquema con los valores del archivo y del entorno
+ *
+ * @param {Object} node - Nivel del esquema
+ * @param {Object} fileValues - Valores del archivo para este nivel
+ * @param {Object} env - Variables de entorno
+ * @param {string} prefix - Ruta del nivel, para los mensajes de error
+ * @param {Array} errors - Lista donde se acumulan los errores
+ * @returns {Object} - Valores resueltos
+ */
+function resolve(node, fileValues, env, prefix, errors) {
+    const result = {};
+
+    Object.keys(fileValues).forEach(key => {
+        if (!node.hasOwnProperty(key)) {
+            errors.push(`Unknown setting "${prefix}${key}" in CONFIG_FILE`);
+        }
+    });
+
+    Object.keys(node).forEach(key => {
+        const setting = node[key];
+        const name = `${prefix}${key}`;
+        const fileValue = fileValues[key];
+
+        if (!setting.type) {
+            if (fileValue !== undefined && (typeof fileValue !== 'object' || fileValue === null || Array.isArray(fileValue))) {
+                errors.push(`${name} in CONFIG_FILE must be an object`);
+                result[key] = resolve(setting, {}, env, `${name}.`, errors);
+            } else {
+                result[key] = resolve(setting, fileValue || {}, env, `${name}.`, errors);
+            }
+            return;
+        }
+
+        let value = setting.default;
+        let source = name;
+
+        if (fileValue !== undefined && fileValue !== null) {
+            value = fileValue;
+        }
+
+        if (setting.env && env[setting.env] !== undefined && env[setting.env] !== '') {
+            value = env[setting.env];
+            source = setting.env;
+        }
+
+        try {
+            result[key] = value === undefined ? undefined : coerce(setting, value);
+        } catch (err) {
+            errors.push(`${source} ${err.message} (got ${JSON.stringify(value)})`);
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Convierte y valida un valor según su tipo
+ *
+ * Los valores del entorno siempre llegan como texto; los del archivo pueden
+ * tener ya el tipo correcto.
+ *
+ * @param {Object} setting - Entrada del esquema
+ * @param {*} value - Valor recibido
+ * @returns {*} - Valor convertido
+ * @throws {Error} - Si el valor no es válido para el tipo
+ */
+function coerce(setting, value) {
+    switch (setting.type) {
+        case 'integer': {
+            const number = typeof value === 'number' ? value : Number(String(value).trim());
+            if (!Number.isInteger(number)) {
+                throw new Error('must be an integer');
+            }
+            if (setting.min !== undefined && number < setting.min) {
+                throw new Error(`must be at least ${setting.min}`);
+            }
+            if (setting.max !== undefined && number > setting.max) {
+                throw new Error(`must be at most ${setting.max}`);
+            }
+            return number;
+        }
+        case 'boolean': {
+            if (typeof value === 'boolean') return value;
+            const text = String(value).trim().toLowerCase();
+            if (['true', '1', 'yes'].includes(text)) return true;
+            if (['false', '0', 'no'].includes(text)) return false;
+            throw new Error('must be true or false');
+        }
+        case 'list': {
+            const items = Array.isArray(value) ? value : String(value).split(',');
+            return items
+                .map(item => String(item).trim())
+                .map(item => setting.lowercase ? item.toLowerCase() : item)
+                .filter(Boolean);
+        }
+        case 'string': {
+            if (typeof value === 'object') {
+                throw new Error('must be a string');
+            }
+            const text = setting.lowercase ? String(value).trim().toLowerCase() : String(value);
+            if (setting.allowed && !setting.allowed.includes(text)) {
+                throw new Error(`must be one of: ${setting.allowed.join(', ')}`);
+            }
+            return text;
+        }
+        default:
+            throw new Error(`has an unknown type ${setting.type}`);
+    }
+}
+
+module.exports = {
+    schema,
+    load,
+    readFile
+};
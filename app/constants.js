@@ -1,4 +1,3 @@
-exports.fileSizeLimit = 524288000;
-exports.port = 3000;
-exports.timeout = 3600000;
-exports.ffmpegTimeout = 600000; // 10 minutos para la conversión de FFmpeg
+// Configuración del servicio: valores por defecto, archivo CONFIG_FILE y
+// variables de entorno. Los valores admitidos se declaran en app/config.js
+module.exports = require('./config').load(process.env);
@@ -1,15 +1,45 @@
+// Velocidades de codificación de x264/x265 (de más rápida a más lenta)
+const x264Presets = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+
+// Bitrates de audio admitidos en los formatos con pérdida
+const audioBitrates = ['64k', '96k', '128k', '160k', '192k', '256k', '320k'];
+
+// Formatos de conversión. Cada uno declara su ruta, la categoría de archivo
+// que produce (audio, video o image), el tipo MIME del resultado, los tipos
+// MIME de entrada que acepta (se comprueban con MediaTypeService) y el grupo
+// de endpoints al que una API key debe tener acceso. En params se declaran los
+// parámetros opcionales que el cliente puede enviar (ver ParameterService) y
+// su rango permitido. Se pueden añadir más en un archivo (ver PresetService)
 exports.types = {
     jpg: {
+        path: '/convert/image/to/jpg',
+        category: 'image',
+        mimeType: 'image/jpeg',
         extension: 'jpg',
+        group: 'image',
+        accepts: ['image/*'],
         description: 'Convert image to JPG format',
+        params: {
+            quality: { option: '-q:v', min: 1, max: 31 },
+        },
         outputOptions: [
             '-pix_fmt yuv422p',
             '-q:v 2',  // Mejor calidad de imagen (1-31, donde 1 es la mejor)
         ],
     },
     m4a: {
+        path: '/convert/audio/to/m4a',
+        category: 'audio',
+        mimeType: 'audio/mp4',
         extension: 'm4a',
+        group: 'audio',
+        accepts: ['audio/*', 'video/*'],
         description: 'Convert audio to M4A format (AAC)',
+        params: {
+            audio_bitrate: { allowed: audioBitrates },
+            sample_rate: { allowed: [22050, 44100, 48000] },
+            channels: { allowed: [1, 2] },
+        },
         outputOptions: [
             '-codec:a aac',  // Usando AAC nativo en lugar de libfdk_aac
             '-b:a 192k',     // Mayor bitrate para mejor calidad
@@ -17,8 +47,18 @@ exports.types = {
         ],
     },
     mp3: {
+        path: '/convert/audio/to/mp3',
+        category: 'audio',
+        mimeType: 'audio/mpeg',
         extension: 'mp3',
+        group: 'audio',
+        accepts: ['audio/*', 'video/*'],
         description: 'Convert audio to MP3 format',
+        params: {
+            quality: { min: 0, max: 9 },
+            sample_rate: { allowed: [22050, 44100, 48000] },
+            channels: { allowed: [1, 2] },
+        },
         outputOptions: [
             '-codec:a libmp3lame',
             '-q:a 2',        // Calidad VBR (0-9, donde 0 es la mejor)
@@ -27,16 +67,39 @@ exports.types = {
         ],
     },
     wav: {
+        path: '/convert/audio/to/wav',
+        category: 'audio',
+        mimeType: 'audio/wav',
         extension: 'wav',
+        group: 'audio',
+        accepts: ['audio/*', 'video/*'],
         description: 'Convert audio to WAV format',
+        params: {
+            sample_rate: { allowed: [8000, 16000, 22050, 44100, 48000] },
+            channels: { allowed: [1, 2] },
+        },
         outputOptions: [
             '-acodec pcm_s16le',  // PCM 16-bit estándar
             '-ar 44100',          // Frecuencia de muestreo estándar CD
         ],
     },
     mp4: {
+        path: '/convert/video/to/mp4',
+        category: 'video',
+        mimeType: 'video/mp4',
         extension: 'mp4',
+        group: 'video',
+        accepts: ['video/*'],
         description: 'Convert video to MP4 format (H.264)',
+        params: {
+            resolution: { allowed: [240, 360, 480, 720, 1080] },
+            crf: { min: 18, max: 35 },
+            audio_bitrate: { allowed: audioBitrates },
+            sample_rate: { allowed: [44100, 48000] },
+            channels: { allowed: [1, 2] },
+            frame_rate: { allowed: [24, 25, 30, 50, 60] },
+            preset: { allowed: x264Presets },
+        },
         outputOptions: [
             '-codec:v libx264',
             '-profile:v high',
@@ -53,8 +116,21 @@ exports.types = {
         ],
     },
     webm: {
+        path: '/convert/video/to/webm',
+        category: 'video',
+        mimeType: 'video/webm',
         extension: 'webm',
+        group: 'video',
+        accepts: ['video/*'],
         description: 'Convert video to WebM format (VP9)',
+        params: {
+            resolution: { allowed: [240, 360, 480, 720, 1080] },
+            audio_bitrate: { allowed: audioBitrates },
+            sample_rate: { allowed: [44100, 48000] },
+            channels: { allowed: [1, 2] },
+            frame_rate: { allowed: [24, 25, 30, 50, 60] },
+            preset: { option: '-cpu-used', type: 'integer', min: 0, max: 16 },
+        },
         outputOptions: [
             '-codec:v libvpx',         // VP8 es más rápido y compatible que VP9
             '-quality good',           // Balance calidad/velocidad
@@ -75,8 +151,21 @@ exports.types = {
         ],
     },
     'compress-mp4': {
+        path: '/video/compress/to/mp4',
+        category: 'video',
+        mimeType: 'video/mp4',
         extension: 'mp4',
+        group: 'compress',
+        accepts: ['video/*'],
         description: 'Compress video to MP4 format with ~60% size reduction',
+        params: {
+            resolution: { allowed: [240, 360, 480, 720] },
+            crf: { min: 23, max: 40 },
+            audio_bitrate: { allowed: ['48k', '64k', '96k', '128k'] },
+            channels: { allowed: [1, 2] },
+            frame_rate: { allowed: [15, 24, 25, 30] },
+            preset: { allowed: x264Presets },
+        },
         outputOptions: [
             '-codec:v libx264',
             '-profile:v high',
@@ -94,8 +183,19 @@ exports.types = {
         ],
     },
     'compress-webm': {
+        path: '/video/compress/to/webm',
+        category: 'video',
+        mimeType: 'video/webm',
         extension: 'webm',
+        group: 'compress',
+        accepts: ['video/*'],
         description: 'Compress video to WebM format with ~60% size reduction',
+        params: {
+            resolution: { allowed: [240, 360, 480] },
+            audio_bitrate: { allowed: ['32k', '48k', '64k', '96k'] },
+            sample_rate: { allowed: [22050, 44100, 48000] },
+            channels: { allowed: [1, 2] },
+        },
         outputOptions: [
             '-codec:v libvpx',         // VP8 es más rápido y compatible que VP9
             '-quality realtime',       // Priorizar velocidad sobre calidad
@@ -120,8 +220,19 @@ exports.types = {
         ],
     },
     'hevc': {
+        path: '/video/compress/to/hevc',
+        category: 'video',
+        mimeType: 'video/mp4',
         extension: 'mp4',
+        group: 'compress',
+        accepts: ['video/*'],
         description: 'Convert video to HEVC (H.265) for better compression (70-80% reduction)',
+        params: {
+            resolution: { allowed: [360, 480, 720, 1080, 2160] },
+            crf: { min: 20, max: 38 },
+            audio_bitrate: { allowed: audioBitrates },
+            preset: { allowed: x264Presets },
+        },
         outputOptions: [
             '-codec:v libx265',   // Codec HEVC (H.265)
             '-crf 28',            // Balance calidad/tamaño
@@ -136,8 +247,19 @@ exports.types = {
         ],
     },
     'av1': {
+        path: '/video/compress/to/av1',
+        category: 'video',
+        mimeType: 'video/mp4',
         extension: 'mp4',
+        group: 'compress',
+        accepts: ['video/*'],
         description: 'Convert video to AV1 format for highest compression (up to 85% reduction)',
+        params: {
+            resolution: { allowed: [360, 480, 720, 1080, 2160] },
+            crf: { min: 20, max: 50 },
+            audio_bitrate: { allowed: audioBitrates },
+            preset: { option: '-cpu-used', type: 'integer', min: 0, max: 8 },
+        },
         outputOptions: [
             '-codec:v libaom-av1',  // Codec AV1
             '-crf 30',              // Balance calidad/tamaño
@@ -152,3 +274,112 @@ exports.types = {
         ],
     }
 };
+
+// Escalera de calidades para el empaquetado HLS/DASH (de menor a mayor)
+const streamingLadder = [
+    { height: 360, videoBitrate: '800k', maxrate: '856k', bufsize: '1200k', audioBitrate: '96k' },
+    { height: 480, videoBitrate: '1400k', maxrate: '1498k', bufsize: '2100k', audioBitrate: '128k' },
+    { height: 720, videoBitrate: '2800k', maxrate: '2996k', bufsize: '4200k', audioBitrate: '128k' },
+];
+
+// Herramientas que no son una conversión directa de formato. accepts y
+// produces son los tipos MIME de entrada y salida que se publican en /endpoints;
+// el archivo recibido se comprueba contra accepts antes de procesarlo. requires
+// declara los codificadores y filtros de FFmpeg que no se deducen de outputOptions
+exports.tools = {
+    thumbnail: {
+        path: '/video/thumbnail',
+        group: 'video',
+        accepts: ['video/*'],
+        produces: ['image/jpeg', 'image/png', 'image/webp', 'application/zip'],
+        description: 'Extract a still frame (JPG, PNG or WebP) from a video, or N evenly spaced frames as a ZIP',
+        defaultFormat: 'jpg',
+        defaultWidth: 640,
+        maxWidth: 3840,
+        maxCount: 50,
+        requires: { filters: ['scale', 'thumbnail'] },
+        formats: {
+            jpg: {
+                mimeType: 'image/jpeg',
+                requires: { encoders: ['mjpeg'] },  // Codificador por defecto de .jpg
+                outputOptions: [
+                    '-q:v 2',  // Mejor calidad de imagen (1-31, donde 1 es la mejor)
+                ],
+            },
+            png: {
+                mimeType: 'image/png',
+                requires: { encoders: ['png'] },
+                outputOptions: [
+                    '-compression_level 6',
+                ],
+            },
+            webp: {
+                mimeType: 'image/webp',
+                outputOptions: [
+                    '-codec:v libwebp',
+                    '-quality 80',    // Calidad (0-100)
+                ],
+            },
+        },
+    },
+    audio: {
+        path: '/video/extract/audio/to/:format',
+        group: 'audio',
+        accepts: ['video/*', 'audio/*'],  // Produce el tipo MIME del preset de cada formato
+        description: 'Extract the audio track of a video as MP3, M4A or WAV, optionally normalized to EBU R128 loudness (normalize=ebu-r128)',
+        formats: ['mp3', 'm4a', 'wav'],   // Usan las opciones de exports.types
+        outputOptions: [
+            '-vn',                  // Descartar el vídeo
+        ],
+        normalization: {
+            'ebu-r128': {
+                integrated: -23,    // Sonoridad objetivo en LUFS
+                minIntegrated: -31, // Rango admitido para target_lufs
+                maxIntegrated: -9,
+                truePeak: -1,       // Pico verdadero máximo en dBTP
+                range: 7,           // Rango de sonoridad (LRA)
+            },
+        },
+    },
+    hls: {
+        path: '/video/package/hls',
+        group: 'video',
+        accepts: ['video/*'],
+        produces: ['application/zip'],
+        description: 'Package video for adaptive streaming as HLS (360p/480p/720p ladder with master playlist), returned as a ZIP',
+        format: 'hls',
+        manifest: 'master.m3u8',
+        segmentDuration: 6,   // Segundos por segmento
+        renditions: streamingLadder,
+        requires: { filters: ['split', 'scale'] },  // filter_complex de la escalera
+        outputOptions: [
+            '-codec:v libx264',
+            '-profile:v main',
+            '-pix_fmt yuv420p',     // Requerido por el perfil main y los reproductores
+            '-preset veryfast',
+            '-codec:a aac',
+            '-ac 2',
+        ],
+    },
+    dash: {
+        path: '/video/package/dash',
+        group: 'video',
+        accepts: ['video/*'],
+        produces: ['application/zip'],
+        description: 'Package video for adaptive streaming as MPEG-DASH (360p/480p/720p ladder with MPD), returned as a ZIP',
+        format: 'dash',
+        manifest: 'manifest.mpd',
+        segmentDuration: 6,   // Segundos por segmento
+        renditions: streamingLadder,
+        requires: { filters: ['split', 'scale'] },  // filter_complex de la escalera
+        outputOptions: [
+            '-codec:v libx264',
+            '-profile:v main',
+            '-pix_fmt yuv420p',     // Requerido por el perfil main y los reproductores
+            '-preset veryfast',
+            '-codec:a aac',
+            '-ac 2',
+        ],
+    },
+};
+
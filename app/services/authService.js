@@ -0,0 +1,305 @@
+/**
+ * Servicio de autenticación por API key
+ *
+ * Este servicio comprueba la cabecera Authorization: Bearer <key> de las
+ * peticiones y aplica los límites de cada clave: peticiones por ventana de
+ * tiempo, tamaño máximo de archivo y grupos de endpoints permitidos. Las
+ * claves se cargan de API_KEYS (acceso completo) y/o de un archivo JSON
+ * (API_KEYS_FILE). Si no hay ninguna clave configurada la API queda abierta.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const consts = require('../constants');
+const LogService = require('./logService');
+const ErrorService = require('./errorService');
+
+// Grupos de endpoints que se pueden asignar a una clave
+const groups = ['audio', 'video', 'image', 'compress'];
+
+// Claves configuradas, indexadas por el hash SHA-256 del secreto
+let keys = new Map();
+
+// Peticiones de la ventana actual de cada clave, indexadas por nombre
+const usage = new Map();
+
+class AuthService {
+    /**
+     * Carga las claves de la configuración
+     *
+     * @returns {number} - Número de claves cargadas
+     * @throws {Error} - Si el archivo de claves no existe o no es válido
+     */
+    static loadKeys() {
+        const entries = consts.apiKeys.map((key, index) => ({ name: `env-${index + 1}`, key }));
+
+        if (consts.apiKeysFile) {
+            let content;
+            try {
+                content = JSON.parse(fs.readFileSync(consts.apiKeysFile, 'utf8'));
+            } catch (error) {
+                throw new Error(`Could not read API_KEYS_FILE ${consts.apiKeysFile}: ${error.message}`);
+            }
+            if (!Array.isArray(content)) {
+                throw new Error(`${consts.apiKeysFile} must contain an array of keys`);
+            }
+            entries.push(...content);
+        }
+
+        const loaded = new Map();
+        // El límite de peticiones y la propiedad de los trabajos van por nombre
+        const names = new Set();
+        entries.forEach((entry, index) => {
+            const config = this.normalizeKey(entry, index);
+            const hash = this.hashKey(config.key);
+
+            if (loaded.has(hash)) {
+                throw new Error(`API key "${config.name}" is duplicated`);
+            }
+            if (names.has(config.name)) {
+                throw new Error(`API key name "${config.name}" is used by more than one key`);
+            }
+            names.add(config.name);
+
+            delete config.key;
+            loaded.set(hash, config);
+        });
+
+        keys = loaded;
+        usage.clear();
+
+        LogService.info({
+            action: loaded.size > 0 ? 'api_keys_loaded' : 'api_auth_disabled',
+            count: loaded.size
+        });
+
+        return loaded.size;
+    }
+
+    /**
+     * Valida una clave y completa los límites por defecto
+     *
+     * @param {Object} entry - Clave tal como aparece en la configuración
+     * @param {number} index - Posición de la clave, para los mensajes de error
+     * @returns {Object} - { name, key, groups, maxFileSize, rateLimit }
+     * @throws {Error} - Si la clave no es válida
+     */
+    static normalizeKey(entry, index) {
+        const name = entry.name || `key-${index + 1}`;
+
+        if (typeof entry.key !== 'string' || entry.key.length < 16) {
+            throw new Error(`API key "${name}" must be a string of at least 16 characters`);
+        }
+
+        const keyGroups = entry.groups || groups;
+        const unknown = keyGroups.filter(group => !groups.includes(group));
+        if (unknown.length > 0) {
+            throw new Error(`API key "${name}" has unknown groups: ${unknown.join(', ')}`);
+        }
+
+        const rateLimit = Object.assign({}, consts.apiKeyRateLimit, entry.rateLimit);
+        if (!(rateLimit.requests > 0) || !(rateLimit.window > 0)) {
+            throw new Error(`API key "${name}" has an invalid rateLimit`);
+        }
+
+        return {
+            name,
+            key: entry.key,
+            groups: keyGroups,
+            // Nunca por encima del límite global del servidor
+            maxFileSize: Math.min(entry.maxFileSize || consts.fileSizeLimit, consts.fileSizeLimit),
+            rateLimit
+        };
+    }
+
+    /**
+     * Grupos de endpoints que se pueden asignar a una clave
+     *
+     * @returns {Array} - Nombres de los grupos
+     */
+    static getGroups() {
+        return groups.slice();
+    }
+
+    /**
+     * Indica si la autenticación está activada
+     *
+     * @returns {boolean} - true si hay alguna clave configurada
+     */
+    static isEnabled() {
+        return keys.size > 0;
+    }
+
+    /**
+     * Middleware que exige una clave válida
+     *
+     * @returns {Function} - Middleware de Express
+     */
+    static authenticate() {
+        return (req, res, next) => {
+            if (!this.isEnabled()) return next();
+
+            const apiKey = this.identify(req);
+            if (!apiKey) {
+                return this.sendUnauthorized(req, res);
+            }
+
+            req.apiKey = apiKey;
+            next();
+        };
+    }
+
+    /**
+     * Middleware que exige una clave válida con acceso al grupo del endpoint
+     * y dentro de su límite de peticiones
+     *
+     * @param {string} group - Grupo del endpoint (audio, video, image, compress), o null si basta con autenticarse
+     * @returns {Function} - Middleware de Express
+     */
+    static authorize(group) {
+        return (req, res, next) => {
+            if (!this.isEnabled()) return next();
+
+            const apiKey = this.identify(req);
+            if (!apiKey) {
+                return this.sendUnauthorized(req, res);
+            }
+
+            if (group && !apiKey.groups.includes(group)) {
+                LogService.warn({
+                    action: 'api_key_forbidden',
+                    apiKey: apiKey.name,
+                    group: group,
+                    path: req.path
+                });
+
+                return ErrorService.send(req, res, `This API key cannot use ${group} endpoints`, 'FORBIDDEN');
+            }
+
+            const rate = this.consume(apiKey);
+            res.setHeader('X-RateLimit-Limit', apiKey.rateLimit.requests);
+            res.setHeader('X-RateLimit-Remaining', rate.remaining);
+            res.setHeader('X-RateLimit-Reset', rate.reset);
+
+            if (!rate.allowed) {
+                LogService.warn({
+                    action: 'api_key_rate_limited',
+                    apiKey: apiKey.name,
+                    path: req.path
+                });
+
+                res.setHeader('Retry-After', rate.retryAfter);
+                return ErrorService.send(req, res,
+                    `Rate limit of ${apiKey.rateLimit.requests} requests per ${apiKey.rateLimit.window} seconds exceeded`,
+                    'RATE_LIMITED', { retryAfter: rate.retryAfter });
+            }
+
+            req.apiKey = apiKey;
+            next();
+        };
+    }
+
+    /**
+     * Busca la clave enviada en la cabecera Authorization
+     *
+     * @param {Object} req - Objeto request de Express
+     * @returns {Object|null} - Configuración de la clave, o null si falta o no existe
+     */
+    static identify(req) {
+        const match = /^Bearer\s+(\S+)\s*$/i.exec(req.headers.authorization || '');
+        if (!match) return null;
+
+        return keys.get(this.hashKey(match[1])) || null;
+    }
+
+    /**
+     * Cuenta una petición en la ventana actual de la clave
+     *
+     * @param {Object} apiKey - Configuración de la clave
+     * @returns {Object} - { allowed, remaining, reset, retryAfter }
+     */
+    static consume(apiKey) {
+        const now = Date.now();
+        const windowMs = apiKey.rateLimit.window * 1000;
+        let current = usage.get(apiKey.name);
+
+        if (!current || now - current.start >= windowMs) {
+            current = { start: now, count: 0 };
+            usage.set(apiKey.name, current);
+        }
+
+        const allowed = current.count < apiKey.rateLimit.requests;
+        if (allowed) current.count++;
+
+        const retryAfter = Math.ceil((current.start + windowMs - now) / 1000);
+
+        return {
+            allowed,
+            remaining: apiKey.rateLimit.requests - current.count,
+            reset: Math.ceil((current.start + windowMs) / 1000),
+            retryAfter
+        };
+    }
+
+    /**
+     * Tamaño máximo de archivo para la petición
+     *
+     * @param {Object} req - Objeto request de Express
+     * @returns {number} - Límite de la clave, o el global si no hay autenticación
+     */
+    static getFileSizeLimit(req) {
+        return req.apiKey ? req.apiKey.maxFileSize : consts.fileSizeLimit;
+    }
+
+    /**
+     * Nombre de la clave de la petición, para asociarle los trabajos
+     *
+     * @param {Object} req - Objeto request de Express
+     * @returns {string|null} - Nombre de la clave, o null sin autenticación
+     */
+    static getOwner(req) {
+        return req.apiKey ? req.apiKey.name : null;
+    }
+
+    /**
+     * Comprueba si la petición puede ver un trabajo
+     *
+     * @param {Object} req - Objeto request de Express
+     * @param {Object} job - Trabajo
+     * @returns {boolean} - true si el trabajo es de la misma clave
+     */
+    static canAccessJob(req, job) {
+        return !job.owner || job.owner === this.getOwner(req);
+    }
+
+    /**
+     * Responde 401 por falta de una clave válida
+     *
+     * @param {Object} req - Objeto request de Express
+     * @param {Object} res - Objeto response de Express
+     */
+    static sendUnauthorized(req, res) {
+        const provided = Boolean(req.headers.authorization);
+
+        LogService.warn({
+            action: 'api_key_rejected',
+            path: req.path,
+            provided: provided
+        });
+
+        res.setHeader('WWW-Authenticate', provided ? 'Bearer error="invalid_token"' : 'Bearer');
+        ErrorService.send(req, res, provided ? 'Invalid API key' : 'An API key is required (Authorization: Bearer <key>)', 'UNAUTHORIZED');
+    }
+
+    /**
+     * Hash de un secreto, para no guardar las claves en claro en memoria
+     *
+     * @param {string} key - Secreto de la clave
+     * @returns {string} - SHA-256 en hexadecimal
+     */
+    static hashKey(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+}
+
+module.exports = AuthService;
@@ -0,0 +1,287 @@
+/**
+ * Servicio de capacidades de FFmpeg
+ *
+ * Este servicio lee al arrancar los codificadores y filtros que incluye el
+ * binario de FFmpeg (ffmpeg -encoders / -filters) y calcula, a partir de las
+ * outputOptions de cada preset y herramienta, cuáles necesita. Las rutas que
+ * necesitan algo que falta responden 501 en lugar de fallar tras la subida.
+ */
+
+const { execFile } = require('child_process');
+const consts = require('../constants');
+const LogService = require('./logService');
+const ErrorService = require('./errorService');
+
+// Tiempo máximo de espera de los binarios de FFmpeg
+const commandTimeout = 5000;
+
+// Opciones de FFmpeg que eligen un codificador y las que aplican filtros
+const encoderOptions = /^-(c|codec|vcodec|acodec|scodec)(:[a-z0-9]+)?$/;
+const filterOptions = /^-(vf|af|filter(:[a-z0-9]+)?|filter_complex)$/;
+
+// Codificadores y filtros del binario; null hasta que se detectan
+let capabilities = null;
+
+class CapabilityService {
+    /**
+     * Detecta los codificadores y filtros de FFmpeg
+     *
+     * El resultado se guarda: el binario no cambia mientras el proceso está
+     * en marcha. Si no se puede leer se vuelve a intentar en la siguiente llamada.
+     *
+     * @returns {Promise<Object>} - Promesa con { encoders, filters }
+     */
+    static detect() {
+        if (capabilities) {
+            return Promise.resolve(capabilities);
+        }
+
+        const ffmpegPath = consts.ffmpegPath || 'ffmpeg';
+
+        return Promise.all([
+            this.run(ffmpegPath, ['-hide_banner', '-encoders']),
+            this.run(ffmpegPath, ['-hide_banner', '-filters'])
+        ]).then(([encoders, filters]) => {
+            capabilities = {
+                encoders: this.parseEncoders(encoders),
+                filters: this.parseFilters(filters)
+            };
+
+            LogService.info({
+                action: 'ffmpeg_capabilities_detected',
+                encoders: capabilities.encoders.length,
+                filters: capabilities.filters.length
+            });
+
+            return capabilities;
+        }, err => {
+            LogService.error({
+                type: 'ffmpeg_capabilities_error',
+                message: err.toString()
+            });
+            throw err;
+        });
+    }
+
+    /**
+     * Comprueba los presets y registra los que no están disponibles
+     *
+     * @param {Object} presets - Presets publicados (PresetService.getPresets())
+     * @returns {Promise<Object>} - Promesa con lo que falta a cada preset no disponible, indexado por nombre
+     */
+    static checkPresets(presets) {
+        return this.detect().then(() => {
+            const unavailable = {};
+
+            Object.keys(presets).forEach(name => {
+                const missing = this.getMissing(this.getRequirements(presets[name].outputOptions));
+                if (missing) unavailable[name] = missing;
+            });
+
+            if (Object.keys(unavailable).length > 0) {
+                LogService.warn({
+                    action: 'presets_unavailable',
+                    presets: unavailable
+                });
+            }
+
+            return unavailable;
+        });
+    }
+
+    /**
+     * Codificadores y filtros que usan unas opciones de FFmpeg
+     *
+     * @param {Array} outputOptions - Opciones del preset ('-codec:v libx264', '-vf scale=-2:720'...)
+     * @returns {Object} - { encoders, filters }
+     */
+    static getRequirements(outputOptions) {
+        const tokens = [];
+        (outputOptions || []).forEach(option => {
+            const trimmed = String(option).trim();
+            const space = trimmed.search(/\s/);
+
+            if (space === -1) {
+                tokens.push(trimmed);
+            } else {
+                tokens.push(trimmed.slice(0, space), trimmed.slice(space).trim());
+            }
+        });
+
+        const encoders = new Set();
+        const filters = new Set();
+
+        tokens.forEach((token, index) => {
+            const value = tokens[index + 1];
+            if (!value) return;
+
+            if (encoderOptions.test(token) && value !== 'copy') {
+                encoders.add(value);
+            } else if (filterOptions.test(token)) {
+                this.parseFilterGraph(value).forEach(filter => filters.add(filter));
+            }
+        });
+
+        return {
+            encoders: Array.from(encoders),
+            filters: Array.from(filters)
+        };
+    }
+
+    /**
+     * Une varios requisitos en uno
+     *
+     * @param {...Object} list - Requisitos { encoders, filters }; se ignoran los vacíos
+     * @returns {Object} - { encoders, filters } sin repetidos
+     */
+    static mergeRequirements(...list) {
+        const encoders = new Set();
+        const filters = new Set();
+
+        list.filter(Boolean).forEach(requires => {
+            (requires.encoders || []).forEach(name => encoders.add(name));
+            (requires.filters || []).forEach(name => filters.add(name));
+        });
+
+        return {
+            encoders: Array.from(encoders),
+            filters: Array.from(filters)
+        };
+    }
+
+    /**
+     * Requisitos de una petición a una ruta
+     *
+     * A los de la ruta se añaden los del formato pedido (en la ruta o en la
+     * query) y los de la normalización si la query la pide. Los campos del
+     * formulario no se conocen hasta recibir la subida.
+     *
+     * @param {Object} route - Ruta del registro
+     * @param {Object} req - Objeto request de Express
+     * @returns {Object} - { encoders, filters }
+     */
+    static getRequestRequirements(route, req) {
+        const format = String(req.params.format || req.query.format || route.defaultFormat || '').toLowerCase();
+        const wantsNormalization = req.query.normalize !== undefined && req.query.normalize !== '';
+
+        return this.mergeRequirements(
+            route.requires,
+            route.formatRequires && route.formatRequires[format],
+            wantsNormalization ? route.normalizeRequires : null
+        );
+    }
+
+    /**
+     * Lo que falta en FFmpeg para cumplir unos requisitos
+     *
+     * Mientras no se conocen las capacidades (o si no se pudieron leer) no
+     * falta nada: /readyz ya avisa de que FFmpeg no responde.
+     *
+     * @param {Object} requires - Resultado de getRequirements()
+     * @returns {Object|null} - { encoders, filters } que faltan, o null si no falta nada
+     */
+    static getMissing(requires) {
+        if (!capabilities || !requires) return null;
+
+        const missing = {
+            encoders: requires.encoders.filter(name => !capabilities.encoders.includes(name)),
+            filters: requires.filters.filter(name => !capabilities.filters.includes(name))
+        };
+
+        return missing.encoders.length > 0 || missing.filters.length > 0 ? missing : null;
+    }
+
+    /**
+     * Middleware que responde 501 si la ruta necesita algo que FFmpeg no incluye
+     *
+     * @param {Object} route - Ruta del registro con requires
+     * @returns {Function} - Middleware de Express
+     */
+    static requireAvailable(route) {
+        return (req, res, next) => {
+            const missing = this.getMissing(this.getRequestRequirements(route, req));
+            if (!missing) return next();
+
+            const subject = route.preset ? `The ${route.preset} preset` : `The ${req.path} endpoint`;
+            this.sendUnavailable(req, res, subject, missing);
+        };
+    }
+
+    /**
+     * Responde 501 indicando lo que falta en FFmpeg
+     *
+     * @param {Object} req - Objeto request de Express
+     * @param {Object} res - Objeto response de Express
+     * @param {string} subject - Qué lo necesita ('The mp3 preset', 'Loudness normalization'...)
+     * @param {Object} missing - Resultado de getMissing()
+     */
+    static sendUnavailable(req, res, subject, missing) {
+        const names = missing.encoders.map(name => `the ${name} encoder`)
+            .concat(missing.filters.map(name => `the ${name} filter`));
+
+        ErrorService.send(req, res,
+            `${subject} needs ${names.join(' and ')}, which this FFmpeg build does not include`,
+            'PRESET_UNAVAILABLE', { missing });
+    }
+
+    /**
+     * Nombres de los codificadores de la salida de ffmpeg -encoders
+     *
+     * @param {string} output - Salida del comando
+     * @returns {Array} - Nombres de los codificadores
+     */
+    static parseEncoders(output) {
+        const lines = output.split('\n');
+        const start = lines.findIndex(line => line.trim().startsWith('---'));
+
+        return lines.slice(start + 1)
+            .map(line => /^\s*[VASFXBD.]{6}\s+(\S+)/.exec(line))
+            .filter(Boolean)
+            .map(match => match[1]);
+    }
+
+    /**
+     * Nombres de los filtros de la salida de ffmpeg -filters
+     *
+     * @param {string} output - Salida del comando
+     * @returns {Array} - Nombres de los filtros
+     */
+    static parseFilters(output) {
+        return output.split('\n')
+            .map(line => /^\s*[TSC.]{2,3}\s+(\S+)\s+[AVN|]*->[AVN|]*\s/.exec(line))
+            .filter(Boolean)
+            .map(match => match[1]);
+    }
+
+    /**
+     * Nombres de los filtros de un filtergraph ('scale=-2:720,fps=24')
+     *
+     * @param {string} graph - Filtergraph
+     * @returns {Array} - Nombres de los filtros
+     */
+    static parseFilterGraph(graph) {
+        return graph
+            .replace(/'[^']*'/g, '')      // Los valores entre comillas pueden llevar comas
+            .split(/[;,]/)
+            .map(part => part.replace(/\[[^\]]*\]/g, '').split('=')[0].trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Ejecuta un binario y devuelve su salida
+     *
+     * @param {string} command - Ruta o nombre del binario
+     * @param {Array} args - Argumentos
+     * @returns {Promise<string>} - Promesa con la salida estándar
+     */
+    static run(command, args) {
+        return new Promise((resolve, reject) => {
+            execFile(command, args, { timeout: commandTimeout, maxBuffer: 4 * 1024 * 1024 }, (err, stdout) => {
+                if (err) return reject(err);
+                resolve(stdout.toString());
+            });
+        });
+    }
+}
+
+module.exports = CapabilityService;
@@ -9,8 +9,9 @@ const fs = require('fs');
 const path = require('path');
 const ffmpeg = require('fluent-ffmpeg');
 const { spawn } = require('child_process');
-const winston = require('winston');
 const consts = require('../constants');
+const LogService = require('./logService');
+const MetricsService = require('./metricsService');
 
 class ConversionService {
     /**
@@ -21,15 +22,19 @@ class ConversionService {
      * @param {string} options.inputFile - Ruta al archivo de entrada
      * @param {string} options.outputFile - Ruta al archivo de salida
      * @param {string} options.fileName - Nombre original del archivo
+     * @param {Array} options.inputOptions - Opciones de entrada de FFmpeg ('-ss 10', ...)
      * @param {Array} options.outputOptions - Opciones de FFmpeg
      * @param {string} options.extension - Extensión del archivo de salida
      * @param {Function} options.onSuccess - Callback en caso de éxito
      * @param {Function} options.onError - Callback en caso de error
      * @param {Function} options.onProgress - Callback para reportar progreso
+     * @param {Object} options.control - Control creado con createControl() para poder cancelar
+     * @param {string} options.preset - Nombre del preset, para las métricas
      * @returns {Promise} - Promise que se resuelve cuando la conversión termina
      */
     static convertFile(options) {
         const {
+            preset,
             inputFile,
             outputFile,
             fileName,
@@ -39,18 +44,28 @@ class ConversionService {
             onError,
             onProgress
         } = options;
+        const inputOptions = options.inputOptions || [];
+        const control = options.control || this.createControl();
 
         return new Promise((resolve, reject) => {
             // Verificar que el archivo existe y obtener estadísticas
             this.verifyInputFile(inputFile)
                 .then(fileStats => {
-                    winston.info(JSON.stringify({
+                    // La conversión se canceló antes de llegar a iniciarse
+                    if (control.cancelled) {
+                        const cancelError = new Error(`Conversion cancelled: ${control.reason}`);
+                        this.handleError(cancelError, inputFile, 499, onError);
+                        reject(cancelError);
+                        return;
+                    }
+
+                    LogService.info({
                         action: 'file_check',
                         path: inputFile,
                         exists: true,
                         size: fileStats.size,
                         permissions: fileStats.mode.toString(8)
-                    }));
+                    });
 
                     // Comprobar la versión de FFmpeg
                     this.checkFFmpegVersion();
@@ -58,10 +73,33 @@ class ConversionService {
                     // Configurar timeout para la operación
                     const timeoutId = setTimeout(() => {
                         const timeoutError = new Error(`Conversion timeout after ${consts.ffmpegTimeout / 1000} seconds`);
-                        this.handleError(timeoutError, inputFile, 504, onError);
-                        reject(timeoutError);
+                        MetricsService.recordTimeout();
+                        control.abort(timeoutError, 504);
                     }, consts.ffmpegTimeout || 600000);
 
+                    // Detener FFmpeg y limpiar los archivos al cancelar o agotar el tiempo
+                    control.abort = (error, statusCode) => {
+                        if (control.killed) return;
+                        control.killed = true;
+
+                        clearTimeout(timeoutId);
+                        this.killProcess(control);
+                        this.cleanupFile(outputFile);
+                        this.handleError(error, inputFile, statusCode, onError);
+                        reject(error);
+                    };
+
+                    // Al terminar se desarma la cancelación: el archivo de salida
+                    // ya es del llamador (descarga, almacenamiento) y no se debe
+                    // borrar ni llamar a onError después de onSuccess
+                    const settle = callback => (...args) => {
+                        clearTimeout(timeoutId);
+                        control.abort = null;
+                        if (typeof callback === 'function') callback(...args);
+                    };
+                    const settledOnSuccess = settle(onSuccess);
+                    const settledOnError = settle(onError);
+
                     // Flag para método alternativo
                     let usingAlternateMethod = false;
 
@@ -70,10 +108,12 @@ class ConversionService {
                         this.convertWithFluentFFmpeg({
                             inputFile,
                             outputFile,
+                            inputOptions,
                             outputOptions,
                             timeoutId,
-                            onSuccess,
-                            onError,
+                            control,
+                            onSuccess: settledOnSuccess,
+                            onError: settledOnError,
                             onProgress,
                             usingAlternateMethod,
                             fileName,
@@ -83,12 +123,15 @@ class ConversionService {
                             tryAlternateMethod: () => {
                                 usingAlternateMethod = true;
                                 this.convertWithDirectFFmpeg({
+                                    preset,
                                     inputFile,
                                     outputFile,
+                                    inputOptions,
                                     outputOptions,
                                     timeoutId,
-                                    onSuccess,
-                                    onError,
+                                    control,
+                                    onSuccess: settledOnSuccess,
+                                    onError: settledOnError,
                                     fileName,
                                     extension,
                                     resolve,
@@ -97,21 +140,24 @@ class ConversionService {
                             }
                         });
                     } catch (error) {
-                        winston.error(JSON.stringify({
+                        LogService.error({
                             type: 'ffmpeg_init_error',
                             error: error.toString()
-                        }));
+                        });
 
                         // Si falla el método principal, intentar el alternativo
                         if (!usingAlternateMethod) {
                             usingAlternateMethod = true;
                             this.convertWithDirectFFmpeg({
+                                preset,
                                 inputFile,
                                 outputFile,
+                                inputOptions,
                                 outputOptions,
                                 timeoutId,
-                                onSuccess,
-                                onError,
+                                control,
+                                onSuccess: settledOnSuccess,
+                                onError: settledOnError,
                                 fileName,
                                 extension,
                                 resolve,
@@ -134,21 +180,21 @@ class ConversionService {
      * @returns {Promise} - Promise que se resuelve con las estadísticas del archivo
      */
     static verifyInputFile(inputFile) {
-        winston.info(JSON.stringify({
+        LogService.info({
             action: 'verifying_input_file',
             path: inputFile
-        }));
+        });
         
         return new Promise((resolve, reject) => {
             fs.stat(inputFile, (err, stats) => {
                 if (err) {
-                    winston.error(JSON.stringify({
+                    LogService.error({
                         action: 'file_check',
                         path: inputFile,
                         error: err.toString(),
                         error_code: err.code,
                         exists: false
-                    }));
+                    });
                     reject(new Error(`Could not access the uploaded file: ${err.message}`));
                 } else {
                     // Intentar leer un fragmento del archivo para verificar permisos
@@ -158,22 +204,22 @@ class ConversionService {
                         const bytesRead = fs.readSync(fd, buffer, 0, 1024, 0);
                         fs.closeSync(fd);
                         
-                        winston.info(JSON.stringify({
+                        LogService.info({
                             action: 'file_check_read_test',
                             path: inputFile,
                             bytesRead: bytesRead,
                             successful: true
-                        }));
+                        });
                         
                         resolve(stats);
                     } catch (readError) {
-                        winston.error(JSON.stringify({
+                        LogService.error({
                             action: 'file_check_read_test',
                             path: inputFile,
                             error: readError.toString(),
                             error_code: readError.code,
                             successful: false
-                        }));
+                        });
                         reject(new Error(`File exists but cannot be read: ${readError.message}`));
                     }
                 }
@@ -187,34 +233,34 @@ class ConversionService {
     static checkFFmpegVersion() {
         try {
             const ffmpegVersion = require('child_process').execSync('ffmpeg -version').toString().split('\n')[0];
-            winston.info(JSON.stringify({
+            LogService.info({
                 action: 'ffmpeg_version',
                 version: ffmpegVersion
-            }));
+            });
 
-            // Configurar las rutas de ffmpeg y ffprobe si están definidas como variables de entorno
-            if (process.env.FFMPEG_PATH) {
-                require('fluent-ffmpeg').setFfmpegPath(process.env.FFMPEG_PATH);
-                winston.info(JSON.stringify({
+            // Configurar las rutas de ffmpeg y ffprobe si están definidas en la configuración
+            if (consts.ffmpegPath) {
+                require('fluent-ffmpeg').setFfmpegPath(consts.ffmpegPath);
+                LogService.info({
                     action: 'ffmpeg_path_set',
-                    path: process.env.FFMPEG_PATH
-                }));
+                    path: consts.ffmpegPath
+                });
             }
 
-            if (process.env.FFPROBE_PATH) {
-                require('fluent-ffmpeg').setFfprobePath(process.env.FFPROBE_PATH);
-                winston.info(JSON.stringify({
+            if (consts.ffprobePath) {
+                require('fluent-ffmpeg').setFfprobePath(consts.ffprobePath);
+                LogService.info({
                     action: 'ffprobe_path_set',
-                    path: process.env.FFPROBE_PATH
-                }));
+                    path: consts.ffprobePath
+                });
             }
 
             return true;
         } catch (error) {
-            winston.error(JSON.stringify({
+            LogService.error({
                 action: 'ffmpeg_version',
                 error: error.toString()
-            }));
+            });
             return false;
         }
     }
@@ -228,8 +274,10 @@ class ConversionService {
         const {
             inputFile,
             outputFile,
+            inputOptions,
             outputOptions,
             timeoutId,
+            control,
             onSuccess,
             onError,
             onProgress,
@@ -241,13 +289,13 @@ class ConversionService {
             tryAlternateMethod
         } = options;
 
-        winston.info(JSON.stringify({
+        LogService.info({
             action: 'ffmpeg_conversion_start',
             method: 'fluent-ffmpeg',
             inputFile: inputFile,
             outputFile: outputFile,
             outputFormat: extension
-        }));
+        });
 
         try {
             // Verificar que ffmpeg está disponible
@@ -257,22 +305,29 @@ class ConversionService {
 
             // Crear una nueva instancia de ffmpeg
             const ffmpegCommand = ffmpeg(inputFile);
+            control.command = ffmpegCommand;
+            let releaseProcess = () => {};
+            const stderrLog = LogService.createStderrLog({ method: 'fluent-ffmpeg' });
+
+            if (inputOptions.length > 0) {
+                ffmpegCommand.inputOptions(...this.splitOptions(inputOptions));
+            }
 
             // Loggear las opciones que se utilizarán
-            winston.info(JSON.stringify({
+            LogService.info({
                 action: 'ffmpeg_options',
                 options: outputOptions
-            }));
+            });
 
             // Configurar listener de progreso
             ffmpegCommand.on('progress', progress => {
-                winston.info(JSON.stringify({
+                LogService.debug({
                     action: 'ffmpeg_progress',
                     frames: progress.frames,
                     fps: progress.currentFps,
                     percent: progress.percent,
                     timemark: progress.timemark
-                }));
+                });
 
                 if (typeof onProgress === 'function') {
                     onProgress(progress);
@@ -284,48 +339,56 @@ class ConversionService {
                 .renice(15)
                 .outputOptions(outputOptions)
                 .on('start', commandLine => {
-                    winston.info(JSON.stringify({
+                    releaseProcess = MetricsService.trackProcess();
+                    LogService.info({
                         action: 'ffmpeg_start',
                         command: commandLine
-                    }));
+                    });
                 })
                 .on('stderr', stderrLine => {
-                    winston.info(JSON.stringify({
-                        action: 'ffmpeg_stderr',
-                        output: stderrLine
-                    }));
+                    stderrLog.write(`${stderrLine}\n`);
                 })
                 .on('error', (err, stdout, stderr) => {
+                    releaseProcess();
+                    stderrLog.summary({ result: 'error' });
+
                     // Si ya estamos usando el método alternativo, no hacer nada
                     if (usingAlternateMethod) return;
 
-                    winston.error(JSON.stringify({
+                    // El proceso se detuvo a propósito (cancelación o timeout)
+                    if (control.killed) return;
+
+                    LogService.error({
                         type: 'ffmpeg_error',
                         message: err.toString(),
                         stdout: stdout ? stdout.substring(0, 500) : 'No stdout',
                         stderr: stderr ? stderr.substring(0, 500) : 'No stderr'
-                    }));
+                    });
 
                     // Intentar el método alternativo
-                    winston.info(JSON.stringify({
+                    LogService.info({
                         action: 'trying_alternate_method',
                         reason: err.toString().substring(0, 200)
-                    }));
+                    });
                     
                     tryAlternateMethod();
                 })
                 .on('end', (stdout, stderr) => {
+                    releaseProcess();
+                    stderrLog.summary({ result: 'success' });
+
                     // Si ya estamos usando el método alternativo, no hacer nada
                     if (usingAlternateMethod) return;
 
+                    // La conversión ya se dio por cancelada
+                    if (control.killed) return;
+
                     // Cancelar el timeout
                     clearTimeout(timeoutId);
 
-                    winston.info(JSON.stringify({
-                        action: 'ffmpeg_complete',
-                        stdout: stdout ? stdout.substring(0, 500) : 'No stdout',
-                        stderr: stderr ? stderr.substring(0, 500) : 'No stderr'
-                    }));
+                    LogService.info({
+                        action: 'ffmpeg_complete'
+                    });
 
                     // Limpiar archivo de entrada
                     this.cleanupFile(inputFile);
@@ -334,56 +397,56 @@ class ConversionService {
                     try {
                         if (!fs.existsSync(outputFile)) {
                             const outputError = new Error('Output file was not created');
-                            winston.error(JSON.stringify({
+                            LogService.error({
                                 action: 'output_file_check',
                                 exists: false,
                                 path: outputFile,
                                 error: outputError.toString()
-                            }));
+                            });
                             this.handleError(outputError, inputFile, 500, onError);
                             reject(outputError);
                             return;
                         }
                         
                         const outputStats = fs.statSync(outputFile);
-                        winston.info(JSON.stringify({
+                        LogService.info({
                             action: 'output_file_check',
                             exists: true,
                             size: outputStats.size,
                             path: outputFile
-                        }));
+                        });
                         
                         if (outputStats.size === 0) {
                             const emptyOutputError = new Error('Output file is empty');
-                            winston.error(JSON.stringify({
+                            LogService.error({
                                 action: 'output_file_check',
                                 exists: true,
                                 size: 0,
                                 path: outputFile,
                                 error: emptyOutputError.toString()
-                            }));
+                            });
                             this.handleError(emptyOutputError, inputFile, 500, onError);
                             reject(emptyOutputError);
                             return;
                         }
                     } catch (error) {
-                        winston.error(JSON.stringify({
+                        LogService.error({
                             action: 'output_file_check',
                             error: error.toString(),
                             path: outputFile
-                        }));
+                        });
                         this.handleError(error, inputFile, 500, onError);
                         reject(error);
                         return;
                     }
 
                     // Éxito!
-                    winston.info(JSON.stringify({
+                    LogService.info({
                         action: 'conversion_successful',
                         outputFile: outputFile,
                         fileName: fileName,
                         extension: extension
-                    }));
+                    });
                     
                     if (typeof onSuccess === 'function') {
                         onSuccess(outputFile, fileName, extension);
@@ -393,18 +456,18 @@ class ConversionService {
                 // Utilizar el método save() para iniciar la conversión
                 .save(outputFile);
         } catch (error) {
-            winston.error(JSON.stringify({
+            LogService.error({
                 action: 'ffmpeg_init_error',
                 error: error.toString(),
                 stack: error.stack
-            }));
+            });
             
             // Si hay un error al inicializar FFmpeg, intentamos el método alternativo
             if (!usingAlternateMethod) {
-                winston.info(JSON.stringify({
+                LogService.info({
                     action: 'trying_alternate_method_after_init_error',
                     reason: error.toString().substring(0, 200)
-                }));
+                });
                 
                 tryAlternateMethod();
             } else {
@@ -422,10 +485,13 @@ class ConversionService {
      */
     static convertWithDirectFFmpeg(options) {
         const {
+            preset,
             inputFile,
             outputFile,
+            inputOptions,
             outputOptions,
             timeoutId,
+            control,
             onSuccess,
             onError,
             fileName,
@@ -434,13 +500,17 @@ class ConversionService {
             reject
         } = options;
 
-        winston.info(JSON.stringify({
+        // Puede haberse cancelado mientras fallaba el método principal
+        if (control.killed) return;
+
+        LogService.info({
             action: 'using_alternate_method',
             message: 'Trying direct FFmpeg command'
-        }));
+        });
+        MetricsService.recordFallback(preset);
 
         // Construir los argumentos para FFmpeg
-        const args = ['-i', inputFile];
+        const args = [...this.splitOptions(inputOptions), '-i', inputFile];
 
         // Añadir opciones de salida
         outputOptions.forEach(option => {
@@ -455,41 +525,47 @@ class ConversionService {
         // Añadir archivo de salida
         args.push(outputFile);
 
-        winston.info(JSON.stringify({
+        LogService.info({
             action: 'ffmpeg_spawn',
             command: 'ffmpeg ' + args.join(' ')
-        }));
+        });
 
         // Spawn del proceso FFmpeg
         const ffmpegProcess = spawn('ffmpeg', args);
+        control.process = ffmpegProcess;
+        const releaseProcess = MetricsService.trackProcess();
+        const stderrLog = LogService.createStderrLog({ method: 'spawn' });
 
         let stdoutData = '';
         let stderrData = '';
 
         ffmpegProcess.stdout.on('data', data => {
             stdoutData += data.toString();
-            winston.info(JSON.stringify({
+            LogService.debug({
                 action: 'ffmpeg_stdout',
                 data: data.toString().substring(0, 200)
-            }));
+            });
         });
 
         ffmpegProcess.stderr.on('data', data => {
             stderrData += data.toString();
-            winston.info(JSON.stringify({
-                action: 'ffmpeg_stderr',
-                data: data.toString().substring(0, 200)
-            }));
+            stderrLog.write(data);
         });
 
         ffmpegProcess.on('close', code => {
+            releaseProcess();
+            stderrLog.summary({ code });
+
+            // El proceso se detuvo a propósito (cancelación o timeout)
+            if (control.killed) return;
+
             // Cancelar el timeout
             clearTimeout(timeoutId);
 
-            winston.info(JSON.stringify({
+            LogService.info({
                 action: 'ffmpeg_process_close',
                 code: code
-            }));
+            });
 
             if (code === 0) {
                 // Éxito
@@ -511,12 +587,14 @@ class ConversionService {
             } else {
                 // Error
                 const spawnError = new Error(`FFmpeg exited with code ${code}`);
-                winston.error(JSON.stringify({
+                spawnError.code = 'FFMPEG_FAILED';
+                spawnError.stderr = stderrData;
+                LogService.error({
                     type: 'ffmpeg_alternate',
                     code: code,
                     stdout: stdoutData,
                     stderr: stderrData
-                }));
+                });
 
                 this.handleError(spawnError, inputFile, 500, onError);
                 reject(spawnError);
@@ -524,16 +602,221 @@ class ConversionService {
         });
 
         ffmpegProcess.on('error', err => {
-            winston.error(JSON.stringify({
+            releaseProcess();
+            if (control.killed) return;
+
+            LogService.error({
                 type: 'ffmpeg_spawn_error',
                 error: err.toString()
-            }));
+            });
 
             this.handleError(err, inputFile, 500, onError);
             reject(err);
         });
     }
 
+    /**
+     * Ejecuta un único comando de FFmpeg con timeout y soporte de cancelación
+     * 
+     * A diferencia de convertFile(), no borra el archivo de entrada ni intenta
+     * métodos alternativos: está pensado para operaciones auxiliares
+     * (miniaturas, empaquetado, análisis) que encadenan varios comandos.
+     * 
+     * @param {Object} options - Opciones del comando
+     * @param {string} options.inputFile - Ruta al archivo de entrada
+     * @param {Array} options.inputOptions - Opciones de entrada ('-ss 10', ...)
+     * @param {Array} options.outputOptions - Opciones de salida
+     * @param {string} options.outputFile - Ruta al archivo de salida
+     * @param {Object} options.control - Control de la conversión (createControl)
+     * @param {number} options.timeout - Timeout en milisegundos
+     * @param {Function} options.onProgress - Callback para reportar progreso
+     * @returns {Promise<Object>} - Promesa con { outputFile, stdout, stderr }
+     */
+    static runFFmpeg(options) {
+        const {
+            inputFile,
+            inputOptions = [],
+            outputOptions = [],
+            outputFile,
+            onProgress
+        } = options;
+        const control = options.control || this.createControl();
+        const timeout = options.timeout || consts.ffmpegTimeout;
+
+        return new Promise((resolve, reject) => {
+            if (control.cancelled) {
+                const cancelError = new Error(`Conversion cancelled: ${control.reason}`);
+                cancelError.statusCode = 499;
+                reject(cancelError);
+                return;
+            }
+
+            let settled = false;
+            const finish = (error, result) => {
+                if (settled) return;
+                settled = true;
+
+                clearTimeout(timeoutId);
+                control.abort = null;
+
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(result);
+                }
+            };
+
+            const timeoutId = setTimeout(() => {
+                const timeoutError = new Error(`FFmpeg timeout after ${timeout / 1000} seconds`);
+                timeoutError.statusCode = 504;
+                MetricsService.recordTimeout();
+                control.abort(timeoutError, 504);
+            }, timeout);
+
+            control.abort = (error, statusCode) => {
+                error.statusCode = statusCode;
+                this.killProcess(control);
+                finish(error);
+            };
+
+            const command = ffmpeg(inputFile);
+            if (inputOptions.length > 0) {
+                command.inputOptions(...this.splitOptions(inputOptions));
+            }
+            if (outputOptions.length > 0) {
+                command.outputOptions(...this.splitOptions(outputOptions));
+            }
+            control.command = command;
+            control.process = null;
+            let releaseProcess = () => {};
+
+            command
+                .on('start', commandLine => {
+                    releaseProcess = MetricsService.trackProcess();
+                    LogService.info({
+                        action: 'ffmpeg_start',
+                        command: commandLine
+                    });
+                })
+                .on('progress', progress => {
+                    if (typeof onProgress === 'function') {
+                        onProgress(progress);
+                    }
+                })
+                .on('error', (err, stdout, stderr) => {
+                    releaseProcess();
+                    LogService.error({
+                        type: 'ffmpeg_error',
+                        message: err.toString(),
+                        stderr: stderr ? stderr.substring(stderr.length - 500) : 'No stderr'
+                    });
+
+                    const ffmpegError = new Error(`FFmpeg failed: ${err.message}`);
+                    ffmpegError.statusCode = 500;
+                    ffmpegError.code = 'FFMPEG_FAILED';
+                    ffmpegError.stderr = stderr;
+                    finish(ffmpegError);
+                })
+                .on('end', (stdout, stderr) => {
+                    releaseProcess();
+                    finish(null, {
+                        outputFile,
+                        stdout: stdout || '',
+                        stderr: stderr || ''
+                    });
+                })
+                .save(outputFile);
+        });
+    }
+
+    /**
+     * Separa las opciones '-flag valor' en argumentos de FFmpeg
+     * 
+     * Sólo se divide en el primer espacio de los elementos que empiezan por
+     * '-'; el resto se pasa tal cual, de modo que un valor puede contener
+     * espacios ('-var_stream_map', 'v:0,a:0 v:1,a:1').
+     * 
+     * @param {Array} options - Opciones
+     * @returns {Array} - Argumentos para FFmpeg
+     */
+    static splitOptions(options) {
+        return options.reduce((args, option) => {
+            const text = String(option);
+            const separator = text.indexOf(' ');
+
+            if (text.startsWith('-') && separator !== -1) {
+                args.push(text.substring(0, separator), text.substring(separator + 1));
+            } else {
+                args.push(text);
+            }
+            return args;
+        }, []);
+    }
+
+    /**
+     * Crea el objeto de control de una conversión
+     * 
+     * convertFile() guarda en él el proceso de FFmpeg en ejecución para
+     * que cancel() pueda detenerlo.
+     * 
+     * @returns {Object} - Control de la conversión
+     */
+    static createControl() {
+        return {
+            cancelled: false,
+            killed: false,
+            reason: null,
+            command: null,
+            process: null,
+            abort: null
+        };
+    }
+
+    /**
+     * Cancela una conversión: detiene FFmpeg y elimina la entrada y la
+     * salida parcial
+     * 
+     * @param {Object} control - Control de la conversión
+     * @param {string} reason - Motivo de la cancelación
+     */
+    static cancel(control, reason) {
+        if (control.cancelled) return;
+
+        control.cancelled = true;
+        control.reason = reason;
+
+        LogService.info({
+            action: 'conversion_cancel',
+            reason: reason,
+            running: typeof control.abort === 'function'
+        });
+
+        // Si la conversión aún no arrancó, convertFile() detectará la cancelación
+        if (typeof control.abort === 'function') {
+            control.abort(new Error(`Conversion cancelled: ${reason}`), 499);
+        }
+    }
+
+    /**
+     * Detiene el proceso de FFmpeg asociado a una conversión
+     * 
+     * @param {Object} control - Control de la conversión
+     */
+    static killProcess(control) {
+        try {
+            if (control.process && control.process.exitCode === null) {
+                control.process.kill('SIGKILL');
+            } else if (control.command) {
+                control.command.kill('SIGKILL');
+            }
+        } catch (error) {
+            LogService.error({
+                type: 'ffmpeg_kill_error',
+                error: error.toString()
+            });
+        }
+    }
+
     /**
      * Maneja un error de conversión
      * 
@@ -543,10 +826,10 @@ class ConversionService {
      * @param {Function} onError - Callback de error
      */
     static handleError(error, inputFile, statusCode, onError) {
-        winston.error(JSON.stringify({
+        LogService.error({
             type: 'conversion_error',
             message: error.toString()
-        }));
+        });
 
         this.cleanupFile(inputFile);
 
@@ -564,18 +847,18 @@ class ConversionService {
         try {
             if (fs.existsSync(filePath)) {
                 fs.unlinkSync(filePath);
-                winston.info(JSON.stringify({
+                LogService.info({
                     action: 'cleanup',
                     path: filePath,
                     result: 'success'
-                }));
+                });
             }
         } catch (e) {
-            winston.error(JSON.stringify({
+            LogService.error({
                 type: 'cleanup',
                 path: filePath,
                 message: e.toString()
-            }));
+            });
         }
     }
 }
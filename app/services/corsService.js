@@ -0,0 +1,65 @@
+/**
+ * Servicio de CORS
+ *
+ * Este servicio añade las cabeceras CORS a partir de la configuración
+ * (cors.origins, cors.methods, cors.headers, cors.credentials), de modo que
+ * el middleware global y las respuestas de FFmpegService usan la misma lista.
+ */
+
+const consts = require('../constants');
+
+class CorsService {
+    /**
+     * Comprueba si un origen está permitido
+     *
+     * @param {string} origin - Cabecera Origin de la petición
+     * @returns {boolean} - true si está en la lista o la lista contiene '*'
+     */
+    static isAllowedOrigin(origin) {
+        if (!origin) return false;
+        return consts.cors.origins.includes('*') || consts.cors.origins.includes(origin);
+    }
+
+    /**
+     * Añade las cabeceras CORS a la respuesta si el origen está permitido
+     *
+     * @param {Object} req - Objeto request de Express
+     * @param {Object} res - Objeto response de Express
+     */
+    static setHeaders(req, res) {
+        if (res.headersSent) return;
+
+        const origin = req.headers.origin;
+        if (!this.isAllowedOrigin(origin)) return;
+
+        res.header('Access-Control-Allow-Origin', origin);
+        res.header('Access-Control-Allow-Methods', consts.cors.methods.join(', '));
+        res.header('Access-Control-Allow-Headers', consts.cors.headers.join(', '));
+        // Para que el navegador deje leer el identificador de la petición
+        res.header('Access-Control-Expose-Headers', 'X-Request-Id');
+        if (consts.cors.credentials) {
+            res.header('Access-Control-Allow-Credentials', 'true');
+        }
+        res.header('Vary', 'Origin');
+    }
+
+    /**
+     * Middleware de Express que añade las cabeceras y responde a las
+     * peticiones OPTIONS (preflight)
+     *
+     * @returns {Function} - Middleware de Express
+     */
+    static middleware() {
+        return (req, res, next) => {
+            this.setHeaders(req, res);
+
+            if (req.method === 'OPTIONS') {
+                return res.status(200).end();
+            }
+
+            next();
+        };
+    }
+}
+
+module.exports = CorsService;
@@ -0,0 +1,78 @@
+/**
+ * Servicio de espacio en disco
+ *
+ * Este servicio consulta el espacio libre del sistema de archivos del
+ * directorio de uploads y rechaza los archivos nuevos con 507 cuando quedaría
+ * por debajo del mínimo configurado (minFreeDiskSpace / MIN_FREE_DISK_SPACE),
+ * para que una conversión no llene el disco a medias.
+ */
+
+const fs = require('fs');
+const consts = require('../constants');
+const LogService = require('./logService');
+const FileService = require('./fileService');
+const ErrorService = require('./errorService');
+
+class DiskService {
+    /**
+     * Uso del sistema de archivos de un directorio
+     *
+     * @param {string} dirPath - Directorio
+     * @returns {Promise<Object|null>} - Promesa con { total, free, used, usedPercent } en bytes,
+     *                                   o null si Node no permite consultarlo (fs.statfs)
+     */
+    static getUsage(dirPath) {
+        if (typeof fs.statfs !== 'function') {
+            return Promise.resolve(null);
+        }
+
+        return new Promise((resolve, reject) => {
+            fs.statfs(dirPath, (err, stats) => {
+                if (err) return reject(err);
+
+                const total = stats.blocks * stats.bsize;
+                // bavail: bloques disponibles para procesos sin privilegios
+                const free = stats.bavail * stats.bsize;
+
+                resolve({
+                    total,
+                    free,
+                    used: total - free,
+                    usedPercent: total > 0 ? Math.round((total - free) / total * 1000) / 10 : null
+                });
+            });
+        });
+    }
+
+    /**
+     * Comprueba que hay espacio para recibir un archivo
+     *
+     * @param {string} dirPath - Directorio donde se guardará el archivo
+     * @param {number} incomingBytes - Tamaño anunciado del archivo (Content-Length), 0 si no se conoce
+     * @returns {Promise} - Promesa que se rechaza con un error 507 si no hay espacio suficiente
+     */
+    static checkFreeSpace(dirPath, incomingBytes) {
+        if (consts.minFreeDiskSpace === 0) {
+            return Promise.resolve();
+        }
+
+        return this.getUsage(dirPath).then(usage => {
+            if (!usage) return;
+
+            const required = consts.minFreeDiskSpace + (incomingBytes || 0);
+            if (usage.free >= required) return;
+
+            LogService.warn({
+                action: 'disk_space_low',
+                free: usage.free,
+                required: required
+            });
+
+            throw ErrorService.create('INSUFFICIENT_STORAGE',
+                `Not enough free disk space to accept the file (${FileService.getReadableFileSize(usage.free)} free, ` +
+                `${FileService.getReadableFileSize(required)} required)`);
+        });
+    }
+}
+
+module.exports = DiskService;
@@ -0,0 +1,421 @@
+/**
+ * Servicio de descarga de archivos remotos
+ *
+ * Este servicio permite convertir un archivo indicado por URL en lugar de
+ * subirlo: lee un cuerpo JSON { "url": "..." } y descarga el archivo al
+ * directorio de subidas con los mismos límites que una subida normal.
+ *
+ * Para evitar SSRF sólo se aceptan URLs http(s) que resuelvan a direcciones
+ * públicas; la comprobación se hace al conectar (también en cada redirección),
+ * de modo que un DNS que cambie de respuesta no permite saltársela.
+ */
+
+const net = require('net');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const consts = require('../constants');
+const LogService = require('./logService');
+const FileService = require('./fileService');
+
+// Rangos privados, locales y reservados a los que nunca se conecta
+const blockList = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+    ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+    ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv6'));
+
+// Tipos de contenido que no pueden ser un archivo multimedia
+const rejectedContentTypes = /^(text\/|application\/(json|xml|xhtml\+xml|javascript))/i;
+
+// Códigos de redirección que se siguen
+const redirectCodes = [301, 302, 303, 307, 308];
+
+class DownloadService {
+    /**
+     * Indica si la petición trae una URL en lugar de un archivo
+     *
+     * @param {Object} req - Objeto request de Express
+     * @returns {boolean} - True si el cuerpo es JSON
+     */
+    static isRemoteRequest(req) {
+        return Boolean(req.is('application/json'));
+    }
+
+    /**
+     * Descarga el archivo indicado en el cuerpo JSON de la petición
+     *
+     * Devuelve lo mismo que UploadService.processUpload(); el resto de campos
+     * del JSON se devuelven en fields como si fueran campos del formulario.
+     *
+     * @param {Object} req - Objeto request de Express
+     * @param {Object} options - Opciones de configuración
+     * @param {number} options.fileSizeLimit - Tamaño máximo de archivo
+     * @param {string} options.uploadDir - Directorio de subida
+     * @param {Function} options.onError - Callback para manejo de errores
+     * @returns {Promise} - Promesa que se resuelve con la información del archivo
+     */
+    static processDownload(req, options) {
+        const { fileSizeLimit, uploadDir, onError } = options;
+
+        return this.readJsonBody(req)
+            .then(body => {
+                const url = this.parseUrl(body.url);
+                const fields = {};
+
+                Object.keys(body).forEach(key => {
+                    if (key !== 'url' && body[key] !== null && typeof body[key] !== 'object') {
+                        fields[key] = String(body[key]);
+                    }
+                });
+
+                return this.download(req, url, FileService.generateUniqueFilename(uploadDir), fileSizeLimit)
+                    .then(result => Object.assign(result, { fields }));
+            })
+            .catch(err => {
+                LogService.error({
+                    type: 'download_error',
+                    message: err.message,
+                    statusCode: err.statusCode
+                });
+
+                if (typeof onError === 'function') {
+                    onError(err, err.statusCode || 500);
+                }
+                throw err;
+            });
+    }
+
+    /**
+     * Lee y parsea el cuerpo JSON de la petición
+     *
+     * @param {Object} req - Objeto request de Express
+     * @returns {Promise<Object>} - Promesa con el cuerpo parseado
+     */
+    static readJsonBody(req) {
+        return new Promise((resolve, reject) => {
+            let body = '';
+            let tooLarge = false;
+
+            req.setEncoding('utf8');
+
+            req.on('data', chunk => {
+                body += chunk;
+                if (body.length > consts.remoteUrlMaxBodySize) {
+                    tooLarge = true;
+                    req.pause();
+                    reject(this.createError(`JSON body exceeds ${consts.remoteUrlMaxBodySize} bytes`, 413));
+                }
+            });
+
+            req.on('end', () => {
+                if (tooLarge) return;
+
+                try {
+                    const parsed = JSON.parse(body);
+                    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+                        throw new Error('not an object');
+                    }
+                    resolve(parsed);
+                } catch (err) {
+                    reject(this.createError('Request body must be a JSON object such as { "url": "https://..." }', 400));
+                }
+            });
+
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * Valida la URL recibida
+     *
+     * @param {string} value - URL del archivo
+     * @returns {URL} - URL parseada
+     * @throws {Error} - Error con statusCode 400 si no es una URL http(s) válida
+     */
+    static parseUrl(value) {
+        if (typeof value !== 'string' || value === '') {
+            throw this.createError('Missing "url" in the JSON body', 400);
+        }
+
+        let url;
+        try {
+            url = new URL(value);
+        } catch (err) {
+            throw this.createError(`Invalid URL "${value}"`, 400);
+        }
+
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            throw this.createError('Only http and https URLs are supported', 400);
+        }
+
+        if (url.username || url.password) {
+            throw this.createError('URLs with credentials are not supported', 400);
+        }
+
+        return url;
+    }
+
+    /**
+     * Descarga una URL siguiendo redirecciones
+     *
+     * @param {Object} req - Objeto request de Express (para cancelar si el cliente se desconecta)
+     * @param {URL} url - URL del archivo
+     * @param {string} savedFile - Ruta donde guardar el archivo
+     * @param {number} fileSizeLimit - Tamaño máximo de archivo
+     * @param {number} redirects - Redirecciones seguidas hasta ahora
+     * @returns {Promise<Object>} - Promesa con { originalName, savedPath, size, mimetype }
+     */
+    static download(req, url, savedFile, fileSizeLimit, redirects = 0) {
+        LogService.info({
+            action: 'download_start',
+            url: url.origin + url.pathname,
+            redirects: redirects
+        });
+
+        try {
+            this.checkHost(url);
+        } catch (err) {
+            return Promise.reject(err);
+        }
+
+        return new Promise((resolve, reject) => {
+            const client = url.protocol === 'https:' ? https : http;
+            let writeStream = null;
+            let settled = false;
+
+            const fail = (err) => {
+                if (settled) return;
+                settled = true;
+
+                request.destroy();
+                if (writeStream) {
+                    writeStream.destroy();
+                    FileService.deleteFile(savedFile);
+                }
+                req.socket.removeListener('close', onClientClose);
+                reject(err);
+            };
+
+            // Dejar de descargar si el cliente se desconecta
+            const onClientClose = () => fail(this.createError('Client disconnected during download', 499));
+            req.socket.once('close', onClientClose);
+
+            const request = client.get(url, {
+                lookup: (hostname, lookupOptions, callback) => this.lookup(hostname, lookupOptions, callback),
+                headers: { 'User-Agent': 'ffmpeg-web-service' }
+            });
+
+            request.setTimeout(consts.remoteUrlTimeout, () => {
+                fail(this.createError(`Remote server did not respond within ${consts.remoteUrlTimeout / 1000} seconds`, 504));
+            });
+
+            request.on('error', err => {
+                fail(err.statusCode ? err : this.createError(`Could not download the file: ${err.message}`, 502));
+            });
+
+            request.on('response', response => {
+                if (redirectCodes.includes(response.statusCode) && response.headers.location) {
+                    response.resume();
+                    settled = true;
+                    req.socket.removeListener('close', onClientClose);
+
+                    if (redirects >= consts.remoteUrlMaxRedirects) {
+                        reject(this.createError(`Too many redirects (more than ${consts.remoteUrlMaxRedirects})`, 400));
+                        return;
+                    }
+
+                    let nextUrl;
+                    try {
+                        nextUrl = this.parseUrl(new URL(response.headers.location, url).toString());
+                    } catch (err) {
+                        reject(err);
+                        return;
+                    }
+
+                    this.download(req, nextUrl, savedFile, fileSizeLimit, redirects + 1).then(resolve, reject);
+                    return;
+                }
+
+                if (response.statusCode < 200 || response.statusCode >= 300) {
+                    response.resume();
+                    fail(this.createError(`Remote server responded with status ${response.statusCode}`, 502));
+                    return;
+                }
+
+                const mimetype = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+                if (rejectedContentTypes.test(mimetype)) {
+                    response.resume();
+                    fail(this.createError(`Remote file has unsupported content type "${mimetype}"`, 415));
+                    return;
+                }
+
+                const declaredSize = parseInt(response.headers['content-length'], 10);
+                if (declaredSize > fileSizeLimit) {
+                    response.resume();
+                    fail(this.createError(`Remote file exceeds max size limit of ${FileService.getReadableFileSize(fileSizeLimit)}`, 413));
+                    return;
+                }
+
+                let bytes = 0;
+                writeStream = FileService.createWriteStream(savedFile);
+
+                response.on('data', chunk => {
+                    bytes += chunk.length;
+                    if (bytes > fileSizeLimit) {
+                        fail(this.createError(`Remote file exceeds max size limit of ${FileService.getReadableFileSize(fileSizeLimit)}`, 413));
+                    }
+                });
+
+                response.on('close', () => {
+                    if (!response.complete) {
+                        fail(this.createError('Remote server closed the connection before the download finished', 502));
+                    }
+                });
+
+                writeStream.on('error', err => fail(this.createError(`Could not save the file: ${err.message}`, 500)));
+
+                writeStream.on('finish', () => {
+                    if (settled) return;
+                    settled = true;
+                    req.socket.removeListener('close', onClientClose);
+
+                    if (bytes === 0) {
+                        FileService.deleteFile(savedFile);
+                        reject(this.createError('Remote file is empty', 400));
+                        return;
+                    }
+
+                    LogService.info({
+                        action: 'download complete',
+                        url: url.origin + url.pathname,
+                        bytes: bytes,
+                        savedPath: savedFile
+                    });
+
+                    resolve({
+                        originalName: this.getFileName(url, response.headers['content-disposition']),
+                        savedPath: savedFile,
+                        size: bytes,
+                        mimetype: mimetype || 'application/octet-stream'
+                    });
+                });
+
+                response.pipe(writeStream);
+            });
+        });
+    }
+
+    /**
+     * Rechaza las URLs cuyo host es una IP privada escrita literalmente
+     *
+     * Las IPs literales no pasan por lookup(), así que se comprueban aquí.
+     *
+     * @param {URL} url - URL a la que se va a conectar
+     * @throws {Error} - Error con statusCode 403 si la IP está bloqueada
+     */
+    static checkHost(url) {
+        const literal = url.hostname.replace(/^\[|\]$/g, '');
+        if (net.isIP(literal) && this.isBlockedAddress(literal, literal)) {
+            throw this.createError(`URL host "${literal}" is a private or reserved address`, 403);
+        }
+    }
+
+    /**
+     * Resuelve un nombre de host rechazando las direcciones privadas
+     *
+     * Se usa como opción lookup de http.get para validar la dirección a la que
+     * realmente se conecta.
+     *
+     * @param {string} hostname - Nombre de host
+     * @param {Object} options - Opciones de dns.lookup
+     * @param {Function} callback - Callback de dns.lookup
+     */
+    static lookup(hostname, options, callback) {
+        dns.lookup(hostname, options, (err, address, family) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            const addresses = Array.isArray(address) ? address : [{ address, family }];
+            const blocked = addresses.find(entry => this.isBlockedAddress(hostname, entry.address));
+
+            if (blocked) {
+                LogService.warn({
+                    action: 'download_blocked',
+                    hostname: hostname,
+                    address: blocked.address
+                });
+                callback(this.createError(`URL host "${hostname}" resolves to a private or reserved address`, 403));
+                return;
+            }
+
+            callback(null, address, family);
+        });
+    }
+
+    /**
+     * Comprueba si una dirección está en la lista de bloqueo
+     *
+     * @param {string} hostname - Nombre de host (los de REMOTE_URL_ALLOWED_HOSTS no se bloquean)
+     * @param {string} address - Dirección IP resuelta
+     * @returns {boolean} - True si no se debe conectar
+     */
+    static isBlockedAddress(hostname, address) {
+        if (consts.remoteUrlAllowedHosts.includes(hostname.toLowerCase())) {
+            return false;
+        }
+
+        // Direcciones IPv4 mapeadas en IPv6 (::ffff:127.0.0.1)
+        const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+        if (mapped) {
+            return blockList.check(mapped[1], 'ipv4');
+        }
+
+        return blockList.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+    }
+
+    /**
+     * Obtiene el nombre del archivo descargado
+     *
+     * @param {URL} url - URL del archivo
+     * @param {string} contentDisposition - Cabecera Content-Disposition de la respuesta
+     * @returns {string} - Nombre del archivo
+     */
+    static getFileName(url, contentDisposition) {
+        const match = /filename="?([^";]+)"?/i.exec(contentDisposition || '');
+        let name = match ? match[1] : path.posix.basename(url.pathname);
+
+        try {
+            name = decodeURIComponent(name);
+        } catch (err) {
+            // Dejar el nombre tal cual si no es una secuencia válida
+        }
+
+        name = path.basename(name.replace(/\\/g, '/'));
+        return name || 'download';
+    }
+
+    /**
+     * Crea un error con código de estado HTTP
+     *
+     * @param {string} message - Mensaje para el cliente
+     * @param {number} statusCode - Código de estado
+     * @returns {Error} - Error con statusCode
+     */
+    static createError(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+module.exports = DownloadService;
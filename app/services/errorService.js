@@ -0,0 +1,204 @@
+/**
+ * Servicio de respuestas de error
+ *
+ * Este servicio define el modelo único de las respuestas de error de la API:
+ * { error, code, message, requestId } más los datos propios de cada caso. El
+ * code es estable y pensado para que los clientes lo comprueben; error es su
+ * título legible. Los mensajes se limpian de rutas del servidor y los fallos
+ * de FFmpeg pueden incluir las últimas líneas de su salida de error (stderr).
+ */
+
+const os = require('os');
+const path = require('path');
+const consts = require('../constants');
+const LogService = require('./logService');
+const CorsService = require('./corsService');
+
+// Códigos de error con su estado HTTP y su título. El primer código de cada
+// estado es el que se usa para los errores que sólo traen statusCode.
+const codes = {
+    INVALID_PARAMETERS: { status: 400, title: 'Invalid parameters' },
+    UPLOAD_FAILED: { status: 400, title: 'Upload failed' },
+    UNAUTHORIZED: { status: 401, title: 'Unauthorized' },
+    FORBIDDEN: { status: 403, title: 'Forbidden' },
+    NOT_FOUND: { status: 404, title: 'Not found' },
+    ROUTE_NOT_FOUND: { status: 404, title: 'Route not available' },
+    JOB_NOT_FOUND: { status: 404, title: 'Job not found' },
+    FILE_NOT_FOUND: { status: 404, title: 'File not found' },
+    JOB_NOT_COMPLETED: { status: 409, title: 'Job not completed' },
+    UPLOAD_TOO_LARGE: { status: 413, title: 'Payload too large' },
+    UNSUPPORTED_INPUT: { status: 415, title: 'Unsupported media type' },
+    UNPROCESSABLE_INPUT: { status: 422, title: 'Unprocessable media' },
+    RATE_LIMITED: { status: 429, title: 'Too many requests' },
+    CANCELLED: { status: 499, title: 'Conversion cancelled' },
+    INTERNAL_ERROR: { status: 500, title: 'Internal server error' },
+    FFMPEG_FAILED: { status: 500, title: 'Conversion failed' },
+    PRESET_UNAVAILABLE: { status: 501, title: 'Not implemented' },
+    REMOTE_URL_FAILED: { status: 502, title: 'Remote download failed' },
+    STORAGE_FAILED: { status: 502, title: 'Storage failed' },
+    QUEUE_FULL: { status: 503, title: 'Queue full' },
+    TIMEOUT: { status: 504, title: 'Timeout' },
+    INSUFFICIENT_STORAGE: { status: 507, title: 'Insufficient storage' }
+};
+
+// Directorios del servidor que no deben aparecer en los mensajes
+const privateDirs = [path.resolve(__dirname, '..', '..'), os.tmpdir(), consts.storage.local.directory]
+    .filter(Boolean)
+    .map(dir => path.resolve(dir))
+    .filter(dir => dir !== path.sep);
+
+// Líneas de progreso de FFmpeg, que no aportan nada al diagnóstico
+const progressLine = /^\s*(frame|size)=/;
+
+class ErrorService {
+    /**
+     * Crea un error con código
+     *
+     * @param {string} code - Código del error (ver codes)
+     * @param {string} message - Mensaje para el cliente
+     * @returns {Error} - Error con code y statusCode
+     */
+    static create(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        error.statusCode = codes[code].status;
+        return error;
+    }
+
+    /**
+     * Códigos de error de la API
+     *
+     * @returns {Array} - Nombres de los códigos
+     */
+    static getCodes() {
+        return Object.keys(codes);
+    }
+
+    /**
+     * Código de un error
+     *
+     * Se usa el code del error si es uno de los de la API (los errores del
+     * sistema traen otros, como ENOENT); si no, el del statusCode.
+     *
+     * @param {Error} err - Error
+     * @param {string} fallbackCode - Código si el error no permite deducirlo
+     * @returns {string} - Código del error
+     */
+    static getCode(err, fallbackCode) {
+        if (codes.hasOwnProperty(err.code)) return err.code;
+
+        const status = err.statusCode;
+        if (fallbackCode && (!status || codes[fallbackCode].status === status)) return fallbackCode;
+
+        return Object.keys(codes).find(code => codes[code].status === status) || fallbackCode || 'INTERNAL_ERROR';
+    }
+
+    /**
+     * Construye el cuerpo de una respuesta de error
+     *
+     * @param {Object} req - Objeto request de Express
+     * @param {Error|string} err - Error, o mensaje si se indica el código
+     * @param {string} fallbackCode - Código si el error no permite deducirlo
+     * @param {Object} extra - Datos adicionales de la respuesta (retryAfter, id...)
+     * @returns {Object} - { status, body }
+     */
+    static build(req, err, fallbackCode, extra) {
+        const error = typeof err === 'string' ? this.create(fallbackCode, err) : err;
+        const code = this.getCode(error, fallbackCode);
+        const body = {
+            error: codes[code].title,
+            code,
+            message: this.sanitize(error.message) || codes[code].title,
+            requestId: req.id || null
+        };
+
+        const stderr = this.getStderrTail(error.stderr);
+        if (stderr.length > 0) {
+            body.stderr = stderr;
+        }
+
+        return {
+            status: codes[code].status,
+            body: Object.assign(body, extra)
+        };
+    }
+
+    /**
+     * Responde con un error
+     *
+     * @param {Object} req - Objeto request de Express
+     * @param {Object} res - Objeto response de Express
+     * @param {Error|string} err - Error, o mensaje si se indica el código
+     * @param {string} fallbackCode - Código si el error no permite deducirlo
+     * @param {Object} extra - Datos adicionales de la respuesta
+     */
+    static send(req, res, err, fallbackCode, extra) {
+        const { status, body } = this.build(req, err, fallbackCode, extra);
+
+        if (res.headersSent) {
+            LogService.warn({
+                action: 'error_after_headers',
+                path: req.path,
+                code: body.code,
+                requestId: body.requestId
+            });
+            return;
+        }
+
+        // Asegurar que las cabeceras CORS se envían en error
+        CorsService.setHeaders(req, res);
+        res.status(status).json(body);
+    }
+
+    /**
+     * Describe el error de un trabajo asíncrono fallido
+     *
+     * @param {Error} err - Error del trabajo
+     * @param {string} fallbackCode - Código si el error no permite deducirlo
+     * @returns {Object} - { code, message, stderr }
+     */
+    static describe(err, fallbackCode) {
+        const code = this.getCode(err, fallbackCode);
+
+        return {
+            code,
+            message: this.sanitize(err.message) || codes[code].title,
+            stderr: this.getStderrTail(err.stderr)
+        };
+    }
+
+    /**
+     * Elimina de un texto las rutas de los directorios del servidor
+     *
+     * Sólo se conserva el nombre del archivo, que no revela nada del servidor.
+     *
+     * @param {string} text - Texto del mensaje
+     * @returns {string} - Texto limpio
+     */
+    static sanitize(text) {
+        if (!text) return '';
+
+        return privateDirs.reduce((result, dir) => {
+            const pattern = new RegExp(`${dir.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(/[^\\s'":,]*)?`, 'g');
+            return result.replace(pattern, (match, rest) => rest ? path.basename(rest) : '');
+        }, String(text));
+    }
+
+    /**
+     * Últimas líneas de la salida de error de FFmpeg
+     *
+     * @param {string} stderr - Salida de error completa
+     * @returns {Array} - Hasta errorStderrLines líneas, sin progreso y sin rutas
+     */
+    static getStderrTail(stderr) {
+        if (!stderr || consts.errorStderrLines === 0) return [];
+
+        return String(stderr)
+            .split(/\r?\n/)
+            .filter(line => line.trim() !== '' && !progressLine.test(line))
+            .slice(-consts.errorStderrLines)
+            .map(line => this.sanitize(line.trim()));
+    }
+}
+
+module.exports = ErrorService;
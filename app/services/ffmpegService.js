@@ -6,10 +6,29 @@
  */
 
 const path = require('path');
-const winston = require('winston');
+const archiver = require('archiver');
+const LogService = require('./logService');
 const UploadService = require('./uploadService');
+const DownloadService = require('./downloadService');
 const ConversionService = require('./conversionService');
 const FileService = require('./fileService');
+const JobService = require('./jobService');
+const QueueService = require('./queueService');
+const ProbeService = require('./probeService');
+const MediaTypeService = require('./mediaTypeService');
+const ThumbnailService = require('./thumbnailService');
+const PackagingService = require('./packagingService');
+const ParameterService = require('./parameterService');
+const TrimService = require('./trimService');
+const LoudnessService = require('./loudnessService');
+const StorageService = require('./storageService');
+const WebhookService = require('./webhookService');
+const AuthService = require('./authService');
+const CorsService = require('./corsService');
+const ErrorService = require('./errorService');
+const DiskService = require('./diskService');
+const MetricsService = require('./metricsService');
+const CapabilityService = require('./capabilityService');
 
 class FFmpegService {
     /**
@@ -23,152 +42,1216 @@ class FFmpegService {
      * @returns {Promise} - Promesa que se resuelve cuando se completa el proceso
      */
     static processConversionRequest(req, res, ffmpegParams, uploadDir, fileSizeLimit) {
-        winston.info(JSON.stringify({
+        const asyncMode = this.isAsyncRequest(req);
+
+        LogService.info({
             action: 'process_request_start',
             path: req.path,
             origin: req.headers.origin || 'No origin header',
             contentType: req.headers['content-type'] || 'No content-type header',
             method: req.method,
-            outputFormat: ffmpegParams.extension || 'unknown'
-        }));
+            outputFormat: ffmpegParams.extension || 'unknown',
+            async: asyncMode
+        });
+
+        // Validar los parámetros de la query antes de recibir la subida
+        try {
+            ParameterService.parse(req.query, ffmpegParams.params);
+            TrimService.parseOptions(req.query);
+            LoudnessService.parseOptions(req.query, ffmpegParams.normalization);
+            StorageService.parseTarget(req.query);
+            WebhookService.parseUrl(req.query.callback_url);
+        } catch (err) {
+            this.sendInvalidParameters(req, res, err);
+            return Promise.resolve({ success: false });
+        }
+
+        // Rechazar antes de recibir la subida si no hay capacidad
+        if (QueueService.isFull()) {
+            this.sendQueueFull(req, res);
+            return Promise.resolve({
+                success: false,
+                queueFull: true
+            });
+        }
         
         return new Promise((resolve, reject) => {
+            // true cuando el error de la subida ya se respondió en onError
+            let uploadFailed = false;
+
             // Procesar la subida del archivo
-            winston.info(JSON.stringify({
+            LogService.info({
                 action: 'starting_upload_processing',
                 path: req.path
-            }));
+            });
             
-            UploadService.processUpload(req, {
+            this.receiveFile(req, {
                 fileSizeLimit,
                 uploadDir,
                 onError: (err, statusCode) => {
-                    winston.error(JSON.stringify({
+                    LogService.error({
                         action: 'upload_error',
                         error: err.toString(),
                         statusCode: statusCode
-                    }));
-                    
-                    // Asegurar que las cabeceras CORS se envían en error
-                    this.setCORSHeaders(req, res);
-                    
-                    res.status(statusCode || 500).json({
-                        error: 'Upload failed',
-                        message: err.toString()
                     });
-                    reject(err);
+                    
+                    // Error del cliente o de la subida ya respondido: no es un fallo del servicio
+                    uploadFailed = true;
+                    this.sendUploadError(req, res, err, statusCode);
+                    resolve({ success: false });
                 }
             })
             .then(uploadResult => {
                 // Archivo subido correctamente, proceder con la conversión
                 const { originalName, savedPath, size } = uploadResult;
                 
-                winston.info(JSON.stringify({
+                LogService.info({
                     action: 'upload_complete_starting_conversion',
                     originalName: originalName,
                     savedPath: savedPath,
                     size: size,
                     targetFormat: ffmpegParams.extension
-                }));
+                });
                 
                 const outputFile = `${savedPath}.${ffmpegParams.extension}`;
-                
-                // Convertir el archivo
-                return ConversionService.convertFile({
-                    inputFile: savedPath,
-                    outputFile,
-                    fileName: originalName,
-                    outputOptions: ffmpegParams.outputOptions,
-                    extension: ffmpegParams.extension,
-                    onSuccess: (outputFilePath, fileName, extension) => {
-                        winston.info(JSON.stringify({
-                            action: 'conversion_success',
-                            outputFile: outputFilePath,
-                            fileName: fileName,
-                            extension: extension
-                        }));
-                        
-                        // Enviar el archivo al cliente
-                        this.sendFileToClient(res, outputFilePath, fileName, extension, resolve, reject);
-                    },
-                    onError: (err, statusCode) => {
-                        winston.error(JSON.stringify({
-                            action: 'conversion_error',
-                            error: err.toString(),
-                            statusCode: statusCode,
-                            inputFile: savedPath
-                        }));
-                        
-                        // Asegurar que las cabeceras CORS se envían en error
-                        this.setCORSHeaders(req, res);
-                        
-                        res.status(statusCode || 500).json({
-                            error: 'Conversion failed',
-                            message: err.toString()
+
+                // Los campos del formulario tienen prioridad sobre la query
+                const source = Object.assign({}, req.query, uploadResult.fields);
+                let conversionParams;
+                let trim;
+                try {
+                    const values = ParameterService.parse(source, ffmpegParams.params);
+                    trim = TrimService.parseOptions(source);
+                    conversionParams = Object.assign({}, ffmpegParams, {
+                        outputOptions: ParameterService.apply(ffmpegParams.outputOptions, values, ffmpegParams.params),
+                        normalize: LoudnessService.parseOptions(source, ffmpegParams.normalization),
+                        output: StorageService.parseTarget(source),
+                        callbackUrl: WebhookService.parseUrl(source.callback_url)
+                    });
+
+                    if (Object.keys(values).length > 0) {
+                        LogService.info({
+                            action: 'conversion_parameters',
+                            savedPath: savedPath,
+                            parameters: values
+                        });
+                    }
+                } catch (err) {
+                    FileService.deleteFile(savedPath);
+                    this.sendInvalidParameters(req, res, err);
+                    resolve({ success: false });
+                    return;
+                }
+
+                // La normalización pedida en el formulario no se pudo comprobar antes de la subida
+                const normalizeMissing = conversionParams.normalize && CapabilityService.getMissing(LoudnessService.getRequirements());
+                if (normalizeMissing) {
+                    FileService.deleteFile(savedPath);
+                    CapabilityService.sendUnavailable(req, res, 'Loudness normalization', normalizeMissing);
+                    resolve({ success: false });
+                    return;
+                }
+
+                // Comprobar el archivo subido antes de ponerlo en la cola
+                return this.prepareConversion(savedPath, conversionParams, trim).then(() => {
+                    // La cola pudo llenarse mientras se recibía el archivo
+                    if (QueueService.isFull()) {
+                        FileService.deleteFile(savedPath);
+                        this.sendQueueFull(req, res);
+                        resolve({
+                            success: false,
+                            queueFull: true
                         });
-                        reject(err);
-                    },
-                    onProgress: (progress) => {
-                        // Puedes implementar eventos de servidor o websockets aquí
-                        // para informar al cliente sobre el progreso en tiempo real
-                        winston.info(JSON.stringify({
-                            action: 'conversion_progress',
-                            percent: progress.percent,
-                            frames: progress.frames,
-                            fps: progress.currentFps
-                        }));
+                        return;
                     }
+
+                    // En modo asíncrono se responde de inmediato con el id del trabajo;
+                    // con callback_url siempre se trabaja en modo asíncrono
+                    if (asyncMode || conversionParams.callbackUrl) {
+                        const job = this.startAsyncConversion(req, res, conversionParams, uploadResult, outputFile);
+                        resolve({
+                            success: true,
+                            jobId: job.id
+                        });
+                        return;
+                    }
+                    
+                    // Convertir el archivo cuando haya una plaza libre en la cola
+                    const queueId = path.basename(savedPath);
+                    const control = ConversionService.createControl();
+                    const conversion = QueueService.enqueue(queueId, () => this.runConversion(conversionParams, {
+                        inputFile: savedPath,
+                        outputFile,
+                        fileName: originalName,
+                        inputOptions: conversionParams.inputOptions,
+                        outputOptions: conversionParams.outputOptions,
+                        extension: ffmpegParams.extension,
+                        control,
+                        onSuccess: (outputFilePath, fileName, extension) => {
+                            LogService.info({
+                                action: 'conversion_success',
+                                outputFile: outputFilePath,
+                                fileName: fileName,
+                                extension: extension
+                            });
+                            
+                            // Guardar el resultado en el destino pedido o enviarlo al cliente
+                            if (conversionParams.output) {
+                                this.sendStoredResult(res, conversionParams.output, outputFilePath, queueId, this.getDownloadName(fileName, extension), conversionParams.mimeType, resolve, reject);
+                                return;
+                            }
+
+                            if (conversionParams.mimeType && !res.headersSent) {
+                                res.type(conversionParams.mimeType);
+                            }
+                            this.sendFileToClient(res, outputFilePath, fileName, extension, resolve, reject);
+                        },
+                        onError: (err, statusCode) => {
+                            LogService.error({
+                                action: 'conversion_error',
+                                error: err.toString(),
+                                statusCode: statusCode,
+                                inputFile: savedPath
+                            });
+
+                            // Con el estado, las métricas distinguen cancelaciones (499) y timeouts
+                            err.statusCode = err.statusCode || statusCode;
+
+                            // El cliente se desconectó, no hay a quién responder
+                            if (control.cancelled) {
+                                reject(err);
+                                return;
+                            }
+
+                            this.sendError(req, res, err, 'FFMPEG_FAILED');
+                            reject(err);
+                        },
+                        onProgress: (progress) => {
+                            LogService.info({
+                                action: 'conversion_progress',
+                                percent: progress.percent,
+                                frames: progress.frames,
+                                fps: progress.currentFps
+                            });
+                        }
+                    }));
+
+                    // Cancelar la conversión si el cliente se desconecta antes de recibir el resultado
+                    res.on('close', () => {
+                        if (res.writableFinished) return;
+                        this.cancelConversion(queueId, control, savedPath, 'client disconnected');
+                    });
+
+                    this.setQueuePositionHeader(res, queueId);
+                    return conversion;
+                }, err => {
+                    FileService.deleteFile(savedPath);
+
+                    if (err.statusCode === 400) {
+                        this.sendInvalidParameters(req, res, err);
+                    } else {
+                        this.sendMediaError(req, res, err);
+                    }
+                    resolve({ success: false });
                 });
             })
             .catch(err => {
-                winston.error(JSON.stringify({
+                // receiveFile() también rechaza tras llamar a onError
+                if (uploadFailed) return;
+
+                LogService.error({
                     type: 'process_error',
                     message: err.toString(),
                     path: req.path
-                }));
+                });
                 
                 // Asegurarse de que no enviamos múltiples respuestas
                 if (!res.headersSent) {
-                    // Asegurar que las cabeceras CORS se envían en error
+                    this.sendError(req, res, err, 'INTERNAL_ERROR');
+                }
+                reject(err);
+            });
+        });
+    }
+    
+    /**
+     * Recibe el archivo a procesar: subida multipart o descarga de una URL
+     * 
+     * Antes se comprueba que queda espacio en disco para el archivo; si no,
+     * se responde 507 a través de options.onError.
+     * 
+     * @param {Object} req - Objeto request de Express
+     * @param {Object} options - Opciones de UploadService.processUpload()
+     * @returns {Promise} - Promesa que se resuelve con la información del archivo
+     */
+    static receiveFile(req, options) {
+        const incomingBytes = Number(req.headers['content-length']) || 0;
+
+        return DiskService.checkFreeSpace(options.uploadDir, incomingBytes)
+            .then(() => {
+                if (DownloadService.isRemoteRequest(req)) {
+                    return DownloadService.processDownload(req, options);
+                }
+
+                return UploadService.processUpload(req, options);
+            }, err => {
+                if (typeof options.onError === 'function') {
+                    options.onError(err, err.statusCode);
+                }
+                throw err;
+            });
+    }
+
+    /**
+     * Comprueba el archivo subido y completa las opciones de la conversión
+     * 
+     * El archivo debe ser de uno de los tipos que acepta el preset
+     * (MediaTypeService); la información de ffprobe obtenida en la comprobación
+     * se usa para validar la pista de audio y el recorte.
+     * 
+     * @param {string} inputFile - Ruta al archivo subido
+     * @param {Object} conversionParams - Parámetros de la conversión (se completan)
+     * @param {Object|null} trim - Recorte devuelto por TrimService.parseOptions()
+     * @returns {Promise<Object>} - Promesa con los parámetros de la conversión
+     */
+    static prepareConversion(inputFile, conversionParams, trim) {
+        conversionParams.inputOptions = [];
+
+        return MediaTypeService.check(inputFile, conversionParams.accepts)
+            .then(({ info }) => {
+                if ((conversionParams.requireAudio || conversionParams.category === 'audio') && !info.hasAudio) {
+                    const noAudioError = new Error('The uploaded file has no audio stream');
+                    noAudioError.statusCode = 422;
+                    throw noAudioError;
+                }
+
+                if (trim) {
+                    TrimService.validate(trim, info);
+
+                    const trimOptions = TrimService.buildOptions(trim);
+                    conversionParams.trimOptions = trimOptions;
+                    conversionParams.inputOptions = trimOptions.inputOptions;
+                    conversionParams.outputOptions = conversionParams.outputOptions.concat(trimOptions.outputOptions);
+                }
+
+                return conversionParams;
+            });
+    }
+
+    /**
+     * Ejecuta una conversión y registra su duración y tamaños en las métricas
+     * 
+     * @param {Object} conversionParams - Parámetros de la conversión
+     * @param {Object} options - Opciones de ConversionService.convertFile()
+     * @returns {Promise} - Promesa que se resuelve cuando la conversión termina
+     */
+    static runConversion(conversionParams, options) {
+        const recordResult = MetricsService.startConversion(conversionParams.name, options.inputFile);
+
+        return this.convertWithLoudness(conversionParams, Object.assign({}, options, {
+            preset: conversionParams.name,
+            onSuccess: (outputFile, fileName, extension) => {
+                // Medir la salida antes de enviarla, porque después se borra
+                recordResult(null, outputFile);
+                if (typeof options.onSuccess === 'function') {
+                    options.onSuccess(outputFile, fileName, extension);
+                }
+            }
+        })).catch(err => {
+            recordResult(err);
+            throw err;
+        });
+    }
+
+    /**
+     * Convierte un archivo, midiendo antes la sonoridad si se pidió normalizarla
+     * 
+     * @param {Object} conversionParams - Parámetros de la conversión
+     * @param {Object} options - Opciones de ConversionService.convertFile()
+     * @returns {Promise} - Promesa que se resuelve cuando la conversión termina
+     */
+    static convertWithLoudness(conversionParams, options) {
+        if (!conversionParams.normalize) {
+            return ConversionService.convertFile(options);
+        }
+
+        const normalize = conversionParams.normalize;
+
+        return LoudnessService.measure(options.inputFile, normalize, conversionParams.trimOptions, options.control)
+            .then(measured => {
+                if (!measured) {
+                    LogService.info({
+                        action: 'loudness_skipped',
+                        inputFile: options.inputFile,
+                        reason: 'silent audio'
+                    });
+                    return ConversionService.convertFile(options);
+                }
+
+                return ConversionService.convertFile(Object.assign({}, options, {
+                    outputOptions: options.outputOptions.concat(`-af ${LoudnessService.buildFilter(normalize, measured)}`)
+                }));
+            }, err => {
+                ConversionService.handleError(err, options.inputFile, err.statusCode || 500, options.onError);
+                throw err;
+            });
+    }
+
+    /**
+     * Comprueba que el archivo recibido es de un tipo que acepta la ruta
+     * 
+     * Si no lo es, elimina el archivo y responde con el error.
+     * 
+     * @param {Object} req - Objeto request de Express
+     * @param {Object} res - Objeto response de Express
+     * @param {Object} uploadResult - Archivo recibido
+     * @param {Array} accepts - Tipos MIME aceptados por la ruta
+     * @returns {Promise<Object>} - Promesa con el mismo uploadResult
+     */
+    static checkInput(req, res, uploadResult, accepts) {
+        return MediaTypeService.check(uploadResult.savedPath, accepts)
+            .then(() => uploadResult, err => {
+                FileService.deleteFile(uploadResult.savedPath);
+                this.sendMediaError(req, res, err);
+                throw err;
+            });
+    }
+
+    /**
+     * Responde con un error del archivo recibido: tipo no aceptado (415) o
+     * archivo que no se puede procesar (422)
+     * 
+     * @param {Object} req - Objeto request de Express
+     * @param {Object} res - Objeto response de Express
+     * @param {Error} err - Error de MediaTypeService o de la inspección
+     */
+    static sendMediaError(req, res, err) {
+        LogService.error({
+            type: 'invalid_media',
+            path: req.path,
+            statusCode: err.statusCode,
+            message: err.message
+        });
+
+        this.sendError(req, res, err, 'UNPROCESSABLE_INPUT');
+    }
+
+    /**
+     * Responde con un error de validación de parámetros
+     * 
+     * @param {Object} req - Objeto request de Express
+     * @param {Object} res - Objeto response de Express
+     * @param {Error} err - Error de validación
+     */
+    static sendInvalidParameters(req, res, err) {
+        LogService.error({
+            type: 'invalid_parameters',
+            path: req.path,
+            message: err.message
+        });
+
+        this.sendError(req, res, err, 'INVALID_PARAMETERS');
+    }
+
+    /**
+     * Responde con un error de la subida o de la descarga de la URL remota
+     * 
+     * @param {Object} req - Objeto request de Express
+     * @param {Object} res - Objeto response de Express
+     * @param {Error} err - Error de UploadService o DownloadService
+     * @param {number} statusCode - Código de estado indicado por el servicio
+     */
+    static sendUploadError(req, res, err, statusCode) {
+        err.statusCode = err.statusCode || statusCode;
+        this.sendError(req, res, err, DownloadService.isRemoteRequest(req) ? 'REMOTE_URL_FAILED' : 'UPLOAD_FAILED');
+    }
+
+    /**
+     * Responde con el modelo de error común (ver ErrorService)
+     * 
+     * @param {Object} req - Objeto request de Express
+     * @param {Object} res - Objeto response de Express
+     * @param {Error|string} err - Error, o mensaje si se indica el código
+     * @param {string} fallbackCode - Código si el error no permite deducirlo
+     * @param {Object} extra - Datos adicionales de la respuesta
+     */
+    static sendError(req, res, err, fallbackCode, extra) {
+        ErrorService.send(req, res, err, fallbackCode, extra);
+    }
+
+    /**
+     * Procesa una solicitud de extracción del audio de un vídeo
+     * 
+     * Reutiliza el preset de audio del formato pedido (exports.types) sin la
+     * pista de vídeo, por lo que admite los mismos parámetros, el recorte y el
+     * modo asíncrono, además de la normalización de sonoridad.
+     * 
+     * @param {Object} req - Objeto request de Express
+     * @param {Object} res - Objeto response de Express
+     * @param {Object} toolConfig - Configuración de la herramienta (endpoints.tools.audio)
+     * @param {Object} types - Presets de conversión (endpoints.types)
+     * @param {string} uploadDir - Directorio de subida
+     * @param {number} fileSizeLimit - Límite de tamaño de archivo
+     * @returns {Promise} - Promesa que se resuelve cuando se envía la respuesta
+     */
+    static processAudioExtractionRequest(req, res, toolConfig, types, uploadDir, fileSizeLimit) {
+        const format = String(req.params.format).toLowerCase();
+        // Los formatos desactivados en la configuración no están en types
+        const formats = toolConfig.formats.filter(name => types[name]);
+
+        if (!formats.includes(format)) {
+            this.sendInvalidParameters(req, res, ParameterService.createValidationError(
+                `Unsupported audio format "${format}". Allowed: ${formats.join(', ')}`
+            ));
+            return Promise.resolve({ success: false });
+        }
+
+        const preset = types[format];
+        const ffmpegParams = Object.assign({}, preset, {
+            outputOptions: toolConfig.outputOptions.concat(preset.outputOptions),
+            normalization: toolConfig.normalization,
+            accepts: toolConfig.accepts,
+            requireAudio: true
+        });
+
+        return this.processConversionRequest(req, res, ffmpegParams, uploadDir, fileSizeLimit);
+    }
+
+    /**
+     * Procesa una solicitud de inspección de un archivo con ffprobe
+     * 
+     * @param {Object} req - Objeto request de Express
+     * @param {Object} res - Objeto response de Express
+     * @param {string} uploadDir - Directorio de subida
+     * @param {number} fileSizeLimit - Límite de tamaño de archivo
+     * @returns {Promise} - Promesa que se resuelve cuando se envía la respuesta
+     */
+    static processProbeRequest(req, res, uploadDir, fileSizeLimit) {
+        LogService.info({
+            action: 'probe_request_start',
+            path: req.path,
+            origin: req.headers.origin || 'No origin header'
+        });
+
+        return this.receiveFile(req, {
+            fileSizeLimit,
+            uploadDir,
+            onError: (err, statusCode) => this.sendUploadError(req, res, err, statusCode)
+        })
+        .then(uploadResult => {
+            return ProbeService.probe(uploadResult.savedPath)
+                .then(info => {
+                    FileService.deleteFile(uploadResult.savedPath);
+
                     this.setCORSHeaders(req, res);
-                    
-                    res.status(500).json({
-                        error: 'Process failed',
-                        message: err.toString()
+                    res.json({
+                        fileName: uploadResult.originalName,
+                        ...info
+                    });
+                    return info;
+                })
+                .catch(err => {
+                    FileService.deleteFile(uploadResult.savedPath);
+
+                    this.sendError(req, res, err, 'UNPROCESSABLE_INPUT');
+                    throw err;
+                });
+        });
+    }
+
+    /**
+     * Procesa una solicitud de extracción de miniaturas de un vídeo
+     * 
+     * @param {Object} req - Objeto request de Express
+     * @param {Object} res - Objeto response de Express
+     * @param {Object} toolConfig - Configuración de la herramienta (endpoints.tools.thumbnail)
+     * @param {string} uploadDir - Directorio de subida
+     * @param {number} fileSizeLimit - Límite de tamaño de archivo
+     * @returns {Promise} - Promesa que se resuelve cuando se envía la respuesta
+     */
+    static processThumbnailRequest(req, res, toolConfig, uploadDir, fileSizeLimit) {
+        let options;
+        try {
+            options = ThumbnailService.parseOptions(req.query, toolConfig);
+        } catch (err) {
+            this.sendInvalidParameters(req, res, err);
+            return Promise.resolve({ success: false });
+        }
+
+        LogService.info({
+            action: 'thumbnail_request_start',
+            path: req.path,
+            options: {
+                format: options.format,
+                width: options.width,
+                count: options.count,
+                time: options.time
+            }
+        });
+
+        if (QueueService.isFull()) {
+            this.sendQueueFull(req, res);
+            return Promise.resolve({ success: false, queueFull: true });
+        }
+
+        return this.receiveFile(req, {
+            fileSizeLimit,
+            uploadDir,
+            onError: (err, statusCode) => this.sendUploadError(req, res, err, statusCode)
+        })
+        .then(uploadResult => this.checkInput(req, res, uploadResult, toolConfig.accepts))
+        .then(uploadResult => {
+            const { originalName, savedPath } = uploadResult;
+            const queueId = path.basename(savedPath);
+            const control = ConversionService.createControl();
+
+            res.on('close', () => {
+                if (res.writableFinished) return;
+                this.cancelConversion(queueId, control, savedPath, 'client disconnected');
+            });
+
+            const extraction = QueueService.enqueue(queueId, () => ThumbnailService.createThumbnails(savedPath, options, control));
+            this.setQueuePositionHeader(res, queueId);
+
+            return extraction
+                .then(files => {
+                    FileService.deleteFile(savedPath);
+
+                    const baseName = originalName.replace(/\.[^/.]+$/, '');
+                    this.setCORSHeaders(req, res);
+
+                    if (files.length === 1) {
+                        return new Promise((resolve, reject) => {
+                            this.sendFileToClient(res, files[0], originalName, options.format, resolve, reject);
+                        });
+                    }
+
+                    const entries = files.map((file, index) => ({
+                        path: file,
+                        name: `${baseName}-${String(index + 1).padStart(3, '0')}.${options.format}`
+                    }));
+                    return this.sendZipToClient(res, entries, `${baseName}-thumbnails.zip`);
+                })
+                .catch(err => {
+                    FileService.deleteFile(savedPath);
+                    (err.outputFiles || []).forEach(file => FileService.deleteFile(file));
+
+                    if (!res.headersSent && !control.cancelled) {
+                        this.sendError(req, res, err, 'FFMPEG_FAILED');
+                    }
+                    throw err;
+                });
+        });
+    }
+
+    /**
+     * Procesa una solicitud de empaquetado HLS o DASH
+     * 
+     * En modo síncrono devuelve un ZIP con playlists y segmentos; con
+     * ?async=true el resultado queda guardado bajo el id del trabajo y sus
+     * archivos se sirven en /jobs/:id/files/*.
+     * 
+     * @param {Object} req - Objeto request de Express
+     * @param {Object} res - Objeto response de Express
+     * @param {Object} toolConfig - Configuración de la herramienta (endpoints.tools.hls / dash)
+     * @param {string} uploadDir - Directorio de subida
+     * @param {number} fileSizeLimit - Límite de tamaño de archivo
+     * @returns {Promise} - Promesa que se resuelve cuando se envía la respuesta
+     */
+    static processPackageRequest(req, res, toolConfig, uploadDir, fileSizeLimit) {
+        const asyncMode = this.isAsyncRequest(req);
+
+        LogService.info({
+            action: 'package_request_start',
+            path: req.path,
+            format: toolConfig.format,
+            async: asyncMode
+        });
+
+        if (QueueService.isFull()) {
+            this.sendQueueFull(req, res);
+            return Promise.resolve({ success: false, queueFull: true });
+        }
+
+        return this.receiveFile(req, {
+            fileSizeLimit,
+            uploadDir,
+            onError: (err, statusCode) => this.sendUploadError(req, res, err, statusCode)
+        })
+        .then(uploadResult => this.checkInput(req, res, uploadResult, toolConfig.accepts))
+        .then(uploadResult => {
+            const { originalName, savedPath, size } = uploadResult;
+            const outputDir = `${savedPath}-${toolConfig.format}`;
+            const downloadName = `${originalName.replace(/\.[^/.]+$/, '')}-${toolConfig.format}.zip`;
+            const control = ConversionService.createControl();
+
+            if (asyncMode) {
+                const job = JobService.createJob({
+                    fileName: originalName,
+                    extension: toolConfig.format,
+                    inputSize: size,
+                    inputFile: savedPath,
+                    control,
+                    owner: AuthService.getOwner(req)
+                });
+
+                QueueService.enqueue(job.id, () => PackagingService.packageVideo(
+                    savedPath,
+                    outputDir,
+                    toolConfig,
+                    control,
+                    progress => JobService.updateProgress(job.id, progress)
+                ), {
+                    onStart: () => JobService.markProcessing(job.id)
+                })
+                .then(result => {
+                    FileService.deleteFile(savedPath);
+                    JobService.markCompleted(job.id, {
+                        outputDir: result.outputDir,
+                        manifest: result.manifest,
+                        downloadName
                     });
+                })
+                .catch(err => {
+                    FileService.deleteFile(savedPath);
+                    FileService.deleteDirectory(outputDir);
+                    // Los trabajos cancelados ya quedaron marcados en cancelJob()
+                    if (!control.cancelled) {
+                        JobService.markFailed(job.id, err, err.statusCode);
+                    }
+                });
+
+                this.setCORSHeaders(req, res);
+                this.setQueuePositionHeader(res, job.id);
+                res.status(202)
+                    .location(`/jobs/${job.id}`)
+                    .json(JobService.serializeJob(job));
+
+                return { success: true, jobId: job.id };
+            }
+
+            const queueId = path.basename(savedPath);
+
+            res.on('close', () => {
+                if (res.writableFinished) return;
+                this.cancelConversion(queueId, control, savedPath, 'client disconnected');
+            });
+
+            const packaging = QueueService.enqueue(queueId, () => PackagingService.packageVideo(savedPath, outputDir, toolConfig, control));
+            this.setQueuePositionHeader(res, queueId);
+
+            return packaging
+                .then(result => {
+                    FileService.deleteFile(savedPath);
+
+                    const entries = FileService.listFiles(result.outputDir).map(file => ({
+                        path: path.join(result.outputDir, file),
+                        name: file
+                    }));
+
+                    this.setCORSHeaders(req, res);
+                    return this.sendZipToClient(res, entries, downloadName)
+                        .then(sent => {
+                            FileService.deleteDirectory(outputDir);
+                            return sent;
+                        }, err => {
+                            FileService.deleteDirectory(outputDir);
+                            throw err;
+                        });
+                })
+                .catch(err => {
+                    FileService.deleteFile(savedPath);
+                    FileService.deleteDirectory(outputDir);
+
+                    if (!res.headersSent && !control.cancelled) {
+                        this.sendError(req, res, err, 'FFMPEG_FAILED');
+                    }
+                    throw err;
+                });
+        });
+    }
+
+    /**
+     * Envía varios archivos al cliente dentro de un ZIP
+     * 
+     * @param {Object} res - Objeto response de Express
+     * @param {Array} entries - Archivos como { path, name } (name es la ruta dentro del ZIP)
+     * @param {string} downloadName - Nombre del ZIP
+     * @param {boolean} deleteAfter - Eliminar los archivos una vez enviados (por defecto true)
+     * @returns {Promise} - Promesa que se resuelve cuando se termina de enviar
+     */
+    static sendZipToClient(res, entries, downloadName, deleteAfter = true) {
+        LogService.info({
+            action: 'starting zip download to client',
+            files: entries.length,
+            name: downloadName
+        });
+
+        return new Promise((resolve, reject) => {
+            // Los contenidos ya están comprimidos (imágenes, vídeo): basta con almacenarlos
+            const archive = archiver('zip', { store: true });
+
+            const cleanup = () => {
+                if (deleteAfter) {
+                    entries.forEach(entry => FileService.deleteFile(entry.path));
                 }
+            };
+
+            archive.on('error', err => {
+                LogService.error({
+                    type: 'zip',
+                    message: err.toString()
+                });
+                res.destroy(err);
                 reject(err);
             });
+
+            res.on('close', () => {
+                cleanup();
+                if (res.writableFinished) {
+                    resolve({
+                        success: true,
+                        file: downloadName
+                    });
+                } else {
+                    reject(new Error('Client disconnected during download'));
+                }
+            });
+
+            res.attachment(downloadName);
+            archive.pipe(res);
+            entries.forEach(entry => archive.file(entry.path, { name: entry.name }));
+            archive.finalize();
         });
     }
-    
+
     /**
-     * Establece las cabeceras CORS para una respuesta
+     * Indica si el cliente solicitó la conversión en modo asíncrono
+     * 
+     * @param {Object} req - Objeto request de Express
+     * @returns {boolean} - True si se pidió ?async=true
+     */
+    static isAsyncRequest(req) {
+        const value = req.query && req.query.async;
+        return value === 'true' || value === '1';
+    }
+
+    /**
+     * Registra un trabajo, responde 202 con su id y lanza la conversión
+     * en segundo plano
      * 
      * @param {Object} req - Objeto request de Express
      * @param {Object} res - Objeto response de Express
+     * @param {Object} ffmpegParams - Parámetros de FFmpeg
+     * @param {Object} uploadResult - Resultado de receiveFile
+     * @param {string} outputFile - Ruta del archivo de salida
+     * @returns {Object} - Trabajo creado
      */
-    static setCORSHeaders(req, res) {
-        if (res.headersSent) return;
-        
-        const origin = req.headers.origin;
-        if (origin) {
-            const allowedOrigins = [
-                'https://talent-flow.technexus.com.mx',
-                'http://localhost:8080',
-                'http://localhost:3000',
-                'https://localhost:8080',
-                'https://127.0.0.1:8080',
-                'http://127.0.0.1:8080'
-            ];
-            
-            if (allowedOrigins.includes(origin)) {
-                res.header('Access-Control-Allow-Origin', origin);
-                res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-                res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-                res.header('Access-Control-Allow-Credentials', 'true');
+    static startAsyncConversion(req, res, ffmpegParams, uploadResult, outputFile) {
+        const { originalName, savedPath, size } = uploadResult;
+
+        const control = ConversionService.createControl();
+        const job = JobService.createJob({
+            fileName: originalName,
+            extension: ffmpegParams.extension,
+            inputSize: size,
+            inputFile: savedPath,
+            control,
+            callbackUrl: ffmpegParams.callbackUrl,
+            baseUrl: `${req.protocol}://${req.get('host')}`,
+            owner: AuthService.getOwner(req)
+        });
+
+        QueueService.enqueue(job.id, () => this.runConversion(ffmpegParams, {
+            inputFile: savedPath,
+            outputFile,
+            fileName: originalName,
+            inputOptions: ffmpegParams.inputOptions,
+            outputOptions: ffmpegParams.outputOptions,
+            extension: ffmpegParams.extension,
+            control,
+            onSuccess: (outputFilePath, fileName, extension) => {
+                const downloadName = this.getDownloadName(fileName, extension);
+
+                this.describeOutput(outputFilePath)
+                    .then(details => {
+                        if (!ffmpegParams.output) {
+                            // Cancelado mientras se analizaba el resultado
+                            if (JobService.hasFinished(job.id)) {
+                                FileService.deleteFile(outputFilePath);
+                                return;
+                            }
+
+                            JobService.markCompleted(job.id, Object.assign({
+                                outputFile: outputFilePath,
+                                downloadName
+                            }, details));
+                            return;
+                        }
+
+                        // El trabajo no termina hasta que el resultado está en el destino
+                        return StorageService.store(ffmpegParams.output, outputFilePath, job.id, downloadName, ffmpegParams.mimeType)
+                            .then(stored => {
+                                JobService.markCompleted(job.id, Object.assign({ downloadName, storage: stored }, details));
+                            }, err => {
+                                JobService.markFailed(job.id, err, err.statusCode);
+                            })
+                            .then(() => FileService.deleteFile(outputFilePath));
+                    })
+                    .then(() => WebhookService.notify(JobService.getJob(job.id)));
+            },
+            onError: (err, statusCode) => {
+                err.statusCode = err.statusCode || statusCode;
+
+                // Los trabajos cancelados ya quedaron marcados en cancelJob()
+                if (control.cancelled) return;
+                JobService.markFailed(job.id, err, statusCode);
+                WebhookService.notify(JobService.getJob(job.id));
+            },
+            onProgress: (progress) => {
+                JobService.updateProgress(job.id, progress);
+            }
+        }), {
+            onStart: () => JobService.markProcessing(job.id)
+        }).catch(err => {
+            // El error ya quedó registrado en el trabajo a través de onError
+            LogService.error({
+                type: 'async_conversion_error',
+                jobId: job.id,
+                message: err.toString()
+            });
+        });
+
+        this.setCORSHeaders(req, res);
+        this.setQueuePositionHeader(res, job.id);
+        res.status(202)
+            .location(`/jobs/${job.id}`)
+            .json(JobService.serializeJob(job));
+
+        return job;
+    }
+
+    /**
+     * Informa al cliente de su posición en la cola de conversiones
+     * 
+     * @param {Object} res - Objeto response de Express
+     * @param {string} queueId - Identificador de la entrada en la cola
+     */
+    static setQueuePositionHeader(res, queueId) {
+        const position = QueueService.getPosition(queueId);
+        if (position !== null && !res.headersSent) {
+            res.set('X-Queue-Position', String(position));
+        }
+    }
+
+    /**
+     * Responde 503 con Retry-After cuando la cola de conversiones está llena
+     * 
+     * @param {Object} req - Objeto request de Express
+     * @param {Object} res - Objeto response de Express
+     */
+    static sendQueueFull(req, res) {
+        const error = QueueService.createQueueFullError();
+
+        LogService.warn({
+            action: 'queue_full',
+            path: req.path,
+            queue: QueueService.getStats()
+        });
+
+        res.set('Retry-After', String(error.retryAfter));
+        this.sendError(req, res, error, 'QUEUE_FULL', { retryAfter: error.retryAfter });
+    }
+
+    /**
+     * Responde con el estado de un trabajo asíncrono
+     * 
+     * @param {Object} req - Objeto request de Express
+     * @param {Object} res - Objeto response de Express
+     */
+    static sendJobStatus(req, res) {
+        const job = this.findJob(req);
+        if (!job) {
+            return this.sendError(req, res, `Job ${req.params.id} does not exist or has expired`, 'JOB_NOT_FOUND', { id: req.params.id });
+        }
+
+        res.json(JobService.serializeJob(job));
+    }
+
+    /**
+     * Busca el trabajo de la petición
+     * 
+     * Los trabajos creados con una API key sólo son visibles para esa clave;
+     * para las demás se comportan como si no existieran.
+     * 
+     * @param {Object} req - Objeto request de Express
+     * @returns {Object|undefined} - Trabajo encontrado
+     */
+    static findJob(req) {
+        const job = JobService.getJob(req.params.id);
+        return job && AuthService.canAccessJob(req, job) ? job : undefined;
+    }
+
+    /**
+     * Cancela un trabajo asíncrono, o elimina su resultado si ya terminó
+     * 
+     * @param {Object} req - Objeto request de Express
+     * @param {Object} res - Objeto response de Express
+     */
+    static cancelJob(req, res) {
+        const job = this.findJob(req);
+        if (!job) {
+            return this.sendError(req, res, `Job ${req.params.id} does not exist or has expired`, 'JOB_NOT_FOUND', { id: req.params.id });
+        }
+
+        if (JobService.isFinished(job)) {
+            JobService.removeJob(job.id);
+            return res.status(204).end();
+        }
+
+        this.cancelConversion(job.id, job.control, job.inputFile, 'cancelled by client');
+        JobService.markCancelled(job.id, 'Cancelled by client');
+
+        res.json(JobService.serializeJob(job));
+    }
+
+    /**
+     * Detiene una conversión, tanto si espera en la cola como si ya se
+     * está ejecutando
+     * 
+     * @param {string} queueId - Identificador de la entrada en la cola
+     * @param {Object} control - Control de la conversión
+     * @param {string} inputFile - Archivo subido a eliminar
+     * @param {string} reason - Motivo de la cancelación
+     */
+    static cancelConversion(queueId, control, inputFile, reason) {
+        const error = new Error(`Conversion cancelled: ${reason}`);
+
+        // Si no había empezado basta con sacarla de la cola
+        if (QueueService.remove(queueId, error)) {
+            control.cancelled = true;
+            control.reason = reason;
+            FileService.deleteFile(inputFile);
+            return;
+        }
+
+        ConversionService.cancel(control, reason);
+    }
+
+    /**
+     * Transmite el progreso de un trabajo mediante Server-Sent Events
+     * 
+     * Envía el estado actual como evento 'status' y después los eventos
+     * 'start', 'progress', 'end', 'error' y 'cancelled' del trabajo. La conexión se
+     * cierra cuando el trabajo termina.
+     * 
+     * @param {Object} req - Objeto request de Express
+     * @param {Object} res - Objeto response de Express
+     */
+    static streamJobProgress(req, res) {
+        const job = this.findJob(req);
+        if (!job) {
+            return this.sendError(req, res, `Job ${req.params.id} does not exist or has expired`, 'JOB_NOT_FOUND', { id: req.params.id });
+        }
+
+        this.setCORSHeaders(req, res);
+        res.status(200);
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        const sendEvent = (eventName, data) => {
+            res.write(`event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`);
+            // El middleware de compresión acumula la salida si no se fuerza el envío
+            if (typeof res.flush === 'function') {
+                res.flush();
             }
+        };
+
+        sendEvent('status', JobService.serializeJob(job));
+
+        if (JobService.isFinished(job)) {
+            const finalEvents = { completed: 'end', failed: 'error', cancelled: 'cancelled' };
+            sendEvent(finalEvents[job.status], JobService.serializeJob(job));
+            return res.end();
+        }
+
+        // Comentario periódico para que proxies no cierren la conexión inactiva
+        const heartbeat = setInterval(() => {
+            res.write(': ping\n\n');
+            if (typeof res.flush === 'function') {
+                res.flush();
+            }
+        }, 15000);
+
+        const unsubscribe = JobService.subscribe(job.id, (eventName, data) => {
+            sendEvent(eventName, data);
+
+            if (eventName === 'end' || eventName === 'error' || eventName === 'cancelled') {
+                close();
+                res.end();
+            }
+        });
+
+        const close = () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        };
+
+        req.on('close', close);
+    }
+
+    /**
+     * Envía el resultado de un trabajo asíncrono completado
+     * 
+     * El archivo se conserva hasta que el trabajo expira, de modo que
+     * el cliente puede reintentar la descarga.
+     * 
+     * @param {Object} req - Objeto request de Express
+     * @param {Object} res - Objeto response de Express
+     */
+    static sendJobResult(req, res) {
+        const job = this.findJob(req);
+        if (!job) {
+            return this.sendError(req, res, `Job ${req.params.id} does not exist or has expired`, 'JOB_NOT_FOUND', { id: req.params.id });
+        }
+
+        if (job.status !== 'completed') {
+            return this.sendError(req, res, job.error || `Job is ${job.status}`, 'JOB_NOT_COMPLETED', { status: job.status });
+        }
+
+        // Los resultados guardados en S3 se descargan con la URL prefirmada
+        if (job.storage) {
+            if (job.storage.url) {
+                return res.redirect(job.storage.url);
+            }
+            return res.json(job.storage);
+        }
+
+        // Los empaquetados HLS/DASH se descargan como ZIP del directorio
+        if (job.outputDir) {
+            const entries = FileService.listFiles(job.outputDir).map(file => ({
+                path: path.join(job.outputDir, file),
+                name: file
+            }));
+            this.sendZipToClient(res, entries, job.downloadName, false).catch(err => {
+                LogService.error({
+                    type: 'job_download',
+                    jobId: job.id,
+                    message: err.toString()
+                });
+            });
+            return;
+        }
+
+        res.download(job.outputFile, job.downloadName, (err) => {
+            if (err) {
+                LogService.error({
+                    type: 'job_download',
+                    jobId: job.id,
+                    message: err.toString()
+                });
+            }
+        });
+    }
+
+    /**
+     * Sirve un archivo (playlist o segmento) de un trabajo de empaquetado
+     * con su tipo MIME
+     * 
+     * @param {Object} req - Objeto request de Express
+     * @param {Object} res - Objeto response de Express
+     */
+    static sendJobFile(req, res) {
+        const job = this.findJob(req);
+        if (!job || !job.outputDir || job.status !== 'completed') {
+            return this.sendError(req, res, `Job ${req.params.id} has no packaged files`, 'JOB_NOT_FOUND', { id: req.params.id });
+        }
+
+        // Impedir que la ruta solicitada salga del directorio del trabajo
+        const filePath = path.resolve(job.outputDir, req.params[0]);
+        if (!filePath.startsWith(path.resolve(job.outputDir) + path.sep)) {
+            return this.sendError(req, res, `File ${req.params[0]} not found`, 'FILE_NOT_FOUND', { path: req.params[0] });
         }
+
+        this.setCORSHeaders(req, res);
+        res.sendFile(filePath, {
+            headers: { 'Content-Type': PackagingService.getMimeType(filePath) }
+        }, (err) => {
+            if (err && !res.headersSent) {
+                this.sendError(req, res, `File ${req.params[0]} not found`, 'FILE_NOT_FOUND', { path: req.params[0] });
+            }
+        });
+    }
+
+    /**
+     * Construye el nombre de descarga a partir del nombre original
+     * 
+     * @param {string} originalName - Nombre original del archivo
+     * @param {string} extension - Extensión del archivo convertido
+     * @returns {string} - Nombre de archivo para la descarga
+     */
+    static getDownloadName(originalName, extension) {
+        return originalName.replace(/\.[^/.]+$/, '') + '.' + extension;
+    }
+
+    /**
+     * Establece las cabeceras CORS para una respuesta
+     * 
+     * @param {Object} req - Objeto request de Express
+     * @param {Object} res - Objeto response de Express
+     */
+    static setCORSHeaders(req, res) {
+        CorsService.setHeaders(req, res);
+    }
+
+    /**
+     * Obtiene el tamaño y la duración de un resultado
+     * 
+     * @param {string} filePath - Ruta al resultado
+     * @returns {Promise<Object>} - Promesa con { outputSize, duration } (null si no se conocen)
+     */
+    static describeOutput(filePath) {
+        return Promise.all([
+            FileService.getFileStats(filePath).then(stats => stats.size, () => null),
+            ProbeService.probe(filePath).then(info => info.duration || null, () => null)
+        ]).then(([outputSize, duration]) => ({ outputSize, duration }));
+    }
+
+    /**
+     * Guarda el resultado en un destino de almacenamiento y responde con su ubicación
+     * 
+     * @param {Object} res - Objeto response de Express
+     * @param {string} target - Nombre del destino (parámetro output)
+     * @param {string} filePath - Ruta al resultado
+     * @param {string} id - Identificador de la conversión
+     * @param {string} downloadName - Nombre del archivo para el cliente
+     * @param {string} contentType - Tipo MIME del resultado (mimeType del preset)
+     * @param {Function} resolve - Resolver la promesa
+     * @param {Function} reject - Rechazar la promesa
+     */
+    static sendStoredResult(res, target, filePath, id, downloadName, contentType, resolve, reject) {
+        StorageService.store(target, filePath, id, downloadName, contentType)
+            .then(stored => {
+                FileService.deleteFile(filePath);
+
+                this.setCORSHeaders(res.req, res);
+                res.json(Object.assign({ fileName: downloadName }, stored));
+                resolve({
+                    success: true,
+                    file: downloadName,
+                    storage: stored
+                });
+            }, err => {
+                FileService.deleteFile(filePath);
+
+                this.sendError(res.req, res, err, 'STORAGE_FAILED');
+                reject(err);
+            });
     }
 
     /**
@@ -182,13 +1265,13 @@ class FFmpegService {
      * @param {Function} reject - Rechazar la promesa
      */
     static sendFileToClient(res, filePath, originalName, extension, resolve, reject) {
-        winston.info(JSON.stringify({
+        LogService.info({
             action: 'starting download to client',
             file: filePath
-        }));
+        });
 
         // Construir nombre de archivo para descarga
-        const downloadName = originalName.replace(/\.[^/.]+$/, '') + '.' + extension;
+        const downloadName = this.getDownloadName(originalName, extension);
 
         // Asegurarse de que no hay problemas CORS
         if (!res.headersSent) {
@@ -201,10 +1284,10 @@ class FFmpegService {
             FileService.deleteFile(filePath);
             
             if (err) {
-                winston.error(JSON.stringify({
+                LogService.error({
                     type: 'download',
                     message: err.toString()
-                }));
+                });
                 reject(err);
             } else {
                 resolve({
@@ -214,59 +1297,6 @@ class FFmpegService {
             }
         });
     }
-
-    /**
-     * Obtiene información sobre los endpoints disponibles
-     * 
-     * @param {Object} endpoints - Configuración de endpoints
-     * @returns {Array} - Lista de endpoints formateados
-     */
-    static getEndpointsList(endpoints) {
-        const availableEndpoints = [];
-        
-        // Procesar endpoints de conversión
-        for (let prop in endpoints.types) {
-            if (endpoints.types.hasOwnProperty(prop)) {
-                let path = '';
-                const type = endpoints.types[prop];
-                
-                // Formato basado en el tipo
-                if (prop.startsWith('compress-')) {
-                    // Endpoints de compresión
-                    const format = prop.split('-')[1];
-                    path = `/video/compress/to/${format}`;
-                } else if (prop === 'hevc' || prop === 'av1') {
-                    // Codecs de video avanzados
-                    path = `/video/compress/to/${prop}`;
-                } else if (prop === 'mp3' || prop === 'm4a' || prop === 'wav') {
-                    // Formatos de audio
-                    path = `/convert/audio/to/${prop}`;
-                } else if (prop === 'mp4' || prop === 'webm') {
-                    // Formatos de video
-                    path = `/convert/video/to/${prop}`;
-                } else if (prop === 'jpg') {
-                    // Formatos de imagen
-                    path = `/convert/image/to/${prop}`;
-                } else {
-                    // Fallback para otros tipos
-                    path = `/${prop}`;
-                }
-                
-                // Registrar el endpoint formateado
-                availableEndpoints.push({
-                    path: path,
-                    methods: ['POST'],
-                    description: type.description || `Convert to ${prop} format`
-                });
-            }
-        }
-        
-        // Añadir otros endpoints
-        availableEndpoints.push({ path: '/', methods: ['GET'], description: 'API Documentation' });
-        availableEndpoints.push({ path: '/endpoints', methods: ['GET'], description: 'List available endpoints' });
-        
-        return availableEndpoints;
-    }
 }
 
 module.exports = FFmpegService;
@@ -8,7 +8,7 @@
 const fs = require('fs');
 const path = require('path');
 const uniqueFilename = require('unique-filename');
-const winston = require('winston');
+const LogService = require('./logService');
 
 class FileService {
     /**
@@ -41,23 +41,72 @@ class FileService {
         try {
             if (fs.existsSync(filePath)) {
                 fs.unlinkSync(filePath);
-                winston.info(JSON.stringify({
+                LogService.info({
                     action: 'deleted',
                     file: filePath
-                }));
+                });
                 return true;
             }
             return false;
         } catch (error) {
-            winston.error(JSON.stringify({
+            LogService.error({
                 type: 'delete_error',
                 message: error.toString(),
                 file: filePath
-            }));
+            });
+            return false;
+        }
+    }
+
+    /**
+     * Elimina un directorio y todo su contenido si existe
+     * 
+     * @param {string} dirPath - Ruta al directorio
+     * @returns {boolean} - True si se eliminó, false si no
+     */
+    static deleteDirectory(dirPath) {
+        try {
+            if (fs.existsSync(dirPath)) {
+                fs.rmSync(dirPath, { recursive: true, force: true });
+                LogService.info({
+                    action: 'deleted_directory',
+                    directory: dirPath
+                });
+                return true;
+            }
+            return false;
+        } catch (error) {
+            LogService.error({
+                type: 'delete_error',
+                message: error.toString(),
+                directory: dirPath
+            });
             return false;
         }
     }
 
+    /**
+     * Lista recursivamente los archivos de un directorio
+     * 
+     * @param {string} dirPath - Ruta al directorio
+     * @param {string} prefix - Prefijo relativo (uso interno en la recursión)
+     * @returns {Array} - Rutas relativas al directorio, con '/' como separador
+     */
+    static listFiles(dirPath, prefix = '') {
+        let files = [];
+
+        fs.readdirSync(dirPath, { withFileTypes: true }).forEach(entry => {
+            const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) {
+                files = files.concat(this.listFiles(path.join(dirPath, entry.name), relativePath));
+            } else {
+                files.push(relativePath);
+            }
+        });
+
+        return files.sort();
+    }
+
     /**
      * Verifica si un archivo existe y devuelve sus estadísticas
      * 
@@ -0,0 +1,134 @@
+/**
+ * Servicio de estado del servicio
+ *
+ * Este servicio responde a las comprobaciones de los orquestadores:
+ * /healthz (liveness) sólo indica que el proceso atiende peticiones, y
+ * /readyz (readiness) comprueba que FFmpeg y ffprobe están instalados, que
+ * FFmpeg tiene los codificadores necesarios (requiredEncoders), que se puede
+ * escribir en el directorio de uploads y que la cola admite conversiones.
+ */
+
+const fs = require('fs');
+const consts = require('../constants');
+const LogService = require('./logService');
+const QueueService = require('./queueService');
+const CapabilityService = require('./capabilityService');
+
+// Resultado de la comprobación de los binarios, que no cambian mientras el
+// proceso está en marcha; sólo se guarda cuando es correcto
+let binariesCheck = null;
+
+class HealthService {
+    /**
+     * Estado de liveness
+     *
+     * @returns {Object} - { status, uptime }
+     */
+    static getLiveness() {
+        return {
+            status: 'ok',
+            uptime: process.uptime()
+        };
+    }
+
+    /**
+     * Estado de readiness
+     *
+     * @param {string} uploadsDir - Directorio de uploads
+     * @returns {Promise<Object>} - Promesa con { ready, checks }
+     */
+    static getReadiness(uploadsDir) {
+        return Promise.all([this.checkBinaries(), this.checkUploadsDir(uploadsDir)])
+            .then(([binaries, uploads]) => {
+                const checks = Object.assign({}, binaries, {
+                    uploads,
+                    queue: this.checkQueue()
+                });
+                const ready = Object.keys(checks).every(name => checks[name].ok);
+
+                if (!ready) {
+                    LogService.warn({
+                        action: 'readiness_failed',
+                        failed: Object.keys(checks).filter(name => !checks[name].ok)
+                    });
+                }
+
+                return { ready, checks };
+            });
+    }
+
+    /**
+     * Comprueba FFmpeg, ffprobe y los codificadores necesarios
+     *
+     * @returns {Promise<Object>} - Promesa con { ffmpeg, ffprobe, encoders }
+     */
+    static checkBinaries() {
+        if (binariesCheck) {
+            return Promise.resolve(binariesCheck);
+        }
+
+        const ffmpegPath = consts.ffmpegPath || 'ffmpeg';
+        const ffprobePath = consts.ffprobePath || 'ffprobe';
+
+        return Promise.all([
+            this.getVersion(ffmpegPath),
+            this.getVersion(ffprobePath),
+            CapabilityService.detect().then(capabilities => capabilities.encoders, () => null)
+        ]).then(([ffmpeg, ffprobe, encoders]) => {
+            const missing = consts.requiredEncoders.filter(name => !encoders || !encoders.includes(name));
+            const result = {
+                ffmpeg,
+                ffprobe,
+                encoders: encoders
+                    ? { ok: missing.length === 0, required: consts.requiredEncoders, missing }
+                    : { ok: false, required: consts.requiredEncoders, error: 'Could not list the FFmpeg encoders' }
+            };
+
+            if (ffmpeg.ok && ffprobe.ok && result.encoders.ok) {
+                binariesCheck = result;
+            }
+
+            return result;
+        });
+    }
+
+    /**
+     * Versión de un binario de FFmpeg
+     *
+     * @param {string} command - Ruta o nombre del binario
+     * @returns {Promise<Object>} - Promesa con { ok, version } o { ok, error }
+     */
+    static getVersion(command) {
+        return CapabilityService.run(command, ['-version'])
+            .then(output => ({ ok: true, version: output.split('\n')[0] }),
+                error => ({ ok: false, error: error.code === 'ENOENT' ? `${command} not found` : error.message }));
+    }
+
+    /**
+     * Comprueba que se puede escribir en el directorio de uploads
+     *
+     * @param {string} uploadsDir - Directorio de uploads
+     * @returns {Promise<Object>} - Promesa con { ok } o { ok, error }
+     */
+    static checkUploadsDir(uploadsDir) {
+        return new Promise(resolve => {
+            fs.access(uploadsDir, fs.constants.W_OK, err => {
+                resolve(err ? { ok: false, error: 'The uploads directory is not writable' } : { ok: true });
+            });
+        });
+    }
+
+    /**
+     * Comprueba que la cola admite más conversiones
+     *
+     * @returns {Object} - { ok, running, waiting, maxConcurrency, maxQueueLength }
+     */
+    static checkQueue() {
+        const stats = QueueService.getStats();
+        const saturated = stats.running >= stats.maxConcurrency && stats.waiting >= stats.maxQueueLength;
+
+        return Object.assign({ ok: !saturated }, stats);
+    }
+}
+
+module.exports = HealthService;
@@ -6,10 +6,58 @@ const FFmpegService = require('./ffmpegService');
 const ConversionService = require('./conversionService');
 const FileService = require('./fileService');
 const UploadService = require('./uploadService');
+const DownloadService = require('./downloadService');
+const JobService = require('./jobService');
+const QueueService = require('./queueService');
+const ProbeService = require('./probeService');
+const ThumbnailService = require('./thumbnailService');
+const PackagingService = require('./packagingService');
+const ParameterService = require('./parameterService');
+const TrimService = require('./trimService');
+const LoudnessService = require('./loudnessService');
+const StorageService = require('./storageService');
+const WebhookService = require('./webhookService');
+const AuthService = require('./authService');
+const CorsService = require('./corsService');
+const PresetService = require('./presetService');
+const RouteService = require('./routeService');
+const OpenApiService = require('./openApiService');
+const ErrorService = require('./errorService');
+const DiskService = require('./diskService');
+const JanitorService = require('./janitorService');
+const HealthService = require('./healthService');
+const CapabilityService = require('./capabilityService');
+const MetricsService = require('./metricsService');
+const MediaTypeService = require('./mediaTypeService');
+const LogService = require('./logService');
 
 module.exports = {
     FFmpegService,
     ConversionService,
     FileService,
-    UploadService
+    UploadService,
+    DownloadService,
+    JobService,
+    QueueService,
+    ProbeService,
+    ThumbnailService,
+    PackagingService,
+    ParameterService,
+    TrimService,
+    LoudnessService,
+    StorageService,
+    WebhookService,
+    AuthService,
+    CorsService,
+    PresetService,
+    RouteService,
+    OpenApiService,
+    ErrorService,
+    DiskService,
+    JanitorService,
+    HealthService,
+    CapabilityService,
+    MetricsService,
+    MediaTypeService,
+    LogService
 };
@@ -0,0 +1,211 @@
+/**
+ * Servicio de limpieza del directorio de uploads
+ *
+ * Las subidas y los resultados se borran al terminar cada conversión, pero si
+ * el proceso se reinicia, una conversión se corta o el cliente se desconecta
+ * pueden quedar archivos huérfanos. Este servicio revisa el directorio
+ * periódicamente (janitorInterval) y borra las entradas más antiguas que
+ * orphanFileTtl, salvo las de los trabajos asíncronos que aún existen.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const consts = require('../constants');
+const LogService = require('./logService');
+const FileService = require('./fileService');
+const JobService = require('./jobService');
+
+// Directorio revisado y temporizador de la limpieza
+let uploadsDir = null;
+let timer = null;
+
+// Limpieza en curso, para no solapar dos recorridos del directorio
+let sweeping = null;
+
+// Tiempo durante el que se reutiliza la medida del directorio de uploads, para
+// que las dos métricas de una misma consulta no lo recorran dos veces
+const usageCacheTtl = 5000;
+let usageCache = null;
+
+// Entradas del directorio de uploads que se listan en /diagnose
+const usageListLimit = 10;
+
+// Resultado de las limpiezas, para /diagnose
+const stats = {
+    lastRun: null,
+    lastRemoved: 0,
+    totalRemoved: 0,
+    totalFreed: 0
+};
+
+class JanitorService {
+    /**
+     * Arranca la limpieza periódica
+     *
+     * La primera se hace de inmediato para recoger lo que dejó un arranque anterior.
+     *
+     * @param {string} dirPath - Directorio de uploads
+     * @returns {Promise<Object>} - Promesa de la primera limpieza
+     */
+    static start(dirPath) {
+        uploadsDir = dirPath;
+
+        if (timer) clearInterval(timer);
+        timer = setInterval(() => this.sweep(), consts.janitorInterval);
+        // No mantener vivo el proceso sólo por la limpieza
+        timer.unref();
+
+        LogService.info({
+            action: 'janitor_started',
+            directory: uploadsDir,
+            interval: consts.janitorInterval,
+            ttl: consts.orphanFileTtl
+        });
+
+        return this.sweep();
+    }
+
+    /**
+     * Borra los archivos y directorios huérfanos
+     *
+     * El directorio se recorre de forma asíncrona, como en getUploadsUsage.
+     * Si la limpieza anterior aún no ha terminado se devuelve su promesa en
+     * lugar de empezar otra.
+     *
+     * @returns {Promise<Object>} - Promesa con { removed, freed } de esta limpieza
+     */
+    static sweep() {
+        if (sweeping) return sweeping;
+
+        const now = Date.now();
+        const inUse = new Set(JobService.getFiles().map(file => path.resolve(file)));
+
+        sweeping = fs.promises.readdir(uploadsDir)
+            .then(names => names.reduce((chain, name) => chain
+                .then(result => {
+                    const entryPath = path.resolve(uploadsDir, name);
+                    if (inUse.has(entryPath)) return result;
+
+                    return fs.promises.lstat(entryPath)
+                        .then(entryStats => {
+                            if (now - entryStats.mtimeMs < consts.orphanFileTtl) return result;
+
+                            return this.measure(entryPath).then(size => {
+                                const deleted = entryStats.isDirectory()
+                                    ? FileService.deleteDirectory(entryPath)
+                                    : FileService.deleteFile(entryPath);
+
+                                return deleted
+                                    ? { removed: result.removed + 1, freed: result.freed + size }
+                                    : result;
+                            });
+                        }, () => result); // Se borró mientras se recorría el directorio
+                }),
+            Promise.resolve({ removed: 0, freed: 0 })))
+            .then(result => {
+                stats.lastRun = new Date();
+                stats.lastRemoved = result.removed;
+                stats.totalRemoved += result.removed;
+                stats.totalFreed += result.freed;
+
+                if (result.removed > 0) {
+                    LogService.info({
+                        action: 'janitor_sweep',
+                        removed: result.removed,
+                        freed: result.freed
+                    });
+                }
+
+                return result;
+            }, error => {
+                LogService.error({
+                    type: 'janitor_error',
+                    directory: uploadsDir,
+                    message: error.toString()
+                });
+                return { removed: 0, freed: 0 };
+            })
+            .then(result => {
+                sweeping = null;
+                return result;
+            });
+
+        return sweeping;
+    }
+
+    /**
+     * Número de entradas, tamaño total y primeras entradas del directorio de uploads
+     *
+     * El directorio se recorre de forma asíncrona, una entrada tras otra,
+     * para no bloquear el proceso cuando tiene muchos archivos.
+     *
+     * @returns {Promise<Object>} - Promesa con { count, size, entries }: size en
+     * bytes y entries con { name, size, isDirectory, created } de las primeras
+     * usageListLimit entradas
+     */
+    static getUploadsUsage() {
+        const empty = { count: 0, size: 0, entries: [] };
+        if (!uploadsDir) return Promise.resolve(empty);
+
+        if (usageCache && Date.now() - usageCache.measuredAt < usageCacheTtl) {
+            return usageCache.promise;
+        }
+
+        const promise = fs.promises.readdir(uploadsDir)
+            .then(names => names.reduce((chain, name, index) => chain
+                .then(usage => {
+                    const entryPath = path.join(uploadsDir, name);
+
+                    return Promise.all([fs.promises.lstat(entryPath), this.measure(entryPath)])
+                        .then(([entryStats, size]) => {
+                            if (index < usageListLimit) {
+                                usage.entries.push({
+                                    name,
+                                    size,
+                                    isDirectory: entryStats.isDirectory(),
+                                    created: entryStats.birthtime
+                                });
+                            }
+                            return { count: usage.count + 1, size: usage.size + size, entries: usage.entries };
+                        }, () => usage); // Se borró mientras se recorría el directorio
+                }),
+            Promise.resolve({ count: 0, size: 0, entries: [] })))
+            .catch(() => empty);
+
+        usageCache = { promise, measuredAt: Date.now() };
+        return promise;
+    }
+
+    /**
+     * Tamaño de un archivo o, si es un directorio, de todo su contenido
+     *
+     * @param {string} entryPath - Ruta de la entrada
+     * @returns {Promise<number>} - Promesa con los bytes; 0 si se borró mientras se recorría
+     */
+    static measure(entryPath) {
+        return fs.promises.lstat(entryPath)
+            .then(stats => {
+                if (!stats.isDirectory()) return stats.size;
+
+                return fs.promises.readdir(entryPath)
+                    .then(names => names.reduce((chain, name) => chain
+                        .then(total => this.measure(path.join(entryPath, name)).then(size => total + size)),
+                    Promise.resolve(0)));
+            })
+            .catch(() => 0);
+    }
+
+    /**
+     * Estado de la limpieza
+     *
+     * @returns {Object} - Configuración y resultado de las limpiezas
+     */
+    static getStats() {
+        return Object.assign({
+            interval: consts.janitorInterval,
+            ttl: consts.orphanFileTtl
+        }, stats);
+    }
+}
+
+module.exports = JanitorService;
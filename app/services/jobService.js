@@ -0,0 +1,389 @@
+/**
+ * Servicio de trabajos de conversión
+ *
+ * Este servicio mantiene en memoria el estado de las conversiones que se
+ * ejecutan en segundo plano, para que el cliente pueda consultarlas sin
+ * mantener abierta la petición HTTP.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const consts = require('../constants');
+const LogService = require('./logService');
+const FileService = require('./fileService');
+const QueueService = require('./queueService');
+const ErrorService = require('./errorService');
+
+// Trabajos registrados, indexados por id
+const jobs = new Map();
+
+// Emisor de eventos de los trabajos ('start', 'progress', 'end', 'error', 'cancelled')
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+class JobService {
+    /**
+     * Registra un nuevo trabajo de conversión
+     *
+     * @param {Object} data - Datos iniciales del trabajo
+     * @param {string} data.fileName - Nombre original del archivo subido
+     * @param {string} data.extension - Extensión del archivo de salida
+     * @param {number} data.inputSize - Tamaño del archivo subido en bytes
+     * @param {string} data.inputFile - Ruta al archivo subido
+     * @param {Object} data.control - Control de la conversión (ConversionService.createControl)
+     * @param {string} data.callbackUrl - URL a la que avisar cuando termine (opcional)
+     * @param {string} data.baseUrl - URL pública del servicio, para los enlaces del aviso
+     * @param {string} data.owner - Nombre de la API key que lo creó (null sin autenticación)
+     * @returns {Object} - Trabajo creado
+     */
+    static createJob(data) {
+        const now = new Date();
+        const job = {
+            id: crypto.randomUUID(),
+            status: 'queued',
+            fileName: data.fileName,
+            extension: data.extension,
+            inputSize: data.inputSize,
+            inputFile: data.inputFile,
+            control: data.control,
+            callbackUrl: data.callbackUrl || null,
+            baseUrl: data.baseUrl || null,
+            owner: data.owner || null,
+            progress: null,
+            outputFile: null,
+            outputDir: null,
+            manifest: null,
+            downloadName: null,
+            outputSize: null,
+            duration: null,
+            error: null,
+            code: null,
+            stderr: [],
+            statusCode: null,
+            createdAt: now,
+            updatedAt: now,
+            finishedAt: null
+        };
+
+        jobs.set(job.id, job);
+
+        LogService.info({
+            action: 'job_created',
+            jobId: job.id,
+            extension: job.extension
+        });
+
+        return job;
+    }
+
+    /**
+     * Obtiene un trabajo por su id
+     *
+     * @param {string} id - Id del trabajo
+     * @returns {Object|undefined} - Trabajo encontrado
+     */
+    static getJob(id) {
+        return jobs.get(id);
+    }
+
+    /**
+     * Archivos de los trabajos existentes (entrada, resultado y directorio
+     * de empaquetado), que la limpieza de uploads no debe tocar
+     *
+     * @returns {Array} - Rutas de los archivos
+     */
+    static getFiles() {
+        const files = [];
+
+        jobs.forEach(job => {
+            [job.inputFile, job.outputFile, job.outputDir].forEach(file => {
+                if (file) files.push(file);
+            });
+        });
+
+        return files;
+    }
+
+    /**
+     * Aplica cambios sobre un trabajo existente
+     *
+     * @param {string} id - Id del trabajo
+     * @param {Object} changes - Campos a actualizar
+     * @returns {Object|undefined} - Trabajo actualizado
+     */
+    static updateJob(id, changes) {
+        const job = jobs.get(id);
+        if (!job) return undefined;
+
+        Object.assign(job, changes, { updatedAt: new Date() });
+        return job;
+    }
+
+    /**
+     * Marca un trabajo como en proceso
+     *
+     * @param {string} id - Id del trabajo
+     */
+    static markProcessing(id) {
+        const job = this.updateJob(id, { status: 'processing' });
+        if (!job) return;
+
+        this.emit(job, 'start', this.serializeJob(job));
+    }
+
+    /**
+     * Registra el progreso reportado por FFmpeg
+     *
+     * @param {string} id - Id del trabajo
+     * @param {Object} progress - Progreso de fluent-ffmpeg
+     */
+    static updateProgress(id, progress) {
+        const job = this.updateJob(id, {
+            progress: {
+                percent: progress.percent,
+                frames: progress.frames,
+                fps: progress.currentFps,
+                timemark: progress.timemark
+            }
+        });
+        if (!job) return;
+
+        this.emit(job, 'progress', { id, ...job.progress });
+    }
+
+    /**
+     * Marca un trabajo como completado y programa su expiración
+     *
+     * @param {string} id - Id del trabajo
+     * @param {Object} result - Resultado del trabajo
+     * @param {string} result.outputFile - Ruta al archivo convertido
+     * @param {string} result.outputDir - Directorio de salida (empaquetado HLS/DASH)
+     * @param {string} result.manifest - Playlist o MPD dentro de outputDir
+     * @param {string} result.downloadName - Nombre de descarga del resultado
+     * @param {Object} result.storage - Ubicación del resultado si se guardó en un destino externo
+     * @param {number} result.outputSize - Tamaño del resultado en bytes
+     * @param {number} result.duration - Duración del resultado en segundos
+     */
+    static markCompleted(id, result) {
+        // Un trabajo cancelado mientras se guardaba el resultado no cambia de estado
+        if (this.hasFinished(id)) return;
+
+        const job = this.updateJob(id, {
+            status: 'completed',
+            outputFile: result.outputFile || null,
+            outputDir: result.outputDir || null,
+            manifest: result.manifest || null,
+            downloadName: result.downloadName,
+            storage: result.storage || null,
+            outputSize: result.outputSize || null,
+            duration: result.duration || null,
+            finishedAt: new Date()
+        });
+        if (!job) return;
+
+        LogService.info({
+            action: 'job_completed',
+            jobId: id,
+            outputFile: job.outputFile || job.outputDir
+        });
+
+        this.emit(job, 'end', this.serializeJob(job));
+        this.scheduleExpiration(job);
+    }
+
+    /**
+     * Marca un trabajo como fallido y programa su expiración
+     *
+     * El error se guarda con el mismo código y mensaje limpio que tendría
+     * una respuesta de error (ver ErrorService).
+     *
+     * @param {string} id - Id del trabajo
+     * @param {Error} error - Error de la conversión
+     * @param {number} statusCode - Código de estado HTTP asociado
+     */
+    static markFailed(id, error, statusCode) {
+        if (this.hasFinished(id)) return;
+
+        error.statusCode = error.statusCode || statusCode;
+        const failure = ErrorService.describe(error, 'FFMPEG_FAILED');
+        const job = this.updateJob(id, {
+            status: 'failed',
+            error: failure.message,
+            code: failure.code,
+            stderr: failure.stderr,
+            statusCode: statusCode || 500,
+            finishedAt: new Date()
+        });
+        if (!job) return;
+
+        LogService.error({
+            action: 'job_failed',
+            jobId: id,
+            code: job.code,
+            error: job.error
+        });
+
+        this.emit(job, 'error', this.serializeJob(job));
+        this.scheduleExpiration(job);
+    }
+
+    /**
+     * Marca un trabajo como cancelado y programa su expiración
+     *
+     * @param {string} id - Id del trabajo
+     * @param {string} reason - Motivo de la cancelación
+     */
+    static markCancelled(id, reason) {
+        const job = this.updateJob(id, {
+            status: 'cancelled',
+            error: reason,
+            finishedAt: new Date()
+        });
+        if (!job) return;
+
+        LogService.info({
+            action: 'job_cancelled',
+            jobId: id,
+            reason: reason
+        });
+
+        this.emit(job, 'cancelled', this.serializeJob(job));
+        this.scheduleExpiration(job);
+    }
+
+    /**
+     * Suscribe un listener a los eventos de un trabajo
+     *
+     * @param {string} id - Id del trabajo
+     * @param {Function} listener - Recibe (eventName, data)
+     * @returns {Function} - Función para cancelar la suscripción
+     */
+    static subscribe(id, listener) {
+        const channel = `job:${id}`;
+        events.on(channel, listener);
+        return () => events.removeListener(channel, listener);
+    }
+
+    /**
+     * Notifica un evento a los suscriptores de un trabajo
+     *
+     * @param {Object} job - Trabajo
+     * @param {string} eventName - Nombre del evento
+     * @param {Object} data - Datos del evento
+     */
+    static emit(job, eventName, data) {
+        events.emit(`job:${job.id}`, eventName, data);
+    }
+
+    /**
+     * Indica si un trabajo ya terminó (completado, fallido o cancelado)
+     *
+     * @param {Object} job - Trabajo
+     * @returns {boolean} - True si el trabajo está finalizado
+     */
+    static isFinished(job) {
+        return job.status === 'completed' || job.status === 'failed' || job.status === 'cancelled';
+    }
+
+    /**
+     * Indica si el trabajo con ese id existe y ya está finalizado
+     *
+     * @param {string} id - Id del trabajo
+     * @returns {boolean} - True si el trabajo está finalizado
+     */
+    static hasFinished(id) {
+        const job = jobs.get(id);
+        return Boolean(job) && this.isFinished(job);
+    }
+
+    /**
+     * Elimina el trabajo y su resultado una vez pasado el tiempo de retención
+     *
+     * @param {Object} job - Trabajo finalizado
+     */
+    static scheduleExpiration(job) {
+        const timer = setTimeout(() => this.removeJob(job.id), consts.jobTtl);
+        // No mantener vivo el proceso sólo por la expiración de trabajos
+        timer.unref();
+    }
+
+    /**
+     * Elimina un trabajo y su archivo de salida
+     *
+     * @param {string} id - Id del trabajo
+     * @returns {boolean} - True si el trabajo existía
+     */
+    static removeJob(id) {
+        const job = jobs.get(id);
+        if (!job) return false;
+
+        if (job.outputFile) {
+            FileService.deleteFile(job.outputFile);
+        }
+        if (job.outputDir) {
+            FileService.deleteDirectory(job.outputDir);
+        }
+        jobs.delete(id);
+
+        LogService.info({
+            action: 'job_removed',
+            jobId: id
+        });
+
+        return true;
+    }
+
+    /**
+     * Devuelve la representación pública de un trabajo
+     *
+     * @param {Object} job - Trabajo
+     * @returns {Object} - Datos del trabajo aptos para el cliente
+     */
+    static serializeJob(job) {
+        const data = {
+            id: job.id,
+            status: job.status,
+            fileName: job.fileName,
+            extension: job.extension,
+            progress: job.progress,
+            createdAt: job.createdAt,
+            updatedAt: job.updatedAt,
+            finishedAt: job.finishedAt,
+            statusUrl: `/jobs/${job.id}`
+        };
+
+        if (job.status === 'queued') {
+            data.queuePosition = QueueService.getPosition(job.id);
+        }
+
+        if (job.status === 'completed') {
+            data.resultUrl = `/jobs/${job.id}/result`;
+            data.outputSize = job.outputSize;
+            data.duration = job.duration;
+        }
+
+        if (job.status === 'completed' && job.storage) {
+            data.storage = job.storage;
+        }
+
+        if (job.status === 'completed' && job.manifest) {
+            data.manifestUrl = `/jobs/${job.id}/files/${job.manifest}`;
+        }
+
+        if (job.status === 'failed') {
+            data.error = job.error;
+            data.code = job.code;
+            if (job.stderr.length > 0) {
+                data.stderr = job.stderr;
+            }
+        }
+
+        if (job.status === 'cancelled') {
+            data.reason = job.error;
+        }
+
+        return data;
+    }
+}
+
+module.exports = JobService;
@@ -0,0 +1,180 @@
+/**
+ * Servicio de logs
+ *
+ * Este servicio escribe las líneas de log en JSON a través de winston y les
+ * añade el identificador de la petición (requestId) que las originó. El
+ * identificador llega en la cabecera X-Request-Id o se genera, se devuelve en
+ * la respuesta y se conserva con AsyncLocalStorage durante todo el trabajo de
+ * la petición (subida, cola, FFmpeg, webhooks), sin pasarlo de servicio en
+ * servicio. La salida de error de FFmpeg se resume en lugar de registrar
+ * cada línea.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const winston = require('winston');
+const consts = require('../constants');
+
+// Contexto de la petición en curso ({ requestId })
+const storage = new AsyncLocalStorage();
+
+// Identificadores aceptados en X-Request-Id; los demás se sustituyen por uno nuevo
+const validRequestId = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Líneas de progreso de FFmpeg, que sólo se cuentan
+const progressLine = /^\s*(frame|size)=/;
+
+// Líneas de stderr que se guardan para el resumen
+const summaryLines = 5;
+
+class LogService {
+    /**
+     * Configura winston: salida por consola con fecha y el nivel de logLevel
+     */
+    static configure() {
+        winston.remove(winston.transports.Console);
+        winston.add(winston.transports.Console, { timestamp: true, level: consts.logLevel });
+    }
+
+    /**
+     * Middleware que asigna el identificador de la petición
+     *
+     * Se acepta el X-Request-Id del cliente si es válido; si no, se genera uno.
+     *
+     * @returns {Function} - Middleware de Express
+     */
+    static middleware() {
+        return (req, res, next) => {
+            const header = req.headers['x-request-id'];
+            req.id = header && validRequestId.test(header) ? header : crypto.randomUUID();
+            res.setHeader('X-Request-Id', req.id);
+
+            storage.run({ requestId: req.id }, next);
+        };
+    }
+
+    /**
+     * Identificador de la petición en curso
+     *
+     * @returns {string|null} - requestId, o null fuera de una petición
+     */
+    static getRequestId() {
+        const context = storage.getStore();
+        return context ? context.requestId : null;
+    }
+
+    /**
+     * Asocia una función al contexto actual, para las que se ejecutan más
+     * tarde desde otro contexto (la cola, los eventos de la subida)
+     *
+     * @param {Function} fn - Función
+     * @returns {Function} - Función que se ejecuta con el requestId actual
+     */
+    static bind(fn) {
+        return AsyncResource.bind(fn);
+    }
+
+    /**
+     * Escribe una línea de log
+     *
+     * @param {string} level - Nivel (error, warn, info, debug)
+     * @param {Object} entry - Datos de la línea (action o type, ...)
+     */
+    static log(level, entry) {
+        const requestId = this.getRequestId();
+        winston.log(level, JSON.stringify(requestId ? Object.assign({ requestId }, entry) : entry));
+    }
+
+    /**
+     * Escribe una línea de error
+     *
+     * @param {Object} entry - Datos de la línea
+     */
+    static error(entry) {
+        this.log('error', entry);
+    }
+
+    /**
+     * Escribe una línea de aviso
+     *
+     * @param {Object} entry - Datos de la línea
+     */
+    static warn(entry) {
+        this.log('warn', entry);
+    }
+
+    /**
+     * Escribe una línea informativa
+     *
+     * @param {Object} entry - Datos de la línea
+     */
+    static info(entry) {
+        this.log('info', entry);
+    }
+
+    /**
+     * Escribe una línea de depuración (sólo con LOG_LEVEL=debug)
+     *
+     * @param {Object} entry - Datos de la línea
+     */
+    static debug(entry) {
+        this.log('debug', entry);
+    }
+
+    /**
+     * Crea el registro de la salida de error de un proceso de FFmpeg
+     *
+     * Cada línea se cuenta; una de cada ffmpegStderrSampleRate se escribe en
+     * debug. Al terminar, summary() escribe una sola línea en info con el
+     * número de líneas y las últimas que no son de progreso.
+     *
+     * @param {Object} context - Datos que se añaden a cada línea (method...)
+     * @returns {Object} - { write(text), summary(extra) }
+     */
+    static createStderrLog(context) {
+        const last = [];
+        let lines = 0;
+        let progress = 0;
+        let partial = '';
+
+        const addLine = line => {
+            if (line.trim() === '') return;
+
+            lines++;
+            if (progressLine.test(line)) {
+                progress++;
+            } else {
+                last.push(line.trim());
+                if (last.length > summaryLines) last.shift();
+            }
+
+            if (consts.ffmpegStderrSampleRate > 0 && (lines - 1) % consts.ffmpegStderrSampleRate === 0) {
+                this.debug(Object.assign({ action: 'ffmpeg_stderr', line: lines, output: line }, context));
+            }
+        };
+
+        return {
+            // Acepta líneas sueltas o fragmentos del stream con varias líneas
+            write: text => {
+                const parts = (partial + String(text)).split(/\r\n|\r|\n/);
+                partial = parts.pop();
+                parts.forEach(addLine);
+            },
+            summary: extra => {
+                if (partial) {
+                    addLine(partial);
+                    partial = '';
+                }
+
+                this.info(Object.assign({
+                    action: 'ffmpeg_stderr_summary',
+                    lines,
+                    progressLines: progress,
+                    last: last.slice()
+                }, context, extra));
+            }
+        };
+    }
+}
+
+module.exports = LogService;
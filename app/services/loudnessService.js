@@ -0,0 +1,163 @@
+/**
+ * Servicio de normalización de sonoridad
+ *
+ * Este servicio normaliza el audio con el filtro loudnorm de FFmpeg en dos
+ * pasadas: la primera mide la sonoridad real del archivo y la segunda aplica
+ * la corrección con esas medidas, lo que da un resultado lineal y preciso.
+ */
+
+const LogService = require('./logService');
+const ConversionService = require('./conversionService');
+const ParameterService = require('./parameterService');
+
+class LoudnessService {
+    /**
+     * Valida los parámetros de normalización
+     *
+     * @param {Object} source - Parámetros de la query y/o campos del formulario
+     * @param {Object} config - Estándares admitidos por el endpoint (o undefined si no admite normalización)
+     * @returns {Object|null} - { standard, integrated, truePeak, range } o null si no se pide
+     * @throws {Error} - Error con statusCode 400 si algún valor no es válido
+     */
+    static parseOptions(source, config) {
+        if (source.normalize === undefined || source.normalize === '') {
+            if (source.target_lufs !== undefined) {
+                throw ParameterService.createValidationError('target_lufs requires the normalize parameter');
+            }
+            return null;
+        }
+
+        if (!config) {
+            throw ParameterService.createValidationError('Parameter "normalize" is not supported by this endpoint');
+        }
+
+        const standard = String(source.normalize).toLowerCase();
+        const settings = config[standard];
+        if (!settings) {
+            throw ParameterService.createValidationError(`normalize must be one of: ${Object.keys(config).join(', ')}`);
+        }
+
+        let integrated = settings.integrated;
+        if (source.target_lufs !== undefined && source.target_lufs !== '') {
+            integrated = Number(source.target_lufs);
+            if (isNaN(integrated) || integrated < settings.minIntegrated || integrated > settings.maxIntegrated) {
+                throw ParameterService.createValidationError(`target_lufs must be a number between ${settings.minIntegrated} and ${settings.maxIntegrated}`);
+            }
+        }
+
+        return {
+            standard,
+            integrated,
+            truePeak: settings.truePeak,
+            range: settings.range
+        };
+    }
+
+    /**
+     * Primera pasada: mide la sonoridad del archivo
+     *
+     * @param {string} inputFile - Ruta al archivo
+     * @param {Object} normalize - Opciones devueltas por parseOptions()
+     * @param {Object} trimOptions - Opciones de recorte, para medir sólo el fragmento a convertir
+     * @param {Object} control - Control de la conversión para poder cancelarla
+     * @returns {Promise<Object|null>} - Medidas de loudnorm, o null si el audio es silencio
+     */
+    static measure(inputFile, normalize, trimOptions, control) {
+        const trim = trimOptions || { inputOptions: [], outputOptions: [] };
+
+        LogService.info({
+            action: 'loudness_measure_start',
+            inputFile: inputFile,
+            standard: normalize.standard,
+            integrated: normalize.integrated
+        });
+
+        return ConversionService.runFFmpeg({
+            inputFile,
+            inputOptions: trim.inputOptions,
+            outputOptions: [
+                ...trim.outputOptions,
+                '-vn',
+                `-af ${this.getTargetFilter(normalize)}:print_format=json`,
+                '-f null'
+            ],
+            outputFile: '-',
+            control
+        }).then(result => {
+            const measured = this.parseMeasurement(result.stderr);
+
+            LogService.info({
+                action: 'loudness_measured',
+                inputFile: inputFile,
+                measured: measured
+            });
+
+            if (!measured) {
+                const measureError = new Error('Could not measure the loudness of the audio track');
+                measureError.statusCode = 422;
+                throw measureError;
+            }
+
+            // Un audio en silencio no tiene sonoridad que corregir
+            return isFinite(parseFloat(measured.input_i)) ? measured : null;
+        });
+    }
+
+    /**
+     * Extrae las medidas en JSON que loudnorm escribe al final de stderr
+     *
+     * @param {string} stderr - Salida de error de FFmpeg
+     * @returns {Object|null} - Medidas, o null si no se encuentran
+     */
+    static parseMeasurement(stderr) {
+        const start = stderr.lastIndexOf('{');
+        const end = stderr.lastIndexOf('}');
+        if (start === -1 || end < start) return null;
+
+        try {
+            return JSON.parse(stderr.substring(start, end + 1));
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Segunda pasada: construye el filtro de corrección con las medidas
+     *
+     * @param {Object} normalize - Opciones devueltas por parseOptions()
+     * @param {Object} measured - Medidas devueltas por measure()
+     * @returns {string} - Filtro para -af
+     */
+    static buildFilter(normalize, measured) {
+        return [
+            this.getTargetFilter(normalize),
+            `measured_I=${measured.input_i}`,
+            `measured_TP=${measured.input_tp}`,
+            `measured_LRA=${measured.input_lra}`,
+            `measured_thresh=${measured.input_thresh}`,
+            `offset=${measured.target_offset}`,
+            'linear=true'
+        ].join(':');
+    }
+
+    /**
+     * Filtros de FFmpeg que necesita la normalización
+     *
+     * @returns {Object} - { encoders, filters }, como CapabilityService.getRequirements()
+     */
+    static getRequirements() {
+        return { encoders: [], filters: ['loudnorm'] };
+    }
+
+    /**
+     * Filtro loudnorm con los objetivos del estándar
+     *
+     * @param {Object} normalize - Opciones devueltas por parseOptions()
+     * @returns {string} - Filtro sin medidas
+     */
+    static getTargetFilter(normalize) {
+        return `loudnorm=I=${normalize.integrated}:TP=${normalize.truePeak}:LRA=${normalize.range}`;
+    }
+}
+
+module.exports = LoudnessService;
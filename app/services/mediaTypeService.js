@@ -0,0 +1,245 @@
+/**
+ * Servicio de detección del tipo de archivo
+ *
+ * Este servicio comprueba el archivo recibido antes de pasarlo a FFmpeg: lee
+ * sus primeros bytes (firma o "magic bytes") para reconocer el formato sin
+ * fiarse del tipo MIME que envía el cliente, lo inspecciona con ffprobe para
+ * saber si es audio, vídeo o imagen y lo compara con los tipos de entrada que
+ * acepta la ruta (accepts). Si no coincide se responde 415.
+ */
+
+const fs = require('fs');
+const LogService = require('./logService');
+const ProbeService = require('./probeService');
+
+// Bytes del inicio del archivo que se leen para reconocer la firma (la de
+// MPEG-TS se repite en el byte 188)
+const headerSize = 189;
+
+/**
+ * Firma de un formato: lista de [posición, bytes] que deben coincidir
+ *
+ * @param {...Array} parts - Pares [offset, texto latin1 o Buffer]
+ * @returns {Array} - Partes de la firma como Buffers
+ */
+function signature(...parts) {
+    return parts.map(([offset, value]) => [offset, Buffer.isBuffer(value) ? value : Buffer.from(value, 'latin1')]);
+}
+
+/**
+ * Bytes a partir de su representación hexadecimal
+ *
+ * @param {string} value - Bytes en hexadecimal
+ * @returns {Buffer} - Bytes
+ */
+function hex(value) {
+    return Buffer.from(value, 'hex');
+}
+
+// Formatos multimedia reconocibles por su firma, en orden de comprobación. En
+// los contenedores que pueden llevar audio o vídeo (MP4, Ogg, Matroska...) la
+// categoría la decide ffprobe y sólo se fija aquí el subtipo del tipo MIME.
+const mediaSignatures = [
+    { subtype: 'avif', category: 'image', parts: signature([4, 'ftypavif']) },
+    { subtype: 'heic', category: 'image', parts: signature([4, 'ftypheic']) },
+    { subtype: 'heic', category: 'image', parts: signature([4, 'ftypmif1']) },
+    { subtype: 'quicktime', parts: signature([4, 'ftypqt  ']) },
+    { subtype: '3gpp', parts: signature([4, 'ftyp3g']) },
+    { subtype: 'mp4', parts: signature([4, 'ftyp']) },
+    { subtype: 'quicktime', parts: signature([4, 'moov']) },
+    { subtype: 'quicktime', parts: signature([4, 'mdat']) },
+    { subtype: 'quicktime', parts: signature([4, 'wide']) },
+    { subtype: 'webm', parts: signature([0, hex('1a45dfa3')]), contains: 'webm' },
+    { subtype: 'x-matroska', parts: signature([0, hex('1a45dfa3')]) },
+    { subtype: 'ogg', parts: signature([0, 'OggS']) },
+    { subtype: 'wav', parts: signature([0, 'RIFF'], [8, 'WAVE']) },
+    { subtype: 'x-msvideo', parts: signature([0, 'RIFF'], [8, 'AVI ']) },
+    { subtype: 'webp', category: 'image', parts: signature([0, 'RIFF'], [8, 'WEBP']) },
+    { subtype: 'aiff', parts: signature([0, 'FORM'], [8, 'AIFF']) },
+    { subtype: 'flac', parts: signature([0, 'fLaC']) },
+    { subtype: 'mpeg', parts: signature([0, 'ID3']) },
+    { subtype: 'mpeg', parts: signature([0, hex('fffb')]) },
+    { subtype: 'mpeg', parts: signature([0, hex('fff3')]) },
+    { subtype: 'mpeg', parts: signature([0, hex('fff2')]) },
+    { subtype: 'aac', parts: signature([0, hex('fff1')]) },
+    { subtype: 'aac', parts: signature([0, hex('fff9')]) },
+    { subtype: 'amr', parts: signature([0, '#!AMR']) },
+    { subtype: 'x-caf', parts: signature([0, 'caff']) },
+    { subtype: 'x-flv', parts: signature([0, 'FLV']) },
+    { subtype: 'x-ms-asf', parts: signature([0, hex('3026b2758e66cf11')]) },
+    { subtype: 'mpeg', parts: signature([0, hex('000001ba')]) },
+    { subtype: 'mp2t', parts: signature([0, hex('47')], [188, hex('47')]) },
+    { subtype: 'png', category: 'image', parts: signature([0, hex('89504e470d0a1a0a')]) },
+    { subtype: 'jpeg', category: 'image', parts: signature([0, hex('ffd8ff')]) },
+    { subtype: 'gif', category: 'image', parts: signature([0, 'GIF8']) },
+    { subtype: 'tiff', category: 'image', parts: signature([0, hex('49492a00')]) },
+    { subtype: 'tiff', category: 'image', parts: signature([0, hex('4d4d002a')]) },
+    { subtype: 'bmp', category: 'image', parts: signature([0, 'BM']) }
+];
+
+// Formatos que no son multimedia, para rechazarlos sin llegar a ffprobe
+const documentSignatures = [
+    { mimeType: 'application/pdf', name: 'PDF document', parts: signature([0, '%PDF-']) },
+    { mimeType: 'application/zip', name: 'ZIP archive (or Office document)', parts: signature([0, hex('504b0304')]) },
+    { mimeType: 'application/gzip', name: 'gzip archive', parts: signature([0, hex('1f8b')]) },
+    { mimeType: 'application/vnd.rar', name: 'RAR archive', parts: signature([0, 'Rar!']) },
+    { mimeType: 'application/x-7z-compressed', name: '7-Zip archive', parts: signature([0, hex('377abcaf271c')]) },
+    { mimeType: 'application/x-ole-storage', name: 'legacy Office document', parts: signature([0, hex('d0cf11e0a1b11ae1')]) },
+    { mimeType: 'application/x-executable', name: 'executable', parts: signature([0, hex('7f454c46')]) },
+    { mimeType: 'application/x-msdownload', name: 'Windows executable', parts: signature([0, 'MZ']) }
+];
+
+// Contenedores de ffprobe que corresponden a imágenes fijas
+const imageContainers = /(_pipe|^image2)$/;
+
+class MediaTypeService {
+    /**
+     * Comprueba que un archivo es del tipo que acepta la ruta
+     *
+     * @param {string} filePath - Ruta al archivo recibido
+     * @param {Array} accepts - Tipos MIME aceptados (audio/*, video/mp4...)
+     * @returns {Promise<Object>} - Promesa con { mimeType, category, info } (info es el resultado de ProbeService.probe())
+     */
+    static check(filePath, accepts) {
+        return this.sniff(filePath)
+            .then(sniffed => {
+                if (sniffed && sniffed.document) {
+                    throw this.createError(
+                        `The file is a ${sniffed.name} (${sniffed.mimeType}), not an audio, video or image file`, 415);
+                }
+
+                return ProbeService.probe(filePath)
+                    .then(info => this.describe(sniffed, info), err => {
+                        // ffprobe no se pudo ejecutar: el archivo no tiene la culpa
+                        if (err.statusCode >= 500) throw err;
+
+                        // Con una firma conocida el archivo es multimedia pero está dañado
+                        throw sniffed
+                            ? this.createError(`The file looks like ${sniffed.subtype.toUpperCase()} but could not be read`, 422)
+                            : this.createError('The file is not a recognized audio, video or image file', 415);
+                    });
+            })
+            .then(detected => {
+                LogService.info({
+                    action: 'media_type_detected',
+                    path: filePath,
+                    mimeType: detected.mimeType,
+                    category: detected.category,
+                    container: detected.info.container
+                });
+
+                if (!detected.category) {
+                    throw this.createError('The file has no audio or video stream', 415);
+                }
+
+                if (accepts && !this.matches(detected, accepts)) {
+                    throw this.createError(
+                        `The file is ${detected.mimeType || `${detected.category} (${detected.info.container})`}; this endpoint accepts ${accepts.join(', ')}`, 415);
+                }
+
+                return detected;
+            });
+    }
+
+    /**
+     * Reconoce el formato por los primeros bytes del archivo
+     *
+     * @param {string} filePath - Ruta al archivo
+     * @returns {Promise<Object|null>} - { subtype, category } de un formato multimedia,
+     *                                   { document: true, mimeType, name } de uno que no lo es, o null si no se reconoce
+     */
+    static sniff(filePath) {
+        return new Promise((resolve, reject) => {
+            fs.open(filePath, 'r', (err, fd) => {
+                if (err) return reject(err);
+
+                const header = Buffer.alloc(headerSize);
+                fs.read(fd, header, 0, header.length, 0, (readError, bytesRead) => {
+                    fs.close(fd, () => {});
+                    if (readError) return reject(readError);
+
+                    resolve(this.identify(header.slice(0, bytesRead)));
+                });
+            });
+        });
+    }
+
+    /**
+     * Busca la firma que coincide con unos bytes
+     *
+     * @param {Buffer} header - Primeros bytes del archivo
+     * @returns {Object|null} - Formato reconocido, o null
+     */
+    static identify(header) {
+        const matchesSignature = entry => entry.parts.every(([offset, bytes]) =>
+            header.length >= offset + bytes.length && header.slice(offset, offset + bytes.length).equals(bytes));
+
+        const document = documentSignatures.find(matchesSignature);
+        if (document) {
+            return { document: true, mimeType: document.mimeType, name: document.name };
+        }
+
+        const media = mediaSignatures.find(entry => matchesSignature(entry) &&
+            (!entry.contains || header.includes(entry.contains)));
+
+        return media ? { subtype: media.subtype, category: media.category || null } : null;
+    }
+
+    /**
+     * Combina la firma y la información de ffprobe
+     *
+     * @param {Object|null} sniffed - Formato reconocido por sniff()
+     * @param {Object} info - Información de ProbeService.probe()
+     * @returns {Object} - { mimeType, category, info }
+     */
+    static describe(sniffed, info) {
+        let category = sniffed && sniffed.category;
+
+        if (!category) {
+            // Las carátulas de un MP3 o M4A son streams de vídeo pero no hacen el archivo un vídeo
+            const hasVideo = info.streams.some(stream => stream.type === 'video' && !stream.attachedPic);
+
+            if (info.container && imageContainers.test(info.container)) {
+                category = 'image';
+            } else if (hasVideo) {
+                category = 'video';
+            } else if (info.hasAudio) {
+                category = 'audio';
+            } else {
+                category = null;
+            }
+        }
+
+        return {
+            mimeType: sniffed && category ? `${category}/${sniffed.subtype}` : null,
+            category,
+            info
+        };
+    }
+
+    /**
+     * Comprueba si el tipo detectado está entre los aceptados
+     *
+     * @param {Object} detected - Resultado de describe()
+     * @param {Array} accepts - Tipos MIME aceptados
+     * @returns {boolean} - true si algún tipo coincide
+     */
+    static matches(detected, accepts) {
+        return accepts.some(type => type === `${detected.category}/*` || type === detected.mimeType);
+    }
+
+    /**
+     * Crea un error con código de estado HTTP
+     *
+     * @param {string} message - Mensaje del error
+     * @param {number} statusCode - Código de estado
+     * @returns {Error} - Error
+     */
+    static createError(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+module.exports = MediaTypeService;
@@ -0,0 +1,233 @@
+/**
+ * Servicio de métricas
+ *
+ * Este servicio mantiene las métricas del servicio en formato Prometheus
+ * (prom-client), que se publican en /metrics: peticiones por ruta y estado,
+ * duración, bytes y ratio de compresión de las conversiones por preset, uso
+ * del método alternativo de FFmpeg, timeouts, procesos de FFmpeg activos,
+ * estado de la cola y tamaño del directorio de uploads.
+ */
+
+const fs = require('fs');
+const client = require('prom-client');
+const QueueService = require('./queueService');
+const JanitorService = require('./janitorService');
+
+// Prefijo de todas las métricas del servicio
+const prefix = 'ffmpeg_api_';
+
+// Registro propio, para no mezclar con otras librerías que usen prom-client
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix });
+
+const httpRequests = new client.Counter({
+    name: `${prefix}http_requests_total`,
+    help: 'HTTP requests by route, method and status code',
+    labelNames: ['route', 'method', 'status'],
+    registers: [register]
+});
+
+const conversionDuration = new client.Histogram({
+    name: `${prefix}conversion_duration_seconds`,
+    help: 'Duration of conversions by preset and result (success, failed, timeout, cancelled)',
+    labelNames: ['preset', 'result'],
+    buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1800],
+    registers: [register]
+});
+
+const inputBytes = new client.Counter({
+    name: `${prefix}conversion_input_bytes_total`,
+    help: 'Bytes of the input files of successful conversions',
+    labelNames: ['preset'],
+    registers: [register]
+});
+
+const outputBytes = new client.Counter({
+    name: `${prefix}conversion_output_bytes_total`,
+    help: 'Bytes of the output files of successful conversions',
+    labelNames: ['preset'],
+    registers: [register]
+});
+
+const compressionRatio = new client.Histogram({
+    name: `${prefix}conversion_compression_ratio`,
+    help: 'Output size divided by input size of successful conversions',
+    labelNames: ['preset'],
+    buckets: [0.05, 0.1, 0.2, 0.3, 0.5, 0.75, 1, 1.5, 2, 5],
+    registers: [register]
+});
+
+const fallbacks = new client.Counter({
+    name: `${prefix}ffmpeg_fallback_total`,
+    help: 'Conversions retried with the direct FFmpeg command after fluent-ffmpeg failed',
+    labelNames: ['preset'],
+    registers: [register]
+});
+
+const timeouts = new client.Counter({
+    name: `${prefix}ffmpeg_timeouts_total`,
+    help: 'FFmpeg commands stopped after FFMPEG_TIMEOUT',
+    registers: [register]
+});
+
+// Procesos de FFmpeg en ejecución
+let activeProcesses = 0;
+
+new client.Gauge({
+    name: `${prefix}ffmpeg_active_processes`,
+    help: 'FFmpeg processes currently running',
+    registers: [register],
+    collect() {
+        this.set(activeProcesses);
+    }
+});
+
+new client.Gauge({
+    name: `${prefix}queue_running`,
+    help: 'Conversions holding a queue slot',
+    registers: [register],
+    collect() {
+        this.set(QueueService.getStats().running);
+    }
+});
+
+new client.Gauge({
+    name: `${prefix}queue_waiting`,
+    help: 'Conversions waiting in the queue',
+    registers: [register],
+    collect() {
+        this.set(QueueService.getStats().waiting);
+    }
+});
+
+new client.Gauge({
+    name: `${prefix}uploads_bytes`,
+    help: 'Total size of the files in the uploads directory',
+    registers: [register],
+    collect() {
+        return JanitorService.getUploadsUsage().then(usage => this.set(usage.size));
+    }
+});
+
+new client.Gauge({
+    name: `${prefix}uploads_files`,
+    help: 'Entries in the uploads directory',
+    registers: [register],
+    collect() {
+        return JanitorService.getUploadsUsage().then(usage => this.set(usage.count));
+    }
+});
+
+class MetricsService {
+    /**
+     * Middleware que cuenta las peticiones por ruta y estado
+     *
+     * Se usa el patrón de la ruta (/jobs/:id), no la URL, para no crear una
+     * serie por cada id.
+     *
+     * @returns {Function} - Middleware de Express
+     */
+    static middleware() {
+        return (req, res, next) => {
+            res.on('finish', () => {
+                const route = req.route ? `${req.baseUrl}${req.route.path}` : (req.baseUrl || 'unmatched');
+
+                httpRequests.inc({
+                    route,
+                    method: req.method,
+                    status: res.statusCode
+                });
+            });
+
+            next();
+        };
+    }
+
+    /**
+     * Empieza a medir una conversión
+     *
+     * @param {string} preset - Nombre del preset
+     * @param {string} inputFile - Archivo de entrada, para su tamaño
+     * @returns {Function} - Función (err, outputFile) que registra el resultado
+     */
+    static startConversion(preset, inputFile) {
+        const end = conversionDuration.startTimer({ preset });
+        const inputSize = this.getFileSize(inputFile);
+
+        return (err, outputFile) => {
+            if (err) {
+                end({ result: err.statusCode === 504 ? 'timeout' : err.statusCode === 499 ? 'cancelled' : 'failed' });
+                return;
+            }
+
+            end({ result: 'success' });
+
+            const outputSize = this.getFileSize(outputFile);
+            inputBytes.inc({ preset }, inputSize);
+            outputBytes.inc({ preset }, outputSize);
+            if (inputSize > 0) {
+                compressionRatio.observe({ preset }, outputSize / inputSize);
+            }
+        };
+    }
+
+    /**
+     * Registra un proceso de FFmpeg en ejecución
+     *
+     * @returns {Function} - Función que lo da por terminado; se puede llamar más de una vez
+     */
+    static trackProcess() {
+        let finished = false;
+        activeProcesses++;
+
+        return () => {
+            if (finished) return;
+            finished = true;
+            activeProcesses--;
+        };
+    }
+
+    /**
+     * Registra una conversión que pasa al método alternativo
+     *
+     * @param {string} preset - Nombre del preset
+     */
+    static recordFallback(preset) {
+        fallbacks.inc({ preset: preset || 'unknown' });
+    }
+
+    /**
+     * Registra un comando de FFmpeg detenido por timeout
+     */
+    static recordTimeout() {
+        timeouts.inc();
+    }
+
+    /**
+     * Métricas en formato de texto de Prometheus
+     *
+     * @returns {Promise<Object>} - Promesa con { contentType, body }
+     */
+    static render() {
+        return register.metrics().then(body => ({
+            contentType: register.contentType,
+            body
+        }));
+    }
+
+    /**
+     * Tamaño de un archivo, o 0 si ya no existe
+     *
+     * @param {string} filePath - Ruta al archivo
+     * @returns {number} - Bytes
+     */
+    static getFileSize(filePath) {
+        try {
+            return fs.statSync(filePath).size;
+        } catch (error) {
+            return 0;
+        }
+    }
+}
+
+module.exports = MetricsService;
@@ -0,0 +1,563 @@
+/**
+ * Servicio de documentación OpenAPI
+ *
+ * Este servicio genera un documento OpenAPI 3 a partir del registro de rutas
+ * (presets publicados, herramientas y rutas fijas), de modo que la
+ * especificación siempre coincide con lo que el servicio acepta. Los equipos
+ * cliente pueden generar SDKs con él o explorarlo en /docs.
+ */
+
+const AuthService = require('./authService');
+const ErrorService = require('./errorService');
+const RouteService = require('./routeService');
+const StorageService = require('./storageService');
+const TrimService = require('./trimService');
+const packageInfo = require('../../package.json');
+
+// Etiqueta de cada grupo de endpoints
+const tags = {
+    audio: 'Audio',
+    video: 'Video',
+    image: 'Image',
+    compress: 'Compression',
+    tools: 'Tools',
+    jobs: 'Jobs',
+    info: 'Info'
+};
+
+// Respuestas de error comunes, con el texto de error que usa el servicio
+const errorResponses = {
+    BadRequest: 'Invalid parameters or upload (error: "Invalid parameters", "Upload failed")',
+    Unauthorized: 'Missing or invalid API key',
+    Forbidden: 'The API key cannot use this endpoint group',
+    NotFound: 'Job or file not found',
+    PayloadTooLarge: 'The file exceeds the size limit',
+    UnsupportedMediaType: 'The file is not one of the input types the route accepts, or the remote URL returned a page instead of a media file',
+    UnprocessableEntity: 'The file cannot be processed (e.g. no audio stream)',
+    TooManyRequests: 'Rate limit of the API key exceeded',
+    InternalError: 'FFmpeg or the server failed (error: "Conversion failed", "Packaging failed"...)',
+    NotImplemented: 'The FFmpeg build lacks an encoder or filter the preset needs',
+    BadGateway: 'The remote URL or the output storage failed',
+    QueueFull: 'The conversion queue is full',
+    Timeout: 'The conversion or the remote download timed out',
+    InsufficientStorage: 'Not enough free disk space to accept the file'
+};
+
+class OpenApiService {
+    /**
+     * Genera el documento OpenAPI
+     *
+     * @param {Object} tools - Herramientas (endpoints.tools)
+     * @returns {Object} - Documento OpenAPI 3
+     */
+    static build(tools) {
+        const document = {
+            openapi: '3.0.3',
+            info: {
+                title: 'FFmpeg Web Service API',
+                description: packageInfo.description,
+                version: packageInfo.version
+            },
+            tags: Object.keys(tags).map(key => ({ name: tags[key] })),
+            paths: {},
+            components: this.buildComponents()
+        };
+
+        RouteService.getRoutes().forEach(route => {
+            const path = route.path
+                .replace(/:([A-Za-z_]+)/g, '{$1}')
+                .replace(/\*$/, '{file}');
+            const operation = this.buildOperation(route, tools);
+
+            document.paths[path] = document.paths[path] || {};
+            document.paths[path][route.method.toLowerCase()] = operation;
+        });
+
+        return document;
+    }
+
+    /**
+     * Genera la operación de una ruta
+     *
+     * @param {Object} route - Ruta del registro
+     * @param {Object} tools - Herramientas (endpoints.tools)
+     * @returns {Object} - Operación OpenAPI
+     */
+    static buildOperation(route, tools) {
+        if (route.preset) {
+            return this.buildConversionOperation(route);
+        }
+
+        if (route.tool) {
+            return this.buildToolOperation(route, tools[route.tool]);
+        }
+
+        return this.buildFixedOperation(route);
+    }
+
+    /**
+     * Operación de un preset de conversión
+     *
+     * @param {Object} route - Ruta del registro
+     * @returns {Object} - Operación OpenAPI
+     */
+    static buildConversionOperation(route) {
+        const options = Object.assign({}, route.parameters, this.describeDeliveryOptions());
+
+        const operation = {
+            tags: [tags[route.group]],
+            operationId: this.getOperationId(route.deprecated ? `legacy ${route.preset}` : `convert ${route.preset}`),
+            summary: route.description,
+            parameters: this.toQueryParameters(options),
+            requestBody: this.buildUploadBody(options, route.accepts),
+            responses: Object.assign({
+                200: this.binaryResponse(route.produces, 'Converted file, or its location when output is set', true),
+                202: { $ref: '#/components/responses/JobAccepted' }
+            }, this.errorRefs(['BadRequest', 'PayloadTooLarge', 'UnsupportedMediaType', 'UnprocessableEntity',
+                'InternalError', 'NotImplemented', 'BadGateway', 'QueueFull', 'Timeout', 'InsufficientStorage']))
+        };
+
+        if (route.deprecated) {
+            operation.deprecated = true;
+            operation.description = `Deprecated alias of ${route.replacement}.`;
+        }
+
+        return this.secure(operation);
+    }
+
+    /**
+     * Operación de una herramienta (miniaturas, extracción de audio, HLS/DASH)
+     *
+     * @param {Object} route - Ruta del registro
+     * @param {Object} tool - Configuración de la herramienta
+     * @returns {Object} - Operación OpenAPI
+     */
+    static buildToolOperation(route, tool) {
+        let options = {};
+        const parameters = [];
+        const responses = {
+            200: this.binaryResponse(route.produces, 'Result of the tool', false)
+        };
+
+        if (route.tool === 'thumbnail') {
+            options = {
+                time: { type: 'time', description: 'Instant of the frame, in seconds, HH:MM:SS(.ms) or "auto" (default)' },
+                width: { type: 'integer', description: 'Width in pixels (height keeps the aspect ratio)', min: 16, max: tool.maxWidth },
+                format: { type: 'string', description: `Image format (default ${tool.defaultFormat})`, allowed: Object.keys(tool.formats) },
+                count: { type: 'integer', description: 'Number of evenly spaced frames; more than 1 returns a ZIP', min: 1, max: tool.maxCount }
+            };
+        } else if (route.tool === 'audio') {
+            parameters.push({
+                name: 'format',
+                in: 'path',
+                required: true,
+                description: 'Audio format of the result',
+                schema: { type: 'string', enum: route.formats }
+            });
+
+            const normalization = Object.keys(tool.normalization);
+            const standard = tool.normalization[normalization[0]];
+            options = Object.assign({
+                normalize: { type: 'string', description: 'Loudness normalization standard', allowed: normalization },
+                target_lufs: { type: 'number', description: 'Integrated loudness target in LUFS (requires normalize)', min: standard.minIntegrated, max: standard.maxIntegrated }
+            }, TrimService.describe(), this.describeDeliveryOptions());
+            responses[200] = this.binaryResponse(route.produces, 'Extracted audio, or its location when output is set', true);
+            responses[202] = { $ref: '#/components/responses/JobAccepted' };
+        } else {
+            // Empaquetado HLS/DASH
+            options = {
+                async: { type: 'boolean', description: 'Run in the background and answer 202 with the job; the files are then served from /jobs/{id}/files/' }
+            };
+            responses[202] = { $ref: '#/components/responses/JobAccepted' };
+        }
+
+        return this.secure({
+            tags: [tags.tools],
+            operationId: this.getOperationId(route.tool),
+            summary: route.description,
+            parameters: parameters.concat(this.toQueryParameters(options)),
+            requestBody: this.buildUploadBody(options, route.accepts),
+            responses: Object.assign(responses, this.errorRefs(['BadRequest', 'PayloadTooLarge', 'UnsupportedMediaType',
+                'UnprocessableEntity', 'InternalError', 'BadGateway', 'QueueFull', 'Timeout', 'InsufficientStorage']))
+        });
+    }
+
+    /**
+     * Operación de una ruta fija (información, /probe y trabajos)
+     *
+     * @param {Object} route - Ruta del registro
+     * @returns {Object} - Operación OpenAPI
+     */
+    static buildFixedOperation(route) {
+        const operation = {
+            summary: route.description,
+            responses: {}
+        };
+
+        if (route.path === '/probe') {
+            operation.tags = [tags.tools];
+            operation.operationId = 'probe';
+            operation.requestBody = this.buildUploadBody({}, route.accepts);
+            operation.responses = Object.assign({
+                200: this.jsonResponse('Normalized media information', '#/components/schemas/ProbeResult')
+            }, this.errorRefs(['BadRequest', 'PayloadTooLarge', 'UnprocessableEntity', 'BadGateway', 'InsufficientStorage']));
+            return this.secure(operation);
+        }
+
+        if (!route.path.startsWith('/jobs/')) {
+            operation.tags = [tags.info];
+            operation.operationId = this.getOperationId(route.path === '/' ? 'readme' : route.path);
+            operation.responses[200] = {
+                description: route.description,
+                content: {
+                    [route.produces[0]]: {
+                        schema: route.produces[0].startsWith('text/') ? { type: 'string' }
+                            : route.path === '/endpoints' ? { type: 'array', items: { type: 'object' } } : { type: 'object' }
+                    }
+                }
+            };
+            if (route.path === '/readyz') {
+                operation.responses[503] = {
+                    description: 'Not ready; checks lists which check failed',
+                    content: { 'application/json': { schema: { type: 'object' } } }
+                };
+            }
+            return operation;
+        }
+
+        operation.tags = [tags.jobs];
+        operation.operationId = this.getOperationId(`${route.method} ${route.path}`);
+        operation.parameters = [{ name: 'id', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } }];
+
+        if (route.path === '/jobs/:id') {
+            operation.responses[200] = this.jsonResponse('Job status', '#/components/schemas/Job');
+        } else if (route.path === '/jobs/:id/progress') {
+            operation.responses[200] = {
+                description: 'Server-Sent Events: status, start, progress, end, error',
+                content: { 'text/event-stream': { schema: { type: 'string' } } }
+            };
+        } else if (route.path === '/jobs/:id/files/*') {
+            operation.parameters.push({ name: 'file', in: 'path', required: true, description: 'Playlist or segment path', schema: { type: 'string' } });
+            operation.responses[200] = this.binaryResponse(['application/vnd.apple.mpegurl', 'application/dash+xml', 'video/mp2t', 'video/mp4'], 'Playlist or segment', false);
+        } else {
+            operation.responses[200] = this.binaryResponse(['application/octet-stream'], 'Converted file', false);
+            operation.responses[302] = { description: 'Redirect to the stored result when the job used output' };
+            operation.responses[409] = this.errorResponse('The job has not completed');
+        }
+
+        Object.assign(operation.responses, this.errorRefs(['NotFound']));
+        return this.secure(operation, true);
+    }
+
+    /**
+     * Describe las opciones de entrega comunes a las conversiones
+     *
+     * @returns {Object} - Opciones con el formato de ParameterService.describe()
+     */
+    static describeDeliveryOptions() {
+        const options = {
+            async: { type: 'boolean', description: 'Run in the background and answer 202 with the job' },
+            callback_url: { type: 'uri', description: 'URL notified with a signed POST when the job finishes (implies async; requires WEBHOOK_SECRET on the server)' }
+        };
+
+        const targets = StorageService.getAvailableTargets();
+        if (targets.length > 0) {
+            options.output = { type: 'string', description: 'Store the result in this target and answer with its location', allowed: targets };
+        }
+
+        return options;
+    }
+
+    /**
+     * Convierte las opciones en parámetros de query
+     *
+     * @param {Object} options - Opciones con el formato de ParameterService.describe()
+     * @returns {Array} - Parámetros OpenAPI
+     */
+    static toQueryParameters(options) {
+        return Object.keys(options).map(name => ({
+            name,
+            in: 'query',
+            required: false,
+            description: options[name].description,
+            schema: this.toSchema(options[name])
+        }));
+    }
+
+    /**
+     * Cuerpo de la petición: archivo en multipart o URL remota en JSON
+     *
+     * Las opciones también se pueden enviar como campos del formulario o
+     * claves del JSON.
+     *
+     * @param {Object} options - Opciones con el formato de ParameterService.describe()
+     * @param {Array} accepts - Tipos MIME de entrada aceptados
+     * @returns {Object} - requestBody OpenAPI
+     */
+    static buildUploadBody(options, accepts) {
+        const fields = {};
+        Object.keys(options).forEach(name => {
+            fields[name] = Object.assign({ description: options[name].description }, this.toSchema(options[name]));
+        });
+
+        return {
+            required: true,
+            content: {
+                'multipart/form-data': {
+                    schema: {
+                        type: 'object',
+                        required: ['file'],
+                        properties: Object.assign({
+                            file: {
+                                type: 'string',
+                                format: 'binary',
+                                description: `Media file (${(accepts || []).join(', ')})`
+                            }
+                        }, fields)
+                    },
+                    encoding: { file: { contentType: (accepts || ['application/octet-stream']).join(', ') } }
+                },
+                'application/json': {
+                    schema: {
+                        type: 'object',
+                        required: ['url'],
+                        properties: Object.assign({
+                            url: { type: 'string', format: 'uri', description: 'http(s) URL of the media file to download' }
+                        }, fields)
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Convierte la descripción de un parámetro en un esquema OpenAPI
+     *
+     * @param {Object} definition - Descripción con type, allowed, min y max
+     * @returns {Object} - Esquema OpenAPI
+     */
+    static toSchema(definition) {
+        const types = {
+            integer: { type: 'integer' },
+            number: { type: 'number' },
+            boolean: { type: 'boolean' },
+            bitrate: { type: 'string', pattern: '^\\d+k$' },
+            time: { type: 'string', example: '00:01:30.5' },
+            uri: { type: 'string', format: 'uri' }
+        };
+        const schema = Object.assign({}, types[definition.type] || { type: 'string' });
+
+        if (definition.allowed) schema.enum = definition.allowed;
+        if (definition.min !== undefined) schema.minimum = definition.min;
+        if (definition.max !== undefined) schema.maximum = definition.max;
+
+        return schema;
+    }
+
+    /**
+     * Respuesta con el archivo resultante
+     *
+     * @param {Array} mimeTypes - Tipos MIME del resultado
+     * @param {string} description - Descripción de la respuesta
+     * @param {boolean} storable - Si la ruta admite output (responde JSON con la ubicación)
+     * @returns {Object} - Respuesta OpenAPI
+     */
+    static binaryResponse(mimeTypes, description, storable) {
+        const content = {};
+        (mimeTypes || ['application/octet-stream']).forEach(mimeType => {
+            content[mimeType] = { schema: { type: 'string', format: 'binary' } };
+        });
+
+        if (storable && StorageService.getAvailableTargets().length > 0) {
+            content['application/json'] = { schema: { $ref: '#/components/schemas/StoredResult' } };
+        }
+
+        return { description, content };
+    }
+
+    /**
+     * Respuesta JSON con un esquema
+     *
+     * @param {string} description - Descripción de la respuesta
+     * @param {string} ref - Referencia al esquema
+     * @returns {Object} - Respuesta OpenAPI
+     */
+    static jsonResponse(description, ref) {
+        return { description, content: { 'application/json': { schema: { $ref: ref } } } };
+    }
+
+    /**
+     * Respuesta de error con el esquema común
+     *
+     * @param {string} description - Descripción del error
+     * @returns {Object} - Respuesta OpenAPI
+     */
+    static errorResponse(description) {
+        return this.jsonResponse(description, '#/components/schemas/Error');
+    }
+
+    /**
+     * Referencias a las respuestas de error comunes, por código de estado
+     *
+     * @param {Array} names - Nombres de components.responses
+     * @returns {Object} - Respuestas OpenAPI indexadas por código
+     */
+    static errorRefs(names) {
+        const codes = {
+            BadRequest: 400, Unauthorized: 401, Forbidden: 403, NotFound: 404, PayloadTooLarge: 413,
+            UnsupportedMediaType: 415, UnprocessableEntity: 422, TooManyRequests: 429, InternalError: 500,
+            NotImplemented: 501, BadGateway: 502, QueueFull: 503, Timeout: 504, InsufficientStorage: 507
+        };
+        const responses = {};
+
+        names.forEach(name => {
+            responses[codes[name]] = { $ref: `#/components/responses/${name}` };
+        });
+
+        return responses;
+    }
+
+    /**
+     * Añade la autenticación a una operación si hay API keys configuradas
+     *
+     * @param {Object} operation - Operación OpenAPI
+     * @param {boolean} authenticateOnly - true si la ruta no comprueba grupos ni límites
+     * @returns {Object} - Operación con security y sus errores
+     */
+    static secure(operation, authenticateOnly) {
+        if (!AuthService.isEnabled()) return operation;
+
+        operation.security = [{ bearerAuth: [] }];
+        Object.assign(operation.responses, this.errorRefs(authenticateOnly
+            ? ['Unauthorized']
+            : ['Unauthorized', 'Forbidden', 'TooManyRequests']));
+
+        return operation;
+    }
+
+    /**
+     * Genera un operationId a partir de un texto
+     *
+     * @param {string} text - Nombre de la operación
+     * @returns {string} - Identificador en camelCase
+     */
+    static getOperationId(text) {
+        return text
+            .split(/[^A-Za-z0-9]+/)
+            .filter(Boolean)
+            .map((word, index) => index === 0 ? word.toLowerCase() : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+            .join('');
+    }
+
+    /**
+     * Componentes comunes: esquemas, respuestas y seguridad
+     *
+     * @returns {Object} - components de OpenAPI
+     */
+    static buildComponents() {
+        const responses = {
+            JobAccepted: Object.assign(
+                this.jsonResponse('Job accepted (async=true or callback_url); poll the Location header', '#/components/schemas/Job'),
+                { headers: { Location: { schema: { type: 'string' }, description: 'URL of the job status' } } }
+            )
+        };
+
+        Object.keys(errorResponses).forEach(name => {
+            responses[name] = this.errorResponse(errorResponses[name]);
+        });
+
+        return {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', description: 'API key (required when the server has API keys configured)' }
+            },
+            responses,
+            schemas: {
+                Error: {
+                    type: 'object',
+                    required: ['error', 'code', 'message', 'requestId'],
+                    properties: {
+                        error: { type: 'string', description: 'Short error title' },
+                        code: { type: 'string', enum: ErrorService.getCodes(), description: 'Stable machine-readable error code' },
+                        message: { type: 'string', description: 'Details of the error, without server paths' },
+                        requestId: { type: 'string', nullable: true, description: 'Id of the request, to find it in the logs' },
+                        stderr: { type: 'array', items: { type: 'string' }, description: 'Last lines of the FFmpeg error output' }
+                    },
+                    additionalProperties: true
+                },
+                Job: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string', format: 'uuid' },
+                        status: { type: 'string', enum: ['queued', 'processing', 'completed', 'failed', 'cancelled'] },
+                        fileName: { type: 'string' },
+                        extension: { type: 'string' },
+                        progress: { type: 'object', nullable: true, properties: { percent: { type: 'number' }, frames: { type: 'integer' }, fps: { type: 'number' }, timemark: { type: 'string' } } },
+                        queuePosition: { type: 'integer' },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        updatedAt: { type: 'string', format: 'date-time' },
+                        finishedAt: { type: 'string', format: 'date-time', nullable: true },
+                        statusUrl: { type: 'string' },
+                        resultUrl: { type: 'string' },
+                        manifestUrl: { type: 'string' },
+                        outputSize: { type: 'integer', nullable: true },
+                        duration: { type: 'number', nullable: true },
+                        storage: { $ref: '#/components/schemas/StoredResult' },
+                        error: { type: 'string' },
+                        code: { type: 'string', enum: ErrorService.getCodes() },
+                        stderr: { type: 'array', items: { type: 'string' } }
+                    }
+                },
+                StoredResult: {
+                    type: 'object',
+                    properties: {
+                        fileName: { type: 'string' },
+                        storage: { type: 'string', enum: ['local', 's3'] },
+                        key: { type: 'string', description: 'Path of the file in the target (relative to OUTPUT_LOCAL_DIR for local)' },
+                        bucket: { type: 'string' },
+                        url: { type: 'string', format: 'uri', description: 'Presigned download URL (s3)' },
+                        expiresIn: { type: 'integer', description: 'Validity of the URL in seconds' }
+                    }
+                },
+                ProbeResult: {
+                    type: 'object',
+                    properties: {
+                        container: { type: 'string', nullable: true },
+                        containerLongName: { type: 'string', nullable: true },
+                        duration: { type: 'number', nullable: true },
+                        bitrate: { type: 'integer', nullable: true },
+                        size: { type: 'integer', nullable: true },
+                        hasVideo: { type: 'boolean' },
+                        hasAudio: { type: 'boolean' },
+                        streams: { type: 'array', items: { type: 'object' } }
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Página de Swagger UI que carga /openapi.json
+     *
+     * @param {string} assetsPath - Ruta en la que se sirven los archivos de swagger-ui-dist
+     * @returns {string} - HTML de la página
+     */
+    static renderUi(assetsPath) {
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>FFmpeg Web Service API</title>
+    <link rel="stylesheet" href="${assetsPath}/swagger-ui.css">
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script src="${assetsPath}/swagger-ui-bundle.js"></script>
+    <script>
+        window.ui = SwaggerUIBundle({ url: '/openapi.json', dom_id: '#swagger-ui' });
+    </script>
+</body>
+</html>`;
+    }
+}
+
+module.exports = OpenApiService;
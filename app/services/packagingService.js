@@ -0,0 +1,174 @@
+/**
+ * Servicio de empaquetado para streaming adaptativo
+ *
+ * Este servicio genera, con un único proceso de FFmpeg, varias calidades de
+ * un vídeo segmentadas en HLS (playlist maestra) o MPEG-DASH (MPD).
+ */
+
+const path = require('path');
+const LogService = require('./logService');
+const ConversionService = require('./conversionService');
+const ProbeService = require('./probeService');
+const FileService = require('./fileService');
+
+// Tipos MIME de los archivos generados al empaquetar
+const mimeTypes = {
+    '.m3u8': 'application/vnd.apple.mpegurl',
+    '.ts': 'video/mp2t',
+    '.mpd': 'application/dash+xml',
+    '.m4s': 'video/iso.segment',
+    '.mp4': 'video/mp4',
+};
+
+class PackagingService {
+    /**
+     * Empaqueta un vídeo en el directorio indicado
+     *
+     * @param {string} inputFile - Ruta al vídeo
+     * @param {string} outputDir - Directorio donde escribir playlists y segmentos
+     * @param {Object} config - Configuración de la herramienta (endpoints.tools.hls / dash)
+     * @param {Object} control - Control de la conversión para poder cancelarla
+     * @param {Function} onProgress - Callback para reportar progreso
+     * @returns {Promise<Object>} - Promesa con { outputDir, manifest, renditions }
+     */
+    static packageVideo(inputFile, outputDir, config, control, onProgress) {
+        return ProbeService.probe(inputFile)
+            .catch(err => {
+                err.statusCode = 422;
+                throw err;
+            })
+            .then(info => {
+                const videoStream = info.streams.find(stream => stream.type === 'video');
+                if (!videoStream) {
+                    const noVideoError = new Error('The uploaded file has no video stream');
+                    noVideoError.statusCode = 422;
+                    throw noVideoError;
+                }
+
+                const renditions = this.selectRenditions(config.renditions, videoStream.height);
+
+                LogService.info({
+                    action: 'packaging_start',
+                    format: config.format,
+                    inputFile: inputFile,
+                    sourceHeight: videoStream.height,
+                    renditions: renditions.map(rendition => rendition.height)
+                });
+
+                return FileService.ensureDirectoryExists(outputDir)
+                    .then(() => ConversionService.runFFmpeg({
+                        inputFile,
+                        outputOptions: this.buildOutputOptions(config, renditions, info.hasAudio, outputDir),
+                        outputFile: path.join(outputDir, config.format === 'hls' ? 'stream_%v/playlist.m3u8' : config.manifest),
+                        control,
+                        onProgress
+                    }))
+                    .then(() => ({
+                        outputDir,
+                        manifest: config.manifest,
+                        renditions: renditions.map(rendition => `${rendition.height}p`)
+                    }));
+            });
+    }
+
+    /**
+     * Descarta las calidades superiores a la del vídeo original
+     *
+     * @param {Array} ladder - Escalera de calidades, de menor a mayor
+     * @param {number} sourceHeight - Altura del vídeo original
+     * @returns {Array} - Calidades a generar (al menos la más baja)
+     */
+    static selectRenditions(ladder, sourceHeight) {
+        if (!sourceHeight) return ladder;
+
+        const renditions = ladder.filter(rendition => rendition.height <= sourceHeight);
+        return renditions.length > 0 ? renditions : [ladder[0]];
+    }
+
+    /**
+     * Construye las opciones de FFmpeg para generar todas las calidades
+     *
+     * @param {Object} config - Configuración de la herramienta
+     * @param {Array} renditions - Calidades a generar
+     * @param {boolean} hasAudio - Si el vídeo tiene audio
+     * @param {string} outputDir - Directorio de salida
+     * @returns {Array} - Opciones de salida
+     */
+    static buildOutputOptions(config, renditions, hasAudio, outputDir) {
+        // Un único decodificado dividido en una rama escalada por calidad
+        const splits = renditions.map((rendition, index) => `[v${index}]`).join('');
+        const scales = renditions.map((rendition, index) => `[v${index}]scale=-2:${rendition.height}[v${index}out]`);
+        const options = [
+            '-filter_complex',
+            `[0:v]split=${renditions.length}${splits};${scales.join(';')}`,
+        ];
+
+        renditions.forEach((rendition, index) => {
+            options.push(
+                `-map [v${index}out]`,
+                `-b:v:${index} ${rendition.videoBitrate}`,
+                `-maxrate:v:${index} ${rendition.maxrate}`,
+                `-bufsize:v:${index} ${rendition.bufsize}`
+            );
+        });
+
+        // Fotogramas clave alineados entre calidades para poder cambiar entre ellas
+        options.push(...config.outputOptions, '-force_key_frames', `expr:gte(t,n_forced*${config.segmentDuration})`);
+
+        if (config.format === 'hls') {
+            // En HLS cada variante lleva su propia pista de audio
+            if (hasAudio) {
+                renditions.forEach((rendition, index) => {
+                    options.push('-map 0:a:0', `-b:a:${index} ${rendition.audioBitrate}`);
+                });
+            }
+
+            const streamMap = renditions
+                .map((rendition, index) => hasAudio ? `v:${index},a:${index}` : `v:${index}`)
+                .join(' ');
+
+            options.push(
+                '-f hls',
+                `-hls_time ${config.segmentDuration}`,
+                '-hls_playlist_type vod',
+                '-hls_flags independent_segments',
+                '-hls_segment_filename',
+                path.join(outputDir, 'stream_%v', 'segment_%03d.ts'),
+                `-master_pl_name ${config.manifest}`,
+                '-var_stream_map',
+                streamMap
+            );
+        } else {
+            // En DASH el audio forma un único adaptation set compartido
+            if (hasAudio) {
+                const topRendition = renditions[renditions.length - 1];
+                options.push('-map 0:a:0', `-b:a ${topRendition.audioBitrate}`);
+            }
+
+            options.push(
+                '-f dash',
+                `-seg_duration ${config.segmentDuration}`,
+                '-use_template 1',
+                '-use_timeline 1',
+                '-adaptation_sets',
+                hasAudio ? 'id=0,streams=v id=1,streams=a' : 'id=0,streams=v',
+                '-init_seg_name init-$RepresentationID$.m4s',
+                '-media_seg_name chunk-$RepresentationID$-$Number%05d$.m4s'
+            );
+        }
+
+        return options;
+    }
+
+    /**
+     * Obtiene el tipo MIME de un archivo de playlist o segmento
+     *
+     * @param {string} filePath - Ruta o nombre del archivo
+     * @returns {string} - Tipo MIME
+     */
+    static getMimeType(filePath) {
+        return mimeTypes[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+    }
+}
+
+module.exports = PackagingService;
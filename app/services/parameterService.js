@@ -0,0 +1,277 @@
+/**
+ * Servicio de parámetros de conversión
+ *
+ * Este servicio valida los parámetros opcionales que envía el cliente
+ * (resolución, calidad, audio...) contra los rangos permitidos por cada
+ * preset y los combina con sus outputOptions. El cliente nunca puede pasar
+ * argumentos de FFmpeg: sólo valores para las opciones de este catálogo.
+ */
+
+// Catálogo de parámetros admitidos y la opción de FFmpeg que controla cada uno
+const catalog = {
+    resolution: {
+        type: 'integer',
+        option: '-vf',
+        filter: 'scale',
+        format: value => `scale=-2:${value}`,
+        description: 'Output height in pixels (width keeps the aspect ratio)'
+    },
+    crf: {
+        type: 'integer',
+        option: '-crf',
+        description: 'Constant rate factor (lower is better quality and bigger files)'
+    },
+    quality: {
+        type: 'integer',
+        option: '-q:a',
+        description: 'Encoder quality scale (lower is better quality)'
+    },
+    audio_bitrate: {
+        type: 'bitrate',
+        option: '-b:a',
+        description: 'Audio bitrate, e.g. 128k'
+    },
+    sample_rate: {
+        type: 'integer',
+        option: '-ar',
+        description: 'Audio sample rate in Hz'
+    },
+    channels: {
+        type: 'integer',
+        option: '-ac',
+        description: 'Number of audio channels'
+    },
+    frame_rate: {
+        type: 'number',
+        option: '-r',
+        description: 'Output frame rate'
+    },
+    preset: {
+        type: 'string',
+        option: '-preset',
+        description: 'Encoder speed preset (slower gives better compression)'
+    }
+};
+
+class ParameterService {
+    /**
+     * Comprueba si un parámetro existe en el catálogo
+     *
+     * @param {string} name - Nombre del parámetro
+     * @returns {boolean} - true si el cliente puede enviarlo a algún preset
+     */
+    static isKnown(name) {
+        return catalog.hasOwnProperty(name);
+    }
+
+    /**
+     * Obtiene la definición completa de los parámetros de un preset
+     *
+     * @param {Object} presetParams - Parámetros declarados en el preset (endpoints.types[x].params)
+     * @returns {Object} - Definiciones combinadas con el catálogo
+     */
+    static getDefinitions(presetParams) {
+        const definitions = {};
+
+        Object.keys(presetParams || {}).forEach(name => {
+            if (catalog[name]) {
+                definitions[name] = Object.assign({ name }, catalog[name], presetParams[name]);
+            }
+        });
+
+        return definitions;
+    }
+
+    /**
+     * Valida los parámetros recibidos
+     *
+     * Sólo se consideran los nombres del catálogo; el resto de campos
+     * (async, etc.) se ignoran.
+     *
+     * @param {Object} source - Parámetros de la query y/o campos del formulario
+     * @param {Object} presetParams - Parámetros permitidos por el preset
+     * @returns {Object} - Valores validados y normalizados
+     * @throws {Error} - Error con statusCode 400 si algún valor no es válido
+     */
+    static parse(source, presetParams) {
+        const definitions = this.getDefinitions(presetParams);
+        const values = {};
+
+        Object.keys(catalog).forEach(name => {
+            if (source[name] === undefined || source[name] === '') return;
+
+            const definition = definitions[name];
+            if (!definition) {
+                throw this.createValidationError(`Parameter "${name}" is not supported by this endpoint`);
+            }
+
+            values[name] = this.validateValue(definition, source[name]);
+        });
+
+        return values;
+    }
+
+    /**
+     * Valida un valor contra su definición
+     *
+     * @param {Object} definition - Definición del parámetro
+     * @param {*} rawValue - Valor recibido
+     * @returns {number|string} - Valor normalizado
+     * @throws {Error} - Error con statusCode 400 si no es válido
+     */
+    static validateValue(definition, rawValue) {
+        const text = String(Array.isArray(rawValue) ? rawValue[0] : rawValue).trim().toLowerCase();
+        let value;
+
+        if (definition.type === 'integer') {
+            // Se admite "720p" como resolución
+            const number = definition.name === 'resolution' ? text.replace(/p$/, '') : text;
+            value = /^\d+$/.test(number) ? parseInt(number, 10) : NaN;
+        } else if (definition.type === 'number') {
+            value = /^\d+(\.\d+)?$/.test(text) ? parseFloat(text) : NaN;
+        } else if (definition.type === 'bitrate') {
+            value = /^\d+k$/.test(text) ? text : null;
+        } else {
+            value = /^[a-z0-9_-]+$/.test(text) ? text : null;
+        }
+
+        if (value === null || (typeof value === 'number' && isNaN(value))) {
+            throw this.createValidationError(`Invalid value "${rawValue}" for ${definition.name}`);
+        }
+
+        if (definition.allowed && !definition.allowed.map(String).includes(String(value))) {
+            throw this.createValidationError(`${definition.name} must be one of: ${definition.allowed.join(', ')}`);
+        }
+
+        // Los bitrates se comparan en kbps
+        const magnitude = definition.type === 'bitrate' ? parseInt(value, 10) : value;
+
+        if (definition.min !== undefined && magnitude < definition.min) {
+            throw this.createValidationError(`${definition.name} must be at least ${definition.min}`);
+        }
+
+        if (definition.max !== undefined && magnitude > definition.max) {
+            throw this.createValidationError(`${definition.name} must be at most ${definition.max}`);
+        }
+
+        return value;
+    }
+
+    /**
+     * Convierte un instante en segundos
+     *
+     * @param {string|number} value - Segundos ("12.5") o HH:MM:SS(.ms)
+     * @returns {number|null} - Segundos, o null si el formato no es válido
+     */
+    static parseTimestamp(value) {
+        const text = String(value).trim();
+
+        if (/^\d+(\.\d+)?$/.test(text)) {
+            return parseFloat(text);
+        }
+
+        const match = /^(?:(\d+):)?([0-5]?\d):([0-5]?\d(?:\.\d+)?)$/.exec(text);
+        if (!match) return null;
+
+        const hours = match[1] ? parseInt(match[1], 10) : 0;
+        return hours * 3600 + parseInt(match[2], 10) * 60 + parseFloat(match[3]);
+    }
+
+    /**
+     * Combina los valores validados con las opciones del preset
+     *
+     * Si el preset ya define la opción se sustituye su valor; si no, se añade.
+     *
+     * @param {Array} outputOptions - Opciones originales del preset
+     * @param {Object} values - Valores devueltos por parse()
+     * @param {Object} presetParams - Parámetros permitidos por el preset
+     * @returns {Array} - Nuevas opciones de salida
+     */
+    static apply(outputOptions, values, presetParams) {
+        const definitions = this.getDefinitions(presetParams);
+        const options = outputOptions.slice();
+
+        Object.keys(values).forEach(name => {
+            const definition = definitions[name];
+            const formatted = definition.format ? definition.format(values[name]) : String(values[name]);
+            const index = options.findIndex(option => String(option).split(' ')[0] === definition.option);
+
+            if (definition.filter) {
+                this.applyFilter(options, index, definition, formatted);
+            } else if (index !== -1) {
+                options[index] = `${definition.option} ${formatted}`;
+            } else {
+                options.push(`${definition.option} ${formatted}`);
+            }
+        });
+
+        return options;
+    }
+
+    /**
+     * Sustituye o añade un filtro dentro de la cadena -vf
+     *
+     * @param {Array} options - Opciones de salida (se modifican)
+     * @param {number} index - Posición de la opción -vf, o -1
+     * @param {Object} definition - Definición del parámetro
+     * @param {string} filter - Filtro ya formateado
+     */
+    static applyFilter(options, index, definition, filter) {
+        if (index === -1) {
+            options.push(`${definition.option} ${filter}`);
+            return;
+        }
+
+        const chain = options[index].substring(definition.option.length + 1).split(',');
+        const filterIndex = chain.findIndex(item => item.split('=')[0] === definition.filter);
+
+        if (filterIndex !== -1) {
+            chain[filterIndex] = filter;
+        } else {
+            chain.push(filter);
+        }
+
+        options[index] = `${definition.option} ${chain.join(',')}`;
+    }
+
+    /**
+     * Describe los parámetros de un preset para /endpoints
+     *
+     * @param {Object} presetParams - Parámetros permitidos por el preset
+     * @returns {Object} - Tipo, descripción y rango de cada parámetro
+     */
+    static describe(presetParams) {
+        const definitions = this.getDefinitions(presetParams);
+        const description = {};
+
+        Object.keys(definitions).forEach(name => {
+            const definition = definitions[name];
+            description[name] = {
+                type: definition.type,
+                description: definition.description
+            };
+
+            ['allowed', 'min', 'max'].forEach(key => {
+                if (definition[key] !== undefined) {
+                    description[name][key] = definition[key];
+                }
+            });
+        });
+
+        return description;
+    }
+
+    /**
+     * Crea un error de validación de parámetros
+     *
+     * @param {string} message - Mensaje para el cliente
+     * @returns {Error} - Error con statusCode 400
+     */
+    static createValidationError(message) {
+        const error = new Error(message);
+        error.statusCode = 400;
+        return error;
+    }
+}
+
+module.exports = ParameterService;
@@ -0,0 +1,266 @@
+/**
+ * Servicio de presets de conversión
+ *
+ * Este servicio mantiene la tabla de formatos publicados: los de
+ * endpoints.types más los declarados en un archivo JSON o YAML externo
+ * (presets.file / PRESETS_FILE), que pueden añadir formatos nuevos o
+ * sustituir uno existente con el mismo nombre. Todos se validan con el mismo
+ * esquema antes de publicarse y el archivo se puede recargar sin reiniciar.
+ */
+
+const consts = require('../constants');
+const LogService = require('./logService');
+const endpoints = require('../endpoints');
+const { readFile } = require('../config');
+const AuthService = require('./authService');
+const ParameterService = require('./parameterService');
+
+// Categorías de archivo que puede producir un preset
+const categories = ['audio', 'video', 'image'];
+
+// Tipos MIME de entrada aceptados si el preset no declara accepts
+const acceptedByCategory = {
+    audio: ['audio/*', 'video/*'],  // También se puede convertir el audio de un vídeo
+    video: ['video/*'],
+    image: ['image/*']
+};
+
+// Propiedades admitidas en la declaración de un parámetro del preset
+const paramFields = ['allowed', 'min', 'max', 'option', 'type'];
+
+// Rutas fijas del servicio que un preset no puede ocupar
+const reservedPaths = ['/', '/readme', '/endpoints', '/openapi.json', '/docs', '/diagnose', '/healthz', '/readyz', '/metrics', '/test-cors', '/probe', '/jobs'];
+
+// Tabla de presets publicada, indexada por nombre
+let presets = {};
+
+class PresetService {
+    /**
+     * Carga y valida los presets
+     *
+     * @returns {Object} - Presets publicados, indexados por nombre
+     * @throws {Error} - Error con errors (lista de problemas) si algún preset no es válido
+     */
+    static load() {
+        const errors = [];
+        const declared = Object.assign({}, endpoints.types);
+
+        if (consts.presets.file) {
+            try {
+                Object.assign(declared, readFile(consts.presets.file));
+            } catch (err) {
+                errors.push(`PRESETS_FILE ${consts.presets.file}: ${err.message}`);
+            }
+        }
+
+        consts.presets.disabled.forEach(name => {
+            if (!declared.hasOwnProperty(name)) {
+                errors.push(`presets.disabled: unknown preset "${name}"`);
+            }
+            delete declared[name];
+        });
+
+        const loaded = {};
+        Object.keys(declared).forEach(name => {
+            const preset = this.validatePreset(name, declared[name], errors);
+            if (preset) loaded[name] = preset;
+        });
+
+        this.checkRoutes(loaded, errors);
+
+        if (errors.length > 0) {
+            const error = new Error(`Invalid presets:\n  - ${errors.join('\n  - ')}`);
+            error.errors = errors;
+            throw error;
+        }
+
+        presets = loaded;
+
+        LogService.info({
+            action: 'presets_loaded',
+            file: consts.presets.file || null,
+            count: Object.keys(loaded).length,
+            presets: Object.keys(loaded)
+        });
+
+        return presets;
+    }
+
+    /**
+     * Vuelve a leer el archivo de presets
+     *
+     * Si el archivo tiene errores se mantienen los presets anteriores.
+     *
+     * @returns {boolean} - true si se cargaron los nuevos presets
+     */
+    static reload() {
+        try {
+            this.load();
+            return true;
+        } catch (err) {
+            LogService.error({
+                type: 'presets_reload_error',
+                file: consts.presets.file,
+                errors: err.errors || [err.message]
+            });
+            return false;
+        }
+    }
+
+    /**
+     * Presets publicados
+     *
+     * @returns {Object} - Presets indexados por nombre
+     */
+    static getPresets() {
+        return presets;
+    }
+
+    /**
+     * Valida un preset y completa los valores por defecto
+     *
+     * @param {string} name - Nombre del preset
+     * @param {Object} preset - Declaración del preset
+     * @param {Array} errors - Lista donde se acumulan los errores
+     * @returns {Object|null} - Preset normalizado, o null si no es válido
+     */
+    static validatePreset(name, preset, errors) {
+        const count = errors.length;
+        const fail = message => errors.push(`${name}: ${message}`);
+
+        if (!/^[a-z0-9][a-z0-9-]*$/.test(name)) {
+            fail('the name may only contain lowercase letters, digits and dashes');
+        }
+
+        if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+            fail('must be an object');
+            return null;
+        }
+
+        if (typeof preset.path !== 'string' || !/^(\/[A-Za-z0-9._-]+)+$/.test(preset.path)) {
+            fail('path must be an absolute route such as /convert/audio/to/opus');
+        }
+
+        if (!categories.includes(preset.category)) {
+            fail(`category must be one of: ${categories.join(', ')}`);
+        }
+
+        const group = preset.group || preset.category;
+        if (!AuthService.getGroups().includes(group)) {
+            fail(`group must be one of: ${AuthService.getGroups().join(', ')}`);
+        }
+
+        if (typeof preset.extension !== 'string' || !/^[a-z0-9]+$/.test(preset.extension)) {
+            fail('extension must be lowercase letters and digits, without the dot');
+        }
+
+        if (typeof preset.mimeType !== 'string' || !/^[a-z]+\/[A-Za-z0-9.+-]+$/.test(preset.mimeType)) {
+            fail('mimeType must be a MIME type such as audio/ogg');
+        }
+
+        if (preset.accepts !== undefined && (!Array.isArray(preset.accepts) || preset.accepts.length === 0 ||
+            preset.accepts.some(type => typeof type !== 'string' || !/^[a-z]+\/([A-Za-z0-9.+-]+|\*)$/.test(type)))) {
+            fail('accepts must be a non-empty list of MIME types such as audio/* or video/mp4');
+        }
+
+        if (preset.description !== undefined && typeof preset.description !== 'string') {
+            fail('description must be a string');
+        }
+
+        const outputOptions = preset.outputOptions;
+        if (!Array.isArray(outputOptions) || outputOptions.length === 0 ||
+            outputOptions.some(option => typeof option !== 'string' || option.trim() === '')) {
+            fail('outputOptions must be a non-empty list of FFmpeg options');
+        }
+
+        this.validateParams(preset.params, fail);
+
+        if (errors.length > count) return null;
+
+        return Object.assign({}, preset, {
+            name,
+            group,
+            accepts: preset.accepts || acceptedByCategory[preset.category],
+            description: preset.description || `Convert to ${preset.extension.toUpperCase()} format`,
+            params: preset.params || {}
+        });
+    }
+
+    /**
+     * Valida los parámetros que el preset permite al cliente
+     *
+     * @param {Object} params - Parámetros declarados (nombre del catálogo → rango)
+     * @param {Function} fail - Función que registra un error del preset
+     */
+    static validateParams(params, fail) {
+        if (params === undefined) return;
+
+        if (!params || typeof params !== 'object' || Array.isArray(params)) {
+            fail('params must be an object');
+            return;
+        }
+
+        Object.keys(params).forEach(param => {
+            const definition = params[param];
+
+            if (!ParameterService.isKnown(param)) {
+                fail(`unknown parameter "${param}"`);
+                return;
+            }
+
+            if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+                fail(`params.${param} must be an object`);
+                return;
+            }
+
+            Object.keys(definition).forEach(field => {
+                if (!paramFields.includes(field)) {
+                    fail(`params.${param} has an unknown field "${field}"`);
+                }
+            });
+
+            if (definition.allowed !== undefined && (!Array.isArray(definition.allowed) || definition.allowed.length === 0)) {
+                fail(`params.${param}.allowed must be a non-empty list`);
+            }
+
+            ['min', 'max'].forEach(field => {
+                if (definition[field] !== undefined && typeof definition[field] !== 'number') {
+                    fail(`params.${param}.${field} must be a number`);
+                }
+            });
+
+            if (definition.option !== undefined && (typeof definition.option !== 'string' || !definition.option.startsWith('-'))) {
+                fail(`params.${param}.option must be an FFmpeg option such as -b:a`);
+            }
+        });
+    }
+
+    /**
+     * Comprueba que las rutas de los presets no chocan entre sí ni con las
+     * rutas fijas, incluidos los alias cortos /<nombre>
+     *
+     * @param {Object} loaded - Presets válidos
+     * @param {Array} errors - Lista donde se acumulan los errores
+     */
+    static checkRoutes(loaded, errors) {
+        const owners = new Map();
+        const toolPatterns = Object.keys(endpoints.tools).map(tool =>
+            new RegExp(`^${endpoints.tools[tool].path.replace(/:[^/]+/g, '[^/]+')}$`, 'i'));
+
+        Object.keys(loaded).forEach(name => {
+            [loaded[name].path, `/${name}`].forEach(route => {
+                const key = route.toLowerCase();
+
+                if (reservedPaths.includes(key) || key.startsWith('/jobs/') || key.startsWith('/docs/') || toolPatterns.some(pattern => pattern.test(route))) {
+                    errors.push(`${name}: route ${route} is reserved by the service`);
+                } else if (owners.has(key) && owners.get(key) !== name) {
+                    errors.push(`${name}: route ${route} is already used by ${owners.get(key)}`);
+                } else {
+                    owners.set(key, name);
+                }
+            });
+        });
+    }
+}
+
+module.exports = PresetService;
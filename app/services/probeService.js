@@ -0,0 +1,153 @@
+/**
+ * Servicio de inspección de archivos multimedia
+ *
+ * Este servicio obtiene la información de un archivo con ffprobe y la
+ * devuelve en un formato normalizado e independiente de la versión de FFmpeg.
+ */
+
+const ffmpeg = require('fluent-ffmpeg');
+const consts = require('../constants');
+const LogService = require('./logService');
+const ErrorService = require('./errorService');
+
+class ProbeService {
+    /**
+     * Inspecciona un archivo con ffprobe
+     *
+     * @param {string} filePath - Ruta al archivo
+     * @returns {Promise<Object>} - Promesa con la información normalizada
+     */
+    static probe(filePath) {
+        // Respetar la ruta de ffprobe configurada
+        if (consts.ffprobePath) {
+            ffmpeg.setFfprobePath(consts.ffprobePath);
+        }
+
+        LogService.info({
+            action: 'ffprobe_start',
+            path: filePath
+        });
+
+        return new Promise((resolve, reject) => {
+            ffmpeg.ffprobe(filePath, (err, metadata) => {
+                if (err) {
+                    LogService.error({
+                        type: 'ffprobe_error',
+                        path: filePath,
+                        message: err.toString().substring(0, 500)
+                    });
+                    // Sin ffprobe el fallo es del servidor, no del archivo
+                    reject(this.isSpawnError(err)
+                        ? ErrorService.create('INTERNAL_ERROR', 'ffprobe could not be run on this server')
+                        : new Error('Could not read media information from the file'));
+                    return;
+                }
+
+                resolve(this.normalize(metadata));
+            });
+        });
+    }
+
+    /**
+     * Comprueba si ffprobe no se pudo ejecutar (no está instalado, no tiene
+     * permisos de ejecución...)
+     *
+     * @param {Error} err - Error de fluent-ffmpeg
+     * @returns {boolean} - true si el proceso no llegó a arrancar
+     */
+    static isSpawnError(err) {
+        return ['ENOENT', 'EACCES'].includes(err.code) ||
+            /^spawn/.test(err.syscall || '') ||
+            err.message === 'Cannot find ffprobe';
+    }
+
+    /**
+     * Normaliza la salida de ffprobe
+     *
+     * @param {Object} metadata - Resultado de ffprobe
+     * @returns {Object} - Contenedor, duración, bitrate y streams
+     */
+    static normalize(metadata) {
+        const format = metadata.format || {};
+        const streams = (metadata.streams || []).map(stream => this.normalizeStream(stream));
+
+        return {
+            container: format.format_name || null,
+            containerLongName: format.format_long_name || null,
+            duration: this.toNumber(format.duration),
+            bitrate: this.toNumber(format.bit_rate),
+            size: this.toNumber(format.size),
+            hasVideo: streams.some(stream => stream.type === 'video'),
+            hasAudio: streams.some(stream => stream.type === 'audio'),
+            streams
+        };
+    }
+
+    /**
+     * Normaliza un stream de ffprobe según su tipo
+     *
+     * @param {Object} stream - Stream de ffprobe
+     * @returns {Object} - Datos relevantes del stream
+     */
+    static normalizeStream(stream) {
+        const tags = stream.tags || {};
+        const data = {
+            index: stream.index,
+            type: stream.codec_type || null,
+            codec: stream.codec_name || null,
+            codecLongName: stream.codec_long_name || null,
+            profile: stream.profile || null,
+            bitrate: this.toNumber(stream.bit_rate),
+            duration: this.toNumber(stream.duration),
+            language: tags.language || null
+        };
+
+        if (stream.codec_type === 'video') {
+            data.width = stream.width || null;
+            data.height = stream.height || null;
+            data.frameRate = this.parseFrameRate(stream.avg_frame_rate) ||
+                this.parseFrameRate(stream.r_frame_rate);
+            data.pixelFormat = stream.pix_fmt || null;
+            // Carátula de un archivo de audio, no un vídeo
+            data.attachedPic = Boolean(stream.disposition && stream.disposition.attached_pic);
+        }
+
+        if (stream.codec_type === 'audio') {
+            data.sampleRate = this.toNumber(stream.sample_rate);
+            data.channels = stream.channels || null;
+            data.channelLayout = stream.channel_layout || null;
+        }
+
+        return data;
+    }
+
+    /**
+     * Convierte una fracción de ffprobe ("30000/1001") en número
+     *
+     * @param {string} value - Fracción de frame rate
+     * @returns {number|null} - Frames por segundo, con tres decimales
+     */
+    static parseFrameRate(value) {
+        if (!value || typeof value !== 'string') return null;
+
+        const parts = value.split('/');
+        const numerator = parseFloat(parts[0]);
+        const denominator = parts.length > 1 ? parseFloat(parts[1]) : 1;
+
+        if (!numerator || !denominator) return null;
+        return Math.round(numerator / denominator * 1000) / 1000;
+    }
+
+    /**
+     * Convierte un valor de ffprobe en número
+     *
+     * @param {string|number} value - Valor original ('N/A' si no existe)
+     * @returns {number|null} - Número o null si no es válido
+     */
+    static toNumber(value) {
+        const number = parseFloat(value);
+        return isNaN(number) ? null : number;
+    }
+}
+
+module.exports = ProbeService;
@@ -0,0 +1,158 @@
+/**
+ * Servicio de cola de conversiones
+ *
+ * Este servicio limita cuántos procesos de FFmpeg se ejecutan a la vez.
+ * Las conversiones que superan la concurrencia máxima esperan en una cola
+ * acotada; cuando la cola está llena se rechazan para que el cliente
+ * reintente más tarde.
+ */
+
+const consts = require('../constants');
+const LogService = require('./logService');
+
+// Conversiones en espera, en orden de llegada
+const pending = [];
+
+// Número de conversiones en ejecución
+let running = 0;
+
+class QueueService {
+    /**
+     * Añade una conversión a la cola
+     *
+     * @param {string} id - Identificador de la entrada (id del trabajo o del archivo)
+     * @param {Function} task - Función que inicia la conversión y devuelve una promesa
+     * @param {Object} options - Opciones adicionales
+     * @param {Function} options.onStart - Callback cuando la conversión sale de la cola
+     * @returns {Promise} - Promesa con el resultado de la tarea
+     */
+    static enqueue(id, task, options = {}) {
+        if (this.isFull()) {
+            return Promise.reject(this.createQueueFullError());
+        }
+
+        return new Promise((resolve, reject) => {
+            pending.push({
+                id,
+                task,
+                onStart: options.onStart,
+                // Al empezar se recupera el contexto (requestId) de quien encoló
+                runInContext: LogService.bind(fn => fn()),
+                resolve,
+                reject
+            });
+
+            LogService.info({
+                action: 'queue_enqueued',
+                id: id,
+                position: pending.length,
+                running: running
+            });
+
+            this.processNext();
+        });
+    }
+
+    /**
+     * Inicia las conversiones en espera mientras haya capacidad libre
+     */
+    static processNext() {
+        while (running < consts.maxConcurrentConversions && pending.length > 0) {
+            const entry = pending.shift();
+            running++;
+
+            entry.runInContext(() => {
+                LogService.info({
+                    action: 'queue_started',
+                    id: entry.id,
+                    running: running,
+                    waiting: pending.length
+                });
+
+                if (typeof entry.onStart === 'function') {
+                    entry.onStart();
+                }
+
+                Promise.resolve()
+                    .then(() => entry.task())
+                    .then(entry.resolve, entry.reject)
+                    .then(() => {
+                        running--;
+                        this.processNext();
+                    });
+            });
+        }
+    }
+
+    /**
+     * Retira de la cola una conversión que todavía no ha empezado
+     *
+     * @param {string} id - Identificador de la entrada
+     * @param {Error} error - Error con el que se rechaza la promesa de enqueue()
+     * @returns {boolean} - True si la entrada estaba esperando
+     */
+    static remove(id, error) {
+        const index = pending.findIndex(entry => entry.id === id);
+        if (index === -1) return false;
+
+        const entry = pending.splice(index, 1)[0];
+        entry.reject(error);
+
+        LogService.info({
+            action: 'queue_removed',
+            id: id,
+            reason: error.message
+        });
+
+        return true;
+    }
+
+    /**
+     * Indica si la cola no admite más conversiones
+     *
+     * @returns {boolean} - True si todas las plazas y la cola están ocupadas
+     */
+    static isFull() {
+        return running >= consts.maxConcurrentConversions &&
+            pending.length >= consts.maxQueueLength;
+    }
+
+    /**
+     * Obtiene la posición de una entrada en la cola
+     *
+     * @param {string} id - Identificador de la entrada
+     * @returns {number|null} - Posición (empezando en 1) o null si no está esperando
+     */
+    static getPosition(id) {
+        const index = pending.findIndex(entry => entry.id === id);
+        return index === -1 ? null : index + 1;
+    }
+
+    /**
+     * Devuelve el estado actual de la cola
+     *
+     * @returns {Object} - Conversiones en ejecución, en espera y límites
+     */
+    static getStats() {
+        return {
+            running,
+            waiting: pending.length,
+            maxConcurrency: consts.maxConcurrentConversions,
+            maxQueueLength: consts.maxQueueLength
+        };
+    }
+
+    /**
+     * Crea el error que se devuelve cuando la cola está llena
+     *
+     * @returns {Error} - Error con statusCode 503 y segundos de espera sugeridos
+     */
+    static createQueueFullError() {
+        const error = new Error(`Conversion queue is full (${consts.maxQueueLength} conversions waiting)`);
+        error.statusCode = 503;
+        error.retryAfter = consts.queueRetryAfter;
+        return error;
+    }
+}
+
+module.exports = QueueService;
@@ -0,0 +1,214 @@
+/**
+ * Servicio de registro de rutas
+ *
+ * Este servicio es el único que relaciona rutas y presets: construye la lista
+ * de rutas de conversión a partir de la ruta declarada por cada preset, junto
+ * con los alias cortos /<nombre> que se mantienen por compatibilidad, y
+ * describe todas las rutas del servicio para /endpoints, incluido si FFmpeg
+ * tiene los codificadores y filtros que necesita cada conversión.
+ */
+
+const LogService = require('./logService');
+const ParameterService = require('./parameterService');
+const TrimService = require('./trimService');
+const LoudnessService = require('./loudnessService');
+const CapabilityService = require('./capabilityService');
+
+// Fecha desde la que los alias cortos están obsoletos, para la cabecera Deprecation (RFC 9745)
+const aliasDeprecatedSince = Math.floor(Date.UTC(2026, 9, 19) / 1000);
+
+// Rutas fijas que no dependen de los presets
+const fixedRoutes = [
+    { path: '/', method: 'GET', description: 'API Documentation', produces: ['text/html'] },
+    { path: '/healthz', method: 'GET', description: 'Liveness check: the process is up', produces: ['application/json'] },
+    { path: '/metrics', method: 'GET', description: 'Prometheus metrics: requests, conversions, FFmpeg processes, queue and uploads', produces: ['text/plain'] },
+    { path: '/readyz', method: 'GET', description: 'Readiness check: FFmpeg, encoders, uploads directory and queue', produces: ['application/json'] },
+    { path: '/endpoints', method: 'GET', description: 'List available endpoints', produces: ['application/json'] },
+    { path: '/openapi.json', method: 'GET', description: 'OpenAPI 3 specification of the service', produces: ['application/json'] },
+    { path: '/docs', method: 'GET', description: 'Interactive API explorer (Swagger UI)', produces: ['text/html'] },
+    { path: '/probe', method: 'POST', description: 'Inspect a media file with ffprobe (container, duration, bitrate, streams)', accepts: ['audio/*', 'video/*', 'image/*'], produces: ['application/json'] },
+    { path: '/jobs/:id', method: 'GET', description: 'Get the status of an async conversion job', produces: ['application/json'] },
+    { path: '/jobs/:id', method: 'DELETE', description: 'Cancel an async conversion job, or delete its result once finished', produces: ['application/json'] },
+    { path: '/jobs/:id/progress', method: 'GET', description: 'Stream the progress of an async conversion job (Server-Sent Events)', produces: ['text/event-stream'] },
+    { path: '/jobs/:id/files/*', method: 'GET', description: 'Serve a playlist or segment of a completed HLS/DASH packaging job' },
+    { path: '/jobs/:id/result', method: 'GET', description: 'Download the result of a completed async conversion job' }
+];
+
+// Rutas registradas, en el orden en que se publican
+let routes = [];
+
+class RouteService {
+    /**
+     * Construye el registro de rutas
+     *
+     * @param {Object} presets - Presets publicados (PresetService.getPresets())
+     * @param {Object} tools - Herramientas (endpoints.tools)
+     * @returns {Array} - Rutas registradas
+     */
+    static build(presets, tools) {
+        const conversions = Object.keys(presets).map(name => {
+            const preset = presets[name];
+
+            return {
+                path: preset.path,
+                method: 'POST',
+                preset: name,
+                params: preset,
+                group: preset.group,
+                description: preset.description,
+                accepts: preset.accepts,
+                produces: [preset.mimeType],
+                parameters: Object.assign(ParameterService.describe(preset.params), TrimService.describe()),
+                requires: CapabilityService.getRequirements(preset.outputOptions)
+            };
+        });
+
+        // Alias cortos /<nombre>, obsoletos en favor de la ruta del preset
+        const aliases = conversions.map(route => Object.assign({}, route, {
+            path: `/${route.preset}`,
+            deprecated: true,
+            replacement: route.path
+        }));
+
+        const toolRoutes = Object.keys(tools).map(name => {
+            const tool = tools[name];
+            const route = {
+                path: tool.path,
+                method: 'POST',
+                tool: name,
+                group: tool.group,
+                description: tool.description,
+                accepts: tool.accepts,
+                produces: tool.produces,
+                defaultFormat: tool.defaultFormat,
+                requires: CapabilityService.mergeRequirements(CapabilityService.getRequirements(tool.outputOptions), tool.requires)
+            };
+
+            // Las herramientas con una lista de formatos usan los presets
+            // publicados de esos formatos y producen su tipo MIME
+            if (Array.isArray(tool.formats)) {
+                route.formats = tool.formats.filter(format => presets[format]);
+                route.produces = route.formats.map(format => presets[format].mimeType);
+                route.formatRequires = this.mapFormats(route.formats,
+                    format => CapabilityService.getRequirements(presets[format].outputOptions));
+            } else if (tool.formats) {
+                route.formatRequires = this.mapFormats(Object.keys(tool.formats),
+                    format => CapabilityService.mergeRequirements(
+                        CapabilityService.getRequirements(tool.formats[format].outputOptions), tool.formats[format].requires));
+            }
+
+            if (tool.normalization) {
+                route.normalizeRequires = LoudnessService.getRequirements();
+            }
+
+            return route;
+        });
+
+        routes = conversions.concat(toolRoutes, fixedRoutes, aliases);
+
+        return routes;
+    }
+
+    /**
+     * Rutas registradas
+     *
+     * @returns {Array} - Todas las rutas, en el orden en que se publican
+     */
+    static getRoutes() {
+        return routes;
+    }
+
+    /**
+     * Rutas de conversión, incluidos los alias
+     *
+     * @returns {Array} - Rutas con preset
+     */
+    static getConversionRoutes() {
+        return routes.filter(route => route.preset);
+    }
+
+    /**
+     * Ruta de una herramienta
+     *
+     * @param {string} name - Nombre de la herramienta (endpoints.tools)
+     * @returns {Object|undefined} - Ruta registrada
+     */
+    static getToolRoute(name) {
+        return routes.find(route => route.tool === name);
+    }
+
+    /**
+     * Describe las rutas para /endpoints
+     *
+     * @returns {Array} - Lista de rutas sin datos internos
+     */
+    static describe() {
+        return routes.map(route => {
+            const description = {
+                path: route.path,
+                methods: [route.method],
+                description: route.description
+            };
+
+            ['group', 'accepts', 'produces', 'parameters'].forEach(field => {
+                if (route[field]) description[field] = route[field];
+            });
+
+            if (route.requires) {
+                const missing = CapabilityService.getMissing(route.requires);
+                description.available = !missing;
+                if (missing) description.missing = missing;
+            }
+
+            // Formatos de la herramienta que este FFmpeg no puede producir
+            if (route.formatRequires) {
+                const unavailable = Object.keys(route.formatRequires)
+                    .filter(format => CapabilityService.getMissing(route.formatRequires[format]));
+                if (unavailable.length > 0) description.unavailableFormats = unavailable;
+            }
+
+            if (route.deprecated) {
+                description.deprecated = true;
+                description.replacement = route.replacement;
+            }
+
+            return description;
+        });
+    }
+
+    /**
+     * Construye un objeto indexado por formato
+     *
+     * @param {Array} formats - Nombres de los formatos
+     * @param {Function} build - Recibe el formato y devuelve su valor
+     * @returns {Object} - Valores por formato
+     */
+    static mapFormats(formats, build) {
+        return formats.reduce((map, format) => Object.assign(map, { [format]: build(format) }), {});
+    }
+
+    /**
+     * Middleware que marca una ruta obsoleta
+     *
+     * Añade la cabecera Deprecation y un Link a la ruta que la sustituye.
+     *
+     * @param {Object} route - Ruta obsoleta
+     * @returns {Function} - Middleware de Express
+     */
+    static deprecation(route) {
+        return (req, res, next) => {
+            res.setHeader('Deprecation', `@${aliasDeprecatedSince}`);
+            res.setHeader('Link', `<${route.replacement}>; rel="successor-version"`);
+
+            LogService.warn({
+                action: 'deprecated_route',
+                path: req.path,
+                replacement: route.replacement
+            });
+
+            next();
+        };
+    }
+}
+
+module.exports = RouteService;
@@ -0,0 +1,42 @@
+/**
+ * Adaptador de almacenamiento en un directorio local
+ *
+ * Copia los resultados a un directorio del servidor, normalmente un volumen
+ * compartido con otros servicios.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const StorageAdapter = require('./storageAdapter');
+const FileService = require('../fileService');
+
+class LocalStorageAdapter extends StorageAdapter {
+    /**
+     * Copia el archivo al directorio configurado
+     *
+     * La respuesta sólo incluye la clave relativa: la ruta absoluta del
+     * servidor no debe llegar al cliente.
+     *
+     * @param {string} filePath - Ruta local del archivo a guardar
+     * @param {string} key - Ruta relativa dentro del directorio
+     * @returns {Promise<Object>} - Promesa con { storage, key }
+     */
+    save(filePath, key) {
+        const root = path.resolve(this.config.directory);
+        const destination = path.resolve(root, key);
+
+        // Las claves se generan en el servidor, pero nunca deben salir del directorio
+        if (!destination.startsWith(root + path.sep)) {
+            return Promise.reject(new Error(`Invalid storage key "${key}"`));
+        }
+
+        return FileService.ensureDirectoryExists(path.dirname(destination))
+            .then(() => fs.promises.copyFile(filePath, destination))
+            .then(() => ({
+                storage: this.name,
+                key
+            }));
+    }
+}
+
+module.exports = LocalStorageAdapter;
@@ -0,0 +1,74 @@
+/**
+ * Adaptador de almacenamiento en un bucket S3
+ *
+ * Funciona con AWS S3 y con servicios compatibles como MinIO (configurando
+ * S3_ENDPOINT y S3_FORCE_PATH_STYLE). Devuelve una URL prefirmada para que el
+ * cliente descargue el resultado directamente del bucket.
+ */
+
+const fs = require('fs');
+const { S3Client, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const StorageAdapter = require('./storageAdapter');
+
+class S3StorageAdapter extends StorageAdapter {
+    constructor(name, config) {
+        super(name, config);
+
+        const clientConfig = {
+            region: config.region,
+            forcePathStyle: config.forcePathStyle
+        };
+
+        if (config.endpoint) {
+            clientConfig.endpoint = config.endpoint;
+        }
+
+        // Sin credenciales explícitas se usa la cadena por defecto de AWS (rol IAM, perfil...)
+        if (config.accessKeyId && config.secretAccessKey) {
+            clientConfig.credentials = {
+                accessKeyId: config.accessKeyId,
+                secretAccessKey: config.secretAccessKey
+            };
+        }
+
+        this.client = new S3Client(clientConfig);
+    }
+
+    /**
+     * Sube el archivo al bucket y genera una URL prefirmada de descarga
+     *
+     * @param {string} filePath - Ruta local del archivo a guardar
+     * @param {string} key - Clave del objeto (sin el prefijo configurado)
+     * @param {Object} options - Opciones adicionales
+     * @param {string} options.contentType - Tipo MIME del archivo
+     * @param {string} options.downloadName - Nombre con el que se descargará
+     * @returns {Promise<Object>} - Promesa con { storage, bucket, key, url, expiresIn }
+     */
+    save(filePath, key, options) {
+        const objectKey = `${this.config.prefix}${key}`;
+
+        return fs.promises.stat(filePath)
+            .then(stats => this.client.send(new PutObjectCommand({
+                Bucket: this.config.bucket,
+                Key: objectKey,
+                Body: fs.createReadStream(filePath),
+                ContentLength: stats.size,
+                ContentType: options.contentType
+            })))
+            .then(() => getSignedUrl(this.client, new GetObjectCommand({
+                Bucket: this.config.bucket,
+                Key: objectKey,
+                ResponseContentDisposition: `attachment; filename="${options.downloadName.replace(/"/g, '')}"`
+            }), { expiresIn: this.config.presignExpires }))
+            .then(url => ({
+                storage: this.name,
+                bucket: this.config.bucket,
+                key: objectKey,
+                url,
+                expiresIn: this.config.presignExpires
+            }));
+    }
+}
+
+module.exports = S3StorageAdapter;
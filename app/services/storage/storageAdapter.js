@@ -0,0 +1,34 @@
+/**
+ * Interfaz de los adaptadores de almacenamiento
+ *
+ * Cada destino de salida (directorio local, bucket S3...) extiende esta clase
+ * e implementa save(). Para añadir un destino nuevo basta con crear su
+ * adaptador y registrarlo en StorageService.
+ */
+
+class StorageAdapter {
+    /**
+     * @param {string} name - Nombre del destino (valor del parámetro output)
+     * @param {Object} config - Configuración del destino (constants.storage[name])
+     */
+    constructor(name, config) {
+        this.name = name;
+        this.config = config;
+    }
+
+    /**
+     * Guarda un archivo en el destino
+     *
+     * @param {string} filePath - Ruta local del archivo a guardar
+     * @param {string} key - Clave (ruta relativa) con la que se guarda
+     * @param {Object} options - Opciones adicionales
+     * @param {string} options.contentType - Tipo MIME del archivo
+     * @param {string} options.downloadName - Nombre con el que se descargará
+     * @returns {Promise<Object>} - Promesa con { storage, key, ... } para devolver al cliente
+     */
+    save(filePath, key, options) {
+        return Promise.reject(new Error(`Storage "${this.name}" does not implement save()`));
+    }
+}
+
+module.exports = StorageAdapter;
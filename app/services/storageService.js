@@ -0,0 +1,118 @@
+/**
+ * Servicio de almacenamiento de resultados
+ *
+ * Por defecto el resultado de una conversión se devuelve en la respuesta.
+ * Con el parámetro output el cliente puede pedir que se guarde en uno de los
+ * destinos configurados (directorio local, bucket S3...) y recibir en JSON la
+ * clave y, si el destino lo permite, una URL de descarga.
+ */
+
+const consts = require('../constants');
+const LogService = require('./logService');
+const ParameterService = require('./parameterService');
+
+// Adaptadores disponibles por nombre de destino. Se cargan al usarlos para no
+// requerir el SDK de un destino que no está configurado.
+const adapterModules = {
+    local: './storage/localStorageAdapter',
+    s3: './storage/s3StorageAdapter'
+};
+
+// Instancias ya creadas de cada adaptador
+const adapters = new Map();
+
+class StorageService {
+    /**
+     * Valida el destino pedido por el cliente
+     *
+     * @param {Object} source - Parámetros de la query y/o campos del formulario
+     * @returns {string|null} - Nombre del destino, o null para devolver el archivo en la respuesta
+     * @throws {Error} - Error con statusCode 400 si el destino no existe o no está configurado
+     */
+    static parseTarget(source) {
+        if (source.output === undefined || source.output === '') return null;
+
+        const target = String(source.output).toLowerCase();
+        const available = this.getAvailableTargets();
+
+        if (!available.includes(target)) {
+            throw ParameterService.createValidationError(available.length > 0
+                ? `output must be one of: ${available.join(', ')}`
+                : 'No output storage is configured on this server');
+        }
+
+        return target;
+    }
+
+    /**
+     * Destinos configurados en el servidor
+     *
+     * @returns {Array} - Nombres de los destinos habilitados
+     */
+    static getAvailableTargets() {
+        return Object.keys(adapterModules).filter(name => consts.storage[name] && consts.storage[name].enabled);
+    }
+
+    /**
+     * Obtiene el adaptador de un destino
+     *
+     * @param {string} name - Nombre del destino
+     * @returns {StorageAdapter} - Adaptador configurado
+     */
+    static getAdapter(name) {
+        if (!adapters.has(name)) {
+            const Adapter = require(adapterModules[name]);
+            adapters.set(name, new Adapter(name, consts.storage[name]));
+        }
+
+        return adapters.get(name);
+    }
+
+    /**
+     * Guarda un resultado en el destino indicado
+     *
+     * @param {string} target - Nombre del destino
+     * @param {string} filePath - Ruta local del resultado
+     * @param {string} id - Identificador de la conversión, usado como carpeta de la clave
+     * @param {string} downloadName - Nombre del archivo para el cliente
+     * @param {string} contentType - Tipo MIME del resultado (mimeType del preset)
+     * @returns {Promise<Object>} - Promesa con la información devuelta por el adaptador
+     */
+    static store(target, filePath, id, downloadName, contentType) {
+        const key = `${id}/${downloadName}`;
+
+        LogService.info({
+            action: 'storage_upload_start',
+            storage: target,
+            file: filePath,
+            key: key
+        });
+
+        return this.getAdapter(target)
+            .save(filePath, key, {
+                contentType: contentType || 'application/octet-stream',
+                downloadName
+            })
+            .then(result => {
+                LogService.info({
+                    action: 'storage_upload_complete',
+                    storage: target,
+                    key: result.key
+                });
+                return result;
+            }, err => {
+                LogService.error({
+                    type: 'storage_upload_error',
+                    storage: target,
+                    key: key,
+                    message: err.toString()
+                });
+
+                const storageError = new Error(`Could not save the result to "${target}": ${err.message}`);
+                storageError.statusCode = 502;
+                throw storageError;
+            });
+    }
+}
+
+module.exports = StorageService;
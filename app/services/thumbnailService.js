@@ -0,0 +1,187 @@
+/**
+ * Servicio de miniaturas de vídeo
+ *
+ * Este servicio extrae fotogramas fijos de un vídeo: uno en un instante
+ * concreto, uno representativo elegido automáticamente, o varios repartidos
+ * a lo largo de toda la duración.
+ */
+
+const LogService = require('./logService');
+const ConversionService = require('./conversionService');
+const ProbeService = require('./probeService');
+const ParameterService = require('./parameterService');
+
+class ThumbnailService {
+    /**
+     * Valida los parámetros de la petición de miniaturas
+     *
+     * @param {Object} query - Parámetros recibidos (time, width, format, count)
+     * @param {Object} config - Configuración de la herramienta (endpoints.tools.thumbnail)
+     * @returns {Object} - Opciones normalizadas
+     * @throws {Error} - Error con statusCode 400 si algún parámetro no es válido
+     */
+    static parseOptions(query, config) {
+        const format = String(query.format || config.defaultFormat).toLowerCase();
+        if (!config.formats[format]) {
+            throw this.createValidationError(`Unsupported format "${format}". Allowed: ${Object.keys(config.formats).join(', ')}`);
+        }
+
+        const width = query.width === undefined ? config.defaultWidth : Number(query.width);
+        if (!Number.isInteger(width) || width < 16 || width > config.maxWidth) {
+            throw this.createValidationError(`width must be an integer between 16 and ${config.maxWidth}`);
+        }
+
+        const count = query.count === undefined ? 1 : Number(query.count);
+        if (!Number.isInteger(count) || count < 1 || count > config.maxCount) {
+            throw this.createValidationError(`count must be an integer between 1 and ${config.maxCount}`);
+        }
+
+        let time = 'auto';
+        if (query.time !== undefined && query.time !== 'auto') {
+            if (count > 1) {
+                throw this.createValidationError('time cannot be combined with count; frames are spread over the whole video');
+            }
+
+            time = ParameterService.parseTimestamp(query.time);
+            if (time === null) {
+                throw this.createValidationError(`Invalid time "${query.time}". Use seconds (12.5), HH:MM:SS(.ms) or "auto"`);
+            }
+        }
+
+        return {
+            format,
+            width,
+            count,
+            time,
+            mimeType: config.formats[format].mimeType,
+            formatOptions: config.formats[format].outputOptions
+        };
+    }
+
+    /**
+     * Extrae las miniaturas solicitadas de un vídeo
+     *
+     * @param {string} inputFile - Ruta al vídeo
+     * @param {Object} options - Opciones devueltas por parseOptions()
+     * @param {Object} control - Control de la conversión para poder cancelarla
+     * @returns {Promise<Array>} - Promesa con las rutas de las imágenes generadas
+     */
+    static createThumbnails(inputFile, options, control) {
+        return ProbeService.probe(inputFile)
+            .catch(err => {
+                err.statusCode = 422;
+                throw err;
+            })
+            .then(info => {
+                if (!info.hasVideo) {
+                    const noVideoError = new Error('The uploaded file has no video stream');
+                    noVideoError.statusCode = 422;
+                    throw noVideoError;
+                }
+
+                const duration = info.duration || 0;
+
+                if (options.time !== 'auto' && duration && options.time >= duration) {
+                    throw this.createValidationError(`time ${options.time}s is beyond the video duration (${duration.toFixed(2)}s)`);
+                }
+
+                const frames = this.getFrameTimes(options, duration);
+
+                LogService.info({
+                    action: 'thumbnail_start',
+                    inputFile: inputFile,
+                    frames: frames.length,
+                    format: options.format,
+                    width: options.width
+                });
+
+                // Extraer los fotogramas uno detrás de otro para no lanzar varios FFmpeg a la vez
+                const outputFiles = [];
+                return frames.reduce((chain, frame, index) => chain.then(() => {
+                    const suffix = frames.length > 1 ? `-${String(index + 1).padStart(3, '0')}` : '';
+                    const outputFile = `${inputFile}-thumb${suffix}.${options.format}`;
+                    outputFiles.push(outputFile);
+
+                    return this.extractFrame(inputFile, outputFile, frame, options, control);
+                }), Promise.resolve()).then(() => outputFiles, err => {
+                    err.outputFiles = outputFiles;
+                    throw err;
+                });
+            });
+    }
+
+    /**
+     * Calcula los instantes de los fotogramas a extraer
+     *
+     * Con time=auto se analiza un tramo a partir del 10% de la duración para
+     * evitar los fundidos a negro del inicio.
+     *
+     * @param {Object} options - Opciones de la petición
+     * @param {number} duration - Duración del vídeo en segundos
+     * @returns {Array} - Fotogramas como { time, auto }
+     */
+    static getFrameTimes(options, duration) {
+        if (options.count > 1) {
+            const frames = [];
+            for (let i = 0; i < options.count; i++) {
+                frames.push({ time: duration * (i + 0.5) / options.count, auto: false });
+            }
+            return frames;
+        }
+
+        if (options.time === 'auto') {
+            return [{ time: duration * 0.1, auto: true }];
+        }
+
+        return [{ time: options.time, auto: false }];
+    }
+
+    /**
+     * Extrae un único fotograma
+     *
+     * @param {string} inputFile - Ruta al vídeo
+     * @param {string} outputFile - Ruta de la imagen
+     * @param {Object} frame - Instante en segundos y si se elige automáticamente
+     * @param {Object} options - Opciones de la petición
+     * @param {Object} control - Control de la conversión
+     * @returns {Promise} - Promesa que se resuelve con la imagen creada
+     */
+    static extractFrame(inputFile, outputFile, frame, options, control) {
+        const scale = `scale=${options.width}:-2`;
+        const inputOptions = [];
+
+        if (frame.time > 0) {
+            inputOptions.push(`-ss ${frame.time.toFixed(3)}`);
+        }
+
+        // El filtro thumbnail elige el fotograma más representativo de cada lote
+        const filter = frame.auto ? `thumbnail,${scale}` : scale;
+
+        return ConversionService.runFFmpeg({
+            inputFile,
+            inputOptions,
+            outputOptions: [
+                `-vf ${filter}`,
+                '-frames:v 1',
+                '-an',
+                ...options.formatOptions
+            ],
+            outputFile,
+            control
+        });
+    }
+
+    /**
+     * Crea un error de validación de parámetros
+     *
+     * @param {string} message - Mensaje para el cliente
+     * @returns {Error} - Error con statusCode 400
+     */
+    static createValidationError(message) {
+        const error = new Error(message);
+        error.statusCode = 400;
+        return error;
+    }
+}
+
+module.exports = ThumbnailService;
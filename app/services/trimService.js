@@ -0,0 +1,147 @@
+/**
+ * Servicio de recorte de archivos multimedia
+ *
+ * Este servicio valida los parámetros start, end y duration y los traduce
+ * en opciones de FFmpeg para convertir sólo un fragmento del archivo.
+ */
+
+const ParameterService = require('./parameterService');
+
+// Modos de búsqueda del instante inicial
+const seekModes = ['fast', 'accurate'];
+
+class TrimService {
+    /**
+     * Valida los parámetros de recorte recibidos
+     *
+     * @param {Object} source - Parámetros de la query y/o campos del formulario
+     * @returns {Object|null} - { start, end, duration, seek } o null si no se pide recorte
+     * @throws {Error} - Error con statusCode 400 si algún valor no es válido
+     */
+    static parseOptions(source) {
+        const start = this.parseTime(source, 'start');
+        const end = this.parseTime(source, 'end');
+        const duration = this.parseTime(source, 'duration');
+
+        if (start === null && end === null && duration === null) {
+            return null;
+        }
+
+        if (end !== null && duration !== null) {
+            throw ParameterService.createValidationError('end cannot be combined with duration');
+        }
+
+        if (end !== null && end <= (start || 0)) {
+            throw ParameterService.createValidationError('end must be greater than start');
+        }
+
+        if (duration !== null && duration <= 0) {
+            throw ParameterService.createValidationError('duration must be greater than 0');
+        }
+
+        const seek = String(source.seek || 'fast').toLowerCase();
+        if (!seekModes.includes(seek)) {
+            throw ParameterService.createValidationError(`seek must be one of: ${seekModes.join(', ')}`);
+        }
+
+        return {
+            start: start || 0,
+            end,
+            duration,
+            seek
+        };
+    }
+
+    /**
+     * Lee un instante de los parámetros recibidos
+     *
+     * @param {Object} source - Parámetros recibidos
+     * @param {string} name - Nombre del parámetro
+     * @returns {number|null} - Segundos, o null si no se ha enviado
+     * @throws {Error} - Error con statusCode 400 si el formato no es válido
+     */
+    static parseTime(source, name) {
+        if (source[name] === undefined || source[name] === '') return null;
+
+        const seconds = ParameterService.parseTimestamp(source[name]);
+        if (seconds === null) {
+            throw ParameterService.createValidationError(`Invalid ${name} "${source[name]}". Use seconds (12.5) or HH:MM:SS(.ms)`);
+        }
+
+        return seconds;
+    }
+
+    /**
+     * Comprueba el recorte contra la duración real del archivo
+     *
+     * @param {Object} trim - Opciones devueltas por parseOptions()
+     * @param {Object} info - Información del archivo devuelta por ProbeService.probe()
+     * @throws {Error} - Error con statusCode 400 si el recorte se sale del archivo
+     */
+    static validate(trim, info) {
+        const mediaDuration = info.duration;
+
+        if (!mediaDuration) {
+            throw ParameterService.createValidationError('The uploaded file has no duration and cannot be trimmed');
+        }
+
+        const limit = `the media duration (${mediaDuration.toFixed(2)}s)`;
+
+        if (trim.start >= mediaDuration) {
+            throw ParameterService.createValidationError(`start ${trim.start}s is beyond ${limit}`);
+        }
+
+        if (trim.end !== null && trim.end > mediaDuration) {
+            throw ParameterService.createValidationError(`end ${trim.end}s is beyond ${limit}`);
+        }
+
+        if (trim.duration !== null && trim.start + trim.duration > mediaDuration) {
+            throw ParameterService.createValidationError(`start + duration (${trim.start + trim.duration}s) is beyond ${limit}`);
+        }
+    }
+
+    /**
+     * Construye las opciones de FFmpeg para el recorte
+     *
+     * En modo fast se busca sobre la entrada: FFmpeg salta al fotograma clave
+     * anterior a start y sólo decodifica desde ahí. En modo accurate se busca
+     * sobre la salida: se decodifica el archivo desde el principio y se
+     * descartan los fotogramas hasta el instante exacto, que es más lento pero
+     * no depende de los índices del contenedor.
+     *
+     * @param {Object} trim - Opciones devueltas por parseOptions()
+     * @returns {Object} - { inputOptions, outputOptions }
+     */
+    static buildOptions(trim) {
+        const inputOptions = [];
+        const outputOptions = [];
+
+        if (trim.start > 0) {
+            const seekOptions = trim.seek === 'accurate' ? outputOptions : inputOptions;
+            seekOptions.push(`-ss ${trim.start.toFixed(3)}`);
+        }
+
+        const length = trim.end !== null ? trim.end - trim.start : trim.duration;
+        if (length !== null) {
+            outputOptions.push(`-t ${length.toFixed(3)}`);
+        }
+
+        return { inputOptions, outputOptions };
+    }
+
+    /**
+     * Describe los parámetros de recorte para /endpoints
+     *
+     * @returns {Object} - Tipo y descripción de cada parámetro
+     */
+    static describe() {
+        return {
+            start: { type: 'time', description: 'Start of the clip, in seconds or HH:MM:SS(.ms)' },
+            end: { type: 'time', description: 'End of the clip (cannot be combined with duration)' },
+            duration: { type: 'time', description: 'Length of the clip (cannot be combined with end)' },
+            seek: { type: 'string', description: 'Seek mode: fast seeks in the input from the nearest keyframe, accurate decodes from the beginning and cuts at the exact frame', allowed: seekModes }
+        };
+    }
+}
+
+module.exports = TrimService;
@@ -5,8 +5,9 @@
  * con manejo de errores y límites.
  */
 
+const fs = require('fs');
 const Busboy = require('busboy');
-const winston = require('winston');
+const LogService = require('./logService');
 const FileService = require('./fileService');
 
 class UploadService {
@@ -30,21 +31,51 @@ class UploadService {
             let bytes = 0;
             let savedFile = FileService.generateUniqueFilename(uploadDir);
             let fileInfo = {};
+            let writeDone = Promise.resolve();
+            let writeStream = null;
+            let receivedFile = false;
+            const fields = {};
             
-            const busboy = new Busboy({
-                headers: req.headers,
-                limits: {
-                    files: 1,
-                    fileSize: fileSizeLimit
+            let busboy;
+            try {
+                busboy = new Busboy({
+                    headers: req.headers,
+                    limits: {
+                        files: 1,
+                        fields: 20,
+                        fieldSize: 1024,
+                        fileSize: fileSizeLimit
+                    }
+                });
+            } catch (busboyError) {
+                // busboy rechaza en el constructor las peticiones sin Content-Type
+                // o con uno que no es multipart
+                const contentType = req.headers['content-type'];
+                const err = new Error(contentType
+                    ? `Unsupported Content-Type "${contentType}": send the file as multipart/form-data`
+                    : 'Missing Content-Type: send the file as multipart/form-data');
+                LogService.error({
+                    type: 'upload_content_type',
+                    contentType: contentType || null,
+                    message: busboyError.message
+                });
+
+                // Descartar el cuerpo que no se va a leer
+                req.resume();
+
+                if (typeof onError === 'function') {
+                    onError(err, contentType ? 415 : 400);
                 }
-            });
+                reject(err);
+                return;
+            }
 
             busboy.on('filesLimit', () => {
                 const err = new Error('Too many files uploaded');
-                winston.error(JSON.stringify({
+                LogService.error({
                     type: 'filesLimit',
                     message: err.message
-                }));
+                });
                 
                 if (typeof onError === 'function') {
                     onError(err, 400);
@@ -52,18 +83,24 @@ class UploadService {
                 reject(err);
             });
 
+            // Campos de texto del formulario (parámetros de conversión)
+            busboy.on('field', (fieldname, value) => {
+                fields[fieldname] = value;
+            });
+
             busboy.on('file', (fieldname, file, filename, encoding, mimetype) => {
+                receivedFile = true;
                 fileInfo = { filename, encoding, mimetype };
                 
                 file.on('limit', () => {
                     hitLimit = true;
                     const err = new Error(`File ${filename} exceeds max size limit of ${FileService.getReadableFileSize(fileSizeLimit)}`);
                     
-                    winston.error(JSON.stringify({
+                    LogService.error({
                         type: 'fileLimit',
                         file: filename,
                         error: err.message
-                    }));
+                    });
                     
                     // Asegurarse de consumir el stream para que el evento 'finish' se dispare
                     file.resume();
@@ -74,11 +111,11 @@ class UploadService {
                     reject(err);
                 });
 
-                winston.info(JSON.stringify({
+                LogService.info({
                     file: filename,
                     encoding: encoding,
                     mimetype: mimetype
-                }));
+                });
 
                 file.on('data', (data) => {
                     bytes += data.length;
@@ -86,34 +123,36 @@ class UploadService {
 
                 file.on('end', () => {
                     fileInfo.bytes = bytes;
-                    winston.info(JSON.stringify({
+                    LogService.info({
                         action: 'file_data_end',
                         ...fileInfo
-                    }));
+                    });
                 });
 
                 fileName = filename;
-                winston.info(JSON.stringify({
+                LogService.info({
                     action: 'Uploading',
                     name: fileName
-                }));
+                });
 
-                const writeStream = FileService.createWriteStream(savedFile);
+                writeStream = FileService.createWriteStream(savedFile);
                 file.pipe(writeStream);
 
+                writeDone = new Promise(done => writeStream.on('finish', done));
+
                 writeStream.on('finish', () => {
-                    winston.info(JSON.stringify({
+                    LogService.info({
                         action: 'writeStream_finish',
                         path: savedFile,
                         size: bytes
-                    }));
+                    });
                 });
 
                 writeStream.on('error', (err) => {
-                    winston.error(JSON.stringify({
+                    LogService.error({
                         type: 'write_error',
                         message: err.toString()
-                    }));
+                    });
                     
                     // Asegurarse de consumir el stream para que el evento 'finish' se dispare
                     file.resume();
@@ -131,70 +170,90 @@ class UploadService {
                     return;
                 }
 
-                winston.info(JSON.stringify({
-                    action: 'upload complete',
-                    name: fileName,
-                    bytes: bytes,
-                    savedPath: savedFile
-                }));
-
-                // Verificar que el archivo existe y tiene contenido
-                try {
-                    const stats = fs.statSync(savedFile);
-                    winston.info(JSON.stringify({
-                        action: 'file_verification',
-                        exists: true,
-                        size: stats.size,
-                        path: savedFile
-                    }));
-                    
-                    if (stats.size === 0) {
-                        const emptyFileError = new Error('Uploaded file is empty');
-                        winston.error(JSON.stringify({
-                            type: 'empty_file_error',
-                            message: emptyFileError.message,
+                // Formulario sólo con campos, sin la parte del archivo
+                if (!receivedFile) {
+                    const missingFileError = new Error('No file in the request: send it as multipart/form-data with a file field');
+                    LogService.error({
+                        type: 'missing_file_error',
+                        message: missingFileError.message,
+                        fields: Object.keys(fields)
+                    });
+
+                    if (typeof onError === 'function') {
+                        onError(missingFileError, 400);
+                    }
+                    reject(missingFileError);
+                    return;
+                }
+
+                // Busboy termina antes de que el archivo se haya volcado a disco
+                writeDone.then(() => {
+                    LogService.info({
+                        action: 'upload complete',
+                        name: fileName,
+                        bytes: bytes,
+                        savedPath: savedFile
+                    });
+
+                    // Verificar que el archivo existe y tiene contenido
+                    try {
+                        const stats = fs.statSync(savedFile);
+                        LogService.info({
+                            action: 'file_verification',
+                            exists: true,
+                            size: stats.size,
                             path: savedFile
-                        }));
+                        });
+                    
+                        if (stats.size === 0) {
+                            const emptyFileError = new Error('Uploaded file is empty');
+                            LogService.error({
+                                type: 'empty_file_error',
+                                message: emptyFileError.message,
+                                path: savedFile
+                            });
                         
+                            if (typeof onError === 'function') {
+                                onError(emptyFileError, 400);
+                            }
+                            reject(emptyFileError);
+                            return;
+                        }
+                    } catch (error) {
+                        LogService.error({
+                            type: 'file_verification_error',
+                            message: error.toString(),
+                            path: savedFile
+                        });
+                    
                         if (typeof onError === 'function') {
-                            onError(emptyFileError, 400);
+                            onError(error, 500);
                         }
-                        reject(emptyFileError);
+                        reject(error);
                         return;
                     }
-                } catch (error) {
-                    winston.error(JSON.stringify({
-                        type: 'file_verification_error',
-                        message: error.toString(),
-                        path: savedFile
-                    }));
-                    
-                    if (typeof onError === 'function') {
-                        onError(error, 500);
-                    }
-                    reject(error);
-                    return;
-                }
 
-                const uploadResult = {
-                    originalName: fileName,
-                    savedPath: savedFile,
-                    size: bytes,
-                    mimetype: fileInfo.mimetype
-                };
+                    const uploadResult = {
+                        originalName: fileName,
+                        savedPath: savedFile,
+                        size: bytes,
+                        mimetype: fileInfo.mimetype,
+                        fields: fields
+                    };
 
-                if (typeof onFileComplete === 'function') {
-                    onFileComplete(uploadResult);
-                }
+                    if (typeof onFileComplete === 'function') {
+                        onFileComplete(uploadResult);
+                    }
                 
-                resolve(uploadResult);
+                    resolve(uploadResult);
+                });
             });
 
             busboy.on('error', (err) => {
-                winston.error(JSON.stringify({
+                LogService.error({
                     type: 'busboy_error',
                     message: err.toString()
-                }));
+                });
                 
                 if (typeof onError === 'function') {
                     onError(err, 500);
@@ -202,6 +261,31 @@ class UploadService {
                 reject(err);
             });
 
+            // Descartar la subida parcial si el cliente se desconecta
+            req.on('close', () => {
+                if (req.complete) return;
+
+                const abortError = new Error('Client disconnected during upload');
+                abortError.statusCode = 499;
+                LogService.warn({
+                    action: 'upload_aborted',
+                    name: fileName,
+                    bytes: bytes,
+                    path: savedFile
+                });
+
+                req.unpipe(busboy);
+                if (writeStream) {
+                    writeStream.destroy();
+                }
+                FileService.deleteFile(savedFile);
+
+                if (typeof onError === 'function') {
+                    onError(abortError, 499);
+                }
+                reject(abortError);
+            });
+
             req.pipe(busboy);
         });
     }
@@ -0,0 +1,231 @@
+/**
+ * Servicio de webhooks
+ *
+ * Este servicio avisa al cliente cuando termina un trabajo asíncrono enviando
+ * un POST con un JSON a la URL indicada en callback_url. El cuerpo se firma
+ * con HMAC-SHA256 y el secreto compartido (WEBHOOK_SECRET) para que el
+ * receptor pueda comprobar que viene de este servicio; sin secreto no se
+ * admite callback_url. Los envíos fallidos se reintentan con espera exponencial.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const consts = require('../constants');
+const LogService = require('./logService');
+const DownloadService = require('./downloadService');
+const ParameterService = require('./parameterService');
+
+class WebhookService {
+    /**
+     * Valida la URL de callback recibida
+     *
+     * @param {string} value - Valor de callback_url
+     * @returns {string|null} - URL validada, o null si no se ha enviado
+     * @throws {Error} - Error con statusCode 400 si no es una URL http(s) válida o no hay secreto para firmar
+     */
+    static parseUrl(value) {
+        if (value === undefined || value === '') return null;
+
+        // No se envían avisos sin firmar
+        if (!consts.webhookSecret) {
+            throw ParameterService.createValidationError('callback_url is not available: the server has no WEBHOOK_SECRET to sign notifications');
+        }
+
+        let url;
+        try {
+            url = new URL(String(value));
+        } catch (err) {
+            throw ParameterService.createValidationError(`Invalid callback_url "${value}"`);
+        }
+
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            throw ParameterService.createValidationError('callback_url must be an http or https URL');
+        }
+
+        try {
+            DownloadService.checkHost(url);
+        } catch (err) {
+            throw ParameterService.createValidationError(`callback_url: ${err.message}`);
+        }
+
+        return url.toString();
+    }
+
+    /**
+     * Construye el cuerpo del webhook a partir del trabajo
+     *
+     * @param {Object} job - Trabajo finalizado
+     * @param {string} baseUrl - URL pública del servicio, para la URL de descarga
+     * @returns {Object} - Datos del aviso
+     */
+    static buildPayload(job, baseUrl) {
+        const payload = {
+            event: `job.${job.status}`,
+            jobId: job.id,
+            status: job.status,
+            fileName: job.fileName,
+            extension: job.extension,
+            createdAt: job.createdAt,
+            finishedAt: job.finishedAt
+        };
+
+        if (job.status === 'completed') {
+            payload.outputSize = job.outputSize;
+            payload.duration = job.duration;
+            payload.download = job.storage
+                ? Object.assign({}, job.storage)
+                : { url: `${baseUrl}/jobs/${job.id}/result` };
+        } else {
+            payload.error = job.error;
+            if (job.code) payload.code = job.code;
+        }
+
+        return payload;
+    }
+
+    /**
+     * Envía el aviso de un trabajo finalizado, con reintentos
+     *
+     * @param {Object} job - Trabajo finalizado (con callbackUrl)
+     * @returns {Promise<boolean>} - Promesa que se resuelve con true si se entregó
+     */
+    static notify(job) {
+        // Los trabajos cancelados no se avisan, aunque se cancelen mientras se guarda el resultado
+        if (!job || !job.callbackUrl || job.status === 'cancelled') return Promise.resolve(false);
+
+        const body = JSON.stringify(this.buildPayload(job, job.baseUrl));
+
+        return this.deliver(job.callbackUrl, body, job.id, 1)
+            .then(() => true, err => {
+                LogService.error({
+                    type: 'webhook_failed',
+                    jobId: job.id,
+                    url: job.callbackUrl,
+                    message: err.message
+                });
+                return false;
+            });
+    }
+
+    /**
+     * Intenta entregar el aviso y programa el siguiente intento si falla
+     *
+     * @param {string} callbackUrl - URL del receptor
+     * @param {string} body - Cuerpo JSON
+     * @param {string} jobId - Id del trabajo (para los logs)
+     * @param {number} attempt - Número de intento, empezando en 1
+     * @returns {Promise} - Promesa que se resuelve al entregarlo o se rechaza al agotar los intentos
+     */
+    static deliver(callbackUrl, body, jobId, attempt) {
+        return this.send(callbackUrl, body)
+            .then(statusCode => {
+                LogService.info({
+                    action: 'webhook_delivered',
+                    jobId: jobId,
+                    attempt: attempt,
+                    statusCode: statusCode
+                });
+            })
+            .catch(err => {
+                LogService.warn({
+                    action: 'webhook_attempt_failed',
+                    jobId: jobId,
+                    attempt: attempt,
+                    message: err.message
+                });
+
+                if (!err.retryable || attempt >= consts.webhookMaxAttempts) {
+                    throw err;
+                }
+
+                // Espera exponencial: 2s, 4s, 8s...
+                const delay = consts.webhookRetryDelay * Math.pow(2, attempt - 1);
+                return new Promise(resolve => setTimeout(resolve, delay).unref())
+                    .then(() => this.deliver(callbackUrl, body, jobId, attempt + 1));
+            });
+    }
+
+    /**
+     * Hace un único POST al receptor
+     *
+     * @param {string} callbackUrl - URL del receptor
+     * @param {string} body - Cuerpo JSON
+     * @returns {Promise<number>} - Promesa con el código de estado si es 2xx
+     */
+    static send(callbackUrl, body) {
+        return new Promise((resolve, reject) => {
+            const url = new URL(callbackUrl);
+            const client = url.protocol === 'https:' ? https : http;
+            const timestamp = Math.floor(Date.now() / 1000).toString();
+            const headers = {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                'User-Agent': 'ffmpeg-web-service',
+                'X-Webhook-Timestamp': timestamp,
+                'X-Webhook-Signature': `sha256=${this.sign(body, timestamp)}`
+            };
+
+            const request = client.request(url, {
+                method: 'POST',
+                headers,
+                lookup: (hostname, options, callback) => DownloadService.lookup(hostname, options, callback)
+            });
+
+            request.setTimeout(consts.webhookTimeout, () => {
+                request.destroy(this.createError(`No response within ${consts.webhookTimeout / 1000} seconds`, true));
+            });
+
+            request.on('error', err => {
+                // Las direcciones privadas no van a dejar de serlo
+                reject(this.createError(err.message, err.statusCode !== 403 && err.retryable !== false));
+            });
+
+            request.on('response', response => {
+                response.resume();
+
+                if (response.statusCode >= 200 && response.statusCode < 300) {
+                    resolve(response.statusCode);
+                    return;
+                }
+
+                // Los errores del cliente no se arreglan reintentando, salvo 408 y 429
+                const retryable = response.statusCode >= 500 || [408, 429].includes(response.statusCode);
+                reject(this.createError(`Receiver responded with status ${response.statusCode}`, retryable));
+            });
+
+            request.end(body);
+        });
+    }
+
+    /**
+     * Firma el cuerpo del aviso
+     *
+     * El receptor debe calcular HMAC-SHA256(secreto, "<timestamp>.<cuerpo>") y
+     * compararlo con la cabecera X-Webhook-Signature.
+     *
+     * @param {string} body - Cuerpo JSON
+     * @param {string} timestamp - Valor de X-Webhook-Timestamp
+     * @returns {string} - Firma en hexadecimal
+     */
+    static sign(body, timestamp) {
+        return crypto.createHmac('sha256', consts.webhookSecret)
+            .update(`${timestamp}.${body}`)
+            .digest('hex');
+    }
+
+    /**
+     * Crea un error de entrega
+     *
+     * @param {string} message - Descripción del fallo
+     * @param {boolean} retryable - Si tiene sentido reintentar
+     * @returns {Error} - Error con retryable
+     */
+    static createError(message, retryable) {
+        const error = new Error(message);
+        error.retryable = retryable;
+        return error;
+    }
+}
+
+module.exports = WebhookService;
@@ -0,0 +1,232 @@
+/**
+ * Pruebas de la carga de claves de API, de los permisos por grupo y del
+ * límite de peticiones
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const keysFile = path.join(os.tmpdir(), `api-keys-test-${process.pid}.json`);
+fs.writeFileSync(keysFile, JSON.stringify([
+    { name: 'limited', key: 'limited-key-0123456789', groups: ['audio'], rateLimit: { requests: 3, window: 10 } }
+]));
+
+process.env.API_KEYS = 'env-key-0123456789abc';
+process.env.API_KEYS_FILE = keysFile;
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const winston = require('winston');
+const consts = require('../app/constants');
+const AuthService = require('../app/services/authService');
+
+winston.level = 'error';
+
+const bearer = key => ({ headers: { authorization: `Bearer ${key}` } });
+
+after(() => fs.rmSync(keysFile, { force: true }));
+
+describe('AuthService keys', () => {
+    before(() => AuthService.loadKeys());
+
+    it('loads the keys from API_KEYS and API_KEYS_FILE', () => {
+        assert.strictEqual(AuthService.isEnabled(), true);
+        assert.strictEqual(AuthService.identify(bearer('env-key-0123456789abc')).name, 'env-1');
+        assert.strictEqual(AuthService.identify(bearer('limited-key-0123456789')).name, 'limited');
+    });
+
+    it('does not keep the secrets in memory', () => {
+        const apiKey = AuthService.identify(bearer('limited-key-0123456789'));
+
+        assert.strictEqual(apiKey.key, undefined);
+        assert.ok(!JSON.stringify(apiKey).includes('limited-key-0123456789'));
+    });
+
+    it('hashes keys with SHA-256', () => {
+        const expected = crypto.createHash('sha256').update('limited-key-0123456789').digest('hex');
+
+        assert.strictEqual(AuthService.hashKey('limited-key-0123456789'), expected);
+    });
+
+    it('rejects missing, malformed and unknown keys', () => {
+        assert.strictEqual(AuthService.identify({ headers: {} }), null);
+        assert.strictEqual(AuthService.identify({ headers: { authorization: 'limited-key-0123456789' } }), null);
+        assert.strictEqual(AuthService.identify(bearer('unknown-key-0123456789')), null);
+    });
+
+    it('rejects short keys, unknown groups and invalid rate limits', () => {
+        assert.throws(() => AuthService.normalizeKey({ key: 'short' }, 0), /at least 16 characters/);
+        assert.throws(() => AuthService.normalizeKey({ key: 'valid-key-0123456789', groups: ['admin'] }, 0), /unknown groups: admin/);
+        assert.throws(() => AuthService.normalizeKey({ key: 'valid-key-0123456789', rateLimit: { requests: 0 } }, 0), /invalid rateLimit/);
+    });
+
+    it('rejects duplicated keys', t => {
+        fs.writeFileSync(keysFile, JSON.stringify([{ name: 'copy', key: 'env-key-0123456789abc' }]));
+        t.after(() => {
+            fs.writeFileSync(keysFile, JSON.stringify([
+                { name: 'limited', key: 'limited-key-0123456789', groups: ['audio'], rateLimit: { requests: 3, window: 10 } }
+            ]));
+            AuthService.loadKeys();
+        });
+
+        assert.throws(() => AuthService.loadKeys(), /"copy" is duplicated/);
+    });
+
+    it('rejects keys that share a name', t => {
+        t.after(() => {
+            fs.writeFileSync(keysFile, JSON.stringify([
+                { name: 'limited', key: 'limited-key-0123456789', groups: ['audio'], rateLimit: { requests: 3, window: 10 } }
+            ]));
+            AuthService.loadKeys();
+        });
+
+        // Mismo nombre que la clave de API_KEYS
+        fs.writeFileSync(keysFile, JSON.stringify([{ name: 'env-1', key: 'other-key-0123456789' }]));
+        assert.throws(() => AuthService.loadKeys(), /name "env-1" is used by more than one key/);
+
+        // Una clave sin nombre recibe key-2 por su posición
+        fs.writeFileSync(keysFile, JSON.stringify([
+            { key: 'unnamed-key-0123456789' },
+            { name: 'key-2', key: 'named-key-0123456789' }
+        ]));
+        assert.throws(() => AuthService.loadKeys(), /name "key-2" is used by more than one key/);
+    });
+});
+
+describe('AuthService.consume', () => {
+    let now;
+
+    // Cargar las claves vacía también el contador de peticiones
+    beforeEach(() => AuthService.loadKeys());
+
+    const mockNow = t => {
+        now = 1700000000000;
+        t.mock.method(Date, 'now', () => now);
+    };
+
+    it('allows the configured number of requests per window', t => {
+        mockNow(t);
+        const apiKey = AuthService.identify(bearer('limited-key-0123456789'));
+
+        assert.deepStrictEqual([1, 2, 3].map(() => AuthService.consume(apiKey).remaining), [2, 1, 0]);
+
+        now += 4000;
+        const rate = AuthService.consume(apiKey);
+        assert.strictEqual(rate.allowed, false);
+        assert.strictEqual(rate.remaining, 0);
+        assert.strictEqual(rate.retryAfter, 6);
+        assert.strictEqual(rate.reset, 1700000010);
+    });
+
+    it('starts a new window once the previous one expires', t => {
+        mockNow(t);
+        const apiKey = AuthService.identify(bearer('limited-key-0123456789'));
+
+        [1, 2, 3, 4].forEach(() => AuthService.consume(apiKey));
+        now += 10000;
+        const rate = AuthService.consume(apiKey);
+        assert.strictEqual(rate.allowed, true);
+        assert.strictEqual(rate.remaining, 2);
+    });
+
+    it('counts each key separately', t => {
+        mockNow(t);
+        const limited = AuthService.identify(bearer('limited-key-0123456789'));
+        const other = AuthService.identify(bearer('env-key-0123456789abc'));
+
+        while (AuthService.consume(limited).allowed);
+
+        assert.strictEqual(AuthService.consume(other).allowed, true);
+        assert.strictEqual(AuthService.consume(other).remaining, other.rateLimit.requests - 2);
+    });
+});
+
+describe('AuthService.authorize', () => {
+    beforeEach(() => AuthService.loadKeys());
+
+    // Respuesta mínima que guarda el estado y las cabeceras
+    const run = (group, headers) => {
+        const res = {
+            statusCode: 200,
+            headers: {},
+            body: null,
+            setHeader(name, value) {
+                this.headers[name] = value;
+            },
+            status(code) {
+                this.statusCode = code;
+                return this;
+            },
+            json(data) {
+                this.body = data;
+                return this;
+            }
+        };
+        const req = { path: '/audio/mp3', headers };
+        let called = false;
+
+        AuthService.authorize(group)(req, res, () => called = true);
+
+        return { req, res, called };
+    };
+
+    it('asks for a key when none or an unknown one is sent', () => {
+        const missing = run('audio', {});
+        assert.strictEqual(missing.res.statusCode, 401);
+        assert.strictEqual(missing.res.headers['WWW-Authenticate'], 'Bearer');
+        assert.strictEqual(missing.called, false);
+
+        const unknown = run('audio', bearer('unknown-key-0123456789').headers);
+        assert.strictEqual(unknown.res.statusCode, 401);
+        assert.strictEqual(unknown.res.headers['WWW-Authenticate'], 'Bearer error="invalid_token"');
+    });
+
+    it('rejects keys without access to the group', () => {
+        const result = run('video', bearer('limited-key-0123456789').headers);
+
+        assert.strictEqual(result.res.statusCode, 403);
+        assert.strictEqual(result.res.body.code, 'FORBIDDEN');
+        assert.strictEqual(result.called, false);
+    });
+
+    it('sets the rate limit headers and answers 429 with Retry-After once exhausted', () => {
+        const headers = bearer('limited-key-0123456789').headers;
+        const first = run('audio', headers);
+
+        assert.strictEqual(first.called, true);
+        assert.strictEqual(first.req.apiKey.name, 'limited');
+        assert.strictEqual(first.res.headers['X-RateLimit-Limit'], 3);
+        assert.strictEqual(first.res.headers['X-RateLimit-Remaining'], 2);
+
+        run('audio', headers);
+        run('audio', headers);
+        const limited = run('audio', headers);
+
+        assert.strictEqual(limited.called, false);
+        assert.strictEqual(limited.res.statusCode, 429);
+        assert.ok(limited.res.headers['Retry-After'] > 0);
+    });
+});
+
+describe('AuthService limits and ownership', () => {
+    before(() => AuthService.loadKeys());
+
+    it('caps the file size of each key at the server limit', () => {
+        assert.strictEqual(AuthService.getFileSizeLimit({}), consts.fileSizeLimit);
+        assert.strictEqual(AuthService.normalizeKey({ key: 'valid-key-0123456789', maxFileSize: 1024 }, 0).maxFileSize, 1024);
+        assert.strictEqual(AuthService.normalizeKey({ key: 'valid-key-0123456789', maxFileSize: consts.fileSizeLimit * 2 }, 0).maxFileSize,
+            consts.fileSizeLimit);
+    });
+
+    it('only lets a key see its own jobs', () => {
+        const limited = { apiKey: AuthService.identify(bearer('limited-key-0123456789')) };
+        const other = { apiKey: AuthService.identify(bearer('env-key-0123456789abc')) };
+        const job = { owner: AuthService.getOwner(limited) };
+
+        assert.strictEqual(AuthService.canAccessJob(limited, job), true);
+        assert.strictEqual(AuthService.canAccessJob(other, job), false);
+        assert.strictEqual(AuthService.canAccessJob(other, { owner: null }), true);
+    });
+});
@@ -0,0 +1,140 @@
+/**
+ * Pruebas de la detección de codificadores y filtros de FFmpeg
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const winston = require('winston');
+const LogService = require('../app/services/logService');
+const CapabilityService = require('../app/services/capabilityService');
+
+winston.level = 'error';
+
+const encodersOutput = [
+    'Encoders:',
+    ' V..... = Video',
+    ' A..... = Audio',
+    ' ------',
+    ' V....D libx264              libx264 H.264 / AVC / MPEG-4 AVC (codec h264)',
+    ' A....D libmp3lame           libmp3lame MP3 (MPEG audio layer 3) (codec mp3)',
+    ' A....D aac                  AAC (Advanced Audio Coding)',
+    ''
+].join('\n');
+
+const filtersOutput = [
+    'Filters:',
+    '  T.. = Timeline support',
+    '  .S. = Slice threading',
+    '  A = Audio input/output',
+    ' ... acopy             A->A       Copy the input audio unchanged to the output.',
+    ' TSC scale             V->V       Scale the input video size and/or convert the image format.',
+    ' ... amovie            |->N       Read audio from a movie source.',
+    ''
+].join('\n');
+
+const presets = {
+    mp4: { outputOptions: ['-codec:v libx264', '-codec:a aac', '-vf scale=-2:720'] },
+    av1: { outputOptions: ['-codec:v libaom-av1', '-c:a copy'] },
+    loud: { outputOptions: ['-af loudnorm=I=-16,acopy'] }
+};
+
+describe('CapabilityService parsers', () => {
+    it('reads the encoder names after the legend', () => {
+        assert.deepStrictEqual(CapabilityService.parseEncoders(encodersOutput), ['libx264', 'libmp3lame', 'aac']);
+    });
+
+    it('reads the filter names and skips the legend', () => {
+        assert.deepStrictEqual(CapabilityService.parseFilters(filtersOutput), ['acopy', 'scale', 'amovie']);
+    });
+
+    it('reads the filter names of a filtergraph', () => {
+        assert.deepStrictEqual(CapabilityService.parseFilterGraph('scale=-2:720,fps=24'), ['scale', 'fps']);
+        assert.deepStrictEqual(CapabilityService.parseFilterGraph('[0:v]split[a][b];[a]drawtext=text=\'a,b\'[out]'), ['split', 'drawtext']);
+    });
+});
+
+describe('CapabilityService.getRequirements', () => {
+    it('collects the encoders and filters of the output options', () => {
+        assert.deepStrictEqual(CapabilityService.getRequirements(presets.mp4.outputOptions), {
+            encoders: ['libx264', 'aac'],
+            filters: ['scale']
+        });
+    });
+
+    it('ignores stream copies and options without a value', () => {
+        assert.deepStrictEqual(CapabilityService.getRequirements(['-c:a copy', '-an', '-codec:v']), { encoders: [], filters: [] });
+        assert.deepStrictEqual(CapabilityService.getRequirements(undefined), { encoders: [], filters: [] });
+    });
+});
+
+describe('CapabilityService detection', () => {
+    it('reports nothing missing before the capabilities are known', () => {
+        assert.strictEqual(CapabilityService.getMissing({ encoders: ['libaom-av1'], filters: [] }), null);
+    });
+
+    it('retries the detection after a failure', t => {
+        t.mock.method(LogService, 'error', () => {});
+        const run = t.mock.method(CapabilityService, 'run', () => Promise.reject(new Error('spawn ffmpeg ENOENT')));
+
+        return assert.rejects(CapabilityService.detect(), /ENOENT/)
+            .then(() => assert.rejects(CapabilityService.detect(), /ENOENT/))
+            .then(() => assert.strictEqual(run.mock.callCount(), 4));
+    });
+
+    it('lists the presets that need something missing', t => {
+        t.mock.method(CapabilityService, 'run', (command, args) =>
+            Promise.resolve(args[1] === '-encoders' ? encodersOutput : filtersOutput));
+
+        return CapabilityService.checkPresets(presets).then(unavailable => {
+            assert.deepStrictEqual(unavailable, {
+                av1: { encoders: ['libaom-av1'], filters: [] },
+                loud: { encoders: [], filters: ['loudnorm'] }
+            });
+        });
+    });
+
+    it('answers 501 on the routes of unavailable presets', () => {
+        const res = {
+            header() {},
+            status(code) { this.statusCode = code; return this; },
+            json(body) { this.body = body; return this; }
+        };
+        let called = false;
+        const route = { preset: 'av1', requires: CapabilityService.getRequirements(presets.av1.outputOptions) };
+
+        CapabilityService.requireAvailable(route)({ headers: {}, params: {}, query: {} }, res, () => called = true);
+
+        assert.strictEqual(called, false);
+        assert.strictEqual(res.statusCode, 501);
+        assert.strictEqual(res.body.code, 'PRESET_UNAVAILABLE');
+        assert.strictEqual(res.body.message, 'The av1 preset needs the libaom-av1 encoder, which this FFmpeg build does not include');
+        assert.deepStrictEqual(res.body.missing, { encoders: ['libaom-av1'], filters: [] });
+
+        CapabilityService.requireAvailable({ preset: 'mp4', requires: CapabilityService.getRequirements(presets.mp4.outputOptions) })(
+            { headers: {}, params: {}, query: {} }, res, () => called = true);
+        assert.strictEqual(called, true);
+    });
+
+    it('checks the format and the normalization asked for on tool routes', () => {
+        const res = {
+            header() {},
+            status(code) { this.statusCode = code; return this; },
+            json(body) { this.body = body; return this; }
+        };
+        const route = {
+            requires: { encoders: [], filters: ['scale'] },
+            formatRequires: { mp3: { encoders: ['libmp3lame'], filters: [] }, opus: { encoders: ['libopus'], filters: [] } },
+            normalizeRequires: { encoders: [], filters: ['loudnorm'] }
+        };
+        const request = (format, query) => ({ headers: {}, path: `/audio/${format}`, params: { format }, query });
+
+        assert.deepStrictEqual(CapabilityService.getRequestRequirements(route, request('MP3', { normalize: 'ebu' })),
+            { encoders: ['libmp3lame'], filters: ['scale', 'loudnorm'] });
+        assert.strictEqual(CapabilityService.getMissing(CapabilityService.getRequestRequirements(route, request('mp3', {}))), null);
+
+        CapabilityService.requireAvailable(route)(request('opus', {}), res, () => assert.fail('should answer 501'));
+
+        assert.strictEqual(res.statusCode, 501);
+        assert.strictEqual(res.body.message, 'The /audio/opus endpoint needs the libopus encoder, which this FFmpeg build does not include');
+    });
+});
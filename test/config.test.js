@@ -0,0 +1,139 @@
+/**
+ * Pruebas de la carga y validación de la configuración
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../app/config');
+
+const tmpFiles = [];
+
+const writeConfigFile = (name, content) => {
+    const filePath = path.join(os.tmpdir(), `config-test-${process.pid}-${name}`);
+    fs.writeFileSync(filePath, content);
+    tmpFiles.push(filePath);
+    return filePath;
+};
+
+// Devuelve la lista de errores de load(), o falla si no lanza
+const loadErrors = env => {
+    try {
+        config.load(env);
+    } catch (err) {
+        assert.ok(Array.isArray(err.errors));
+        return err.errors;
+    }
+    assert.fail('load() should have thrown');
+};
+
+after(() => tmpFiles.forEach(filePath => fs.rmSync(filePath, { force: true })));
+
+describe('config.load', () => {
+    it('uses the defaults with an empty environment', () => {
+        const values = config.load({});
+
+        assert.strictEqual(values.port, 3000);
+        assert.deepStrictEqual(values.apiKeys, []);
+        assert.strictEqual(values.cors.credentials, true);
+        assert.strictEqual(values.configFile, null);
+        assert.strictEqual(values.storage.local.enabled, false);
+    });
+
+    it('converts the environment variables to their types', () => {
+        const values = config.load({
+            PORT: ' 8080 ',
+            CORS_CREDENTIALS: 'no',
+            REMOTE_URL_ALLOWED_HOSTS: 'Media.Internal, ,cdn.local',
+            API_KEY_RATE_LIMIT: '10'
+        });
+
+        assert.strictEqual(values.port, 8080);
+        assert.strictEqual(values.cors.credentials, false);
+        assert.deepStrictEqual(values.remoteUrlAllowedHosts, ['media.internal', 'cdn.local']);
+        assert.strictEqual(values.apiKeyRateLimit.requests, 10);
+    });
+
+    it('ignores empty environment variables', () => {
+        assert.strictEqual(config.load({ PORT: '' }).port, 3000);
+    });
+
+    it('reports every invalid value at once', () => {
+        const errors = loadErrors({
+            PORT: 'abc',
+            FILE_SIZE_LIMIT: '0',
+            CORS_CREDENTIALS: 'maybe'
+        });
+
+        assert.deepStrictEqual(errors, [
+            'PORT must be an integer (got "abc")',
+            'FILE_SIZE_LIMIT must be at least 1 (got "0")',
+            'CORS_CREDENTIALS must be true or false (got "maybe")'
+        ]);
+    });
+
+    it('rejects values above the maximum', () => {
+        assert.deepStrictEqual(loadErrors({ PORT: '70000' }), ['PORT must be at most 65535 (got "70000")']);
+    });
+
+    it('accepts only the known log levels', () => {
+        assert.strictEqual(config.load({}).logLevel, 'info');
+        assert.strictEqual(config.load({ LOG_LEVEL: ' DEBUG ' }).logLevel, 'debug');
+        assert.deepStrictEqual(loadErrors({ LOG_LEVEL: 'verbose' }),
+            ['LOG_LEVEL must be one of: error, warn, info, debug (got "verbose")']);
+    });
+
+    it('keeps the files of running conversions out of the janitor', () => {
+        assert.deepStrictEqual(loadErrors({ ORPHAN_FILE_TTL: '600000' }),
+            ['ORPHAN_FILE_TTL (600000) must be greater than FFMPEG_TIMEOUT (600000)']);
+        assert.strictEqual(config.load({ ORPHAN_FILE_TTL: '600000', FFMPEG_TIMEOUT: '300000' }).orphanFileTtl, 600000);
+    });
+});
+
+describe('config.load with CONFIG_FILE', () => {
+    it('reads nested values from a YAML file', () => {
+        const configFile = writeConfigFile('valid.yaml', [
+            'port: 4000',
+            'apiKeyRateLimit:',
+            '  window: 30',
+            'storage:',
+            '  local:',
+            '    directory: /tmp/outputs'
+        ].join('\n'));
+        const values = config.load({ CONFIG_FILE: configFile });
+
+        assert.strictEqual(values.port, 4000);
+        assert.strictEqual(values.apiKeyRateLimit.window, 30);
+        assert.strictEqual(values.apiKeyRateLimit.requests, 60);
+        assert.strictEqual(values.storage.local.enabled, true);
+        assert.strictEqual(values.configFile, configFile);
+    });
+
+    it('gives the environment priority over the file', () => {
+        const configFile = writeConfigFile('priority.json', JSON.stringify({ port: 4000 }));
+
+        assert.strictEqual(config.load({ CONFIG_FILE: configFile, PORT: '5000' }).port, 5000);
+    });
+
+    it('rejects unknown settings and invalid values in the file', () => {
+        const configFile = writeConfigFile('invalid.json', JSON.stringify({ prot: 4000, webhookSecret: { value: 'secret' }, apiKeyRateLimit: 10 }));
+
+        assert.deepStrictEqual(loadErrors({ CONFIG_FILE: configFile }), [
+            'Unknown setting "prot" in CONFIG_FILE',
+            'apiKeyRateLimit in CONFIG_FILE must be an object',
+            'webhookSecret must be a string (got {"value":"secret"})'
+        ]);
+    });
+
+    it('rejects unreadable and unsupported files', () => {
+        const missing = path.join(os.tmpdir(), `config-test-${process.pid}-missing.json`);
+        const unsupported = writeConfigFile('settings.ini', 'port=4000');
+        const list = writeConfigFile('list.json', '[1, 2]');
+
+        assert.match(loadErrors({ CONFIG_FILE: missing })[0], /^CONFIG_FILE .*missing\.json: ENOENT/);
+        assert.deepStrictEqual(loadErrors({ CONFIG_FILE: unsupported }), [`CONFIG_FILE ${unsupported}: must be a .json, .yaml or .yml file`]);
+        assert.deepStrictEqual(loadErrors({ CONFIG_FILE: list }), [`CONFIG_FILE ${list}: must contain an object`]);
+    });
+});
@@ -0,0 +1,65 @@
+/**
+ * Pruebas de las cabeceras CORS
+ */
+
+process.env.CORS_ORIGINS = 'https://app.example.com';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const CorsService = require('../app/services/corsService');
+
+// Respuesta mínima que guarda las cabeceras
+const createResponse = () => ({
+    headers: {},
+    headersSent: false,
+    statusCode: null,
+    ended: false,
+    header(name, value) {
+        this.headers[name] = value;
+    },
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    end() {
+        this.ended = true;
+    }
+});
+
+describe('CorsService', () => {
+    it('adds the configured headers for allowed origins', () => {
+        const res = createResponse();
+
+        CorsService.setHeaders({ headers: { origin: 'https://app.example.com' } }, res);
+
+        assert.deepStrictEqual(res.headers, {
+            'Access-Control-Allow-Origin': 'https://app.example.com',
+            'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Request-Id',
+            'Access-Control-Expose-Headers': 'X-Request-Id',
+            'Access-Control-Allow-Credentials': 'true',
+            'Vary': 'Origin'
+        });
+    });
+
+    it('adds nothing for other origins or once the headers were sent', () => {
+        const other = createResponse();
+        CorsService.setHeaders({ headers: { origin: 'https://evil.example.com' } }, other);
+        assert.deepStrictEqual(other.headers, {});
+
+        const sent = Object.assign(createResponse(), { headersSent: true });
+        CorsService.setHeaders({ headers: { origin: 'https://app.example.com' } }, sent);
+        assert.deepStrictEqual(sent.headers, {});
+    });
+
+    it('answers preflight requests without calling the route', () => {
+        const res = createResponse();
+        let called = false;
+
+        CorsService.middleware()({ method: 'OPTIONS', headers: { origin: 'https://app.example.com' } }, res, () => called = true);
+
+        assert.strictEqual(res.statusCode, 200);
+        assert.strictEqual(res.ended, true);
+        assert.strictEqual(called, false);
+    });
+});
@@ -0,0 +1,54 @@
+/**
+ * Pruebas de la comprobación de espacio libre en disco
+ */
+
+process.env.MIN_FREE_DISK_SPACE = '1000';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const winston = require('winston');
+const DiskService = require('../app/services/diskService');
+
+winston.level = 'error';
+
+describe('DiskService.getUsage', () => {
+    it('reports the usage of the file system', () => {
+        return DiskService.getUsage(os.tmpdir()).then(usage => {
+            // Node anterior a 18.15 no tiene fs.statfs
+            if (!usage) return;
+
+            assert.ok(usage.total > 0);
+            assert.strictEqual(usage.used, usage.total - usage.free);
+            assert.ok(usage.usedPercent >= 0 && usage.usedPercent <= 100);
+        });
+    });
+});
+
+describe('DiskService.checkFreeSpace', () => {
+    const mockFree = (t, free) => t.mock.method(DiskService, 'getUsage', () =>
+        Promise.resolve({ total: 10000, free, used: 10000 - free, usedPercent: 0 }));
+
+    it('accepts files that leave the minimum free', t => {
+        mockFree(t, 1500);
+
+        return DiskService.checkFreeSpace('/uploads', 500);
+    });
+
+    it('answers 507 when the file would leave less than the minimum', t => {
+        mockFree(t, 1500);
+
+        return assert.rejects(DiskService.checkFreeSpace('/uploads', 501), err => {
+            assert.strictEqual(err.statusCode, 507);
+            assert.strictEqual(err.code, 'INSUFFICIENT_STORAGE');
+            assert.match(err.message, /free, .* required\)$/);
+            return true;
+        });
+    });
+
+    it('skips the check when the usage cannot be read', t => {
+        t.mock.method(DiskService, 'getUsage', () => Promise.resolve(null));
+
+        return DiskService.checkFreeSpace('/uploads', 1e12);
+    });
+});
@@ -0,0 +1,125 @@
+/**
+ * Pruebas de la protección SSRF de las URLs remotas: IPs literales,
+ * resolución DNS y redirecciones hacia direcciones privadas
+ */
+
+process.env.REMOTE_URL_ALLOWED_HOSTS = '127.0.0.1,10.0.0.5';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const winston = require('winston');
+const DownloadService = require('../app/services/downloadService');
+
+winston.level = 'error';
+
+const fakeRequest = () => ({ socket: new EventEmitter() });
+
+describe('DownloadService.download host checks', () => {
+    const savedFile = path.join(os.tmpdir(), `download-blocked-${process.pid}`);
+
+    [
+        'http://127.0.0.2/',
+        'http://10.1.2.3/',
+        'http://172.16.0.1/',
+        'http://192.168.1.10/',
+        'http://169.254.169.254/latest/meta-data/',
+        'http://100.64.0.1/',
+        'http://0.0.0.0/',
+        'http://[::1]/',
+        'http://[fd00::1]/',
+        'http://[fe80::1]/',
+        'http://[::ffff:127.0.0.1]/',
+        'http://[::ffff:10.0.0.1]/'
+    ].forEach(value => {
+        it(`rejects ${value} with 403 before connecting`, () => {
+            return assert.rejects(DownloadService.download(fakeRequest(), new URL(value), savedFile, 1024),
+                err => err.statusCode === 403 && /private or reserved address/.test(err.message));
+        });
+    });
+
+    it('does not block the hosts listed in REMOTE_URL_ALLOWED_HOSTS', () => {
+        assert.strictEqual(DownloadService.isBlockedAddress('10.0.0.5', '10.0.0.5'), false);
+        assert.strictEqual(DownloadService.isBlockedAddress('10.0.0.6', '10.0.0.6'), true);
+        assert.strictEqual(DownloadService.isBlockedAddress('example.com', '93.184.216.34'), false);
+    });
+});
+
+describe('DownloadService.checkHost', () => {
+    it('accepts public addresses and host names', () => {
+        assert.doesNotThrow(() => DownloadService.checkHost(new URL('http://93.184.216.34/video.mp4')));
+        assert.doesNotThrow(() => DownloadService.checkHost(new URL('https://[2606:2800:220:1::1]/video.mp4')));
+        // Los nombres se comprueban al resolverlos (lookup)
+        assert.doesNotThrow(() => DownloadService.checkHost(new URL('https://example.com/video.mp4')));
+    });
+
+    it('rejects private literal addresses unless they are allowed', () => {
+        assert.throws(() => DownloadService.checkHost(new URL('http://10.0.0.6/video.mp4')), err => err.statusCode === 403);
+        assert.throws(() => DownloadService.checkHost(new URL('http://[::ffff:10.0.0.6]/video.mp4')), err => err.statusCode === 403);
+        assert.doesNotThrow(() => DownloadService.checkHost(new URL('http://10.0.0.5/video.mp4')));
+    });
+});
+
+describe('DownloadService.lookup', () => {
+    it('rejects names that resolve to a private address', (t, done) => {
+        DownloadService.lookup('localhost', {}, err => {
+            assert.strictEqual(err && err.statusCode, 403);
+            done();
+        });
+    });
+
+    it('treats IPv4-mapped IPv6 addresses as IPv4', () => {
+        assert.strictEqual(DownloadService.isBlockedAddress('internal.example', '::ffff:192.168.0.1'), true);
+        assert.strictEqual(DownloadService.isBlockedAddress('internal.example', '::ffff:93.184.216.34'), false);
+    });
+});
+
+describe('DownloadService.download redirects', () => {
+    let server;
+    let port;
+    const savedFile = path.join(os.tmpdir(), `download-test-${process.pid}`);
+
+    before(() => new Promise(resolve => {
+        server = http.createServer((req, res) => {
+            if (req.url === '/to-private') {
+                res.writeHead(302, { Location: `http://localhost:${port}/file` });
+                return res.end();
+            }
+            if (req.url === '/to-allowed') {
+                res.writeHead(302, { Location: '/file' });
+                return res.end();
+            }
+            res.writeHead(200, { 'Content-Type': 'video/mp4' });
+            res.end(Buffer.alloc(64));
+        });
+        server.listen(0, '127.0.0.1', () => {
+            port = server.address().port;
+            resolve();
+        });
+    }));
+
+    after(() => {
+        server.close();
+        fs.rmSync(savedFile, { force: true });
+    });
+
+    it('validates the target of every redirect', () => {
+        const url = new URL(`http://127.0.0.1:${port}/to-private`);
+
+        return assert.rejects(DownloadService.download(fakeRequest(), url, savedFile, 1024),
+            err => err.statusCode === 403 && /localhost/.test(err.message));
+    });
+
+    it('follows redirects to allowed hosts', () => {
+        const url = new URL(`http://127.0.0.1:${port}/to-allowed`);
+
+        return DownloadService.download(fakeRequest(), url, savedFile, 1024).then(result => {
+            assert.strictEqual(result.size, 64);
+            assert.strictEqual(fs.statSync(savedFile).size, 64);
+        });
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * Pruebas del modelo de respuestas de error
+ */
+
+process.env.ERROR_STDERR_LINES = '3';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const winston = require('winston');
+const ErrorService = require('../app/services/errorService');
+
+winston.level = 'error';
+
+const projectDir = path.resolve(__dirname, '..');
+
+describe('ErrorService.getCode', () => {
+    it('keeps the codes of the API', () => {
+        assert.strictEqual(ErrorService.getCode(ErrorService.create('QUEUE_FULL', 'Full')), 'QUEUE_FULL');
+    });
+
+    it('deduces the code from the status when the error has another code', () => {
+        const err = new Error('ENOENT: no such file or directory');
+        err.code = 'ENOENT';
+
+        assert.strictEqual(ErrorService.getCode(err), 'INTERNAL_ERROR');
+        assert.strictEqual(ErrorService.getCode(Object.assign(new Error('Too big'), { statusCode: 413 })), 'UPLOAD_TOO_LARGE');
+    });
+
+    it('prefers the fallback code when its status matches or there is none', () => {
+        assert.strictEqual(ErrorService.getCode(new Error('Failed'), 'FFMPEG_FAILED'), 'FFMPEG_FAILED');
+        assert.strictEqual(ErrorService.getCode(Object.assign(new Error('Bad'), { statusCode: 400 }), 'UPLOAD_FAILED'), 'UPLOAD_FAILED');
+        assert.strictEqual(ErrorService.getCode(Object.assign(new Error('Bad'), { statusCode: 422 }), 'UPLOAD_FAILED'), 'UNPROCESSABLE_INPUT');
+    });
+});
+
+describe('ErrorService.build', () => {
+    it('returns the common error model', () => {
+        const { status, body } = ErrorService.build({ id: 'req-1' }, 'quality must be between 0 and 9', 'INVALID_PARAMETERS');
+
+        assert.strictEqual(status, 400);
+        assert.deepStrictEqual(body, {
+            error: 'Invalid parameters',
+            code: 'INVALID_PARAMETERS',
+            message: 'quality must be between 0 and 9',
+            requestId: 'req-1'
+        });
+    });
+
+    it('adds the extra data, the title as default message and the stderr tail', () => {
+        const err = ErrorService.create('FFMPEG_FAILED', '');
+        err.stderr = 'line 1\nline 2\nframe=  10 fps=0.0\nline 3\nline 4\n';
+
+        const { status, body } = ErrorService.build({}, err, null, { id: 'job-1' });
+
+        assert.strictEqual(status, 500);
+        assert.strictEqual(body.message, 'Conversion failed');
+        assert.strictEqual(body.requestId, null);
+        assert.deepStrictEqual(body.stderr, ['line 2', 'line 3', 'line 4']);
+        assert.strictEqual(body.id, 'job-1');
+    });
+});
+
+describe('ErrorService.send', () => {
+    const createResponse = headersSent => ({
+        headersSent,
+        sent: null,
+        header() {},
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.sent = body; return this; }
+    });
+
+    it('answers with the status and the body', () => {
+        const res = createResponse(false);
+
+        ErrorService.send({ headers: {}, id: 'req-2' }, res, ErrorService.create('JOB_NOT_FOUND', 'Job not found'));
+
+        assert.strictEqual(res.statusCode, 404);
+        assert.strictEqual(res.sent.code, 'JOB_NOT_FOUND');
+    });
+
+    it('does not answer twice', () => {
+        const res = createResponse(true);
+
+        ErrorService.send({ headers: {}, path: '/convert/audio/to/mp3' }, res, new Error('Late failure'));
+
+        assert.strictEqual(res.sent, null);
+    });
+});
+
+describe('ErrorService.sanitize', () => {
+    it('replaces the server paths with the file name', () => {
+        const upload = path.join(projectDir, 'uploads', '1234-song.mp3');
+        const temp = path.join(os.tmpdir(), 'out', 'result.mp3');
+
+        assert.strictEqual(ErrorService.sanitize(`ENOENT: no such file or directory, open '${upload}'`),
+            'ENOENT: no such file or directory, open \'1234-song.mp3\'');
+        assert.strictEqual(ErrorService.sanitize(`${temp}: Invalid argument`), 'result.mp3: Invalid argument');
+    });
+
+    it('leaves other texts untouched', () => {
+        assert.strictEqual(ErrorService.sanitize('quality must be an integer'), 'quality must be an integer');
+        assert.strictEqual(ErrorService.sanitize(undefined), '');
+    });
+});
+
+describe('ErrorService.describe', () => {
+    it('describes the failure of a job', () => {
+        const err = new Error(`Output file ${path.join(projectDir, 'uploads', 'x.mp4')} is empty`);
+        err.stderr = 'Conversion failed!';
+
+        assert.deepStrictEqual(ErrorService.describe(err, 'FFMPEG_FAILED'), {
+            code: 'FFMPEG_FAILED',
+            message: 'Output file x.mp4 is empty',
+            stderr: ['Conversion failed!']
+        });
+    });
+});
@@ -0,0 +1,224 @@
+/**
+ * Pruebas de las respuestas de FFmpegService: progreso de los trabajos por
+ * Server-Sent Events, cancelación, cola llena y errores de la subida
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const winston = require('winston');
+const FFmpegService = require('../app/services/ffmpegService');
+const ConversionService = require('../app/services/conversionService');
+const DiskService = require('../app/services/diskService');
+const LogService = require('../app/services/logService');
+const JobService = require('../app/services/jobService');
+const QueueService = require('../app/services/queueService');
+
+winston.level = 'error';
+
+// Respuesta mínima que guarda lo escrito en el stream
+const createResponse = () => {
+    const res = {
+        statusCode: null,
+        headers: {},
+        body: '',
+        json: null,
+        ended: false,
+        headersSent: false,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        set(headers, value) {
+            Object.assign(this.headers, typeof headers === 'string' ? { [headers]: value } : headers);
+            return this;
+        },
+        header(name, value) {
+            this.headers[name] = value;
+            return this;
+        },
+        flushHeaders() {
+            this.headersSent = true;
+        },
+        json(data) {
+            this.json = data;
+            return this;
+        },
+        write(chunk) {
+            this.body += chunk;
+        },
+        end() {
+            this.ended = true;
+        }
+    };
+    return res;
+};
+
+const createRequest = id => Object.assign(new EventEmitter(), { params: { id }, headers: {} });
+
+// Eventos SSE escritos en la respuesta
+const parseEvents = body => body.split('\n\n')
+    .filter(block => block.startsWith('event: '))
+    .map(block => {
+        const [eventLine, dataLine] = block.split('\n');
+        return { event: eventLine.slice(7), data: JSON.parse(dataLine.slice(6)) };
+    });
+
+describe('FFmpegService.streamJobProgress', () => {
+    it('streams the job events and closes the stream when the job ends', t => {
+        t.mock.method(JobService, 'scheduleExpiration', () => {});
+        const job = JobService.createJob({ fileName: 'video.mov', extension: 'mp4', inputSize: 1024 });
+        const res = createResponse();
+
+        FFmpegService.streamJobProgress(createRequest(job.id), res);
+        assert.strictEqual(res.statusCode, 200);
+        assert.strictEqual(res.headers['Content-Type'], 'text/event-stream');
+
+        JobService.markProcessing(job.id);
+        JobService.updateProgress(job.id, { percent: 42 });
+        assert.strictEqual(res.ended, false);
+        JobService.markCompleted(job.id, '/tmp/output.mp4', 'video.mp4');
+
+        const events = parseEvents(res.body);
+        assert.deepStrictEqual(events.map(entry => entry.event), ['status', 'start', 'progress', 'end']);
+        assert.strictEqual(events[0].data.status, 'queued');
+        assert.strictEqual(events[2].data.percent, 42);
+        assert.strictEqual(res.ended, true);
+    });
+
+    it('sends the final state and closes at once for finished jobs', t => {
+        t.mock.method(JobService, 'scheduleExpiration', () => {});
+        const job = JobService.createJob({ fileName: 'video.mov', extension: 'mp4', inputSize: 1024 });
+        JobService.markFailed(job.id, new Error('Conversion failed'), 500);
+        const res = createResponse();
+
+        FFmpegService.streamJobProgress(createRequest(job.id), res);
+
+        assert.deepStrictEqual(parseEvents(res.body).map(entry => entry.event), ['status', 'error']);
+        assert.strictEqual(res.ended, true);
+    });
+
+    it('stops listening when the client disconnects', t => {
+        t.mock.method(JobService, 'scheduleExpiration', () => {});
+        const job = JobService.createJob({ fileName: 'video.mov', extension: 'mp4', inputSize: 1024 });
+        const req = createRequest(job.id);
+        const res = createResponse();
+
+        FFmpegService.streamJobProgress(req, res);
+        req.emit('close');
+        JobService.markProcessing(job.id);
+
+        assert.deepStrictEqual(parseEvents(res.body).map(entry => entry.event), ['status']);
+    });
+});
+
+describe('FFmpegService.sendQueueFull', () => {
+    it('answers 503 with Retry-After', () => {
+        const res = createResponse();
+
+        FFmpegService.sendQueueFull({ path: '/video/mp4', headers: {} }, res);
+
+        assert.strictEqual(res.statusCode, 503);
+        assert.strictEqual(res.headers['Retry-After'], String(QueueService.createQueueFullError().retryAfter));
+        assert.strictEqual(res.json.error, 'Queue full');
+        assert.strictEqual(res.json.code, 'QUEUE_FULL');
+        assert.strictEqual(res.json.retryAfter, 30);
+    });
+});
+
+describe('FFmpegService.cancelJob', () => {
+    const createJob = () => JobService.createJob({
+        fileName: 'video.mov',
+        extension: 'mp4',
+        inputSize: 1024,
+        inputFile: '/tmp/missing-upload.mov',
+        control: ConversionService.createControl()
+    });
+
+    it('stops a running conversion and marks the job as cancelled', t => {
+        t.mock.method(JobService, 'scheduleExpiration', () => {});
+        const job = createJob();
+        const aborted = [];
+        job.control.abort = (err, statusCode) => aborted.push(statusCode);
+        JobService.markProcessing(job.id);
+        const res = createResponse();
+
+        FFmpegService.cancelJob({ params: { id: job.id }, headers: {} }, res);
+
+        assert.deepStrictEqual(aborted, [499]);
+        assert.strictEqual(job.control.cancelled, true);
+        assert.strictEqual(job.status, 'cancelled');
+        assert.strictEqual(res.json.status, 'cancelled');
+    });
+
+    it('takes a queued conversion out of the queue', t => {
+        t.mock.method(JobService, 'scheduleExpiration', () => {});
+        let release;
+        const released = new Promise(resolve => release = resolve);
+        const blocked = [1, 2, 3].map(index => QueueService.enqueue(`blocker-${index}`, () => released));
+        const job = createJob();
+        const conversion = QueueService.enqueue(job.id, () => Promise.resolve());
+
+        FFmpegService.cancelJob({ params: { id: job.id }, headers: {} }, createResponse());
+
+        assert.strictEqual(job.status, 'cancelled');
+        assert.strictEqual(job.control.cancelled, true);
+        return assert.rejects(conversion, /cancelled by client/).then(() => {
+            release();
+            return Promise.all(blocked);
+        });
+    });
+
+    it('deletes the job once it has finished', t => {
+        t.mock.method(JobService, 'scheduleExpiration', () => {});
+        const job = createJob();
+        JobService.markCompleted(job.id, '/tmp/missing-output.mp4', 'video.mp4');
+        const res = createResponse();
+
+        FFmpegService.cancelJob({ params: { id: job.id }, headers: {} }, res);
+
+        assert.strictEqual(res.statusCode, 204);
+        assert.strictEqual(res.ended, true);
+        assert.strictEqual(JobService.getJob(job.id), undefined);
+    });
+});
+
+describe('FFmpegService.processConversionRequest', () => {
+    const preset = { extension: 'mp3', params: {}, outputOptions: [] };
+    const createUploadRequest = () => Object.assign(new EventEmitter(), {
+        headers: {},
+        query: {},
+        path: '/convert/audio/to/mp3',
+        is: () => false,
+        resume() {}
+    });
+
+    it('resolves once an upload error has been answered', t => {
+        t.mock.method(DiskService, 'checkFreeSpace', () => Promise.resolve());
+        const errors = [];
+        t.mock.method(LogService, 'error', entry => errors.push(entry.type || entry.action));
+        const res = createResponse();
+
+        return FFmpegService.processConversionRequest(createUploadRequest(), res, preset, '/tmp', 1024).then(result => {
+            assert.deepStrictEqual(result, { success: false });
+            assert.strictEqual(res.statusCode, 400);
+            assert.strictEqual(res.json.code, 'UPLOAD_FAILED');
+            assert.strictEqual(res.json.message, 'Missing Content-Type: send the file as multipart/form-data');
+            assert.ok(!errors.includes('process_error'));
+        });
+    });
+
+    it('resolves when there is no room on the disk', t => {
+        const full = Object.assign(new Error('Not enough free disk space to accept the file'), { code: 'INSUFFICIENT_STORAGE', statusCode: 507 });
+        t.mock.method(DiskService, 'checkFreeSpace', () => Promise.reject(full));
+        t.mock.method(LogService, 'error', () => {});
+        const res = createResponse();
+
+        return FFmpegService.processConversionRequest(createUploadRequest(), res, preset, '/tmp', 1024)
+            .then(result => {
+                assert.deepStrictEqual(result, { success: false });
+                assert.strictEqual(res.statusCode, 507);
+                assert.strictEqual(res.json.code, 'INSUFFICIENT_STORAGE');
+            });
+    });
+});
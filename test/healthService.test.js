@@ -0,0 +1,104 @@
+/**
+ * Pruebas de las comprobaciones de liveness y readiness
+ */
+
+process.env.REQUIRED_ENCODERS = 'libx264,libmp3lame';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const winston = require('winston');
+const CapabilityService = require('../app/services/capabilityService');
+const QueueService = require('../app/services/queueService');
+const HealthService = require('../app/services/healthService');
+
+winston.level = 'error';
+
+/**
+ * Simula los binarios de FFmpeg y sus codificadores
+ */
+function mockBinaries(t, { encoders = ['libx264', 'libmp3lame', 'aac'], missing = [] } = {}) {
+    t.mock.method(CapabilityService, 'run', command => missing.includes(command)
+        ? Promise.reject(Object.assign(new Error(`spawn ${command} ENOENT`), { code: 'ENOENT' }))
+        : Promise.resolve(`${command} version 6.1\nbuilt with gcc`));
+
+    return t.mock.method(CapabilityService, 'detect', () => Promise.resolve({ encoders, filters: [] }));
+}
+
+describe('HealthService.getVersion', () => {
+    it('returns the first line of -version', t => {
+        mockBinaries(t);
+
+        return HealthService.getVersion('ffmpeg').then(result => {
+            assert.deepStrictEqual(result, { ok: true, version: 'ffmpeg version 6.1' });
+        });
+    });
+
+    it('reports a missing binary', t => {
+        mockBinaries(t, { missing: ['ffprobe'] });
+
+        return HealthService.getVersion('ffprobe').then(result => {
+            assert.deepStrictEqual(result, { ok: false, error: 'ffprobe not found' });
+        });
+    });
+});
+
+describe('HealthService.checkBinaries', () => {
+    it('reports missing encoders and checks again on the next call', t => {
+        const detect = mockBinaries(t, { encoders: ['libmp3lame', 'aac'] });
+
+        return HealthService.checkBinaries()
+            .then(result => {
+                assert.deepStrictEqual(result.encoders, { ok: false, required: ['libx264', 'libmp3lame'], missing: ['libx264'] });
+                return HealthService.checkBinaries();
+            })
+            .then(() => assert.strictEqual(detect.mock.callCount(), 2));
+    });
+
+    it('caches a successful check', t => {
+        const detect = mockBinaries(t);
+
+        return HealthService.checkBinaries()
+            .then(result => {
+                assert.strictEqual(result.ffmpeg.ok && result.ffprobe.ok && result.encoders.ok, true);
+                return HealthService.checkBinaries();
+            })
+            .then(() => assert.strictEqual(detect.mock.callCount(), 1));
+    });
+});
+
+describe('HealthService.getReadiness', () => {
+    const uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'health-test-'));
+
+    it('is ready with the binaries, a writable uploads directory and room in the queue', t => {
+        mockBinaries(t);
+
+        return HealthService.getReadiness(uploadsDir).then(result => {
+            assert.strictEqual(result.ready, true);
+            assert.deepStrictEqual(Object.keys(result.checks), ['ffmpeg', 'ffprobe', 'encoders', 'uploads', 'queue']);
+            fs.rmSync(uploadsDir, { recursive: true, force: true });
+        });
+    });
+
+    it('is not ready when the uploads directory is missing or the queue is full', t => {
+        mockBinaries(t);
+        t.mock.method(QueueService, 'getStats', () => ({ running: 2, waiting: 5, maxConcurrency: 2, maxQueueLength: 5 }));
+
+        return HealthService.getReadiness(path.join(uploadsDir, 'missing')).then(result => {
+            assert.strictEqual(result.ready, false);
+            assert.deepStrictEqual(result.checks.uploads, { ok: false, error: 'The uploads directory is not writable' });
+            assert.strictEqual(result.checks.queue.ok, false);
+        });
+    });
+});
+
+describe('HealthService.getLiveness', () => {
+    it('only reports that the process answers', () => {
+        const liveness = HealthService.getLiveness();
+
+        assert.strictEqual(liveness.status, 'ok');
+        assert.ok(liveness.uptime > 0);
+    });
+});
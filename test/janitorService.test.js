@@ -0,0 +1,126 @@
+/**
+ * Pruebas de la limpieza del directorio de uploads
+ */
+
+process.env.ORPHAN_FILE_TTL = '3600000';
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const winston = require('winston');
+const JobService = require('../app/services/jobService');
+const JanitorService = require('../app/services/janitorService');
+
+winston.level = 'error';
+
+const uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'janitor-test-'));
+const twoHoursAgo = new Date(Date.now() - 2 * 3600000);
+
+/**
+ * Crea un archivo en uploads, opcionalmente con una fecha antigua
+ */
+function writeUpload(name, content, old) {
+    const filePath = path.join(uploadsDir, name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    if (old) fs.utimesSync(filePath, twoHoursAgo, twoHoursAgo);
+    return filePath;
+}
+
+after(() => fs.rmSync(uploadsDir, { recursive: true, force: true }));
+
+describe('JanitorService.sweep', () => {
+    beforeEach(t => {
+        fs.readdirSync(uploadsDir).forEach(name => fs.rmSync(path.join(uploadsDir, name), { recursive: true, force: true }));
+        // Fijar el directorio sin programar limpiezas periódicas
+        t.mock.method(global, 'setInterval', () => ({ unref() {} }));
+        return JanitorService.start(uploadsDir);
+    });
+
+    it('removes old orphan files and keeps recent ones', () => {
+        const orphan = writeUpload('orphan.mp4', 'x'.repeat(100), true);
+        const recent = writeUpload('recent.mp4', 'recent', false);
+
+        return JanitorService.sweep().then(result => {
+            assert.deepStrictEqual(result, { removed: 1, freed: 100 });
+            assert.strictEqual(fs.existsSync(orphan), false);
+            assert.strictEqual(fs.existsSync(recent), true);
+        });
+    });
+
+    it('removes old packaging directories with the size of their files', () => {
+        const segment = writeUpload('hls-output/segment0.ts', 'x'.repeat(50), false);
+        writeUpload('hls-output/index.m3u8', 'x'.repeat(10), false);
+        const dir = path.dirname(segment);
+        fs.utimesSync(dir, twoHoursAgo, twoHoursAgo);
+
+        return JanitorService.sweep().then(result => {
+            assert.deepStrictEqual(result, { removed: 1, freed: 60 });
+            assert.strictEqual(fs.existsSync(dir), false);
+        });
+    });
+
+    it('keeps the files of existing jobs', t => {
+        t.mock.method(JobService, 'scheduleExpiration', () => {});
+        const input = writeUpload('job-input.mov', 'input', true);
+        const job = JobService.createJob({ fileName: 'job-input.mov', extension: 'mp4', inputSize: 5, inputFile: input });
+
+        return JanitorService.sweep().then(result => {
+            assert.deepStrictEqual(result, { removed: 0, freed: 0 });
+            assert.strictEqual(fs.existsSync(input), true);
+
+            JobService.removeJob(job.id);
+        });
+    });
+
+    it('records the totals for /diagnose', () => {
+        const before = JanitorService.getStats().totalRemoved;
+        writeUpload('old.wav', 'wav', true);
+
+        return JanitorService.sweep().then(() => {
+            const stats = JanitorService.getStats();
+            assert.strictEqual(stats.ttl, 3600000);
+            assert.strictEqual(stats.lastRemoved, 1);
+            assert.strictEqual(stats.totalRemoved, before + 1);
+            assert.ok(stats.lastRun instanceof Date);
+        });
+    });
+
+    it('does not start a second sweep while one is running', () => {
+        writeUpload('old.flac', 'flac', true);
+
+        const sweep = JanitorService.sweep();
+        assert.strictEqual(JanitorService.sweep(), sweep);
+
+        return sweep.then(result => assert.deepStrictEqual(result, { removed: 1, freed: 4 }));
+    });
+});
+
+describe('JanitorService.getUploadsUsage', () => {
+    it('counts the entries and the bytes of the uploads directory and lists them', () => {
+        fs.readdirSync(uploadsDir).forEach(name => fs.rmSync(path.join(uploadsDir, name), { recursive: true, force: true }));
+        writeUpload('input.mov', 'x'.repeat(40), false);
+        writeUpload('dash-output/manifest.mpd', 'x'.repeat(15), false);
+        writeUpload('dash-output/chunk-1.m4s', 'x'.repeat(5), false);
+
+        const usage = JanitorService.getUploadsUsage();
+
+        // La medida se reutiliza durante unos segundos
+        assert.strictEqual(JanitorService.getUploadsUsage(), usage);
+
+        return usage.then(result => {
+            assert.strictEqual(result.count, 2);
+            assert.strictEqual(result.size, 60);
+            assert.deepStrictEqual(
+                result.entries.map(({ name, size, isDirectory }) => ({ name, size, isDirectory })).sort((a, b) => a.name.localeCompare(b.name)),
+                [
+                    { name: 'dash-output', size: 20, isDirectory: true },
+                    { name: 'input.mov', size: 40, isDirectory: false }
+                ]
+            );
+            result.entries.forEach(entry => assert.ok(entry.created instanceof Date));
+        });
+    });
+});
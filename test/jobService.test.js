@@ -0,0 +1,144 @@
+/**
+ * Pruebas del registro de trabajos asíncronos
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const winston = require('winston');
+const JobService = require('../app/services/jobService');
+
+winston.level = 'error';
+
+const createJob = () => JobService.createJob({ fileName: 'video.mov', extension: 'mp4', inputSize: 1024 });
+
+describe('JobService', () => {
+    it('creates queued jobs with a unique id', () => {
+        const job = createJob();
+
+        assert.strictEqual(job.status, 'queued');
+        assert.strictEqual(JobService.getJob(job.id), job);
+        assert.notStrictEqual(createJob().id, job.id);
+    });
+
+    it('records progress and completion', t => {
+        const expirations = [];
+        t.mock.method(JobService, 'scheduleExpiration', job => expirations.push(job.id));
+        const job = createJob();
+
+        JobService.markProcessing(job.id);
+        JobService.updateProgress(job.id, { percent: 50, frames: 100, currentFps: 25, timemark: '00:00:04.00' });
+        assert.strictEqual(job.status, 'processing');
+        assert.deepStrictEqual(job.progress, { percent: 50, frames: 100, fps: 25, timemark: '00:00:04.00' });
+
+        JobService.markCompleted(job.id, '/tmp/output.mp4', 'video.mp4');
+        assert.strictEqual(job.status, 'completed');
+        assert.ok(job.finishedAt instanceof Date);
+        assert.deepStrictEqual(expirations, [job.id]);
+    });
+
+    it('records failures with their status code', t => {
+        t.mock.method(JobService, 'scheduleExpiration', () => {});
+        const job = createJob();
+
+        JobService.markFailed(job.id, new Error('Conversion failed'), 422);
+        assert.strictEqual(job.status, 'failed');
+        assert.strictEqual(job.error, 'Conversion failed');
+        assert.strictEqual(job.code, 'UNPROCESSABLE_INPUT');
+        assert.strictEqual(job.statusCode, 422);
+
+        const unknown = createJob();
+        JobService.markFailed(unknown.id, new Error('Unknown'));
+        assert.strictEqual(unknown.statusCode, 500);
+        assert.strictEqual(unknown.code, 'FFMPEG_FAILED');
+    });
+
+    it('ignores updates for unknown jobs', () => {
+        assert.strictEqual(JobService.updateJob('missing', { status: 'completed' }), undefined);
+        assert.strictEqual(JobService.removeJob('missing'), false);
+    });
+
+    it('removes the job and its output file', () => {
+        const outputFile = path.join(os.tmpdir(), `job-test-${process.pid}.mp4`);
+        fs.writeFileSync(outputFile, 'output');
+        const job = createJob();
+        JobService.updateJob(job.id, { outputFile });
+
+        assert.strictEqual(JobService.removeJob(job.id), true);
+        assert.strictEqual(JobService.getJob(job.id), undefined);
+        assert.strictEqual(fs.existsSync(outputFile), false);
+    });
+
+    it('serializes only the public fields for each status', t => {
+        t.mock.method(JobService, 'scheduleExpiration', () => {});
+        const queued = createJob();
+        const completed = createJob();
+        const failed = createJob();
+        JobService.markCompleted(completed.id, '/tmp/output.mp4', 'video.mp4');
+        JobService.markFailed(failed.id, new Error('Conversion failed'), 500);
+
+        const data = JobService.serializeJob(queued);
+        assert.strictEqual(data.statusUrl, `/jobs/${queued.id}`);
+        assert.strictEqual(data.resultUrl, undefined);
+        assert.strictEqual(data.outputFile, undefined);
+        assert.strictEqual(data.inputSize, undefined);
+
+        assert.strictEqual(JobService.serializeJob(completed).resultUrl, `/jobs/${completed.id}/result`);
+        assert.strictEqual(JobService.serializeJob(completed).outputFile, undefined);
+        assert.strictEqual(JobService.serializeJob(failed).error, 'Conversion failed');
+        assert.strictEqual(JobService.serializeJob(failed).code, 'FFMPEG_FAILED');
+        assert.strictEqual(JobService.serializeJob(failed).stderr, undefined);
+    });
+});
+
+describe('JobService events', () => {
+    it('notifies the subscribers of a job until they unsubscribe', t => {
+        t.mock.method(JobService, 'scheduleExpiration', () => {});
+        const job = createJob();
+        const other = createJob();
+        const received = [];
+        const unsubscribe = JobService.subscribe(job.id, (eventName, data) => received.push([eventName, data]));
+
+        JobService.markProcessing(job.id);
+        JobService.markProcessing(other.id);
+        JobService.updateProgress(job.id, { percent: 10, frames: 5, currentFps: 25, timemark: '00:00:00.20' });
+        JobService.markCompleted(job.id, '/tmp/output.mp4', 'video.mp4');
+        unsubscribe();
+        JobService.updateProgress(job.id, { percent: 100 });
+
+        assert.deepStrictEqual(received.map(([eventName]) => eventName), ['start', 'progress', 'end']);
+        assert.deepStrictEqual(received[1][1], { id: job.id, percent: 10, frames: 5, fps: 25, timemark: '00:00:00.20' });
+        assert.strictEqual(received[2][1].status, 'completed');
+    });
+
+    it('sends an error event when the job fails', t => {
+        t.mock.method(JobService, 'scheduleExpiration', () => {});
+        const job = createJob();
+        const received = [];
+        JobService.subscribe(job.id, eventName => received.push(eventName));
+
+        JobService.markFailed(job.id, new Error('Conversion failed'), 500);
+
+        assert.deepStrictEqual(received, ['error']);
+        assert.strictEqual(JobService.isFinished(job), true);
+    });
+});
+
+describe('JobService cancellation', () => {
+    it('marks the job as cancelled and notifies the subscribers', t => {
+        t.mock.method(JobService, 'scheduleExpiration', () => {});
+        const job = createJob();
+        const received = [];
+        JobService.subscribe(job.id, eventName => received.push(eventName));
+
+        JobService.markCancelled(job.id, 'Cancelled by client');
+
+        assert.strictEqual(job.status, 'cancelled');
+        assert.strictEqual(JobService.isFinished(job), true);
+        assert.deepStrictEqual(received, ['cancelled']);
+        assert.strictEqual(JobService.serializeJob(job).reason, 'Cancelled by client');
+        assert.strictEqual(JobService.serializeJob(job).error, undefined);
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * Pruebas de los logs con identificador de petición
+ */
+
+process.env.FFMPEG_STDERR_SAMPLE_RATE = '2';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const winston = require('winston');
+const LogService = require('../app/services/logService');
+
+winston.level = 'error';
+
+/**
+ * Aplica el middleware a una petición y devuelve el requestId visto por next
+ */
+function runMiddleware(headers) {
+    const req = { headers };
+    const res = { headers: {}, setHeader(name, value) { this.headers[name] = value; } };
+    let seen;
+
+    LogService.middleware()(req, res, () => seen = LogService.getRequestId());
+
+    return { req, res, seen };
+}
+
+/**
+ * Captura las líneas escritas con winston.log
+ */
+function captureLogs(t) {
+    const lines = [];
+    t.mock.method(winston, 'log', (level, message) => lines.push([level, JSON.parse(message)]));
+    return lines;
+}
+
+describe('LogService.middleware', () => {
+    it('keeps a valid X-Request-Id and returns it', () => {
+        const { req, res, seen } = runMiddleware({ 'x-request-id': 'client-42:retry.1' });
+
+        assert.strictEqual(req.id, 'client-42:retry.1');
+        assert.strictEqual(res.headers['X-Request-Id'], 'client-42:retry.1');
+        assert.strictEqual(seen, 'client-42:retry.1');
+    });
+
+    it('replaces missing or invalid ids with a new one', () => {
+        const uuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+        assert.match(runMiddleware({}).req.id, uuid);
+        assert.match(runMiddleware({ 'x-request-id': 'has spaces' }).req.id, uuid);
+        assert.match(runMiddleware({ 'x-request-id': '<script>' }).req.id, uuid);
+        assert.match(runMiddleware({ 'x-request-id': 'a'.repeat(129) }).req.id, uuid);
+    });
+
+    it('keeps the id across asynchronous work of the request', () => {
+        let later;
+
+        return new Promise(resolve => {
+            LogService.middleware()({ headers: { 'x-request-id': 'async-1' } }, { setHeader() {} }, () => {
+                setTimeout(() => {
+                    later = LogService.getRequestId();
+                    resolve();
+                }, 1);
+            });
+        }).then(() => {
+            assert.strictEqual(later, 'async-1');
+            assert.strictEqual(LogService.getRequestId(), null);
+        });
+    });
+});
+
+describe('LogService.log', () => {
+    it('adds the request id inside a request only', t => {
+        const lines = captureLogs(t);
+
+        LogService.info({ action: 'outside' });
+        LogService.middleware()({ headers: { 'x-request-id': 'req-7' } }, { setHeader() {} }, () => {
+            LogService.warn({ action: 'inside' });
+        });
+
+        assert.deepStrictEqual(lines, [
+            ['info', { action: 'outside' }],
+            ['warn', { requestId: 'req-7', action: 'inside' }]
+        ]);
+    });
+
+    it('runs bound functions with the id of the context that bound them', t => {
+        const lines = captureLogs(t);
+        let bound;
+
+        LogService.middleware()({ headers: { 'x-request-id': 'req-8' } }, { setHeader() {} }, () => {
+            bound = LogService.bind(() => LogService.error({ type: 'late' }));
+        });
+        bound();
+
+        assert.deepStrictEqual(lines, [['error', { requestId: 'req-8', type: 'late' }]]);
+    });
+});
+
+describe('LogService.createStderrLog', () => {
+    it('summarizes the output in one line with the last messages', t => {
+        const lines = captureLogs(t);
+        const stderr = LogService.createStderrLog({ method: 'fluent-ffmpeg' });
+
+        stderr.write('Input #0, wav, from \'input.wav\':\n  Duration: 00:00:05.00\nframe=   1 fps=0.0\r');
+        stderr.write('frame=   2 fps=0.0\nsize=  10kB time=00:00:01.00\n');
+        stderr.write('video:0kB audio:80kB');
+        stderr.summary({ exitCode: 0 });
+
+        const summary = lines[lines.length - 1];
+        assert.deepStrictEqual(summary, ['info', {
+            action: 'ffmpeg_stderr_summary',
+            lines: 6,
+            progressLines: 3,
+            last: ['Input #0, wav, from \'input.wav\':', 'Duration: 00:00:05.00', 'video:0kB audio:80kB'],
+            method: 'fluent-ffmpeg',
+            exitCode: 0
+        }]);
+    });
+
+    it('samples one of every FFMPEG_STDERR_SAMPLE_RATE lines in debug', t => {
+        const lines = captureLogs(t);
+        const stderr = LogService.createStderrLog({ method: 'direct' });
+
+        ['a', 'b', 'c', 'd', 'e'].forEach(line => stderr.write(`${line}\n`));
+
+        assert.deepStrictEqual(lines.map(([level, entry]) => [level, entry.output, entry.line]),
+            [['debug', 'a', 1], ['debug', 'c', 3], ['debug', 'e', 5]]);
+    });
+});
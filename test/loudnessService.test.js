@@ -0,0 +1,85 @@
+/**
+ * Pruebas de la normalización de sonoridad: parámetros, lectura de las
+ * medidas de loudnorm y filtro de la segunda pasada
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const LoudnessService = require('../app/services/loudnessService');
+
+const standards = {
+    ebu: { integrated: -23, truePeak: -1, range: 7, minIntegrated: -30, maxIntegrated: -14 },
+    streaming: { integrated: -14, truePeak: -1, range: 11, minIntegrated: -24, maxIntegrated: -9 }
+};
+
+const rejects = (source, config, message) => {
+    assert.throws(() => LoudnessService.parseOptions(source, config),
+        err => err.statusCode === 400 && message.test(err.message));
+};
+
+// Final de la salida de error de la primera pasada
+const stderr = [
+    'size=N/A time=00:00:10.00 bitrate=N/A speed= 120x',
+    '[Parsed_loudnorm_0 @ 0x55d5c8e0] ',
+    '{',
+    '\t"input_i" : "-18.31",',
+    '\t"input_tp" : "-2.05",',
+    '\t"input_lra" : "5.40",',
+    '\t"input_thresh" : "-28.52",',
+    '\t"output_i" : "-23.02",',
+    '\t"target_offset" : "0.02"',
+    '}',
+    ''
+].join('\n');
+
+describe('LoudnessService.parseOptions', () => {
+    it('returns null when normalization is not requested', () => {
+        assert.strictEqual(LoudnessService.parseOptions({}, standards), null);
+        assert.strictEqual(LoudnessService.parseOptions({ normalize: '' }, undefined), null);
+    });
+
+    it('uses the targets of the standard', () => {
+        assert.deepStrictEqual(LoudnessService.parseOptions({ normalize: 'EBU' }, standards),
+            { standard: 'ebu', integrated: -23, truePeak: -1, range: 7 });
+    });
+
+    it('accepts a custom integrated loudness within the limits of the standard', () => {
+        assert.strictEqual(LoudnessService.parseOptions({ normalize: 'streaming', target_lufs: '-16' }, standards).integrated, -16);
+        rejects({ normalize: 'streaming', target_lufs: '-30' }, standards, /target_lufs must be a number between -24 and -9/);
+        rejects({ normalize: 'ebu', target_lufs: 'loud' }, standards, /target_lufs must be a number between -30 and -14/);
+    });
+
+    it('rejects unknown standards, endpoints without normalization and target_lufs alone', () => {
+        rejects({ normalize: 'atsc' }, standards, /normalize must be one of: ebu, streaming/);
+        rejects({ normalize: 'ebu' }, undefined, /"normalize" is not supported by this endpoint/);
+        rejects({ target_lufs: '-16' }, standards, /target_lufs requires the normalize parameter/);
+    });
+});
+
+describe('LoudnessService.parseMeasurement', () => {
+    it('reads the JSON block printed at the end of stderr', () => {
+        assert.deepStrictEqual(LoudnessService.parseMeasurement(stderr), {
+            input_i: '-18.31',
+            input_tp: '-2.05',
+            input_lra: '5.40',
+            input_thresh: '-28.52',
+            output_i: '-23.02',
+            target_offset: '0.02'
+        });
+    });
+
+    it('returns null when there is no valid block', () => {
+        assert.strictEqual(LoudnessService.parseMeasurement('size=N/A time=00:00:10.00'), null);
+        assert.strictEqual(LoudnessService.parseMeasurement('{ "input_i" : '), null);
+        assert.strictEqual(LoudnessService.parseMeasurement('} {'), null);
+    });
+});
+
+describe('LoudnessService.buildFilter', () => {
+    it('passes the measured values to the second pass', () => {
+        const normalize = LoudnessService.parseOptions({ normalize: 'ebu' }, standards);
+
+        assert.strictEqual(LoudnessService.buildFilter(normalize, LoudnessService.parseMeasurement(stderr)),
+            'loudnorm=I=-23:TP=-1:LRA=7:measured_I=-18.31:measured_TP=-2.05:measured_LRA=5.40:measured_thresh=-28.52:offset=0.02:linear=true');
+    });
+});
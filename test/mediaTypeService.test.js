@@ -0,0 +1,166 @@
+/**
+ * Pruebas de la detección del tipo de archivo
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const winston = require('winston');
+const ProbeService = require('../app/services/probeService');
+const MediaTypeService = require('../app/services/mediaTypeService');
+
+winston.level = 'error';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-type-test-'));
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+/**
+ * Crea un archivo temporal con unos bytes iniciales
+ */
+function writeFile(name, header) {
+    const filePath = path.join(tempDir, name);
+    fs.writeFileSync(filePath, Buffer.concat([header, Buffer.alloc(256)]));
+    return filePath;
+}
+
+const audioInfo = { container: 'mp3', hasAudio: true, streams: [{ type: 'audio' }] };
+
+describe('MediaTypeService.identify', () => {
+    it('recognizes media formats by their signature', () => {
+        assert.deepStrictEqual(MediaTypeService.identify(Buffer.from('ID3\u0004\u0000')), { subtype: 'mpeg', category: null });
+        assert.deepStrictEqual(MediaTypeService.identify(Buffer.from('\u0000\u0000\u0000\u0018ftypisom', 'latin1')), { subtype: 'mp4', category: null });
+        assert.deepStrictEqual(MediaTypeService.identify(Buffer.from('\u0000\u0000\u0000\u0018ftypavif', 'latin1')), { subtype: 'avif', category: 'image' });
+        assert.deepStrictEqual(MediaTypeService.identify(Buffer.from('RIFF\u0000\u0000\u0000\u0000WEBPVP8 ', 'latin1')), { subtype: 'webp', category: 'image' });
+        assert.deepStrictEqual(MediaTypeService.identify(Buffer.from('89504e470d0a1a0a0000', 'hex')), { subtype: 'png', category: 'image' });
+    });
+
+    it('tells WebM from Matroska by the doctype', () => {
+        const ebml = Buffer.from('1a45dfa3', 'hex');
+
+        assert.strictEqual(MediaTypeService.identify(Buffer.concat([ebml, Buffer.from('B\u0082webm', 'latin1')])).subtype, 'webm');
+        assert.strictEqual(MediaTypeService.identify(Buffer.concat([ebml, Buffer.from('B\u0082matroska', 'latin1')])).subtype, 'x-matroska');
+    });
+
+    it('needs the repeated sync byte to recognize MPEG-TS', () => {
+        const packets = Buffer.alloc(189);
+        packets[0] = 0x47;
+
+        assert.strictEqual(MediaTypeService.identify(packets), null);
+
+        packets[188] = 0x47;
+        assert.deepStrictEqual(MediaTypeService.identify(packets), { subtype: 'mp2t', category: null });
+    });
+
+    it('recognizes documents and archives', () => {
+        assert.deepStrictEqual(MediaTypeService.identify(Buffer.from('%PDF-1.7')),
+            { document: true, mimeType: 'application/pdf', name: 'PDF document' });
+        assert.strictEqual(MediaTypeService.identify(Buffer.from('504b030414000000', 'hex')).mimeType, 'application/zip');
+    });
+
+    it('returns null for unknown or short headers', () => {
+        assert.strictEqual(MediaTypeService.identify(Buffer.from('hello world')), null);
+        assert.strictEqual(MediaTypeService.identify(Buffer.from('Og')), null);
+    });
+});
+
+describe('MediaTypeService.describe', () => {
+    it('takes the category from the streams when the signature does not fix it', () => {
+        const video = { container: 'mov,mp4,m4a,3gp,3g2,mj2', hasAudio: true, streams: [{ type: 'video' }, { type: 'audio' }] };
+
+        assert.strictEqual(MediaTypeService.describe({ subtype: 'mp4', category: null }, video).mimeType, 'video/mp4');
+        assert.strictEqual(MediaTypeService.describe({ subtype: 'mp4', category: null }, Object.assign({}, video, { streams: [{ type: 'audio' }] })).mimeType, 'audio/mp4');
+    });
+
+    it('ignores cover art when deciding between audio and video', () => {
+        const info = { container: 'mp3', hasAudio: true, streams: [{ type: 'audio' }, { type: 'video', attachedPic: true }] };
+
+        assert.strictEqual(MediaTypeService.describe({ subtype: 'mpeg', category: null }, info).category, 'audio');
+    });
+
+    it('treats the image demuxers of ffprobe as images', () => {
+        const detected = MediaTypeService.describe(null, { container: 'png_pipe', hasAudio: false, streams: [{ type: 'video' }] });
+
+        assert.deepStrictEqual([detected.category, detected.mimeType], ['image', null]);
+    });
+});
+
+describe('MediaTypeService.matches', () => {
+    it('compares with wildcards and exact types', () => {
+        const detected = { category: 'video', mimeType: 'video/mp4' };
+
+        assert.strictEqual(MediaTypeService.matches(detected, ['video/*']), true);
+        assert.strictEqual(MediaTypeService.matches(detected, ['audio/*', 'video/mp4']), true);
+        assert.strictEqual(MediaTypeService.matches(detected, ['audio/*', 'video/webm']), false);
+    });
+});
+
+describe('MediaTypeService.check', () => {
+    it('accepts a file of an accepted type', t => {
+        t.mock.method(ProbeService, 'probe', () => Promise.resolve(audioInfo));
+        const filePath = writeFile('song.bin', Buffer.from('ID3'));
+
+        return MediaTypeService.check(filePath, ['audio/*']).then(detected => {
+            assert.strictEqual(detected.mimeType, 'audio/mpeg');
+            assert.strictEqual(detected.info, audioInfo);
+        });
+    });
+
+    it('rejects documents with 415 without probing them', t => {
+        const probe = t.mock.method(ProbeService, 'probe', () => Promise.resolve(audioInfo));
+        const filePath = writeFile('report.mp3', Buffer.from('%PDF-1.4'));
+
+        return assert.rejects(MediaTypeService.check(filePath, ['audio/*']), err => {
+            assert.strictEqual(err.statusCode, 415);
+            assert.match(err.message, /PDF document/);
+            assert.strictEqual(probe.mock.callCount(), 0);
+            return true;
+        });
+    });
+
+    it('rejects a type the route does not accept with 415', t => {
+        t.mock.method(ProbeService, 'probe', () => Promise.resolve(audioInfo));
+        const filePath = writeFile('song.mp3', Buffer.from('ID3'));
+
+        return assert.rejects(MediaTypeService.check(filePath, ['video/*']), {
+            statusCode: 415,
+            message: 'The file is audio/mpeg; this endpoint accepts video/*'
+        });
+    });
+
+    it('answers 422 for a damaged file with a known signature and 415 for an unknown one', t => {
+        t.mock.method(ProbeService, 'probe', () => Promise.reject(new Error('Could not read media information from the file')));
+
+        return Promise.all([
+            assert.rejects(MediaTypeService.check(writeFile('broken.flac', Buffer.from('fLaC')), ['audio/*']), {
+                statusCode: 422,
+                message: 'The file looks like FLAC but could not be read'
+            }),
+            assert.rejects(MediaTypeService.check(writeFile('notes.txt', Buffer.from('plain text')), ['audio/*']), {
+                statusCode: 415,
+                message: 'The file is not a recognized audio, video or image file'
+            })
+        ]);
+    });
+
+    it('answers 500 instead of 422 when ffprobe cannot be run', t => {
+        t.mock.method(ProbeService, 'probe', () => Promise.reject(
+            Object.assign(new Error('ffprobe could not be run on this server'), { code: 'INTERNAL_ERROR', statusCode: 500 })));
+
+        return assert.rejects(MediaTypeService.check(writeFile('song.flac', Buffer.from('fLaC')), ['audio/*']), {
+            statusCode: 500,
+            code: 'INTERNAL_ERROR'
+        });
+    });
+
+    it('rejects files without audio or video streams', t => {
+        t.mock.method(ProbeService, 'probe', () => Promise.resolve({ container: 'ogg', hasAudio: false, streams: [{ type: 'data' }] }));
+
+        return assert.rejects(MediaTypeService.check(writeFile('empty.ogg', Buffer.from('OggS')), ['audio/*']), {
+            statusCode: 415,
+            message: 'The file has no audio or video stream'
+        });
+    });
+});
@@ -0,0 +1,108 @@
+/**
+ * Pruebas de las métricas de Prometheus
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const winston = require('winston');
+const MetricsService = require('../app/services/metricsService');
+
+winston.level = 'error';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-test-'));
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+/**
+ * Línea de una métrica en el texto de /metrics, o undefined si no está
+ */
+const findLine = (body, prefix) => body.split('\n').find(line => line.startsWith(prefix));
+
+/**
+ * Simula una petición que termina con un estado
+ */
+function finishRequest(req, statusCode) {
+    const res = new EventEmitter();
+    res.statusCode = statusCode;
+
+    MetricsService.middleware()(req, res, () => {});
+    res.emit('finish');
+}
+
+describe('MetricsService.middleware', () => {
+    it('labels the requests with the route pattern, not the URL', () => {
+        finishRequest({ method: 'GET', baseUrl: '', route: { path: '/jobs/:id' } }, 200);
+        finishRequest({ method: 'GET', baseUrl: '', route: { path: '/jobs/:id' } }, 404);
+        finishRequest({ method: 'GET', baseUrl: '', route: { path: '/jobs/:id' } }, 404);
+        finishRequest({ method: 'POST', baseUrl: '' }, 404);
+
+        return MetricsService.render().then(({ body }) => {
+            assert.strictEqual(findLine(body, 'ffmpeg_api_http_requests_total{route="/jobs/:id",method="GET",status="200"}'),
+                'ffmpeg_api_http_requests_total{route="/jobs/:id",method="GET",status="200"} 1');
+            assert.strictEqual(findLine(body, 'ffmpeg_api_http_requests_total{route="/jobs/:id",method="GET",status="404"}'),
+                'ffmpeg_api_http_requests_total{route="/jobs/:id",method="GET",status="404"} 2');
+            assert.ok(findLine(body, 'ffmpeg_api_http_requests_total{route="unmatched",method="POST",status="404"}'));
+        });
+    });
+});
+
+describe('MetricsService.startConversion', () => {
+    it('records the duration, bytes and compression ratio of successful conversions', () => {
+        const input = path.join(tempDir, 'input.wav');
+        const output = path.join(tempDir, 'output.mp3');
+        fs.writeFileSync(input, Buffer.alloc(1000));
+        fs.writeFileSync(output, Buffer.alloc(250));
+
+        MetricsService.startConversion('mp3', input)(null, output);
+
+        return MetricsService.render().then(({ body }) => {
+            assert.ok(findLine(body, 'ffmpeg_api_conversion_duration_seconds_count{preset="mp3",result="success"} 1'));
+            assert.ok(findLine(body, 'ffmpeg_api_conversion_input_bytes_total{preset="mp3"} 1000'));
+            assert.ok(findLine(body, 'ffmpeg_api_conversion_output_bytes_total{preset="mp3"} 250'));
+            assert.ok(findLine(body, 'ffmpeg_api_conversion_compression_ratio_bucket{le="0.3",preset="mp3"} 1'));
+            assert.ok(findLine(body, 'ffmpeg_api_conversion_compression_ratio_bucket{le="0.2",preset="mp3"} 0'));
+        });
+    });
+
+    it('labels failures as timeout, cancelled or failed', () => {
+        const missing = path.join(tempDir, 'missing.mov');
+
+        MetricsService.startConversion('mp4', missing)(Object.assign(new Error('Timeout'), { statusCode: 504 }));
+        MetricsService.startConversion('mp4', missing)(Object.assign(new Error('Cancelled'), { statusCode: 499 }));
+        MetricsService.startConversion('mp4', missing)(new Error('Conversion failed'));
+
+        return MetricsService.render().then(({ body }) => {
+            ['timeout', 'cancelled', 'failed'].forEach(result => {
+                assert.ok(findLine(body, `ffmpeg_api_conversion_duration_seconds_count{preset="mp4",result="${result}"} 1`), result);
+            });
+            assert.strictEqual(findLine(body, 'ffmpeg_api_conversion_input_bytes_total{preset="mp4"}'), undefined);
+        });
+    });
+});
+
+describe('MetricsService process and FFmpeg counters', () => {
+    it('counts each FFmpeg process once', () => {
+        const first = MetricsService.trackProcess();
+        MetricsService.trackProcess();
+        first();
+        first();
+
+        MetricsService.recordFallback('webm');
+        MetricsService.recordFallback();
+        MetricsService.recordTimeout();
+
+        return MetricsService.render().then(({ body, contentType }) => {
+            assert.match(contentType, /^text\/plain/);
+            assert.ok(findLine(body, 'ffmpeg_api_ffmpeg_active_processes 1'));
+            assert.ok(findLine(body, 'ffmpeg_api_ffmpeg_fallback_total{preset="webm"} 1'));
+            assert.ok(findLine(body, 'ffmpeg_api_ffmpeg_fallback_total{preset="unknown"} 1'));
+            assert.ok(findLine(body, 'ffmpeg_api_ffmpeg_timeouts_total 1'));
+            assert.ok(findLine(body, 'ffmpeg_api_queue_waiting 0'));
+            assert.ok(findLine(body, 'ffmpeg_api_process_cpu_user_seconds_total'));
+        });
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ * Pruebas del documento OpenAPI generado a partir del registro de rutas
+ */
+
+process.env.API_KEYS = 'docs-key-0123456789abc';
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const winston = require('winston');
+const endpoints = require('../app/endpoints');
+const AuthService = require('../app/services/authService');
+const PresetService = require('../app/services/presetService');
+const RouteService = require('../app/services/routeService');
+const OpenApiService = require('../app/services/openApiService');
+
+winston.level = 'error';
+
+describe('OpenApiService.build', () => {
+    let document;
+
+    before(() => {
+        AuthService.loadKeys();
+        RouteService.build(PresetService.load(), endpoints.tools);
+        document = OpenApiService.build(endpoints.tools);
+    });
+
+    it('documents every registered route', () => {
+        RouteService.getRoutes().forEach(route => {
+            const path = route.path.replace(/:([A-Za-z_]+)/g, '{$1}').replace(/\*$/, '{file}');
+
+            assert.ok(document.paths[path], `missing ${path}`);
+            assert.ok(document.paths[path][route.method.toLowerCase()], `missing ${route.method} ${path}`);
+        });
+    });
+
+    it('describes the parameters and the upload body of a conversion', () => {
+        const operation = document.paths['/convert/audio/to/mp3'].post;
+        const quality = operation.parameters.find(parameter => parameter.name === 'quality');
+
+        assert.strictEqual(operation.operationId, 'convertMp3');
+        assert.deepStrictEqual(quality.schema, { type: 'integer', minimum: 0, maximum: 9 });
+        assert.ok(operation.parameters.some(parameter => parameter.name === 'callback_url'));
+        assert.deepStrictEqual(operation.requestBody.content['multipart/form-data'].schema.required, ['file']);
+        assert.deepStrictEqual(operation.requestBody.content['application/json'].schema.required, ['url']);
+        assert.ok(operation.responses[200].content['audio/mpeg']);
+        assert.strictEqual(operation.responses[202].$ref, '#/components/responses/JobAccepted');
+    });
+
+    it('marks the short aliases as deprecated', () => {
+        const operation = document.paths['/mp3'].post;
+
+        assert.strictEqual(operation.deprecated, true);
+        assert.strictEqual(operation.operationId, 'legacyMp3');
+        assert.strictEqual(operation.description, 'Deprecated alias of /convert/audio/to/mp3.');
+    });
+
+    it('uses path parameters for the job routes', () => {
+        const files = document.paths['/jobs/{id}/files/{file}'].get;
+
+        assert.deepStrictEqual(files.parameters.map(parameter => parameter.name), ['id', 'file']);
+        assert.ok(document.paths['/jobs/{id}'].delete);
+    });
+
+    it('requires the API key on the protected routes only', () => {
+        const conversion = document.paths['/convert/audio/to/mp3'].post;
+        const job = document.paths['/jobs/{id}'].get;
+
+        assert.deepStrictEqual(conversion.security, [{ bearerAuth: [] }]);
+        assert.ok(conversion.responses[403] && conversion.responses[429]);
+        assert.ok(job.responses[401]);
+        assert.strictEqual(job.responses[403], undefined);
+        assert.strictEqual(document.paths['/endpoints'].get.security, undefined);
+    });
+});
+
+describe('OpenApiService helpers', () => {
+    it('builds camelCase operation ids', () => {
+        assert.strictEqual(OpenApiService.getOperationId('GET /jobs/:id/progress'), 'getJobsIdProgress');
+        assert.strictEqual(OpenApiService.getOperationId('/openapi.json'), 'openapiJson');
+    });
+
+    it('maps the parameter types to schemas', () => {
+        assert.deepStrictEqual(OpenApiService.toSchema({ type: 'bitrate' }), { type: 'string', pattern: '^\\d+k$' });
+        assert.deepStrictEqual(OpenApiService.toSchema({ type: 'string', allowed: ['a', 'b'] }), { type: 'string', enum: ['a', 'b'] });
+        assert.deepStrictEqual(OpenApiService.toSchema({ type: 'number', min: -70, max: -5 }), { type: 'number', minimum: -70, maximum: -5 });
+    });
+});
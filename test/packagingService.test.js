@@ -0,0 +1,80 @@
+/**
+ * Pruebas de las opciones de empaquetado HLS y DASH
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const PackagingService = require('../app/services/packagingService');
+
+const ladder = [
+    { height: 360, videoBitrate: '800k', maxrate: '856k', bufsize: '1200k', audioBitrate: '96k' },
+    { height: 720, videoBitrate: '2800k', maxrate: '2996k', bufsize: '4200k', audioBitrate: '128k' },
+    { height: 1080, videoBitrate: '5000k', maxrate: '5350k', bufsize: '7500k', audioBitrate: '192k' }
+];
+
+const config = format => ({
+    format,
+    manifest: format === 'hls' ? 'master.m3u8' : 'manifest.mpd',
+    segmentDuration: 4,
+    outputOptions: ['-c:v libx264', '-c:a aac'],
+    renditions: ladder
+});
+
+describe('PackagingService.selectRenditions', () => {
+    it('skips the renditions above the source height', () => {
+        assert.deepStrictEqual(PackagingService.selectRenditions(ladder, 720).map(rendition => rendition.height), [360, 720]);
+        assert.deepStrictEqual(PackagingService.selectRenditions(ladder, 2160).map(rendition => rendition.height), [360, 720, 1080]);
+    });
+
+    it('keeps the lowest rendition for small videos', () => {
+        assert.deepStrictEqual(PackagingService.selectRenditions(ladder, 240), [ladder[0]]);
+    });
+
+    it('keeps the whole ladder when the height is unknown', () => {
+        assert.strictEqual(PackagingService.selectRenditions(ladder, null), ladder);
+    });
+});
+
+describe('PackagingService.buildOutputOptions', () => {
+    it('scales a single decode into every HLS variant with its own audio', () => {
+        const options = PackagingService.buildOutputOptions(config('hls'), ladder.slice(0, 2), true, '/tmp/out');
+
+        assert.deepStrictEqual(options.slice(0, 2), [
+            '-filter_complex',
+            '[0:v]split=2[v0][v1];[v0]scale=-2:360[v0out];[v1]scale=-2:720[v1out]'
+        ]);
+        assert.ok(options.includes('-b:v:1 2800k'));
+        assert.ok(options.includes('-b:a:0 96k'));
+        assert.ok(options.includes('-f hls'));
+        assert.ok(options.includes('-master_pl_name master.m3u8'));
+        assert.ok(options.includes(path.join('/tmp/out', 'stream_%v', 'segment_%03d.ts')));
+        assert.strictEqual(options[options.length - 1], 'v:0,a:0 v:1,a:1');
+        assert.strictEqual(options[options.indexOf('-force_key_frames') + 1], 'expr:gte(t,n_forced*4)');
+    });
+
+    it('maps only video when the source has no audio', () => {
+        const options = PackagingService.buildOutputOptions(config('hls'), ladder.slice(0, 2), false, '/tmp/out');
+
+        assert.ok(!options.includes('-map 0:a:0'));
+        assert.strictEqual(options[options.length - 1], 'v:0 v:1');
+    });
+
+    it('shares one audio adaptation set in DASH', () => {
+        const options = PackagingService.buildOutputOptions(config('dash'), ladder, true, '/tmp/out');
+
+        assert.deepStrictEqual(options.filter(option => option === '-map 0:a:0'), ['-map 0:a:0']);
+        assert.ok(options.includes('-b:a 192k'));
+        assert.ok(options.includes('-f dash'));
+        assert.ok(options.includes('id=0,streams=v id=1,streams=a'));
+    });
+});
+
+describe('PackagingService.getMimeType', () => {
+    it('returns the type of playlists and segments', () => {
+        assert.strictEqual(PackagingService.getMimeType('master.m3u8'), 'application/vnd.apple.mpegurl');
+        assert.strictEqual(PackagingService.getMimeType('stream_0/segment_001.TS'), 'video/mp2t');
+        assert.strictEqual(PackagingService.getMimeType('manifest.mpd'), 'application/dash+xml');
+        assert.strictEqual(PackagingService.getMimeType('notes.txt'), 'application/octet-stream');
+    });
+});
@@ -0,0 +1,89 @@
+/**
+ * Pruebas de la validación de los parámetros de conversión y de recorte
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const ParameterService = require('../app/services/parameterService');
+
+const presetParams = {
+    resolution: { allowed: [480, 720, 1080] },
+    crf: { min: 18, max: 35 },
+    audio_bitrate: { min: 64, max: 320 },
+    frame_rate: { max: 60 },
+    preset: { allowed: ['fast', 'medium', 'slow'] }
+};
+
+const rejects = (source, message) => {
+    assert.throws(() => ParameterService.parse(source, presetParams),
+        err => err.statusCode === 400 && message.test(err.message));
+};
+
+describe('ParameterService.parse', () => {
+    it('normalizes the values allowed by the preset', () => {
+        const values = ParameterService.parse({
+            resolution: '720p',
+            crf: ' 23 ',
+            audio_bitrate: '128K',
+            frame_rate: '29.97',
+            preset: 'Slow'
+        }, presetParams);
+
+        assert.deepStrictEqual(values, {
+            resolution: 720,
+            crf: 23,
+            audio_bitrate: '128k',
+            frame_rate: 29.97,
+            preset: 'slow'
+        });
+    });
+
+    it('ignores fields outside the catalog and empty values', () => {
+        assert.deepStrictEqual(ParameterService.parse({ async: 'true', vf: 'scale=1:1', crf: '' }, presetParams), {});
+    });
+
+    it('rejects catalog parameters the preset does not allow', () => {
+        rejects({ sample_rate: '44100' }, /"sample_rate" is not supported/);
+    });
+
+    it('rejects values outside the allowed list or range', () => {
+        rejects({ resolution: '360' }, /resolution must be one of: 480, 720, 1080/);
+        rejects({ crf: '10' }, /crf must be at least 18/);
+        rejects({ audio_bitrate: '512k' }, /audio_bitrate must be at most 320/);
+        rejects({ preset: 'veryslow' }, /preset must be one of/);
+    });
+
+    it('rejects values that could inject FFmpeg arguments', () => {
+        rejects({ crf: '23 -map 0' }, /Invalid value/);
+        rejects({ audio_bitrate: '128k -f null' }, /Invalid value/);
+        rejects({ preset: 'fast;rm' }, /Invalid value/);
+        rejects({ frame_rate: '-1' }, /Invalid value/);
+    });
+});
+
+describe('ParameterService.apply', () => {
+    it('replaces the preset options and adds the missing ones', () => {
+        const options = ParameterService.apply(['-c:v libx264', '-crf 28', '-vf scale=-2:1080,format=yuv420p'],
+            { crf: 20, resolution: 720, preset: 'fast' }, presetParams);
+
+        assert.deepStrictEqual(options, ['-c:v libx264', '-crf 20', '-vf scale=-2:720,format=yuv420p', '-preset fast']);
+    });
+
+    it('adds the scale filter when the preset has no -vf', () => {
+        assert.deepStrictEqual(ParameterService.apply(['-c:v libx264'], { resolution: 480 }, presetParams),
+            ['-c:v libx264', '-vf scale=-2:480']);
+    });
+});
+
+describe('ParameterService.parseTimestamp', () => {
+    it('accepts seconds and HH:MM:SS', () => {
+        assert.strictEqual(ParameterService.parseTimestamp('12.5'), 12.5);
+        assert.strictEqual(ParameterService.parseTimestamp('01:02:03.5'), 3723.5);
+        assert.strictEqual(ParameterService.parseTimestamp('2:30'), 150);
+    });
+
+    it('returns null for invalid timestamps', () => {
+        assert.strictEqual(ParameterService.parseTimestamp('1:75'), null);
+        assert.strictEqual(ParameterService.parseTimestamp('abc'), null);
+    });
+});
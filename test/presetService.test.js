@@ -0,0 +1,122 @@
+/**
+ * Pruebas de la carga y validación de los presets
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const presetsFile = path.join(os.tmpdir(), `presets-test-${process.pid}.json`);
+process.env.PRESETS_FILE = presetsFile;
+process.env.DISABLED_PRESETS = 'WAV';
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const winston = require('winston');
+const PresetService = require('../app/services/presetService');
+
+winston.level = 'error';
+
+const opus = {
+    path: '/convert/audio/to/opus',
+    category: 'audio',
+    extension: 'opus',
+    mimeType: 'audio/ogg',
+    params: { audio_bitrate: { min: 32, max: 256 } },
+    outputOptions: ['-codec:a libopus', '-b:a 96k']
+};
+
+const writePresets = presets => fs.writeFileSync(presetsFile, JSON.stringify(presets));
+
+// Devuelve la lista de errores de load(), o falla si no lanza
+const loadErrors = () => {
+    try {
+        PresetService.load();
+    } catch (err) {
+        return err.errors;
+    }
+    assert.fail('load() should have thrown');
+};
+
+after(() => fs.rmSync(presetsFile, { force: true }));
+
+describe('PresetService.load', () => {
+    beforeEach(() => writePresets({ opus }));
+
+    it('adds the presets of PRESETS_FILE and skips the disabled ones', () => {
+        const presets = PresetService.load();
+
+        assert.ok(presets.mp3);
+        assert.strictEqual(presets.wav, undefined);
+        assert.strictEqual(presets.opus.group, 'audio');
+        assert.strictEqual(presets.opus.description, 'Convert to OPUS format');
+        assert.deepStrictEqual(presets.opus.accepts, ['audio/*', 'video/*']);
+        assert.strictEqual(PresetService.getPresets(), presets);
+    });
+
+    it('lets the file replace a built-in preset', () => {
+        writePresets({ mp3: Object.assign({}, opus, { path: '/convert/audio/to/mp3', extension: 'mp3', mimeType: 'audio/mpeg' }) });
+
+        assert.deepStrictEqual(PresetService.load().mp3.outputOptions, opus.outputOptions);
+    });
+
+    it('reports every invalid field', () => {
+        writePresets({
+            'Bad Name': opus,
+            broken: {
+                path: 'convert/broken',
+                category: 'text',
+                extension: '.txt',
+                mimeType: 'text',
+                params: { filter: {}, crf: { min: '10', step: 1 } },
+                outputOptions: []
+            }
+        });
+
+        assert.deepStrictEqual(loadErrors(), [
+            'Bad Name: the name may only contain lowercase letters, digits and dashes',
+            'broken: path must be an absolute route such as /convert/audio/to/opus',
+            'broken: category must be one of: audio, video, image',
+            'broken: group must be one of: audio, video, image, compress',
+            'broken: extension must be lowercase letters and digits, without the dot',
+            'broken: mimeType must be a MIME type such as audio/ogg',
+            'broken: outputOptions must be a non-empty list of FFmpeg options',
+            'broken: unknown parameter "filter"',
+            'broken: params.crf has an unknown field "step"',
+            'broken: params.crf.min must be a number'
+        ]);
+    });
+
+    it('rejects routes used by another preset or by the service', () => {
+        writePresets({
+            opus,
+            ogg: Object.assign({}, opus, { path: '/convert/audio/to/opus' }),
+            jobs: Object.assign({}, opus, { path: '/convert/audio/to/jobs' }),
+            probe2: Object.assign({}, opus, { path: '/probe' })
+        });
+
+        assert.deepStrictEqual(loadErrors(), [
+            'ogg: route /convert/audio/to/opus is already used by opus',
+            'jobs: route /jobs is reserved by the service',
+            'probe2: route /probe is reserved by the service'
+        ]);
+    });
+});
+
+describe('PresetService.reload', () => {
+    it('keeps the previous presets when the file has errors', () => {
+        writePresets({ opus });
+        PresetService.load();
+
+        writePresets({ opus: Object.assign({}, opus, { category: 'text' }) });
+        assert.strictEqual(PresetService.reload(), false);
+        assert.ok(PresetService.getPresets().opus);
+
+        fs.writeFileSync(presetsFile, '{ not json');
+        assert.strictEqual(PresetService.reload(), false);
+
+        writePresets({});
+        assert.strictEqual(PresetService.reload(), true);
+        assert.strictEqual(PresetService.getPresets().opus, undefined);
+    });
+});
@@ -0,0 +1,147 @@
+/**
+ * Pruebas de la normalización de la salida de ffprobe
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const ffmpeg = require('fluent-ffmpeg');
+const LogService = require('../app/services/logService');
+const ProbeService = require('../app/services/probeService');
+
+const metadata = {
+    format: {
+        format_name: 'mov,mp4,m4a,3gp,3g2,mj2',
+        format_long_name: 'QuickTime / MOV',
+        duration: '12.500000',
+        bit_rate: '1200000',
+        size: '1875000'
+    },
+    streams: [
+        {
+            index: 0,
+            codec_type: 'video',
+            codec_name: 'h264',
+            codec_long_name: 'H.264 / AVC / MPEG-4 AVC / MPEG-4 part 10',
+            profile: 'High',
+            width: 1920,
+            height: 1080,
+            avg_frame_rate: '30000/1001',
+            r_frame_rate: '30/1',
+            pix_fmt: 'yuv420p',
+            bit_rate: '1072000',
+            duration: '12.500000',
+            tags: { language: 'und' }
+        },
+        {
+            index: 1,
+            codec_type: 'audio',
+            codec_name: 'aac',
+            sample_rate: '48000',
+            channels: 2,
+            channel_layout: 'stereo',
+            bit_rate: 'N/A'
+        }
+    ]
+};
+
+describe('ProbeService.normalize', () => {
+    it('summarizes the container and its streams', () => {
+        const info = ProbeService.normalize(metadata);
+
+        assert.strictEqual(info.container, 'mov,mp4,m4a,3gp,3g2,mj2');
+        assert.strictEqual(info.duration, 12.5);
+        assert.strictEqual(info.bitrate, 1200000);
+        assert.strictEqual(info.size, 1875000);
+        assert.strictEqual(info.hasVideo, true);
+        assert.strictEqual(info.hasAudio, true);
+
+        assert.deepStrictEqual(info.streams[0], {
+            index: 0,
+            type: 'video',
+            codec: 'h264',
+            codecLongName: 'H.264 / AVC / MPEG-4 AVC / MPEG-4 part 10',
+            profile: 'High',
+            bitrate: 1072000,
+            duration: 12.5,
+            language: 'und',
+            width: 1920,
+            height: 1080,
+            frameRate: 29.97,
+            pixelFormat: 'yuv420p',
+            attachedPic: false
+        });
+
+        assert.strictEqual(info.streams[1].sampleRate, 48000);
+        assert.strictEqual(info.streams[1].channels, 2);
+        assert.strictEqual(info.streams[1].bitrate, null);
+        assert.strictEqual(info.streams[1].width, undefined);
+    });
+
+    it('flags the cover art of audio files', () => {
+        const info = ProbeService.normalize({
+            format: { format_name: 'mp3' },
+            streams: [{ index: 0, codec_type: 'video', codec_name: 'mjpeg', disposition: { attached_pic: 1 } }]
+        });
+
+        assert.strictEqual(info.streams[0].attachedPic, true);
+    });
+
+    it('accepts metadata without format or streams', () => {
+        assert.deepStrictEqual(ProbeService.normalize({}), {
+            container: null,
+            containerLongName: null,
+            duration: null,
+            bitrate: null,
+            size: null,
+            hasVideo: false,
+            hasAudio: false,
+            streams: []
+        });
+    });
+});
+
+describe('ProbeService.parseFrameRate', () => {
+    it('converts ffprobe fractions to frames per second', () => {
+        assert.strictEqual(ProbeService.parseFrameRate('25/1'), 25);
+        assert.strictEqual(ProbeService.parseFrameRate('24000/1001'), 23.976);
+        assert.strictEqual(ProbeService.parseFrameRate('30'), 30);
+    });
+
+    it('returns null for missing or empty frame rates', () => {
+        assert.strictEqual(ProbeService.parseFrameRate('0/0'), null);
+        assert.strictEqual(ProbeService.parseFrameRate(undefined), null);
+    });
+});
+
+describe('ProbeService.probe', () => {
+    const failWith = (t, err) => {
+        t.mock.method(LogService, 'error', () => {});
+        t.mock.method(ffmpeg, 'ffprobe', (filePath, callback) => callback(err));
+    };
+
+    it('blames the file when ffprobe cannot read it', t => {
+        failWith(t, new Error('ffprobe exited with code 1\ninput.bin: Invalid data found when processing input'));
+
+        return assert.rejects(ProbeService.probe('/tmp/input.bin'), err => {
+            assert.strictEqual(err.message, 'Could not read media information from the file');
+            assert.strictEqual(err.statusCode, undefined);
+            return true;
+        });
+    });
+
+    it('answers 500 when ffprobe cannot be run', t => {
+        failWith(t, Object.assign(new Error('spawn ffprobe ENOENT'), { code: 'ENOENT', syscall: 'spawn ffprobe' }));
+
+        return assert.rejects(ProbeService.probe('/tmp/input.mp3'), {
+            code: 'INTERNAL_ERROR',
+            statusCode: 500,
+            message: 'ffprobe could not be run on this server'
+        });
+    });
+
+    it('recognizes the failures to start ffprobe', () => {
+        assert.strictEqual(ProbeService.isSpawnError(Object.assign(new Error('spawn EACCES'), { code: 'EACCES' })), true);
+        assert.strictEqual(ProbeService.isSpawnError(new Error('Cannot find ffprobe')), true);
+        assert.strictEqual(ProbeService.isSpawnError(new Error('ffprobe was killed with signal SIGKILL')), false);
+    });
+});
@@ -0,0 +1,117 @@
+/**
+ * Pruebas de la cola de conversiones
+ */
+
+process.env.MAX_CONCURRENT_CONVERSIONS = '1';
+process.env.MAX_QUEUE_LENGTH = '2';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const winston = require('winston');
+const QueueService = require('../app/services/queueService');
+
+winston.level = 'error';
+
+// Tarea que no termina hasta que se llama a finish()
+const createTask = () => {
+    const task = { started: false };
+    task.promise = new Promise((resolve, reject) => {
+        task.finish = resolve;
+        task.fail = reject;
+    });
+    task.run = () => {
+        task.started = true;
+        return task.promise;
+    };
+    return task;
+};
+
+// Deja que se ejecuten las promesas pendientes
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('QueueService', () => {
+    it('runs up to MAX_CONCURRENT_CONVERSIONS tasks and queues the rest in order', () => {
+        const first = createTask();
+        const second = createTask();
+        const third = createTask();
+        const started = [];
+
+        const results = Promise.allSettled([first, second, third].map((task, index) =>
+            QueueService.enqueue(`task-${index + 1}`, task.run, { onStart: () => started.push(index + 1) })));
+
+        return flush()
+            .then(() => {
+                assert.deepStrictEqual(started, [1]);
+                assert.strictEqual(QueueService.getPosition('task-2'), 1);
+                assert.strictEqual(QueueService.getPosition('task-3'), 2);
+                assert.strictEqual(QueueService.getPosition('task-1'), null);
+                assert.deepStrictEqual(QueueService.getStats(), { running: 1, waiting: 2, maxConcurrency: 1, maxQueueLength: 2 });
+
+                first.finish('first');
+                return flush();
+            })
+            .then(() => {
+                assert.deepStrictEqual(started, [1, 2]);
+                assert.strictEqual(QueueService.getPosition('task-3'), 1);
+
+                // Un fallo también libera la plaza
+                second.fail(new Error('Conversion failed'));
+                return flush();
+            })
+            .then(() => {
+                assert.deepStrictEqual(started, [1, 2, 3]);
+                third.finish('third');
+
+                return results;
+            })
+            .then(settled => {
+                assert.deepStrictEqual(settled.map(result => result.status), ['fulfilled', 'rejected', 'fulfilled']);
+                assert.strictEqual(settled[0].value, 'first');
+                assert.strictEqual(QueueService.getStats().running, 0);
+            });
+    });
+
+    it('rejects new tasks with 503 and Retry-After when the queue is full', () => {
+        const tasks = [createTask(), createTask(), createTask()];
+        const results = tasks.map((task, index) => QueueService.enqueue(`full-${index}`, task.run));
+
+        return flush()
+            .then(() => {
+                assert.strictEqual(QueueService.isFull(), true);
+
+                return assert.rejects(QueueService.enqueue('rejected', createTask().run),
+                    err => err.statusCode === 503 && err.retryAfter === 30 && /queue is full/.test(err.message));
+            })
+            .then(() => {
+                assert.strictEqual(QueueService.getPosition('rejected'), null);
+                tasks.forEach(task => task.finish());
+                return Promise.all(results);
+            })
+            .then(() => flush())
+            .then(() => assert.strictEqual(QueueService.isFull(), false));
+    });
+});
+
+describe('QueueService.remove', () => {
+    it('takes a waiting task out of the queue and rejects it', () => {
+        const running = createTask();
+        const waiting = createTask();
+        const first = QueueService.enqueue('remove-running', running.run);
+        const second = QueueService.enqueue('remove-waiting', waiting.run);
+        const error = new Error('Conversion cancelled: cancelled by client');
+
+        return flush()
+            .then(() => {
+                assert.strictEqual(QueueService.remove('remove-waiting', error), true);
+                assert.strictEqual(QueueService.remove('remove-running', error), false);
+                assert.strictEqual(QueueService.getPosition('remove-waiting'), null);
+
+                return assert.rejects(second, error);
+            })
+            .then(() => {
+                running.finish();
+                return first;
+            })
+            .then(() => assert.strictEqual(waiting.started, false));
+    });
+});
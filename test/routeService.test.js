@@ -0,0 +1,131 @@
+/**
+ * Pruebas del registro de rutas
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const winston = require('winston');
+const RouteService = require('../app/services/routeService');
+
+winston.level = 'error';
+
+const presets = {
+    mp3: {
+        path: '/convert/audio/to/mp3',
+        category: 'audio',
+        group: 'audio',
+        extension: 'mp3',
+        mimeType: 'audio/mpeg',
+        description: 'Convert audio to MP3 format',
+        accepts: ['audio/*', 'video/*'],
+        params: { quality: { min: 0, max: 9 } },
+        outputOptions: ['-codec:a libmp3lame']
+    },
+    jpg: {
+        path: '/convert/image/to/jpg',
+        category: 'image',
+        group: 'image',
+        extension: 'jpg',
+        mimeType: 'image/jpeg',
+        description: 'Convert images to JPG format',
+        accepts: ['image/*', 'video/*'],
+        params: {},
+        outputOptions: ['-q:v 2']
+    }
+};
+
+const tools = {
+    thumbnail: {
+        path: '/video/thumbnail',
+        group: 'video',
+        description: 'Extract a still frame',
+        accepts: ['video/*'],
+        formats: ['jpg', 'png']
+    },
+    hls: {
+        path: '/video/hls',
+        group: 'video',
+        description: 'Package a video for HLS',
+        accepts: ['video/*'],
+        produces: ['application/zip']
+    }
+};
+
+describe('RouteService.build', () => {
+    before(() => RouteService.build(presets, tools));
+
+    it('publishes each preset at its path and at a deprecated short alias', () => {
+        const routes = RouteService.getConversionRoutes();
+        const mp3 = routes.find(route => route.path === '/convert/audio/to/mp3');
+        const alias = routes.find(route => route.path === '/mp3');
+
+        assert.deepStrictEqual(routes.map(route => route.path), ['/convert/audio/to/mp3', '/convert/image/to/jpg', '/mp3', '/jpg']);
+        assert.strictEqual(mp3.preset, 'mp3');
+        assert.strictEqual(mp3.deprecated, undefined);
+        assert.strictEqual(alias.deprecated, true);
+        assert.strictEqual(alias.replacement, '/convert/audio/to/mp3');
+    });
+
+    it('accepts the input types of the preset', () => {
+        const routes = RouteService.getConversionRoutes();
+
+        assert.deepStrictEqual(routes[0].accepts, ['audio/*', 'video/*']);
+        assert.deepStrictEqual(routes[1].accepts, ['image/*', 'video/*']);
+        assert.deepStrictEqual(routes[3].accepts, ['image/*', 'video/*']);
+    });
+});
+
+describe('RouteService.describe', () => {
+    before(() => RouteService.build(presets, tools));
+
+    it('lists the conversion, tool and fixed routes without internal data', () => {
+        const described = RouteService.describe();
+        const mp3 = described.find(route => route.path === '/convert/audio/to/mp3');
+
+        assert.deepStrictEqual(Object.keys(mp3), ['path', 'methods', 'description', 'group', 'accepts', 'produces', 'parameters', 'available']);
+        assert.strictEqual(mp3.available, true);
+        assert.deepStrictEqual(mp3.methods, ['POST']);
+        assert.deepStrictEqual(mp3.produces, ['audio/mpeg']);
+        assert.deepStrictEqual(mp3.parameters.quality, { type: 'integer', description: 'Encoder quality scale (lower is better quality)', min: 0, max: 9 });
+        assert.ok(mp3.parameters.start);
+
+        assert.ok(described.some(route => route.path === '/jobs/:id' && route.methods[0] === 'DELETE'));
+        assert.deepStrictEqual(described.find(route => route.path === '/mp3').replacement, '/convert/audio/to/mp3');
+    });
+
+    it('derives the output types of the tools from their formats', () => {
+        const described = RouteService.describe();
+
+        assert.deepStrictEqual(described.find(route => route.path === '/video/thumbnail').produces, ['image/jpeg']);
+        assert.deepStrictEqual(described.find(route => route.path === '/video/hls').produces, ['application/zip']);
+    });
+
+    it('keeps only the published formats of the tools', () => {
+        const thumbnail = RouteService.getRoutes().find(route => route.tool === 'thumbnail');
+
+        assert.deepStrictEqual(thumbnail.formats, ['jpg']);
+    });
+
+    it('records what FFmpeg needs for each format of the tools', () => {
+        const thumbnail = RouteService.getToolRoute('thumbnail');
+
+        assert.deepStrictEqual(thumbnail.formatRequires, { jpg: { encoders: [], filters: [] } });
+        assert.strictEqual(RouteService.getToolRoute('missing'), undefined);
+    });
+});
+
+describe('RouteService.deprecation', () => {
+    it('adds the Deprecation and Link headers', () => {
+        const headers = {};
+        let called = false;
+
+        RouteService.deprecation({ replacement: '/convert/audio/to/mp3' })(
+            { path: '/mp3' },
+            { setHeader: (name, value) => headers[name] = value },
+            () => called = true);
+
+        assert.match(headers.Deprecation, /^@\d+$/);
+        assert.strictEqual(headers.Link, '</convert/audio/to/mp3>; rel="successor-version"');
+        assert.strictEqual(called, true);
+    });
+});
@@ -0,0 +1,73 @@
+/**
+ * Pruebas de los destinos de almacenamiento de los resultados
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+process.env.OUTPUT_LOCAL_DIR = outputDir;
+delete process.env.S3_BUCKET;
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const winston = require('winston');
+const StorageService = require('../app/services/storageService');
+
+winston.level = 'error';
+
+const inputFile = path.join(os.tmpdir(), `storage-test-${process.pid}.mp4`);
+fs.writeFileSync(inputFile, 'converted');
+
+after(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    fs.rmSync(inputFile, { force: true });
+});
+
+describe('StorageService.parseTarget', () => {
+    it('returns null when the result goes in the response', () => {
+        assert.strictEqual(StorageService.parseTarget({}), null);
+        assert.strictEqual(StorageService.parseTarget({ output: '' }), null);
+    });
+
+    it('accepts only the configured targets', () => {
+        assert.deepStrictEqual(StorageService.getAvailableTargets(), ['local']);
+        assert.strictEqual(StorageService.parseTarget({ output: 'LOCAL' }), 'local');
+        assert.throws(() => StorageService.parseTarget({ output: 's3' }),
+            err => err.statusCode === 400 && err.message === 'output must be one of: local');
+    });
+});
+
+describe('StorageService.store', () => {
+    it('copies the result to the local directory under the conversion id', () => {
+        return StorageService.store('local', inputFile, 'job-1', 'video.mp4').then(result => {
+            // Sin la ruta absoluta del servidor
+            assert.deepStrictEqual(result, { storage: 'local', key: 'job-1/video.mp4' });
+            assert.strictEqual(fs.readFileSync(path.join(outputDir, 'job-1', 'video.mp4'), 'utf8'), 'converted');
+        });
+    });
+
+    it('sends the content type of the preset to the adapter', t => {
+        const save = t.mock.method(StorageService.getAdapter('local'), 'save', () => Promise.resolve({ storage: 'local', key: 'k' }));
+
+        return StorageService.store('local', inputFile, 'job-2', 'song.opus', 'audio/ogg')
+            .then(() => StorageService.store('local', inputFile, 'job-2', 'video.mp4'))
+            .then(() => {
+                assert.deepStrictEqual(save.mock.calls[0].arguments[2], { contentType: 'audio/ogg', downloadName: 'song.opus' });
+                assert.deepStrictEqual(save.mock.calls[1].arguments[2], { contentType: 'application/octet-stream', downloadName: 'video.mp4' });
+            });
+    });
+
+    it('answers 502 when the target fails', t => {
+        t.mock.method(StorageService.getAdapter('local'), 'save', () => Promise.reject(new Error('disk full')));
+
+        return assert.rejects(StorageService.store('local', inputFile, 'job-3', 'video.mp4'),
+            err => err.statusCode === 502 && err.message === 'Could not save the result to "local": disk full');
+    });
+
+    it('never writes outside the configured directory', () => {
+        return assert.rejects(StorageService.getAdapter('local').save(inputFile, '../escape.mp4'), /Invalid storage key/)
+            .then(() => assert.strictEqual(fs.existsSync(path.join(outputDir, '..', 'escape.mp4')), false));
+    });
+});
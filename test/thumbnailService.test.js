@@ -0,0 +1,71 @@
+/**
+ * Pruebas de las opciones de las miniaturas de vídeo
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const ThumbnailService = require('../app/services/thumbnailService');
+
+const config = {
+    defaultFormat: 'jpg',
+    defaultWidth: 640,
+    maxWidth: 1920,
+    maxCount: 10,
+    formats: {
+        jpg: { mimeType: 'image/jpeg', outputOptions: ['-q:v 2'] },
+        png: { mimeType: 'image/png', outputOptions: ['-compression_level 6'] }
+    }
+};
+
+const rejects = (query, message) => {
+    assert.throws(() => ThumbnailService.parseOptions(query, config),
+        err => err.statusCode === 400 && message.test(err.message));
+};
+
+describe('ThumbnailService.parseOptions', () => {
+    it('uses the defaults of the tool', () => {
+        assert.deepStrictEqual(ThumbnailService.parseOptions({}, config), {
+            format: 'jpg',
+            width: 640,
+            count: 1,
+            time: 'auto',
+            mimeType: 'image/jpeg',
+            formatOptions: ['-q:v 2']
+        });
+    });
+
+    it('accepts the format, width, count and time of the request', () => {
+        const options = ThumbnailService.parseOptions({ format: 'PNG', width: '320', time: '00:01:05.5' }, config);
+
+        assert.strictEqual(options.format, 'png');
+        assert.strictEqual(options.width, 320);
+        assert.strictEqual(options.time, 65.5);
+        assert.strictEqual(options.mimeType, 'image/png');
+        assert.strictEqual(ThumbnailService.parseOptions({ count: '5' }, config).count, 5);
+    });
+
+    it('rejects invalid values', () => {
+        rejects({ format: 'gif' }, /Unsupported format "gif". Allowed: jpg, png/);
+        rejects({ width: '8' }, /width must be an integer between 16 and 1920/);
+        rejects({ width: '4000' }, /width must be an integer between 16 and 1920/);
+        rejects({ count: '11' }, /count must be an integer between 1 and 10/);
+        rejects({ time: '1:75' }, /Invalid time "1:75"/);
+        rejects({ time: '5', count: '3' }, /time cannot be combined with count/);
+    });
+});
+
+describe('ThumbnailService.getFrameTimes', () => {
+    it('spreads several frames over the whole video', () => {
+        assert.deepStrictEqual(ThumbnailService.getFrameTimes({ count: 4, time: 'auto' }, 40), [
+            { time: 5, auto: false },
+            { time: 15, auto: false },
+            { time: 25, auto: false },
+            { time: 35, auto: false }
+        ]);
+    });
+
+    it('picks the frame automatically after the first 10% of the video', () => {
+        assert.deepStrictEqual(ThumbnailService.getFrameTimes({ count: 1, time: 'auto' }, 40), [{ time: 4, auto: true }]);
+        assert.deepStrictEqual(ThumbnailService.getFrameTimes({ count: 1, time: 12.5 }, 40), [{ time: 12.5, auto: false }]);
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * Pruebas del recorte de archivos: validación de start, end y duration y
+ * opciones de FFmpeg
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const TrimService = require('../app/services/trimService');
+
+const rejects = (source, message) => {
+    assert.throws(() => TrimService.parseOptions(source),
+        err => err.statusCode === 400 && message.test(err.message));
+};
+
+describe('TrimService.parseOptions', () => {
+    it('returns null when no trimming is requested', () => {
+        assert.strictEqual(TrimService.parseOptions({}), null);
+        assert.strictEqual(TrimService.parseOptions({ start: '', crf: '23' }), null);
+    });
+
+    it('accepts seconds and HH:MM:SS', () => {
+        assert.deepStrictEqual(TrimService.parseOptions({ start: '00:01:30', end: '95.5' }),
+            { start: 90, end: 95.5, duration: null, seek: 'fast' });
+        assert.deepStrictEqual(TrimService.parseOptions({ duration: '10', seek: 'Accurate' }),
+            { start: 0, end: null, duration: 10, seek: 'accurate' });
+    });
+
+    it('rejects invalid or contradictory values', () => {
+        rejects({ start: 'soon' }, /Invalid start "soon"/);
+        rejects({ end: '10', duration: '5' }, /end cannot be combined with duration/);
+        rejects({ start: '20', end: '10' }, /end must be greater than start/);
+        rejects({ duration: '0' }, /duration must be greater than 0/);
+        rejects({ start: '5', seek: 'slow' }, /seek must be one of: fast, accurate/);
+    });
+});
+
+describe('TrimService.buildOptions', () => {
+    it('seeks on the input in fast mode', () => {
+        assert.deepStrictEqual(TrimService.buildOptions({ start: 90, end: 95.5, duration: null, seek: 'fast' }),
+            { inputOptions: ['-ss 90.000'], outputOptions: ['-t 5.500'] });
+    });
+
+    it('seeks on the output in accurate mode', () => {
+        assert.deepStrictEqual(TrimService.buildOptions({ start: 2.5, end: null, duration: 10, seek: 'accurate' }),
+            { inputOptions: [], outputOptions: ['-ss 2.500', '-t 10.000'] });
+    });
+
+    it('omits -ss when the clip starts at the beginning', () => {
+        assert.deepStrictEqual(TrimService.buildOptions({ start: 0, end: null, duration: 3, seek: 'fast' }),
+            { inputOptions: [], outputOptions: ['-t 3.000'] });
+    });
+});
+
+describe('TrimService.validate', () => {
+    const validate = (trim, duration) => TrimService.validate(Object.assign({ start: 0, end: null, duration: null, seek: 'fast' }, trim), { duration });
+
+    it('accepts clips within the media duration', () => {
+        assert.doesNotThrow(() => validate({ start: 50, duration: 10 }, 60));
+        assert.doesNotThrow(() => validate({ end: 60 }, 60));
+    });
+
+    it('rejects clips beyond the media duration', () => {
+        assert.throws(() => validate({ start: 60 }, 60),
+            err => err.statusCode === 400 && /start 60s is beyond the media duration \(60.00s\)/.test(err.message));
+        assert.throws(() => validate({ end: 61 }, 60), /end 61s is beyond/);
+        assert.throws(() => validate({ start: 50, duration: 20 }, 60), /start \+ duration \(70s\) is beyond/);
+    });
+
+    it('rejects files without a duration', () => {
+        assert.throws(() => validate({ start: 5 }, null), /has no duration and cannot be trimmed/);
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * Pruebas de la recepción de archivos multipart
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const winston = require('winston');
+const LogService = require('../app/services/logService');
+const UploadService = require('../app/services/uploadService');
+
+winston.level = 'error';
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-test-'));
+const boundary = 'test-boundary';
+
+after(() => fs.rmSync(uploadDir, { recursive: true, force: true }));
+
+/**
+ * Partes de un cuerpo multipart/form-data
+ */
+const field = (name, value) => `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`;
+const filePart = (name, content) => `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${name}"\r\n` +
+    `Content-Type: application/octet-stream\r\n\r\n${content}\r\n`;
+const end = `--${boundary}--\r\n`;
+
+/**
+ * Petición simulada con el cuerpo como stream
+ */
+function createRequest() {
+    return Object.assign(new PassThrough(), {
+        headers: { 'content-type': `multipart/form-data; boundary=${boundary}` },
+        complete: false
+    });
+}
+
+/**
+ * Recibe una subida y guarda las llamadas a onError
+ */
+function upload(req) {
+    const errors = [];
+    const promise = UploadService.processUpload(req, {
+        fileSizeLimit: 1024,
+        uploadDir,
+        onError: (err, statusCode) => errors.push([err.message, statusCode])
+    });
+
+    return { promise, errors };
+}
+
+describe('UploadService.processUpload', () => {
+    it('saves the file and returns the form fields', () => {
+        const req = createRequest();
+        const { promise } = upload(req);
+
+        req.complete = true;
+        req.end(field('quality', '2') + filePart('song.wav', 'audio-data') + end);
+
+        return promise.then(result => {
+            assert.strictEqual(result.originalName, 'song.wav');
+            assert.strictEqual(result.size, 10);
+            assert.deepStrictEqual(result.fields, { quality: '2' });
+            assert.strictEqual(fs.readFileSync(result.savedPath, 'utf8'), 'audio-data');
+        });
+    });
+
+    it('answers 400 when the form has no file part', t => {
+        t.mock.method(LogService, 'error', () => {});
+        const req = createRequest();
+        const { promise, errors } = upload(req);
+
+        req.complete = true;
+        req.end(field('quality', '2') + end);
+
+        return assert.rejects(promise, /^Error: No file in the request/).then(() => {
+            assert.deepStrictEqual(errors, [['No file in the request: send it as multipart/form-data with a file field', 400]]);
+        });
+    });
+
+    it('reports a client disconnect with 499 and removes the partial file', t => {
+        t.mock.method(LogService, 'warn', () => {});
+        const req = createRequest();
+        const before = fs.readdirSync(uploadDir).length;
+        const { promise, errors } = upload(req);
+
+        req.write(filePart('video.mov', 'partial').replace(/\r\n$/, ''));
+
+        return new Promise(resolve => setImmediate(resolve))
+            .then(() => {
+                req.emit('close');
+                return assert.rejects(promise, err => err.statusCode === 499);
+            })
+            .then(() => {
+                assert.deepStrictEqual(errors, [['Client disconnected during upload', 499]]);
+                assert.strictEqual(fs.readdirSync(uploadDir).length, before);
+            });
+    });
+});
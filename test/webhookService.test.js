@@ -0,0 +1,178 @@
+/**
+ * Pruebas de los avisos de callback_url: validación de la URL, contenido,
+ * firma y reintentos
+ */
+
+process.env.WEBHOOK_SECRET = 'test-webhook-secret';
+process.env.REMOTE_URL_ALLOWED_HOSTS = '127.0.0.1';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const winston = require('winston');
+const consts = require('../app/constants');
+const WebhookService = require('../app/services/webhookService');
+
+winston.level = 'error';
+
+describe('WebhookService.parseUrl', () => {
+    it('accepts public http and https URLs', () => {
+        assert.strictEqual(WebhookService.parseUrl(undefined), null);
+        assert.strictEqual(WebhookService.parseUrl('https://hooks.example.com/jobs'), 'https://hooks.example.com/jobs');
+    });
+
+    it('rejects invalid URLs and private addresses with 400', () => {
+        [
+            ['not a url', /Invalid callback_url "not a url"/],
+            ['ftp://hooks.example.com/', /must be an http or https URL/],
+            ['http://169.254.169.254/', /callback_url: URL host "169.254.169.254" is a private or reserved address/]
+        ].forEach(([value, message]) => {
+            assert.throws(() => WebhookService.parseUrl(value), err => err.statusCode === 400 && message.test(err.message));
+        });
+    });
+});
+
+describe('WebhookService.buildPayload', () => {
+    const job = {
+        id: 'job-1',
+        fileName: 'video.mov',
+        extension: 'mp4',
+        createdAt: new Date('2024-01-01T00:00:00Z'),
+        finishedAt: new Date('2024-01-01T00:01:00Z')
+    };
+
+    it('links the result of completed jobs', () => {
+        const payload = WebhookService.buildPayload(Object.assign({ status: 'completed', outputSize: 2048 }, job), 'https://media.example.com');
+
+        assert.strictEqual(payload.event, 'job.completed');
+        assert.strictEqual(payload.outputSize, 2048);
+        assert.deepStrictEqual(payload.download, { url: 'https://media.example.com/jobs/job-1/result' });
+        assert.strictEqual(payload.error, undefined);
+    });
+
+    it('uses the storage location when the result was stored', () => {
+        const storage = { storage: 's3', key: 'job-1/video.mp4', url: 'https://bucket.example.com/job-1/video.mp4' };
+        const payload = WebhookService.buildPayload(Object.assign({ status: 'completed', storage }, job), 'https://media.example.com');
+
+        assert.deepStrictEqual(payload.download, storage);
+    });
+
+    it('includes the error of failed jobs', () => {
+        const payload = WebhookService.buildPayload(Object.assign({ status: 'failed', error: 'Error: Conversion failed' }, job), '');
+
+        assert.strictEqual(payload.event, 'job.failed');
+        assert.strictEqual(payload.error, 'Error: Conversion failed');
+        assert.strictEqual(payload.download, undefined);
+    });
+});
+
+describe('WebhookService.sign', () => {
+    it('signs "<timestamp>.<body>" with HMAC-SHA256 and the shared secret', () => {
+        const body = JSON.stringify({ id: 'job-1', status: 'completed' });
+        const expected = crypto.createHmac('sha256', 'test-webhook-secret')
+            .update(`1700000000.${body}`)
+            .digest('hex');
+
+        assert.strictEqual(WebhookService.sign(body, '1700000000'), expected);
+    });
+
+    it('changes when the body or the timestamp change', () => {
+        const signature = WebhookService.sign('{"a":1}', '1700000000');
+
+        assert.notStrictEqual(WebhookService.sign('{"a":2}', '1700000000'), signature);
+        assert.notStrictEqual(WebhookService.sign('{"a":1}', '1700000001'), signature);
+    });
+});
+
+describe('WebhookService.send', () => {
+    let server;
+    let received;
+    let statusCode;
+
+    before(() => new Promise(resolve => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                received = { headers: req.headers, body };
+                res.writeHead(statusCode);
+                res.end();
+            });
+        });
+        server.listen(0, '127.0.0.1', resolve);
+    }));
+
+    after(() => server.close());
+
+    const callbackUrl = () => `http://127.0.0.1:${server.address().port}/hook`;
+
+    it('sends the timestamp and a signature the receiver can verify', () => {
+        statusCode = 204;
+        const body = '{"id":"job-1"}';
+
+        return WebhookService.send(callbackUrl(), body).then(code => {
+            const timestamp = received.headers['x-webhook-timestamp'];
+
+            assert.strictEqual(code, 204);
+            assert.strictEqual(received.body, body);
+            assert.match(timestamp, /^\d+$/);
+            assert.strictEqual(received.headers['x-webhook-signature'], `sha256=${WebhookService.sign(body, timestamp)}`);
+        });
+    });
+
+    [[500, true], [429, true], [408, true], [404, false], [400, false]].forEach(([code, retryable]) => {
+        it(`marks a ${code} response as ${retryable ? '' : 'not '}retryable`, () => {
+            statusCode = code;
+
+            return assert.rejects(WebhookService.send(callbackUrl(), '{}'), err => err.retryable === retryable);
+        });
+    });
+});
+
+describe('WebhookService.deliver', () => {
+    // Ejecuta las esperas al momento y guarda su duración
+    const mockTimers = t => {
+        const delays = [];
+        t.mock.method(global, 'setTimeout', (callback, delay) => {
+            delays.push(delay);
+            setImmediate(callback);
+            return { unref() {} };
+        });
+        return delays;
+    };
+
+    it('retries retryable failures with exponential backoff', t => {
+        const delays = mockTimers(t);
+        let calls = 0;
+        t.mock.method(WebhookService, 'send', () => {
+            calls++;
+            return calls < 3 ? Promise.reject(WebhookService.createError('down', true)) : Promise.resolve(200);
+        });
+
+        return WebhookService.deliver('http://127.0.0.1/hook', '{}', 'job-1', 1).then(() => {
+            assert.strictEqual(calls, 3);
+            assert.deepStrictEqual(delays, [consts.webhookRetryDelay, consts.webhookRetryDelay * 2]);
+        });
+    });
+
+    it('gives up after the maximum number of attempts', t => {
+        const delays = mockTimers(t);
+        const send = t.mock.method(WebhookService, 'send', () => Promise.reject(WebhookService.createError('down', true)));
+
+        return assert.rejects(WebhookService.deliver('http://127.0.0.1/hook', '{}', 'job-1', 1), /down/).then(() => {
+            assert.strictEqual(send.mock.callCount(), consts.webhookMaxAttempts);
+            assert.deepStrictEqual(delays, delays.map((delay, index) => consts.webhookRetryDelay * Math.pow(2, index)));
+            assert.strictEqual(delays.length, consts.webhookMaxAttempts - 1);
+        });
+    });
+
+    it('does not retry failures that are not retryable', t => {
+        mockTimers(t);
+        const send = t.mock.method(WebhookService, 'send', () => Promise.reject(WebhookService.createError('gone', false)));
+
+        return assert.rejects(WebhookService.deliver('http://127.0.0.1/hook', '{}', 'job-1', 1), /gone/).then(() => {
+            assert.strictEqual(send.mock.callCount(), 1);
+        });
+    });
+});